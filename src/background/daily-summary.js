@@ -4,6 +4,7 @@
  */
 
 import { StorageManager } from '../utils/storage.js';
+import { CalendarAPI } from '../utils/calendar-api.js';
 import { logger } from '../utils/logger.js';
 import { NotificationManager } from './notification-manager.js';
 
@@ -76,14 +77,22 @@ export class DailySummary {
       // Sort by start time
       todaysEvents.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 
+      // The stored list spans the sync horizon — count what's coming after today
+      const laterCount = events.filter(event => new Date(event.startTime) > endOfDay).length;
+
+      // Nudge about invitations still waiting for an answer
+      const pendingCount = events.filter(
+        event => new Date(event.startTime) > now && CalendarAPI.needsResponse(event)
+      ).length;
+
       // Play sound alert
       await NotificationManager.playSound();
 
       // Show popup window with daily summary
-      await this.showDailySummaryPopup(todaysEvents);
+      await this.showDailySummaryPopup(todaysEvents, pendingCount);
 
       // Also send OS notification as a secondary alert
-      await this.sendOSNotification(todaysEvents);
+      await this.sendOSNotification(todaysEvents, laterCount, pendingCount);
 
       logger.debug(`Daily summary sent for ${todaysEvents.length} meetings`);
     } catch (error) {
@@ -113,8 +122,9 @@ export class DailySummary {
   /**
    * Show daily summary popup window
    * @param {Array} events - Today's events
+   * @param {number} pendingCount - Upcoming invitations without an answer
    */
-  static async showDailySummaryPopup(events) {
+  static async showDailySummaryPopup(events, pendingCount = 0) {
     try {
       // Sanitize events data for URL encoding
       const sanitizedEvents = events.map(event => ({
@@ -129,6 +139,7 @@ export class DailySummary {
           email: a.email,
         })),
         hasConflict: event.hasConflict,
+        needsResponse: CalendarAPI.needsResponse(event),
       }));
 
       const eventsData = encodeURIComponent(JSON.stringify(sanitizedEvents));
@@ -137,7 +148,9 @@ export class DailySummary {
       const windowConfig = await this.calculateOptimalWindowPosition();
 
       await chrome.windows.create({
-        url: chrome.runtime.getURL(`src/daily-summary/daily-summary.html?events=${eventsData}`),
+        url: chrome.runtime.getURL(
+          `src/daily-summary/daily-summary.html?events=${eventsData}&pending=${pendingCount}`
+        ),
         type: 'popup',
         width: 480,
         height: 600,
@@ -181,18 +194,28 @@ export class DailySummary {
   /**
    * Send OS notification as secondary alert
    * @param {Array} events - Today's events
+   * @param {number} laterCount - Meetings later in the sync horizon
+   * @param {number} pendingCount - Upcoming invitations without an answer
    */
-  static async sendOSNotification(events) {
+  static async sendOSNotification(events, laterCount = 0, pendingCount = 0) {
+    let extraLines =
+      laterCount > 0
+        ? `\n${laterCount} more meeting${laterCount > 1 ? 's' : ''} coming up later`
+        : '';
+    if (pendingCount > 0) {
+      extraLines += `\n${pendingCount} invitation${pendingCount > 1 ? 's' : ''} waiting for your answer`;
+    }
+
     if (events.length === 0) {
       await chrome.notifications.create('daily_summary', {
         type: 'basic',
         iconUrl: chrome.runtime.getURL('assets/icons/icon-128.png'),
         title: '📅 Your Day Ahead',
-        message: 'No meetings scheduled for today. Enjoy your focus time!',
+        message: 'No meetings scheduled for today. Enjoy your focus time!' + extraLines,
         priority: 1,
       });
     } else {
-      const summary = this.formatSummaryMessage(events);
+      const summary = this.formatSummaryMessage(events) + extraLines;
 
       await chrome.notifications.create('daily_summary', {
         type: 'basic',
@@ -4,16 +4,46 @@
  */
 
 import { StorageManager } from '../utils/storage.js';
+import { CalendarAPI } from '../utils/calendar-api.js';
+import { SoundLibrary } from '../utils/sound-library.js';
+import { VoiceReminder } from '../utils/voice-reminder.js';
 import { logger } from '../utils/logger.js';
-import { MESSAGE_TYPES, NOTIFICATION_PREFIX, BADGE_COLORS } from '../utils/constants.js';
+import {
+  MESSAGE_TYPES,
+  NOTIFICATION_PREFIX,
+  BADGE_COLORS,
+  DEFAULT_SETTINGS,
+  TIME,
+} from '../utils/constants.js';
+
+// Buttons a reminder notification can carry (settings.notificationButtons);
+// 'rsvp' in the settings stands for Accept and Maybe
+const NOTIFICATION_ACTIONS = {
+  join: '🚀 Join Now',
+  snooze5: '💤 Snooze 5 min',
+  late: '🏃 Running late',
+  decline: '✗ Decline',
+  dialin: '📞 Copy dial-in',
+  accepted: '✓ Accept',
+  tentative: '? Maybe',
+};
 
 export class NotificationManager {
+  static ESCALATION_PREFIX = 'escalate_';
+  static ESCALATIONS_KEY = 'escalations';
+  // Open "starting in N minutes" notifications, refreshed every minute
+  static TRACKED_NOTIFICATIONS_KEY = 'reminderNotifications';
+
   /**
-   * Trigger all configured attention mechanisms
+   * Trigger the attention mechanisms of a reminder stage
    * @param {Object} event - Meeting event object
+   * @param {Object} stage - Stage profile { minutes, notification, popup, sound,
+   *   voice, escalate, final }; omitted fields come from the global settings,
+   *   and escalate defaults to the final stage
    */
-  static async triggerAttention(event) {
+  static async triggerAttention(event, stage = null) {
     const settings = await StorageManager.getSettings();
+    const profile = { ...this.defaultProfile(settings), ...stage };
 
     logger.debug(`Triggering attention for "${event.title}"`);
 
@@ -52,29 +82,41 @@ export class NotificationManager {
     const isVip = !!event._vip;
     const suppressLoud = inMeeting || (!isVip && (dndActive || outsideWorkHours));
 
-    // 1. OS Notification (always — silent visual, respects OS DND if user has it)
-    await this.showOSNotification(event);
+    // 1. OS Notification (silent visual, respects OS DND if user has it)
+    if (profile.notification) {
+      await this.showOSNotification(event, profile.minutes, { leave: !!profile.leave });
+    }
+
+    const escalate =
+      (profile.escalate ?? profile.final) && !suppressLoud && this.shouldEscalate(event, settings);
 
     // 2. Popup Window (brings Chrome forward!)
-    if (settings.showPopup !== false && !suppressLoud) {
-      await this.showReminderWindow(event);
+    let windowId = null;
+    if (profile.popup && !suppressLoud) {
+      // An escalating reminder window stays open past the start time
+      windowId = await this.showReminderWindow(escalate ? { ...event, _escalate: true } : event);
     }
 
     // 3. Sound
-    if (settings.playSound !== false && !suppressLoud) {
-      await this.playSound();
+    if (profile.sound && !suppressLoud) {
+      await this.playSound(SoundLibrary.contextOf(event));
     }
 
     // 4. Voice Reminder
-    if (settings.voiceReminder && !suppressLoud) {
+    if (profile.voice && !suppressLoud) {
       await this.speakReminder(event, settings);
     }
 
     // 5. Flash Badge
-    await this.flashBadge(settings.reminderMinutes || 2);
+    await this.flashBadge(profile.minutes);
+
+    // 6. Keep at it from the start time if the reminder goes ignored
+    if (escalate) {
+      await this.armEscalation(event, windowId, profile);
+    }
 
-    // 6. Auto-open meeting (optional)
-    if (settings.autoOpen && event.meetingLink) {
+    // 7. Auto-open meeting (optional, on the last stage only)
+    if (settings.autoOpen && event.meetingLink && profile.final) {
       setTimeout(async () => {
         try {
           await chrome.tabs.create({ url: event.meetingLink, active: true });
@@ -85,48 +127,291 @@ export class NotificationManager {
     }
   }
 
+  /**
+   * Surfaces of a single, unstaged reminder: the global settings flags
+   * @param {Object} settings - User settings
+   * @returns {Object} Stage profile
+   */
+  static defaultProfile(settings) {
+    return {
+      minutes: settings.reminderMinutes || 2,
+      notification: true,
+      popup: settings.showPopup !== false,
+      sound: settings.playSound !== false,
+      voice: !!settings.voiceReminder,
+      final: true,
+    };
+  }
+
   /**
    * Show OS notification
    * @param {Object} event - Meeting event object
+   * @param {number} minutesBefore - Lead time of the reminder (defaults to the setting)
+   * @param {Object} options - { leave, startedAgo }: word it as the travel
+   *   "leave now" reminder, or as an escalation N minutes after the start
    * @returns {Promise<string>} Notification ID
    */
-  static async showOSNotification(event) {
-    const notificationId = `${NOTIFICATION_PREFIX}${event.id}`;
+  static async showOSNotification(
+    event,
+    minutesBefore = null,
+    { leave = false, startedAgo = null } = {}
+  ) {
     const settings = await StorageManager.getSettings();
+    const buttons = this.getNotificationButtons(
+      event,
+      settings.notificationButtons ?? DEFAULT_SETTINGS.notificationButtons
+    );
+    const notificationId = this.notificationId(
+      event,
+      buttons.map(b => b.action)
+    );
 
     // Create dynamic title based on reminder time
-    const reminderMinutes = settings.reminderMinutes || 2;
-    let title = '⏰ Meeting starting ';
-    if (reminderMinutes === 1) {
-      title += 'in 1 minute!';
-    } else if (reminderMinutes < 60) {
-      title += `in ${reminderMinutes} minutes!`;
-    } else {
-      const hours = Math.floor(reminderMinutes / 60);
-      const mins = reminderMinutes % 60;
-      title += mins > 0 ? `in ${hours}h ${mins}m!` : `in ${hours} hour${hours > 1 ? 's' : ''}!`;
-    }
-
+    const reminderMinutes = minutesBefore ?? (settings.reminderMinutes || 2);
+    const countdown = startedAgo === null;
     const notificationOptions = {
-      type: 'basic',
+      // The bar fills up as the start time approaches, see refreshNotifications()
+      type: countdown ? 'progress' : 'basic',
       iconUrl: chrome.runtime.getURL('assets/icons/icon-128.png'),
-      title: title,
-      message: event.title || 'Untitled Meeting',
-      priority: 2,
+      title: this.notificationTitle(reminderMinutes, { leave, startedAgo }),
+      message: leave
+        ? `${event.title || 'Untitled Meeting'}\n📍 ${event.location}`
+        : event.title || 'Untitled Meeting',
+      priority: countdown ? this.urgencyPriority(reminderMinutes) : 2,
       requireInteraction: true,
     };
+    if (countdown) notificationOptions.progress = 0;
 
-    // Add "Join Now" button if meeting link exists
-    if (event.meetingLink) {
-      notificationOptions.buttons = [{ title: '🚀 Join Now' }];
+    if (buttons.length > 0) {
+      notificationOptions.buttons = buttons.map(({ title }) => ({ title }));
     }
 
+    // Another stage may have shown the event with different buttons
+    await this.clearEventNotifications(event.id, notificationId);
     await chrome.notifications.create(notificationId, notificationOptions);
+    await this.trackNotification(
+      notificationId,
+      countdown ? { startTime: event.startTime, leave, shownAt: Date.now() } : null
+    );
 
     logger.debug(`OS notification created for "${event.title}"`);
     return notificationId;
   }
 
+  /**
+   * Title of a reminder notification
+   * @param {number} minutes - Minutes until the start
+   * @param {Object} options - { leave, startedAgo }, see showOSNotification()
+   * @returns {string}
+   */
+  static notificationTitle(minutes, { leave = false, startedAgo = null } = {}) {
+    if (startedAgo !== null) {
+      return startedAgo > 0 ? `🔔 Meeting started ${startedAgo} min ago` : '🔔 Meeting has started';
+    }
+    if (leave) return `🚶 Time to leave — starts in ${minutes} min`;
+
+    const title = '⏰ Meeting starting ';
+    if (minutes === 0) return `${title}now!`;
+    if (minutes === 1) return `${title}in 1 minute!`;
+    if (minutes < 60) return `${title}in ${minutes} minutes!`;
+
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return (
+      title + (mins > 0 ? `in ${hours}h ${mins}m!` : `in ${hours} hour${hours > 1 ? 's' : ''}!`)
+    );
+  }
+
+  /**
+   * Notification priority for the time left: top priority from five
+   * minutes out
+   * @param {number} minutes - Minutes until the start
+   * @returns {number} Chrome notification priority
+   */
+  static urgencyPriority(minutes) {
+    return minutes <= 5 ? 2 : 1;
+  }
+
+  /**
+   * Buttons of a meeting's OS notification, in order. Chrome shows at most
+   * two, so the first two configured actions that apply to the meeting are
+   * used: Join needs a link, Running late other attendees, Copy dial-in a
+   * phone number, and RSVP ('rsvp' gives Accept then Maybe) an unanswered
+   * invitation.
+   * @param {Object} event - Meeting event object
+   * @param {Array<string>} choices - settings.notificationButtons
+   * @returns {Array<{action: string, title: string}>} action is a key of
+   *   NOTIFICATION_ACTIONS
+   */
+  static getNotificationButtons(event, choices = DEFAULT_SETTINGS.notificationButtons) {
+    if (!event) return [];
+
+    const status = event.attendees?.find(a => a.self)?.responseStatus;
+    const available = {
+      join: !!event.meetingLink,
+      snooze5: true,
+      late: this.otherAttendeeEmails(event).length > 0,
+      decline: status !== 'declined',
+      dialin: !!this.dialInText(event),
+    };
+
+    const actions = [];
+    for (const choice of choices) {
+      if (choice === 'rsvp') {
+        if (CalendarAPI.canRespond(event) && status !== 'accepted' && status !== 'declined') {
+          actions.push('accepted');
+          if (status !== 'tentative') actions.push('tentative');
+        }
+      } else if (available[choice]) {
+        actions.push(choice);
+      }
+    }
+    return [...new Set(actions)]
+      .slice(0, 2)
+      .map(action => ({ action, title: NOTIFICATION_ACTIONS[action] }));
+  }
+
+  /**
+   * ID of a meeting's reminder notification, naming the action of each
+   * button so a click can be carried out without rebuilding the list
+   * @param {Object} event - Meeting event object
+   * @param {Array<string>} actions - Button actions in order
+   * @returns {string} pingmeet_<eventId>#<action>,<action>
+   */
+  static notificationId(event, actions = []) {
+    return `${NOTIFICATION_PREFIX}${event.id}#${actions.join(',')}`;
+  }
+
+  /**
+   * Read a reminder notification ID
+   * @param {string} notificationId - From notificationId()
+   * @returns {{eventId: string, actions: Array<string>}} actions is empty for
+   *   IDs without any (notifications from older versions)
+   */
+  static parseNotificationId(notificationId) {
+    const rest = String(notificationId).replace(NOTIFICATION_PREFIX, '');
+    const split = rest.lastIndexOf('#');
+    if (split === -1) return { eventId: rest, actions: [] };
+    return {
+      eventId: rest.slice(0, split),
+      actions: rest
+        .slice(split + 1)
+        .split(',')
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Close a meeting's reminder notifications
+   * @param {string} eventId - Event ID
+   * @param {string} keepId - Notification to leave open
+   */
+  static async clearEventNotifications(eventId, keepId = null) {
+    const open = await chrome.notifications.getAll();
+    for (const id of Object.keys(open || {})) {
+      if (id === keepId || !id.startsWith(NOTIFICATION_PREFIX)) continue;
+      if (this.parseNotificationId(id).eventId === eventId) {
+        await chrome.notifications.clear(id);
+      }
+    }
+  }
+
+  /**
+   * Remember a countdown notification for refreshNotifications(), or forget it
+   * @param {string} notificationId - Notification ID
+   * @param {Object|null} entry - { startTime, leave, shownAt }; null forgets it
+   */
+  static async trackNotification(notificationId, entry) {
+    const data = await chrome.storage.local.get(this.TRACKED_NOTIFICATIONS_KEY);
+    const tracked = data[this.TRACKED_NOTIFICATIONS_KEY] || {};
+    if (entry) {
+      tracked[notificationId] = entry;
+    } else if (notificationId in tracked) {
+      delete tracked[notificationId];
+    } else {
+      return;
+    }
+    await chrome.storage.local.set({ [this.TRACKED_NOTIFICATIONS_KEY]: tracked });
+  }
+
+  /**
+   * Count down the open reminder notifications: title, progress bar and
+   * priority follow the time left. Called every minute; notifications
+   * closed meanwhile are forgotten, and each one stops at "starting now".
+   */
+  static async refreshNotifications() {
+    const data = await chrome.storage.local.get(this.TRACKED_NOTIFICATIONS_KEY);
+    const tracked = data[this.TRACKED_NOTIFICATIONS_KEY] || {};
+    if (Object.keys(tracked).length === 0) return;
+
+    const open = (await chrome.notifications.getAll()) || {};
+    const now = Date.now();
+    for (const [id, entry] of Object.entries(tracked)) {
+      if (!open[id]) {
+        delete tracked[id];
+        continue;
+      }
+
+      const start = new Date(entry.startTime).getTime();
+      const minutes = Math.max(0, Math.ceil((start - now) / TIME.ONE_MINUTE_MS));
+      const lead = Math.max(start - entry.shownAt, 1);
+      await chrome.notifications.update(id, {
+        title: this.notificationTitle(minutes, { leave: entry.leave }),
+        progress: Math.min(100, Math.max(0, Math.round(((now - entry.shownAt) / lead) * 100))),
+        priority: this.urgencyPriority(minutes),
+      });
+      if (minutes === 0) delete tracked[id];
+    }
+    await chrome.storage.local.set({ [this.TRACKED_NOTIFICATIONS_KEY]: tracked });
+  }
+
+  /**
+   * Attendees to tell about running late: everyone with an email but the user
+   * @param {Object} event - Meeting event object
+   * @returns {Array<string>}
+   */
+  static otherAttendeeEmails(event) {
+    const self = String(event?.accountEmail || '').toLowerCase();
+    return (event?.attendees || [])
+      .filter(a => !a.self)
+      .map(a => (typeof a === 'string' ? a : a.email))
+      .filter(email => email && email.includes('@') && email.toLowerCase() !== self);
+  }
+
+  /**
+   * Dial string of a meeting's first phone number, with the conference ID
+   * or PIN after pauses so phones dial straight in
+   * @param {Object} event - Meeting event object
+   * @returns {string|null}
+   */
+  static dialInText(event) {
+    const phone = (
+      event?.phoneNumbers?.length ? event.phoneNumbers : event?.dialIn?.phoneNumbers
+    )?.[0];
+    const number = typeof phone === 'string' ? phone : phone?.number;
+    if (!number) return null;
+
+    const code = event.conferenceId || event.dialIn?.conferenceId || event.pin || event.dialIn?.pin;
+    return code ? `${number},,${String(code).replace(/\s+/g, '')}#` : number;
+  }
+
+  /**
+   * Copy text to the clipboard. Service workers have no clipboard, so the
+   * offscreen document does it.
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} Whether it was copied
+   */
+  static async copyText(text) {
+    try {
+      await this.ensureOffscreenDocument();
+      const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.COPY_TEXT, text });
+      return !!response?.copied;
+    } catch (error) {
+      logger.error('Error copying text', error);
+      return false;
+    }
+  }
+
   /**
    * Sanitize event data for JSON serialization
    * Removes complex nested objects that might cause circular references
@@ -142,6 +427,7 @@ export class NotificationManager {
       meetingLink: event.meetingLink,
       htmlLink: event.htmlLink,
       source: event.source,
+      accountEmail: event.accountEmail,
       organizer: event.organizer
         ? {
             name: event.organizer.name,
@@ -161,6 +447,7 @@ export class NotificationManager {
   /**
    * Show reminder popup window (key mechanism for bringing Chrome forward)
    * @param {Object} event - Meeting event object
+   * @returns {Promise<number|null>} Window ID
    */
   static async showReminderWindow(event) {
     // Sanitize event data to avoid JSON serialization issues
@@ -171,7 +458,7 @@ export class NotificationManager {
       // Get all displays to determine optimal positioning
       const windowConfig = await this.calculateOptimalWindowPosition();
 
-      await chrome.windows.create({
+      const window = await chrome.windows.create({
         url: chrome.runtime.getURL(`src/reminder/reminder.html?event=${eventData}`),
         type: 'popup',
         width: 480,
@@ -182,9 +469,146 @@ export class NotificationManager {
       });
 
       logger.debug(`Reminder window opened for "${event.title}"`);
+      return window?.id ?? null;
     } catch (error) {
       logger.error('Error creating reminder window', error);
+      return null;
+    }
+  }
+
+  /**
+   * Bring a reminder window back to the front, opening a new one if it was
+   * closed
+   * @param {Object} event - Meeting event object
+   * @param {number|null} windowId - Window opened earlier for the event
+   * @returns {Promise<number|null>} ID of the window now showing
+   */
+  static async focusReminderWindow(event, windowId) {
+    if (windowId !== null && windowId !== undefined) {
+      try {
+        await chrome.windows.update(windowId, { focused: true, drawAttention: true });
+        return windowId;
+      } catch {
+        // Closed since — open a fresh one below
+      }
+    }
+    return this.showReminderWindow(event);
+  }
+
+  /**
+   * Whether ignored reminders of a meeting escalate (settings.escalation:
+   * 'all' meetings, 'vip' ones only, or 'off')
+   * @param {Object} event - Meeting event object, _vip set when the alarm fired
+   * @param {Object} settings - User settings
+   */
+  static shouldEscalate(event, settings) {
+    const mode = settings.escalation ?? DEFAULT_SETTINGS.escalation;
+    return mode === 'all' || (mode === 'vip' && !!event._vip);
+  }
+
+  /**
+   * Get the armed escalations
+   * @returns {Promise<Object>} { [eventId]: { event, step, windowId, profile } }
+   */
+  static async getEscalations() {
+    const data = await chrome.storage.local.get(this.ESCALATIONS_KEY);
+    return data[this.ESCALATIONS_KEY] || {};
+  }
+
+  /**
+   * Start escalating at the meeting's start time unless the user acts first
+   * @param {Object} event - Meeting event object
+   * @param {number|null} windowId - Reminder window already showing
+   * @param {Object} profile - Stage profile that escalated; its sound flag
+   *   decides whether the repeats are audible
+   */
+  static async armEscalation(event, windowId = null, profile = null) {
+    const escalations = await this.getEscalations();
+    escalations[event.id] = { event, step: 0, windowId, profile };
+    await chrome.storage.local.set({ [this.ESCALATIONS_KEY]: escalations });
+
+    const start = new Date(event.startTime).getTime();
+    await chrome.alarms.create(`${this.ESCALATION_PREFIX}${event.id}`, {
+      when: Math.max(start, Date.now() + 1000),
+    });
+  }
+
+  /**
+   * Stop escalating a meeting: the user joined, snoozed, answered or
+   * dismissed it
+   * @param {string} eventId - Event ID
+   * @returns {Promise<boolean>} Whether an escalation was armed
+   */
+  static async stopEscalation(eventId) {
+    await chrome.alarms.clear(`${this.ESCALATION_PREFIX}${eventId}`);
+    const escalations = await this.getEscalations();
+    if (!(eventId in escalations)) return false;
+
+    delete escalations[eventId];
+    await chrome.storage.local.set({ [this.ESCALATIONS_KEY]: escalations });
+    logger.debug(`Escalation stopped for ${eventId}`);
+    return true;
+  }
+
+  /**
+   * Volume of an escalation step, rising from the configured volume to full
+   * over the allowed repeats
+   * @param {number} step - 1 for the first escalation alert
+   * @param {Object} settings - User settings
+   * @returns {number} 0-1
+   */
+  static escalationVolume(step, settings) {
+    const base = SoundLibrary.volumeFrom(settings);
+    const repeats = settings.escalationMaxRepeats ?? DEFAULT_SETTINGS.escalationMaxRepeats;
+    return Math.min(1, base + ((1 - base) * step) / Math.max(repeats, 1));
+  }
+
+  /**
+   * One escalation step: louder sound, reminder window back in front and a
+   * "started N min ago" notification. Ends once the meeting tab is open, the
+   * meeting is over or the repeats run out.
+   * @param {string} alarmName - escalate_<eventId>
+   */
+  static async handleEscalationAlarm(alarmName) {
+    const eventId = alarmName.slice(this.ESCALATION_PREFIX.length);
+    const state = (await this.getEscalations())[eventId];
+    if (!state) return;
+
+    const { event } = state;
+    const settings = await StorageManager.getSettings();
+    const repeats = settings.escalationMaxRepeats ?? DEFAULT_SETTINGS.escalationMaxRepeats;
+    const start = new Date(event.startTime).getTime();
+    const end = event.endTime ? new Date(event.endTime).getTime() : start + 30 * TIME.ONE_MINUTE_MS;
+    if (state.step >= repeats || Date.now() >= end || (await this.isMeetingTabOpen(event))) {
+      await this.stopEscalation(eventId);
+      return;
     }
+
+    const step = state.step + 1;
+    logger.debug(`Escalating "${event.title}" (${step}/${repeats})`);
+    // Escalations armed before the profile was stored follow the settings
+    const profile = state.profile || this.defaultProfile(settings);
+    if (profile.sound) {
+      await this.playSound(SoundLibrary.contextOf(event), {
+        volume: this.escalationVolume(step, settings),
+      });
+    }
+    const windowId = await this.focusReminderWindow({ ...event, _escalate: true }, state.windowId);
+    await this.showOSNotification(event, null, {
+      startedAgo: Math.max(0, Math.round((Date.now() - start) / TIME.ONE_MINUTE_MS)),
+    });
+
+    // The user may have acted while this step ran
+    const escalations = await this.getEscalations();
+    if (!escalations[eventId]) return;
+    escalations[eventId] = { ...state, step, windowId };
+    await chrome.storage.local.set({ [this.ESCALATIONS_KEY]: escalations });
+
+    const repeatMinutes =
+      settings.escalationRepeatMinutes ?? DEFAULT_SETTINGS.escalationRepeatMinutes;
+    await chrome.alarms.create(alarmName, {
+      when: Date.now() + repeatMinutes * TIME.ONE_MINUTE_MS,
+    });
   }
 
   /**
@@ -219,9 +643,19 @@ export class NotificationManager {
 
   /**
    * Play sound alert via offscreen document
+   * @param {string} context - Reminder situation picking the tone, see
+   *   SoundLibrary.contextOf()
+   * @param {Object} options - { volume }: 0-1 instead of the volume setting
    */
-  static async playSound() {
+  static async playSound(context = 'default', { volume = null } = {}) {
     try {
+      const settings = await StorageManager.getSettings();
+      const message = {
+        type: MESSAGE_TYPES.PLAY_SOUND,
+        sound: await SoundLibrary.resolve(SoundLibrary.toneFor(context, settings)),
+        volume: volume ?? SoundLibrary.volumeFrom(settings),
+      };
+
       // Ensure offscreen document exists
       await this.ensureOffscreenDocument();
 
@@ -230,8 +664,8 @@ export class NotificationManager {
 
       // Send message to play sound with error handling
       try {
-        await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.PLAY_SOUND });
-        logger.debug('Sound alert triggered');
+        await chrome.runtime.sendMessage(message);
+        logger.debug(`Sound alert triggered (${context})`);
       } catch (msgError) {
         // If message fails, the offscreen document might not be ready
         logger.warn('Failed to send message to offscreen document:', msgError.message);
@@ -239,7 +673,7 @@ export class NotificationManager {
         // Try recreating the offscreen document and retry once
         await this.recreateOffscreenDocument();
         await this.sleep(150);
-        await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.PLAY_SOUND });
+        await chrome.runtime.sendMessage(message);
         logger.debug('Sound alert triggered (retry succeeded)');
       }
     } catch (error) {
@@ -274,8 +708,8 @@ export class NotificationManager {
     try {
       await chrome.offscreen.createDocument({
         url: 'src/offscreen/offscreen.html',
-        reasons: ['AUDIO_PLAYBACK'],
-        justification: 'Play meeting reminder sound',
+        reasons: ['AUDIO_PLAYBACK', 'CLIPBOARD'],
+        justification: 'Play meeting reminder sounds and copy dial-in numbers',
       });
     } catch (error) {
       // If error is "already exists", that's fine - ignore it
@@ -303,8 +737,8 @@ export class NotificationManager {
     try {
       await chrome.offscreen.createDocument({
         url: 'src/offscreen/offscreen.html',
-        reasons: ['AUDIO_PLAYBACK'],
-        justification: 'Play meeting reminder sound',
+        reasons: ['AUDIO_PLAYBACK', 'CLIPBOARD'],
+        justification: 'Play meeting reminder sounds and copy dial-in numbers',
       });
       logger.debug('Created new offscreen document');
     } catch (error) {
@@ -346,9 +780,9 @@ export class NotificationManager {
   /**
    * Speak meeting reminder via Web Speech API
    * @param {Object} event - Meeting event object
-   * @param {Object} _settings - User settings (reserved; not currently used)
+   * @param {Object} settings - User settings: voiceTemplate and the voice options
    */
-  static async speakReminder(event, _settings) {
+  static async speakReminder(event, settings = {}) {
     try {
       // Ensure offscreen document exists
       await this.ensureOffscreenDocument();
@@ -356,17 +790,16 @@ export class NotificationManager {
       // Wait a bit for offscreen document to initialize
       await this.sleep(100);
 
-      // Calculate minutes until meeting
-      const minutesUntil = Math.round((new Date(event.startTime) - new Date()) / 60000);
-
-      // Create speech text
-      const speechText = `Meeting reminder: ${event.title} starts in ${minutesUntil} minute${minutesUntil !== 1 ? 's' : ''}.`;
+      // Create speech text and pick the voice for the meeting's language
+      const speechText = VoiceReminder.render(settings.voiceTemplate, event);
+      const voice = VoiceReminder.optionsFor(event, settings);
 
       // Send message to speak with error handling
       try {
         await chrome.runtime.sendMessage({
           type: MESSAGE_TYPES.SPEAK_REMINDER,
           text: speechText,
+          voice,
         });
         logger.debug('Voice reminder triggered');
       } catch (msgError) {
@@ -379,6 +812,7 @@ export class NotificationManager {
         await chrome.runtime.sendMessage({
           type: MESSAGE_TYPES.SPEAK_REMINDER,
           text: speechText,
+          voice,
         });
         logger.debug('Voice reminder triggered (retry succeeded)');
       }
@@ -4,14 +4,34 @@
  */
 
 import { StorageManager } from '../utils/storage.js';
-import { MESSAGE_TYPES, ALARM_NAMES, TIME, BADGE_COLORS } from '../utils/constants.js';
+import {
+  MESSAGE_TYPES,
+  ALARM_NAMES,
+  TIME,
+  BADGE_COLORS,
+  DEFAULT_SETTINGS,
+} from '../utils/constants.js';
 import { NotificationManager } from './notification-manager.js';
 import { ConflictDetector } from '../utils/conflict-detector.js';
 import { DailySummary } from './daily-summary.js';
 import { CalendarAPI } from '../utils/calendar-api.js';
+import { SyncState } from '../utils/sync-state.js';
+import { ICal } from '../utils/ical.js';
+import { SeriesRules } from '../utils/series-rules.js';
+import { ReminderOverrides } from '../utils/reminder-overrides.js';
+import { TravelBuffer } from '../utils/travel-buffer.js';
+import { Outbox } from '../utils/outbox.js';
+import { SnoozeTargets } from '../utils/snooze-targets.js';
 import { logger } from '../utils/logger.js';
 import { DurationTracker } from '../utils/duration-tracker.js';
 
+// Occurrences of an imported .ics file are expanded this far ahead
+const IMPORT_HORIZON_DAYS = 365;
+
+// Snoozing everything until a point only holds reminders due this soon, as
+// the "+15m all" button would; later meetings keep their reminders
+const SNOOZE_ALL_HORIZON_MINUTES = 15;
+
 class PingMeetService {
   constructor() {
     // Note: Avoid storing critical state in memory as service worker can be terminated
@@ -114,6 +134,13 @@ class PingMeetService {
         await this.proactiveTokenRefresh();
         await this.syncFromCalendarAPI();
       }
+
+      // Send what was queued offline, including retries that are due now,
+      // and remind about meetings snoozed until now
+      if (isOnline) {
+        await this.releaseOnlineSnoozes();
+        await this.flushOutbox();
+      }
     } catch (error) {
       logger.error('Error checking connectivity', error);
       await chrome.storage.local.set({ lastConnectivityState: false });
@@ -232,43 +259,54 @@ class PingMeetService {
   }
 
   /**
-   * Sync events from Calendar API (if connected)
+   * Sync events from Calendar API (if connected). Each connected account
+   * returns its full current event set plus the precise change set from its
+   * incremental sync; an account that fails this round keeps its previously
+   * stored events rather than having them (and their alarms) wiped.
    */
   async syncFromCalendarAPI() {
+    // Incremental sync tokens must not be consumed by two overlapping runs
+    if (this.isSyncing) {
+      logger.debug('Calendar sync already in progress, skipping');
+      return;
+    }
+    this.isSyncing = true;
+
     try {
-      const status = await CalendarAPI.getConnectionStatus();
+      const accounts = await CalendarAPI.getConnectedAccounts();
+      const storedEvents = await StorageManager.getEvents();
       let allEvents = [];
+      const changeSets = [];
+      const syncedAccounts = [];
 
-      if (status.google) {
-        logger.debug('Syncing from Google Calendar API...');
-        const result = await CalendarAPI.fetchGoogleEvents();
-
-        if (result.success && result.events.length > 0) {
-          logger.debug(`Received ${result.events.length} events from Google API`);
-          allEvents = allEvents.concat(result.events);
-        } else if (!result.success) {
-          logger.warn('Google API sync failed:', result.error);
-        }
-      }
-
-      if (status.outlook) {
-        logger.debug('Syncing from Outlook Calendar API...');
-        const result = await CalendarAPI.fetchOutlookEvents();
+      const providerNames = { google: 'Google', outlook: 'Outlook', ics: 'Subscription' };
+      for (const account of accounts) {
+        const name = `${providerNames[account.provider]} (${account.email || account.name || account.key})`;
+        logger.debug(`Syncing from ${name} Calendar API...`);
+        const result = await CalendarAPI.fetchAccountEvents(account.key);
 
-        if (result.success && result.events.length > 0) {
-          logger.debug(`Received ${result.events.length} events from Outlook API`);
+        if (result.success) {
+          logger.debug(`Received ${result.events.length} events from ${name} API`);
           allEvents = allEvents.concat(result.events);
-        } else if (!result.success) {
-          logger.warn('Outlook API sync failed:', result.error);
+          changeSets.push(result.changes);
+          syncedAccounts.push(account.key);
+        } else {
+          logger.warn(`${name} API sync failed:`, result.error);
+          allEvents = allEvents.concat(
+            storedEvents.filter(e => this.eventAccount(e) === account.key)
+          );
         }
       }
 
-      if (allEvents.length > 0) {
-        await this.handleNewEvents(allEvents);
+      if (syncedAccounts.length > 0) {
+        const changes = { ...SyncState.combineChanges(changeSets), accounts: syncedAccounts };
+        await this.handleNewEvents(allEvents, { changes });
         await CalendarAPI.updateLastSync();
       }
     } catch (error) {
       logger.error('Error syncing from Calendar API', error);
+    } finally {
+      this.isSyncing = false;
     }
   }
 
@@ -329,16 +367,46 @@ class PingMeetService {
         await this.handleNewEvents(message.events);
         return { received: true, count: message.events.length };
 
-      case MESSAGE_TYPES.SNOOZE:
-        await this.handleSnooze(message.event, message.minutes);
-        return { snoozed: true };
+      case MESSAGE_TYPES.SNOOZE: {
+        const result = await this.handleSnooze(message.event, message.target ?? message.minutes);
+        return { snoozed: result.success, ...result };
+      }
 
       case 'DECLINE_MEETING':
         await this.handleDecline(message.eventId);
         return { declined: true };
 
+      case 'RSVP':
+        return await this.handleRsvp(message.eventId, message.response, {
+          comment: message.comment,
+          proposedTime: message.proposedTime,
+        });
+
+      case 'DECLINE_EVENT':
+        return await this.handleDeclineEvent(message.eventId, { following: !!message.following });
+
+      case 'CREATE_EVENT':
+        return await this.handleCreateEvent(message.eventData);
+
+      case 'GET_OUTBOX':
+        return { entries: await Outbox.getAll() };
+
+      case 'RETRY_OUTBOX_ACTION':
+        return await this.handleRetryOutboxAction(message.id);
+
+      case 'DISCARD_OUTBOX_ACTION':
+        return { discarded: await this.handleDiscardOutboxAction(message.id) };
+
+      case 'UPDATE_EVENT':
+        return await this.handleUpdateEvent(message.eventId, message.changes || {});
+
+      case 'STOP_ESCALATION':
+        return { stopped: await NotificationManager.stopEscalation(message.eventId) };
+
       case 'MEETING_TAB_OPENED':
         this.setActiveMeetingTab(message.tabId);
+        // Joined, so a snoozed reminder has nothing left to say
+        if (message.eventId) await this.clearSnooze(message.eventId);
         return { tracking: true };
 
       case 'STOP_MEETING_TRACKING':
@@ -357,8 +425,36 @@ class PingMeetService {
         await this.syncFromCalendarAPI();
         return { triggered: true };
 
+      case 'SYNC_CALENDARS':
+        // Popup "sync now" — run the same incremental sync the alarm does
+        await this.syncFromCalendarAPI();
+        return { synced: true };
+
       case 'SNOOZE_ALL':
-        return { snoozed: await this.handleSnoozeAll(message.minutes || 15) };
+        return { snoozed: await this.handleSnoozeAll(message.target ?? (message.minutes || 15)) };
+
+      case 'SET_SERIES_RULE':
+        return { rule: await this.handleSetSeriesRule(message.seriesId, message.rule) };
+
+      case 'SET_REMINDER_OVERRIDE':
+        return {
+          override: await this.handleSetReminderOverride(message.eventId, message.override),
+        };
+
+      case 'RESCHEDULE_REMINDERS':
+        return { rescheduled: await this.rescheduleAllReminders() };
+
+      case 'IMPORT_ICS':
+        return await this.handleImportIcs(message.text, message.fileName);
+
+      case 'GET_CONFLICTS':
+        return { conflicts: await this.getConflictResolutions() };
+
+      case 'ACKNOWLEDGE_CONFLICT':
+        return { acknowledged: await this.handleAcknowledgeConflict(message.eventIds) };
+
+      case 'CLEAR_IMPORTED_EVENTS':
+        return { cleared: await this.clearImportedEvents() };
 
       default:
         return { error: 'Unknown message type' };
@@ -366,30 +462,540 @@ class PingMeetService {
   }
 
   /**
-   * Handle meeting decline
+   * Save a per-series rule and reschedule the series' stored occurrences so
+   * the new offset (or mute) applies to alarms that already exist
+   * @param {string} seriesId - Series ID
+   * @param {Object} rule - { title, muted, reminderMinutes }
+   * @returns {Promise<Object|null>} The stored rule
+   */
+  async handleSetSeriesRule(seriesId, rule) {
+    if (!seriesId) return null;
+    const saved = await SeriesRules.set(seriesId, rule);
+
+    const events = await StorageManager.getEvents();
+    for (const event of events.filter(e => e.seriesId === seriesId)) {
+      await this.clearEventAlarms(event, { keepSnooze: true });
+      await this.scheduleReminder(event);
+    }
+
+    logger.debug(`Updated reminder rule for series ${seriesId}`, saved);
+    return saved;
+  }
+
+  /**
+   * Re-plan every stored event's reminders, e.g. after the reminder
+   * settings changed. Snoozed alarms are left alone.
+   * @returns {Promise<number>} Number of events rescheduled
+   */
+  async rescheduleAllReminders() {
+    const events = await StorageManager.getEvents();
+    for (const event of events) {
+      await this.clearEventAlarms(event, { keepSnooze: true });
+      await this.scheduleReminder(event);
+    }
+    logger.debug(`Rescheduled reminders for ${events.length} event(s)`);
+    return events.length;
+  }
+
+  /**
+   * Save a one-meeting reminder override and reschedule that meeting
+   * @param {string} eventId - Event ID
+   * @param {Object} override - { muted, offsets }
+   * @returns {Promise<Object|null>} The stored override
+   */
+  async handleSetReminderOverride(eventId, override) {
+    if (!eventId) return null;
+    const saved = await ReminderOverrides.set(eventId, override);
+
+    const event = (await StorageManager.getEvents()).find(e => e.id === eventId);
+    if (event) {
+      await this.clearEventAlarms(event, { keepSnooze: true });
+      await this.scheduleReminder(event);
+    }
+
+    logger.debug(`Updated reminder override for ${eventId}`, saved);
+    return saved;
+  }
+
+  /**
+   * Import the events of an .ics file. Occurrences over the next year are
+   * kept in their own store and merged into every event set handled, so
+   * reminders are scheduled as each one enters the sync horizon.
+   * @param {string} text - iCalendar file contents
+   * @param {string} fileName - Name of the file, used when it has no calendar name
+   * @returns {Promise<{success: boolean, imported?: number, error?: string}>}
+   */
+  async handleImportIcs(text, fileName = '') {
+    try {
+      const calendar = ICal.parse(text || '');
+      const now = new Date();
+      const occurrences = ICal.expand(calendar, {
+        start: now,
+        end: new Date(now.getTime() + IMPORT_HORIZON_DAYS * TIME.ONE_DAY_MS),
+      });
+      if (occurrences.length === 0) {
+        return { success: false, error: 'No upcoming timed events in this file' };
+      }
+
+      const calendarName = calendar.name || fileName.replace(/\.ics$/i, '') || 'Imported';
+      const imported = CalendarAPI.parseIcsEvents(occurrences).map(event => ({
+        ...event,
+        id: `import_${event.id}`,
+        seriesId: event.seriesId && `import_${event.seriesId}`,
+        imported: true,
+        calendarName,
+      }));
+
+      // Re-importing the same file replaces its events rather than duplicating them
+      const importedIds = new Set(imported.map(e => e.id));
+      const existing = (await StorageManager.getImportedEvents()).filter(
+        e => !importedIds.has(e.id) && new Date(e.endTime || e.startTime) > now
+      );
+      await StorageManager.saveImportedEvents([...existing, ...imported]);
+
+      await this.handleNewEvents(await StorageManager.getEvents());
+      logger.info(`Imported ${imported.length} event(s) from ${fileName || 'an .ics file'}`);
+      return { success: true, imported: imported.length };
+    } catch (error) {
+      logger.error('Error importing .ics file', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forget every imported event and cancel its reminders
+   * @returns {Promise<number>} Number of imported events removed
+   */
+  async clearImportedEvents() {
+    const imported = await StorageManager.getImportedEvents();
+    await StorageManager.saveImportedEvents([]);
+
+    const remaining = (await StorageManager.getEvents()).filter(e => !e.imported);
+    await this.handleNewEvents(remaining, {
+      changes: { added: [], updated: [], removed: imported.map(e => e.id) },
+    });
+    return imported.length;
+  }
+
+  /**
+   * Handle meeting decline for meetings no calendar API can answer (read
+   * from the page, subscribed or imported): the response is only kept
+   * locally, so later scheduling passes skip the meeting. Also used to drop
+   * the reminders of meetings already taken out of storage (e.g. cancelled).
    */
   async handleDecline(eventId) {
     try {
-      // Cancel any pending alarms for this meeting
-      await chrome.alarms.clear(`${ALARM_NAMES.MEETING_PREFIX}${eventId}`);
+      await NotificationManager.stopEscalation(eventId);
 
-      // Remove from storage
-      await StorageManager.removeEvent(eventId);
+      const events = await StorageManager.getEvents();
+      const event = events.find(e => e.id === eventId);
+      if (!event) {
+        const cleared = await this.clearAlarmsForEventId(eventId);
+        logger.debug(`Cleared ${cleared} reminder(s) of meeting ${eventId}, no longer stored`);
+        return;
+      }
 
-      logger.debug(`Declined and removed meeting ${eventId}`);
+      // Cancel the pending reminders, stage alarms included
+      await this.clearEventAlarms(event);
+      const declined = CalendarAPI.withResponseStatus(event, 'declined');
+      const updatedEvents = events.map(e => (e.id === eventId ? declined : e));
+      // A declined meeting no longer clashes with anything
+      this.flagConflicts(
+        updatedEvents,
+        new Set(await StorageManager.getAcknowledgedConflicts()),
+        await StorageManager.getSettings()
+      );
+      await StorageManager.saveEvents(updatedEvents);
+
+      logger.debug(`Declined meeting "${event.title || 'Untitled'}" locally`);
     } catch (error) {
       logger.error('Error handling decline', error);
     }
   }
 
+  /**
+   * Answer a meeting invitation and show the new response in the stored
+   * events right away instead of waiting for the next sync
+   * @param {string} eventId - Event ID
+   * @param {string} response - 'accepted' | 'tentative' | 'declined'
+   * @param {Object} options - { comment, proposedTime: { start, end } }
+   * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+   */
+  async handleRsvp(eventId, response, options = {}) {
+    const events = await StorageManager.getEvents();
+    const event = events.find(e => e.id === eventId);
+    if (!event) {
+      return { success: false, error: 'Meeting not found' };
+    }
+
+    const result = await this.runCalendarAction({
+      type: 'rsvp',
+      title: event.title,
+      event,
+      payload: { response, options },
+    });
+    if (result.success) await NotificationManager.stopEscalation(eventId);
+    if (result.success && response === 'declined') await this.clearSnooze(eventId);
+    if (!result.success || result.queued) return result;
+
+    const updated = CalendarAPI.withResponseStatus(event, response);
+    const updatedEvents = events.map(e => (e.id === eventId ? updated : e));
+    if (response === 'declined') {
+      // Later scheduling passes skip declined meetings on their own
+      await this.clearEventAlarms(event);
+      // A declined meeting no longer clashes with anything
+      this.flagConflicts(
+        updatedEvents,
+        new Set(await StorageManager.getAcknowledgedConflicts()),
+        await StorageManager.getSettings()
+      );
+    }
+    await StorageManager.saveEvents(updatedEvents);
+
+    logger.debug(`Responded ${response} to "${event.title || 'Untitled'}"`);
+    return { success: true, event: updated };
+  }
+
+  /**
+   * Decline a meeting through its calendar API, or queue the decline when
+   * offline
+   * @param {string} eventId - Event ID
+   * @param {Object} options - { following: also decline the rest of the series }
+   * @returns {Promise<{success: boolean, queued?: boolean, error?: string}>}
+   */
+  async handleDeclineEvent(eventId, { following = false } = {}) {
+    const event = (await StorageManager.getEvents()).find(e => e.id === eventId);
+    if (!event) {
+      return { success: false, error: 'Meeting not found' };
+    }
+    await NotificationManager.stopEscalation(eventId);
+    await this.clearSnooze(eventId);
+    return this.runCalendarAction({
+      type: 'decline',
+      title: event.title,
+      event,
+      payload: { following: following && !!event.seriesId },
+    });
+  }
+
+  /**
+   * Create an event, or queue it and show it right away when offline
+   * @param {Object} eventData - See CalendarAPI.createGoogleEvent()
+   * @returns {Promise<{success: boolean, queued?: boolean, error?: string}>}
+   */
+  async handleCreateEvent(eventData) {
+    if (!eventData?.account) {
+      return { success: false, error: 'No calendar selected' };
+    }
+    return this.runCalendarAction({
+      type: 'create',
+      title: eventData.title,
+      payload: { eventData },
+    });
+  }
+
+  /**
+   * Send a calendar write, queueing it in the outbox when the network is
+   * down
+   * @param {Object} action - See Outbox.add()
+   * @returns {Promise<Object>} The API result, or { success, queued, event }
+   */
+  async runCalendarAction(action) {
+    if (navigator.onLine === false) {
+      return this.queueCalendarAction(action);
+    }
+    const result = await this.sendCalendarAction(action);
+    if (!result.success && Outbox.isNetworkError(result.error)) {
+      return this.queueCalendarAction(action);
+    }
+    return result;
+  }
+
+  /**
+   * Send one outbox action to the calendar API
+   * @param {Object} action - Queued or new action
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendCalendarAction(action) {
+    const { event, payload } = action;
+    switch (action.type) {
+      case 'rsvp':
+        return CalendarAPI.respondToEvent(event, payload.response, payload.options);
+
+      case 'decline': {
+        const account = event.account || null;
+        const source = event.source || '';
+        if (payload.following && source.includes('google')) {
+          return CalendarAPI.declineGoogleFollowing(
+            event.seriesId,
+            event.startTime,
+            account || 'google',
+            event.calendarId || 'primary'
+          );
+        }
+        if (payload.following && source.includes('outlook')) {
+          return CalendarAPI.declineOutlookFollowing(
+            event.seriesId,
+            event.startTime,
+            account || 'outlook'
+          );
+        }
+        if (source.includes('google')) {
+          return CalendarAPI.declineGoogleEvent(
+            event.id,
+            account || 'google',
+            event.calendarId || 'primary'
+          );
+        }
+        if (source.includes('outlook')) {
+          return CalendarAPI.declineOutlookEvent(event.id, account || 'outlook');
+        }
+        return { success: false, error: 'Cannot decline this event (unsupported source)' };
+      }
+
+      case 'create':
+        return CalendarAPI.providerOf(payload.eventData.account) === 'google'
+          ? CalendarAPI.createGoogleEvent(payload.eventData)
+          : CalendarAPI.createOutlookEvent(payload.eventData);
+
+      default:
+        return { success: false, error: `Unknown action ${action.type}` };
+    }
+  }
+
+  /**
+   * Queue an action and show its effect in the stored events right away
+   * @param {Object} action - See Outbox.add()
+   * @returns {Promise<{success: boolean, queued: boolean, event: Object}>}
+   */
+  async queueCalendarAction(action) {
+    const entry = await Outbox.add(action);
+    const event = await this.applyOutboxEntry(entry);
+    logger.debug(`Offline: queued ${entry.type} of "${entry.title || 'Untitled'}"`);
+    return { success: true, queued: true, event };
+  }
+
+  /**
+   * Apply a pending outbox entry to the stored events, as if it had gone
+   * through: a declined meeting loses its reminders, a new one gets them
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object|null>} The changed or added event
+   */
+  async applyOutboxEntry(entry) {
+    const events = Outbox.applyPending(await StorageManager.getEvents(), [entry]);
+    const id = entry.type === 'create' ? Outbox.placeholderFor(entry).id : entry.event?.id;
+    const event = events.find(e => e.id === id) || null;
+    if (!event) return null;
+
+    const declined = entry.type === 'decline' || entry.payload.response === 'declined';
+    if (declined) {
+      await this.clearEventAlarms(event);
+    }
+    const overlaps = this.flagConflicts(
+      events,
+      new Set(await StorageManager.getAcknowledgedConflicts()),
+      await StorageManager.getSettings()
+    );
+    await StorageManager.saveEvents(events);
+    if (entry.type === 'create') {
+      await this.scheduleReminder(event);
+    }
+    await this.updateBadge(this.countTodaysRemaining(events), overlaps.length > 0);
+    return event;
+  }
+
+  /**
+   * Take the stand-in of an event created offline out of the stored
+   * events, with its reminders. The real event arrives with the next sync.
+   * @param {Object} entry - Outbox 'create' entry
+   */
+  async dropPlaceholder(entry) {
+    const placeholder = Outbox.placeholderFor(entry);
+    const events = await StorageManager.getEvents();
+    await this.clearEventAlarms(placeholder);
+    await StorageManager.saveEvents(events.filter(e => e.id !== placeholder.id));
+  }
+
+  /**
+   * Replay the outbox actions that are due. Network failures back off and
+   * try again later; actions the calendar rejects, or whose meeting moved
+   * or disappeared meanwhile, are kept as failed for the user to decide.
+   * @returns {Promise<number>} Actions processed (sent or failed)
+   */
+  async flushOutbox() {
+    const due = (await Outbox.getAll()).filter(entry => Outbox.isDue(entry));
+    if (due.length === 0) return 0;
+
+    const events = await StorageManager.getEvents();
+    let processed = 0;
+    for (const entry of due) {
+      const conflict = Outbox.findConflict(entry, events);
+      const result = conflict
+        ? { success: false, error: conflict }
+        : await this.sendCalendarAction(entry);
+      const attempts = entry.attempts + 1;
+
+      if (!result.success && Outbox.isNetworkError(result.error)) {
+        if (attempts < Outbox.MAX_ATTEMPTS) {
+          await Outbox.update(entry.id, {
+            attempts,
+            nextAttemptAt: Date.now() + Outbox.backoffDelay(attempts),
+            lastError: result.error,
+          });
+          continue;
+        }
+        result.error = `Gave up after ${attempts} attempts: ${result.error}`;
+      }
+
+      if (result.success) {
+        await Outbox.remove(entry.id);
+        logger.debug(`Sent queued ${entry.type} of "${entry.title || 'Untitled'}"`);
+      } else {
+        const error =
+          !conflict && Outbox.isGoneError(result.error)
+            ? 'The meeting was cancelled or deleted'
+            : result.error;
+        await Outbox.update(entry.id, { status: 'failed', attempts, lastError: error });
+        logger.warn(`Queued ${entry.type} of "${entry.title || 'Untitled'}" failed:`, error);
+      }
+      if (entry.type === 'create') {
+        await this.dropPlaceholder(entry);
+      }
+      processed++;
+    }
+
+    // Pick up created events and the server's view of failed responses
+    if (processed > 0) {
+      await this.syncFromCalendarAPI();
+    }
+    return processed;
+  }
+
+  /**
+   * Try a failed outbox action again, even if its meeting changed
+   * @param {string} id - Entry ID
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async handleRetryOutboxAction(id) {
+    const entry = await Outbox.update(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      force: true,
+    });
+    if (!entry) {
+      return { success: false, error: 'Action not found' };
+    }
+
+    await this.applyOutboxEntry(entry);
+    if (navigator.onLine !== false) {
+      await this.flushOutbox();
+    }
+    return { success: true };
+  }
+
+  /**
+   * Drop an outbox action and undo its local effect
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>}
+   */
+  async handleDiscardOutboxAction(id) {
+    const entry = await Outbox.remove(id);
+    if (!entry) return false;
+
+    if (entry.type === 'create') {
+      await this.dropPlaceholder(entry);
+    } else if (entry.status === 'pending' && entry.event) {
+      // Put back the meeting as it was before the user acted on it
+      const events = await StorageManager.getEvents();
+      const restored = events.map(e => (e.id === entry.event.id ? entry.event : e));
+      await StorageManager.saveEvents(restored);
+      await this.scheduleReminder(entry.event);
+    }
+    return true;
+  }
+
+  /**
+   * Move or edit a meeting and reschedule its reminders right away.
+   * Meetings organized by someone else can't be changed, so a new time is
+   * proposed to the organizer instead.
+   * @param {string} eventId - Event ID
+   * @param {Object} changes - Any of { title, location, startTime, endTime }
+   * @returns {Promise<{success: boolean, event?: Object, proposed?: boolean, error?: string}>}
+   */
+  async handleUpdateEvent(eventId, changes) {
+    const events = await StorageManager.getEvents();
+    const event = events.find(e => e.id === eventId);
+    if (!event) {
+      return { success: false, error: 'Meeting not found' };
+    }
+
+    if (!CalendarAPI.canEdit(event)) {
+      if (!changes.startTime || !CalendarAPI.canRespond(event)) {
+        return { success: false, error: 'Only the organizer can edit this meeting' };
+      }
+      const result = await this.handleRsvp(eventId, 'tentative', {
+        proposedTime: { start: changes.startTime, end: changes.endTime || event.endTime },
+      });
+      return result.success ? { ...result, proposed: true } : result;
+    }
+
+    const result = await CalendarAPI.updateEvent(event, changes);
+    if (!result.success) return result;
+
+    const updated = { ...event };
+    if (changes.title !== undefined) updated.title = changes.title;
+    if (changes.location !== undefined) updated.location = changes.location;
+    if (changes.startTime) updated.startTime = new Date(changes.startTime).toISOString();
+    if (changes.endTime) updated.endTime = new Date(changes.endTime).toISOString();
+
+    // Alarm names carry the title and start time, so drop the old ones first
+    await this.clearEventAlarms(event);
+    const updatedEvents = events.map(e => (e.id === eventId ? updated : e));
+    const overlaps = this.flagConflicts(
+      updatedEvents,
+      new Set(await StorageManager.getAcknowledgedConflicts()),
+      await StorageManager.getSettings()
+    );
+    await StorageManager.saveEvents(updatedEvents);
+    await this.scheduleReminder(updated);
+    await this.updateBadge(this.countTodaysRemaining(updatedEvents), overlaps.length > 0);
+
+    logger.debug(`Updated "${updated.title || 'Untitled'}"`);
+    return { success: true, event: updated };
+  }
+
   /**
    * Handle new events from calendar
+   * @param {Array} events - Full current event set
+   * @param {Object} options
+   * @param {Object} options.changes - Precise {added, updated, removed} event IDs
+   *   from an incremental API sync; without it removals are found by set difference
    */
-  async handleNewEvents(events) {
-    if (!events || events.length === 0) {
+  async handleNewEvents(events, { changes = null } = {}) {
+    // No provider ever reports imported events, so they join every event set
+    const imported = await StorageManager.getImportedEvents();
+    if (imported.length > 0) {
+      const ids = new Set((events || []).map(e => e.id));
+      events = [...(events || []), ...imported.filter(e => !ids.has(e.id))];
+    }
+
+    // Changes still in the outbox would otherwise be undone by the sync
+    const outbox = await Outbox.getAll();
+    if (outbox.length > 0) {
+      events = Outbox.applyPending(
+        (events || []).filter(e => e.source !== 'pending'),
+        outbox
+      );
+    }
+
+    const hasRemovals = !!changes?.removed?.length;
+    if ((!events || events.length === 0) && !hasRemovals) {
       logger.debug('No events received');
       return;
     }
+    events = events || [];
 
     // Get old events before processing new ones (for cleanup comparison)
     const oldEvents = await StorageManager.getEvents();
@@ -417,11 +1023,15 @@ class PingMeetService {
       return true;
     });
 
-    // Keep events that start within the next 24 hours AND have not yet ended.
+    // Keep events that start inside the sync horizon AND have not yet ended.
     // Using end time (not start time) means an in-progress meeting stays in the
     // list until it's actually over — e.g. a 10:00–10:30 meeting remains visible
     // until 10:30 rather than vanishing at 10:00.
     const now = new Date();
+    const settings = await StorageManager.getSettings();
+    const horizon = CalendarAPI.getSyncWindow(
+      settings.syncDaysAhead ?? CalendarAPI.DEFAULT_SYNC_DAYS_AHEAD
+    ).end;
     const upcoming = filteredEvents.filter(event => {
       if (!event.startTime) return false;
       const startTime = new Date(event.startTime);
@@ -429,8 +1039,7 @@ class PingMeetService {
       const endTime = event.endTime
         ? new Date(event.endTime)
         : new Date(startTime.getTime() + 60 * TIME.ONE_MINUTE_MS);
-      const hoursUntilStart = (startTime - now) / TIME.ONE_HOUR_MS;
-      return endTime > now && hoursUntilStart <= 24;
+      return endTime > now && startTime <= horizon;
     });
 
     logger.debug(
@@ -442,23 +1051,25 @@ class PingMeetService {
 
     logger.debug(`${uniqueEvents.length} unique events after deduplication`);
 
-    // Detect conflicts
-    const conflicts = ConflictDetector.detectConflicts(uniqueEvents);
-    if (conflicts.length > 0) {
-      logger.warn(`${conflicts.length} scheduling conflicts detected`);
-
-      // Add conflict info to events
-      for (const event of uniqueEvents) {
-        const eventConflicts = ConflictDetector.getConflictingEvents(event, uniqueEvents);
-        if (eventConflicts.length > 0) {
-          event.hasConflict = true;
-          event.conflictCount = eventConflicts.length;
-        }
-      }
+    // Detect conflicts, forgetting acknowledgements of meetings that are gone
+    const acknowledged = await StorageManager.getAcknowledgedConflicts();
+    const ids = new Set(uniqueEvents.map(e => e.id));
+    const stillRelevant = acknowledged.filter(key => key.split('|').every(id => ids.has(id)));
+    if (stillRelevant.length !== acknowledged.length) {
+      await StorageManager.saveAcknowledgedConflicts(stillRelevant);
+    }
+    const overlaps = this.flagConflicts(uniqueEvents, new Set(stillRelevant), settings);
+    if (overlaps.length > 0) {
+      const groups = ConflictDetector.groupOverlaps(overlaps);
+      logger.warn(`${groups.length} scheduling conflicts detected`);
+    }
+    const travelWarnings = uniqueEvents.filter(e => e.travelWarning).length;
+    if (travelWarnings > 0) {
+      logger.warn(`${travelWarnings} meetings leave too little time to travel`);
     }
 
     // Clean up alarms for removed events (before storing new events)
-    await this.cleanupRemovedEventAlarms(oldEvents, uniqueEvents);
+    await this.cleanupRemovedEventAlarms(oldEvents, uniqueEvents, changes);
 
     // Store events (with conflict info)
     await StorageManager.saveEvents(uniqueEvents);
@@ -468,8 +1079,99 @@ class PingMeetService {
       await this.scheduleReminder(event);
     }
 
-    // Update badge with count (show warning color if conflicts)
-    await this.updateBadge(uniqueEvents.length, conflicts.length > 0);
+    // Update badge with today's count (show warning color if conflicts)
+    await this.updateBadge(this.countTodaysRemaining(uniqueEvents), overlaps.length > 0);
+  }
+
+  /**
+   * Mark events that overlap another meeting the user is attending
+   * (hasConflict / conflictCount), and in-person meetings that start too
+   * soon after the previous one to get there (travelWarning). Declined
+   * meetings and acknowledged pairs don't count. One sweep covers the whole
+   * set, however many events.
+   * @param {Array} events - Events, updated in place
+   * @param {Set<string>} acknowledged - Acknowledged pair keys
+   * @param {Object} settings - User settings, for the travel buffer
+   * @returns {Array<Array<Object>>} Overlapping pairs from ConflictDetector.findOverlaps
+   */
+  flagConflicts(events, acknowledged, settings = {}) {
+    const attending = events.filter(
+      e => e.attendees?.find(a => a.self)?.responseStatus !== 'declined'
+    );
+    const overlaps = ConflictDetector.findOverlaps(attending, acknowledged);
+    const index = ConflictDetector.indexOverlaps(overlaps);
+    const travel = new Map(
+      ConflictDetector.findTravelConflicts(attending, (previous, event) =>
+        TravelBuffer.getBufferBetween(previous, event, settings)
+      ).map(conflict => [conflict.events[1].id, conflict])
+    );
+
+    for (const event of events) {
+      event.conflictCount = index.get(event.id)?.length || 0;
+      event.hasConflict = event.conflictCount > 0;
+
+      const conflict = travel.get(event.id);
+      event.travelWarning = conflict
+        ? {
+            previousTitle: conflict.events[0].title,
+            gapMinutes: conflict.gapMinutes,
+            bufferMinutes: conflict.bufferMinutes,
+          }
+        : null;
+    }
+    return overlaps;
+  }
+
+  /**
+   * Conflicting pairs of upcoming meetings, each with a suggestion of which
+   * one to keep, for the popup's resolver
+   * @returns {Promise<Array<{key: string, severity: string, events: Array, keepId: string, dropId: string, reason: string}>>}
+   */
+  async getConflictResolutions() {
+    const now = new Date();
+    const events = (await StorageManager.getEvents()).filter(
+      e => new Date(e.endTime || e.startTime) > now
+    );
+    const settings = await StorageManager.getSettings();
+    const acknowledged = new Set(await StorageManager.getAcknowledgedConflicts());
+
+    return this.flagConflicts(events, acknowledged, settings).map(([event1, event2]) => {
+      const { keep, drop, reason } = ConflictDetector.rankPair(event1, event2, {
+        isVip: event => this.isVipEvent(event, settings),
+      });
+      return {
+        key: ConflictDetector.pairKey(event1, event2),
+        severity: ConflictDetector.calculateSeverity(event1, event2),
+        events: [event1, event2],
+        keepId: keep.id,
+        dropId: drop.id,
+        reason,
+      };
+    });
+  }
+
+  /**
+   * Stop flagging a pair of overlapping meetings
+   * @param {Array<string>} eventIds - IDs of the two meetings
+   * @returns {Promise<boolean>}
+   */
+  async handleAcknowledgeConflict(eventIds) {
+    if (!Array.isArray(eventIds) || eventIds.length !== 2) return false;
+
+    const key = ConflictDetector.pairKey({ id: eventIds[0] }, { id: eventIds[1] });
+    const acknowledged = await StorageManager.getAcknowledgedConflicts();
+    if (!acknowledged.includes(key)) acknowledged.push(key);
+    await StorageManager.saveAcknowledgedConflicts(acknowledged);
+
+    const events = await StorageManager.getEvents();
+    const overlaps = this.flagConflicts(
+      events,
+      new Set(acknowledged),
+      await StorageManager.getSettings()
+    );
+    await StorageManager.saveEvents(events);
+    await this.updateBadge(this.countTodaysRemaining(events), overlaps.length > 0);
+    return true;
   }
 
   /**
@@ -503,30 +1205,99 @@ class PingMeetService {
     const alarmName = `${ALARM_NAMES.MEETING_PREFIX}${normalizedTitle}_${roundedTime}`;
 
     // Check Chrome's actual alarms (survives service worker restart)
-    const existingAlarm = await chrome.alarms.get(alarmName);
-    if (existingAlarm) {
+    const existingAlarms = await this.getEventAlarmNames(alarmName);
+    if (existingAlarms.length > 0) {
       logger.debug(`Alarm already scheduled for ${event.title}`);
       return;
     }
 
     const settings = await StorageManager.getSettings();
-    const offsetMinutes = this.computeReminderOffset(event, settings);
-    const reminderTime = new Date(startTime.getTime() - offsetMinutes * TIME.ONE_MINUTE_MS);
+    const stages = this.computeReminderStages(
+      event,
+      settings,
+      await SeriesRules.getAll(),
+      await ReminderOverrides.getAll()
+    );
+    if (stages.length === 0) {
+      logger.debug(`Skipping reminder for muted meeting: ${event.title || 'Untitled'}`);
+      return;
+    }
 
-    // Only schedule if reminder time is in the future
-    if (reminderTime > new Date()) {
-      await chrome.alarms.create(alarmName, {
-        when: reminderTime.getTime(),
-      });
+    // One lead time keeps the plain alarm name; several get an alarm each,
+    // suffixed with their offset
+    for (const stage of stages) {
+      const offsetMinutes = stage.minutes;
+      const name = stages.length > 1 ? `${alarmName}_at${offsetMinutes}` : alarmName;
+      const reminderTime = new Date(startTime.getTime() - offsetMinutes * TIME.ONE_MINUTE_MS);
+
+      // Only schedule if reminder time is in the future
+      if (reminderTime > new Date()) {
+        await chrome.alarms.create(name, {
+          when: reminderTime.getTime(),
+        });
 
-      // Store event data using the ALARM NAME as key (not event.id)
-      // This ensures we can retrieve it when the alarm fires
-      await StorageManager.saveEvent(alarmName, event);
+        // Store event data using the ALARM NAME as key (not event.id)
+        // This ensures we can retrieve it when the alarm fires. The stage
+        // rides along so the alarm knows which surfaces to use.
+        await StorageManager.saveEvent(name, { ...event, _stage: stage });
 
-      logger.debug(`Scheduled reminder for "${event.title}" at ${reminderTime.toLocaleString()}`);
-    } else {
-      logger.debug(`Reminder time already passed for "${event.title}"`);
+        logger.debug(`Scheduled reminder for "${event.title}" at ${reminderTime.toLocaleString()}`);
+      } else {
+        logger.debug(`Reminder time already passed for "${event.title}" (${offsetMinutes} min)`);
+      }
+    }
+  }
+
+  /**
+   * Names of the pending reminder alarms for an event: its base alarm plus
+   * any per-offset `<base>_at<minutes>` alarms
+   * @param {string} alarmName - Base alarm name from generateAlarmName
+   * @returns {Promise<Array<string>>}
+   */
+  async getEventAlarmNames(alarmName) {
+    const alarms = await chrome.alarms.getAll();
+    return alarms
+      .map(alarm => alarm.name)
+      .filter(name => name === alarmName || name.startsWith(`${alarmName}_at`));
+  }
+
+  /**
+   * Cancel every reminder alarm of an event and drop the stored payloads
+   * @param {Object} event - Event
+   * @param {Object} options - { keepSnooze: leave a snooze in place, when the
+   *   alarms are only being re-planned }
+   * @returns {Promise<number>} Number of alarms cancelled
+   */
+  async clearEventAlarms(event, { keepSnooze = false } = {}) {
+    if (!keepSnooze && event?.id) await this.clearSnooze(event.id);
+    const alarmName = this.generateAlarmName(event);
+    if (!alarmName) return 0;
+
+    let cleared = 0;
+    for (const name of await this.getEventAlarmNames(alarmName)) {
+      if (await chrome.alarms.clear(name)) cleared++;
+      await StorageManager.removeEvent(name);
+    }
+    return cleared;
+  }
+
+  /**
+   * Cancel every reminder alarm whose stored payload belongs to an event,
+   * for when the event itself (and so its alarm name) is no longer known
+   * @param {string} eventId - Event ID
+   * @returns {Promise<number>} Number of alarms cancelled
+   */
+  async clearAlarmsForEventId(eventId) {
+    await this.clearSnooze(eventId);
+
+    let cleared = 0;
+    for (const alarm of await chrome.alarms.getAll()) {
+      if (!alarm.name.startsWith(ALARM_NAMES.MEETING_PREFIX)) continue;
+      if ((await StorageManager.getEvent(alarm.name))?.id !== eventId) continue;
+      if (await chrome.alarms.clear(alarm.name)) cleared++;
+      await StorageManager.removeEvent(alarm.name);
     }
+    return cleared;
   }
 
   /**
@@ -575,18 +1346,22 @@ class PingMeetService {
       // stays current without burning an extra alarm slot.
       try {
         const events = await StorageManager.getEvents();
-        // Count meetings that haven't ended yet (consistent with the list,
-        // which keeps in-progress meetings visible until their end time).
-        const now = Date.now();
-        const upcoming = events.filter(e => {
-          const start = new Date(e.startTime).getTime();
-          const end = e.endTime ? new Date(e.endTime).getTime() : start + 60 * TIME.ONE_MINUTE_MS;
-          return end > now;
-        });
-        await this.updateBadge(upcoming.length);
+        await this.updateBadge(this.countTodaysRemaining(events));
       } catch (e) {
         logger.warn('Badge tick failed', e?.message);
       }
+      // Same for the countdown on open reminder notifications
+      try {
+        await NotificationManager.refreshNotifications();
+      } catch (e) {
+        logger.warn('Notification countdown failed', e?.message);
+      }
+      return;
+    }
+
+    // Handle escalation of a reminder left untouched past the start time
+    if (alarm.name.startsWith(NotificationManager.ESCALATION_PREFIX)) {
+      await NotificationManager.handleEscalationAlarm(alarm.name);
       return;
     }
 
@@ -598,13 +1373,31 @@ class PingMeetService {
 
     if (event) {
       const isSnoozeAlarm = alarm.name.includes('_snooze');
+      // A snoozed meeting only reminds again through its snooze alarm
+      const snooze = (await SnoozeTargets.getAll())[event.id];
+      if (!isSnoozeAlarm && SnoozeTargets.isActive(snooze, alarm.scheduledTime)) {
+        logger.debug(`Skipping reminder for snoozed "${event.title}"`);
+        await StorageManager.removeEvent(alarm.name);
+        return;
+      }
+      // The payload is a copy from scheduling time; the meeting may have
+      // been declined since
+      const current = (await StorageManager.getEvents()).find(e => e.id === event.id);
+      if (current?.attendees?.find(a => a.self)?.responseStatus === 'declined') {
+        logger.debug(`Skipping reminder for declined "${event.title}"`);
+        await StorageManager.removeEvent(alarm.name);
+        return;
+      }
       logger.debug(`Alarm fired for "${event.title}"${isSnoozeAlarm ? ' (snoozed)' : ''}`);
       // Tag VIP so NotificationManager can override DND for these.
       const settings = await StorageManager.getSettings();
       if (this.isVipEvent(event, settings)) {
         event._vip = true;
       }
-      await NotificationManager.triggerAttention(event);
+      // The rest only pick the alert tone
+      event._snoozed = isSnoozeAlarm;
+      event._external = this.isExternalEvent(event);
+      await NotificationManager.triggerAttention(event, event._stage || null);
 
       // Cleanup stored event data using alarm name
       await StorageManager.removeEvent(alarm.name);
@@ -623,8 +1416,10 @@ class PingMeetService {
       return;
     }
 
-    const eventId = notificationId.replace('pingmeet_', '');
-    const event = await StorageManager.getEvent(eventId);
+    const { eventId } = NotificationManager.parseNotificationId(notificationId);
+    const event = (await StorageManager.getEvents()).find(e => e.id === eventId);
+    await NotificationManager.stopEscalation(eventId);
+    await this.clearSnooze(eventId);
 
     if (event?.meetingLink) {
       await chrome.tabs.create({ url: event.meetingLink, active: true });
@@ -643,12 +1438,106 @@ class PingMeetService {
       await this.handleReconnectNotification(notificationId);
       return;
     }
-    if (buttonIndex === 0) {
-      // "Join Now" button
+
+    // The ID names each button's action; older notifications without them
+    // get the list rebuilt from the event
+    const { eventId, actions } = NotificationManager.parseNotificationId(notificationId);
+    const event = (await StorageManager.getEvents()).find(e => e.id === eventId);
+    const action = actions.length
+      ? actions[buttonIndex]
+      : NotificationManager.getNotificationButtons(event)[buttonIndex]?.action;
+    if (!action) return;
+
+    if (action === 'join') {
       await this.handleNotificationClick(notificationId);
+      return;
+    }
+    if (!event) {
+      logger.warn(`Notification action "${action}" for a meeting no longer stored`);
+      await chrome.notifications.clear(notificationId);
+      return;
+    }
+
+    await NotificationManager.stopEscalation(eventId);
+    await this.runNotificationAction(action, event);
+    // Keep the reminder up after copying the dial-in, to join from it later
+    if (action !== 'dialin') {
+      await chrome.notifications.clear(notificationId);
+    }
+  }
+
+  /**
+   * Carry out a reminder notification button
+   * @param {string} action - 'snooze5' | 'late' | 'decline' | 'dialin' or an
+   *   RSVP response, see NotificationManager.getNotificationButtons()
+   * @param {Object} event - Stored event
+   */
+  async runNotificationAction(action, event) {
+    // Meetings the calendar API can't answer are declined locally
+    if (action === 'decline' && !CalendarAPI.canRespond(event)) {
+      await this.handleDecline(event.id);
+      return;
+    }
+
+    switch (action) {
+      case 'snooze5':
+        await this.handleSnooze(event, 5);
+        break;
+
+      case 'late':
+        await this.sendRunningLate(event);
+        break;
+
+      case 'dialin': {
+        const dialIn = NotificationManager.dialInText(event);
+        const copied = await NotificationManager.copyText(dialIn);
+        this.showNoticeNotification(
+          copied ? 'Dial-in copied' : "Couldn't copy the dial-in",
+          dialIn
+        );
+        break;
+      }
+
+      default: {
+        const response = action === 'decline' ? 'declined' : action;
+        const result = await this.handleRsvp(event.id, response);
+        if (!result.success) logger.warn(`RSVP from notification failed: ${result.error}`);
+      }
     }
   }
 
+  /**
+   * Open an email to the other attendees saying the user is running late,
+   * in Outlook for Outlook meetings and Gmail otherwise
+   * @param {Object} event - Stored event
+   */
+  async sendRunningLate(event) {
+    const to = NotificationManager.otherAttendeeEmails(event).join(',');
+    const subject = encodeURIComponent(`Running late - ${event.title || 'Meeting'}`);
+    const body = encodeURIComponent(
+      'Hi All,\n\nI am running a bit late for this meeting, will join soon.'
+    );
+    const url = (event.source || '').includes('outlook')
+      ? `https://outlook.office.com/mail/deeplink/compose?to=${to}&subject=${subject}&body=${body}`
+      : `https://mail.google.com/mail/?view=cm&fs=1&to=${to}&su=${subject}&body=${body}`;
+    await chrome.tabs.create({ url, active: true });
+  }
+
+  /**
+   * Short confirmation after a notification action
+   * @param {string} title - Notification title
+   * @param {string} message - Notification text
+   */
+  showNoticeNotification(title, message) {
+    chrome.notifications.create(`pingmeet_notice_${Date.now()}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icons/icon-128.png'),
+      title,
+      message: message || '',
+      priority: 0,
+    });
+  }
+
   /**
    * Re-authenticate the provider encoded in a reconnect notification ID
    * (format: pingmeet_reauth_<provider>_<mode>_<timestamp>) and re-sync.
@@ -680,6 +1569,87 @@ class PingMeetService {
   /**
    * Handle snooze request
    */
+  /**
+   * Every lead time (minutes before start) to remind at. A per-meeting
+   * override from the popup wins over everything else; an empty list means
+   * the meeting is muted.
+   */
+  computeReminderOffsets(event, settings, seriesRules = {}, overrides = {}) {
+    const override = ReminderOverrides.forEvent(event, overrides);
+    if (override?.muted) return [];
+    if (override?.offsets?.length) return override.offsets;
+
+    const calendarOffsets = this.getCalendarReminderOffsets(event, settings, seriesRules);
+    if (calendarOffsets.length) return calendarOffsets;
+
+    const offset = this.computeReminderOffset(event, settings, seriesRules);
+    return offset === null ? [] : [offset];
+  }
+
+  /**
+   * Lead times from the event's own calendar reminders, when
+   * settings.useCalendarReminders is on. A per-series rule still wins, and
+   * an event without calendar reminders falls back to PingMeet's offset
+   * rather than going unreminded.
+   */
+  getCalendarReminderOffsets(event, settings, seriesRules = {}) {
+    if (!settings.useCalendarReminders || SeriesRules.forEvent(event, seriesRules)) return [];
+    return Array.isArray(event.calendarReminders) ? event.calendarReminders : [];
+  }
+
+  /**
+   * The reminders to schedule for an event, as stage profiles
+   * ({ minutes, final } plus surface flags for staged reminders). Staged
+   * reminders apply unless the meeting or its series has its own lead
+   * time; otherwise each lead time uses the global surfaces.
+   */
+  computeReminderStages(event, settings, seriesRules = {}, overrides = {}) {
+    const offsets = this.computeReminderOffsets(event, settings, seriesRules, overrides);
+    if (offsets.length === 0) return [];
+
+    const hasOwnOffset =
+      !!ReminderOverrides.forEvent(event, overrides)?.offsets?.length ||
+      Number.isFinite(SeriesRules.forEvent(event, seriesRules)?.reminderMinutes) ||
+      this.getCalendarReminderOffsets(event, settings, seriesRules).length > 0;
+    const staged = hasOwnOffset ? [] : this.getReminderStages(event, settings);
+    const stages = staged.length ? staged : offsets.map(minutes => ({ minutes }));
+
+    // In-person meetings also get a "leave now" reminder one travel buffer
+    // ahead; a reminder already due at that time becomes the leave reminder
+    const buffer = TravelBuffer.getBufferMinutes(event, settings);
+    if (buffer > 0) {
+      const existing = stages.find(stage => stage.minutes === buffer);
+      if (existing) {
+        stages.splice(stages.indexOf(existing), 1, { ...existing, leave: true });
+      } else {
+        stages.push({ minutes: buffer, leave: true });
+        stages.sort((a, b) => b.minutes - a.minutes);
+      }
+    }
+
+    const last = Math.min(...stages.map(stage => stage.minutes));
+    return stages.map(stage => ({ ...stage, final: stage.minutes === last }));
+  }
+
+  /**
+   * Configured reminder stages for an event, earliest first, or [] when
+   * settings.stagedReminders doesn't cover it ('off', or 'vip' for a
+   * non-VIP meeting)
+   */
+  getReminderStages(event, settings) {
+    const mode = settings.stagedReminders ?? DEFAULT_SETTINGS.stagedReminders;
+    if (mode === 'off' || (mode === 'vip' && !this.isVipEvent(event, settings))) return [];
+
+    const stages = Array.isArray(settings.reminderStages)
+      ? settings.reminderStages
+      : DEFAULT_SETTINGS.reminderStages;
+    const seen = new Set();
+    return stages
+      .filter(stage => Number.isFinite(stage?.minutes) && stage.minutes >= 0)
+      .sort((a, b) => b.minutes - a.minutes)
+      .filter(stage => !seen.has(stage.minutes) && seen.add(stage.minutes));
+  }
+
   /**
    * Compute the reminder offset in minutes for an event. When
    * settings.smartReminderOffset is true, classify the meeting:
@@ -688,8 +1658,16 @@ class PingMeetService {
    *   - internal with attendees → 2 min
    *   - solo or 1-on-1 → 1 min
    * Otherwise returns the user's configured static offset.
+   * A rule for the event's recurring series takes precedence over all of
+   * the above; a muted series returns null (no reminder).
    */
-  computeReminderOffset(event, settings) {
+  computeReminderOffset(event, settings, seriesRules = {}) {
+    const seriesRule = SeriesRules.forEvent(event, seriesRules);
+    if (seriesRule?.muted) return null;
+    if (seriesRule?.reminderMinutes !== null && seriesRule?.reminderMinutes !== undefined) {
+      return seriesRule.reminderMinutes;
+    }
+
     const fallback = Number.isFinite(settings.reminderMinutes) ? settings.reminderMinutes : 2;
     // VIP override always wins — give the user max prep time for these.
     if (this.isVipEvent(event, settings)) return Math.max(fallback, 5);
@@ -697,23 +1675,37 @@ class PingMeetService {
 
     const attendees = Array.isArray(event.attendees) ? event.attendees : [];
     if (attendees.length <= 1) return 1;
+    if (!this.internalDomain(event)) return fallback;
+
+    if (this.isExternalEvent(event)) return 5;
+    return 2;
+  }
 
-    // Find self / organizer domain to use as the "internal" baseline.
+  /**
+   * Email domain of the user, or else of the organizer — the "internal"
+   * baseline for telling external attendees apart
+   * @returns {string|undefined}
+   */
+  internalDomain(event) {
+    const attendees = Array.isArray(event.attendees) ? event.attendees : [];
     const selfEmail = (
       attendees.find(a => a.self)?.email ||
       event.organizer?.email ||
       ''
     ).toLowerCase();
-    const baseDomain = selfEmail.split('@')[1];
-    if (!baseDomain) return fallback;
+    return selfEmail.split('@')[1];
+  }
 
-    const hasExternal = attendees.some(a => {
+  /**
+   * Whether any attendee's email domain differs from the internal one
+   */
+  isExternalEvent(event) {
+    const baseDomain = this.internalDomain(event);
+    if (!baseDomain) return false;
+    return (event.attendees || []).some(a => {
       const dom = (a.email || '').toLowerCase().split('@')[1];
       return dom && dom !== baseDomain;
     });
-
-    if (hasExternal) return 5;
-    return 2;
   }
 
   /**
@@ -735,41 +1727,153 @@ class PingMeetService {
     });
   }
 
-  async handleSnooze(event, minutes = 1) {
-    const snoozeTime = Date.now() + minutes * TIME.ONE_MINUTE_MS;
+  /**
+   * Snooze one meeting's reminder. Until it comes due, the meeting's other
+   * reminder alarms stay quiet.
+   * @param {Object} event - Meeting
+   * @param {number|string} target - Minutes, or a point: 'beforeStart' |
+   *   'start' | 'meetingEnd' | 'online', see SnoozeTargets.resolve()
+   * @returns {Promise<{success: boolean, until?: number|null, error?: string}>}
+   */
+  async handleSnooze(event, target = 1) {
+    const activeMeeting = await DurationTracker.getActiveTracking();
+    const { when, error } = SnoozeTargets.resolve(target, event, { activeMeeting });
+    if (error) {
+      logger.warn(`Could not snooze "${event.title}": ${error}`);
+      return { success: false, error };
+    }
+
     const alarmName = `${ALARM_NAMES.MEETING_PREFIX}${event.id}_snooze`;
+    await chrome.alarms.clear(alarmName);
+    // "Until online" has no time yet; the connectivity check sets the alarm
+    if (when !== null) {
+      await chrome.alarms.create(alarmName, { when });
+      // Use the full alarm name as storage key (consistent with scheduleReminder)
+      await StorageManager.saveEvent(alarmName, event);
+    }
+    await SnoozeTargets.add(event, target, when);
+    await NotificationManager.stopEscalation(event.id);
 
-    await chrome.alarms.create(alarmName, {
-      when: snoozeTime,
-    });
+    logger.debug(`Snoozed "${event.title}" ${SnoozeTargets.describe({ when })}`);
+    return { success: true, until: when };
+  }
+
+  /**
+   * Cancel a meeting's snooze: its alarm, stored payload and record
+   * @param {string} eventId - Event ID
+   */
+  async clearSnooze(eventId) {
+    const alarmName = `${ALARM_NAMES.MEETING_PREFIX}${eventId}_snooze`;
+    await chrome.alarms.clear(alarmName);
+    await StorageManager.removeEvent(alarmName);
+    await SnoozeTargets.remove(eventId);
+  }
 
-    // Use the full alarm name as storage key (consistent with scheduleReminder)
-    await StorageManager.saveEvent(alarmName, event);
+  /**
+   * Remind again about meetings snoozed until the connection came back.
+   * Meetings whose reminder wasn't due yet are let go to remind on their
+   * own; those that ended in the meantime are dropped.
+   */
+  async releaseOnlineSnoozes() {
+    const now = Date.now();
+    const events = await StorageManager.getEvents();
+    for (const [eventId, snooze] of Object.entries(await SnoozeTargets.getAll())) {
+      if (snooze.when !== null) continue;
+
+      const event = events.find(e => e.id === eventId) || snooze.event;
+      const end = new Date(event.endTime || event.startTime).getTime();
+      if (snooze.dueAt > now || end <= now) {
+        await SnoozeTargets.remove(eventId);
+        continue;
+      }
 
-    logger.debug(`Snoozed "${event.title}" for ${minutes} minute(s)`);
+      const alarmName = `${ALARM_NAMES.MEETING_PREFIX}${eventId}_snooze`;
+      await chrome.alarms.create(alarmName, { when: now + 1000 });
+      await StorageManager.saveEvent(alarmName, event);
+      await SnoozeTargets.add(event, snooze.target, now + 1000);
+    }
   }
 
   /**
-   * Snooze ALL pending meeting reminders by `minutes`. Returns the count of
-   * alarms shifted. Alarms that would already fire later than the snooze
-   * target are left untouched (no point pulling them earlier).
+   * Snooze ALL pending meeting reminders. Returns the count of meetings
+   * whose reminders were pushed back. Alarms that would already fire later
+   * than the snooze target are left untouched (no point pulling them
+   * earlier). A meeting's stage alarms that do move collapse into one, so it
+   * isn't announced several times at the same moment.
+   * @param {number|string} target - Minutes, or a point as in handleSnooze();
+   *   points are resolved per meeting, and 'online' holds the meetings, for
+   *   reminders due within SNOOZE_ALL_HORIZON_MINUTES
    */
-  async handleSnoozeAll(minutes = 15) {
-    const target = Date.now() + minutes * TIME.ONE_MINUTE_MS;
-    const alarms = await chrome.alarms.getAll();
-    let count = 0;
-    for (const alarm of alarms) {
+  async handleSnoozeAll(target = 15) {
+    const activeMeeting = await DurationTracker.getActiveTracking();
+    const horizon = Date.now() + SNOOZE_ALL_HORIZON_MINUTES * TIME.ONE_MINUTE_MS;
+
+    // Stage alarms `<base>_at<minutes>` belong to the same meeting
+    const meetings = new Map();
+    for (const alarm of await chrome.alarms.getAll()) {
       if (!alarm.name.startsWith(ALARM_NAMES.MEETING_PREFIX)) continue;
-      if (alarm.scheduledTime >= target) continue;
-      // Reschedule by clearing + recreating; preserve the stored event payload.
-      await chrome.alarms.clear(alarm.name);
-      await chrome.alarms.create(alarm.name, { when: target });
+      const base = alarm.name.replace(/_at\d+$/, '');
+      if (!meetings.has(base)) meetings.set(base, []);
+      meetings.get(base).push(alarm);
+    }
+
+    const held = new Set();
+    let count = 0;
+    for (const alarms of meetings.values()) {
+      alarms.sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+      // Minutes shift every meeting alike; points depend on the meeting and
+      // only apply to reminders that are about to go off
+      const dueAt = alarms[0].scheduledTime;
+      if (typeof target !== 'number' && dueAt > horizon) continue;
+      const event =
+        typeof target === 'number' ? null : await StorageManager.getEvent(alarms[0].name);
+      const { when, error } = SnoozeTargets.resolve(target, event || {}, { activeMeeting });
+      if (error) continue;
+
+      if (when === null) {
+        if (event && !held.has(event.id)) {
+          held.add(event.id);
+          await SnoozeTargets.add(event, target, null, dueAt);
+        }
+        continue;
+      }
+
+      const due = alarms.filter(alarm => alarm.scheduledTime < when);
+      if (due.length === 0) continue;
+
+      // Keep the last of them, with the latest stage's surfaces, and move it
+      // to the target; its stored payload stays under the same name
+      const keep = due[due.length - 1];
+      for (const alarm of due) {
+        await chrome.alarms.clear(alarm.name);
+        if (alarm !== keep) await StorageManager.removeEvent(alarm.name);
+      }
+      await chrome.alarms.create(keep.name, { when });
       count++;
     }
-    logger.debug(`Snoozed ${count} pending reminders by ${minutes} minute(s)`);
+    count += held.size;
+    logger.debug(`Snoozed ${count} pending reminders (${target})`);
     return count;
   }
 
+  /**
+   * Count today's meetings that haven't ended yet. The stored list now spans
+   * the whole sync horizon, but the badge is about today — consistent with
+   * the list, in-progress meetings count until their end time.
+   * @param {Array} events - Stored events
+   * @returns {number}
+   */
+  countTodaysRemaining(events) {
+    const now = Date.now();
+    const endOfToday = CalendarAPI.getSyncWindow(0).end.getTime();
+    return events.filter(e => {
+      const start = new Date(e.startTime).getTime();
+      const end = e.endTime ? new Date(e.endTime).getTime() : start + 60 * TIME.ONE_MINUTE_MS;
+      return end > now && start <= endOfToday;
+    }).length;
+  }
+
   /**
    * Update extension badge
    */
@@ -835,9 +1939,10 @@ class PingMeetService {
       const key = `${event.title.toLowerCase().trim()}_${roundedTime}`;
 
       if (seen.has(key)) {
-        // Duplicate found - keep the one with more details
+        // Duplicate found - keep the invited account's copy (so RSVPs go to
+        // the right account), otherwise the one with more details
         const existing = seen.get(key);
-        if (this.hasMoreDetails(event, existing)) {
+        if (this.isPreferredCopy(event, existing)) {
           // Replace with the more detailed version
           const index = result.indexOf(existing);
           if (index !== -1) {
@@ -856,6 +1961,44 @@ class PingMeetService {
     return result;
   }
 
+  /**
+   * Decide whether `a` should replace duplicate `b`. When the same meeting
+   * comes from several connected accounts, the copy belonging to an account
+   * that is an attendee wins; otherwise the more detailed copy does.
+   * @param {Object} a - Candidate event
+   * @param {Object} b - Event currently kept
+   * @returns {boolean}
+   */
+  isPreferredCopy(a, b) {
+    const invitedA = this.isInvitedCopy(a);
+    const invitedB = this.isInvitedCopy(b);
+    if (invitedA !== invitedB) return invitedA;
+    return this.hasMoreDetails(a, b);
+  }
+
+  /**
+   * Account an API event came from. Events stored before multi-account
+   * support carry no account tag and belong to the provider's first account.
+   * @param {Object} event - Event object
+   * @returns {string|null} Account key, or null for DOM-scraped events
+   */
+  eventAccount(event) {
+    if (event.account) return event.account;
+    if (event.source === 'google-api') return 'google';
+    if (event.source === 'outlook-api') return 'outlook';
+    return null;
+  }
+
+  /**
+   * Check whether an event copy belongs to an account on its attendee list
+   * @param {Object} event - Event object
+   * @returns {boolean}
+   */
+  isInvitedCopy(event) {
+    const email = event.accountEmail?.toLowerCase();
+    return (event.attendees || []).some(a => a.self || (email && a.email?.toLowerCase() === email));
+  }
+
   /**
    * Compare two events to determine which has more details
    * @param {Object} a - First event
@@ -897,8 +2040,11 @@ class PingMeetService {
    * Clean up alarms for events that were removed from calendar
    * @param {Array} oldEvents - Previous events list
    * @param {Array} newEvents - Updated events list
+   * @param {Object|null} changes - Precise change set from an incremental sync.
+   *   For the accounts it covers only removed/updated events are considered,
+   *   instead of diffing every old event against the new list.
    */
-  async cleanupRemovedEventAlarms(oldEvents, newEvents) {
+  async cleanupRemovedEventAlarms(oldEvents, newEvents, changes = null) {
     if (!oldEvents || oldEvents.length === 0) {
       return; // No old events to compare
     }
@@ -912,9 +2058,21 @@ class PingMeetService {
       }
     }
 
-    // Find removed events by checking which old events are not in new events
+    // Candidates: for accounts covered by a change set, only the events the
+    // provider reported as deleted or modified (a modified event's old alarm is
+    // stale if its title or start moved); everything else by set difference.
+    let candidates = oldEvents;
+    if (changes) {
+      const touchedIds = new Set([...(changes.removed || []), ...(changes.updated || [])]);
+      const coveredAccounts = new Set(changes.accounts || []);
+      candidates = oldEvents.filter(
+        e => touchedIds.has(e.id) || !coveredAccounts.has(this.eventAccount(e))
+      );
+    }
+
+    // Find removed events by checking which candidates are not in new events
     const removedEvents = [];
-    for (const oldEvent of oldEvents) {
+    for (const oldEvent of candidates) {
       const alarmName = this.generateAlarmName(oldEvent);
       if (alarmName && !newEventAlarmNames.has(alarmName)) {
         removedEvents.push(oldEvent);
@@ -927,22 +2085,20 @@ class PingMeetService {
 
     logger.debug(`Detected ${removedEvents.length} removed event(s), cleaning up alarms...`);
 
-    // Cancel alarms for removed events
+    // Cancel alarms (including per-offset ones) for removed events
     let canceledCount = 0;
     for (const event of removedEvents) {
-      const alarmName = this.generateAlarmName(event);
-      if (alarmName) {
-        const wasCleared = await chrome.alarms.clear(alarmName);
-        if (wasCleared) {
-          canceledCount++;
-          logger.debug(`Canceled alarm for removed event: ${event.title}`);
-
-          // Also remove stored event data
-          await StorageManager.removeEvent(alarmName);
-        }
+      const cleared = await this.clearEventAlarms(event);
+      if (cleared > 0) {
+        canceledCount += cleared;
+        logger.debug(`Canceled alarm for removed event: ${event.title}`);
       }
     }
 
+    // Overrides go with the event — unless it only moved or was renamed
+    const newIds = new Set(newEvents.map(e => e.id));
+    await ReminderOverrides.remove(removedEvents.map(e => e.id).filter(id => !newIds.has(id)));
+
     logger.debug(`Cleaned up ${canceledCount} alarm(s) for removed events`);
   }
 
@@ -987,36 +2143,27 @@ class PingMeetService {
   async proactiveTokenRefresh() {
     try {
       logger.debug('Running proactive token refresh...');
-      const status = await CalendarAPI.getConnectionStatus();
-
-      // Refresh Google token if connected
-      if (status.google) {
-        try {
-          logger.debug('Proactively refreshing Google token...');
-          const token = await CalendarAPI.getValidToken();
-          if (token) {
-            logger.debug('Google token is valid/refreshed');
-          } else {
-            logger.warn('Google token refresh returned null (may need reconnection)');
-          }
-        } catch (error) {
-          logger.warn('Proactive Google token refresh failed:', error.message);
-          // Don't disconnect - the grace period logic in CalendarAPI handles this
-        }
-      }
+      const accounts = await CalendarAPI.getConnectedAccounts();
 
-      // Refresh Outlook token if connected
-      if (status.outlook) {
+      // Refresh every connected account's token independently (calendar
+      // subscriptions authenticate per request and have no token)
+      for (const account of accounts.filter(a => a.provider !== 'ics')) {
+        const name = account.provider === 'google' ? 'Google' : 'Outlook';
         try {
-          logger.debug('Proactively refreshing Outlook token...');
-          const token = await CalendarAPI.getValidOutlookToken();
+          logger.debug(`Proactively refreshing ${name} token (${account.key})...`);
+          const token =
+            account.provider === 'google'
+              ? await CalendarAPI.getValidToken(account.key)
+              : await CalendarAPI.getValidOutlookToken(account.key);
           if (token) {
-            logger.debug('Outlook token is valid/refreshed');
+            logger.debug(`${name} token is valid/refreshed (${account.key})`);
           } else {
-            logger.warn('Outlook token refresh returned null (may need reconnection)');
+            logger.warn(
+              `${name} token refresh returned null for ${account.key} (may need reconnection)`
+            );
           }
         } catch (error) {
-          logger.warn('Proactive Outlook token refresh failed:', error.message);
+          logger.warn(`Proactive ${name} token refresh failed (${account.key}):`, error.message);
           // Don't disconnect - the grace period logic in CalendarAPI handles this
         }
       }
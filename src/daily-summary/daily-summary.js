@@ -7,6 +7,7 @@ import { logger } from '../utils/logger.js';
 class DailySummaryPopup {
   constructor() {
     this.events = [];
+    this.pendingCount = 0;
     this.init();
   }
 
@@ -26,6 +27,7 @@ class DailySummaryPopup {
         this.events = [];
       }
     }
+    this.pendingCount = Number(urlParams.get('pending')) || 0;
 
     // Set up the UI
     this.setupUI();
@@ -65,6 +67,12 @@ class DailySummaryPopup {
       conflictCount.textContent = conflicts;
     }
 
+    // Invitations (today or later) still waiting for an answer
+    if (this.pendingCount > 0) {
+      document.getElementById('pendingStat').style.display = 'flex';
+      document.getElementById('pendingCount').textContent = this.pendingCount;
+    }
+
     // Populate meetings list or show no meetings message
     if (this.events.length === 0) {
       document.getElementById('meetingsList').classList.add('hidden');
@@ -191,6 +199,14 @@ class DailySummaryPopup {
       meta.appendChild(conflictBadge);
     }
 
+    // Unanswered invitation badge
+    if (event.needsResponse) {
+      const pendingBadge = document.createElement('span');
+      pendingBadge.className = 'pending-badge';
+      pendingBadge.textContent = 'Needs response';
+      meta.appendChild(pendingBadge);
+    }
+
     // Meeting link indicator
     if (event.meetingLink) {
       const linkIndicator = document.createElement('span');
@@ -1,44 +1,74 @@
 import { logger } from '../utils/logger.js';
+import { SoundLibrary } from '../utils/sound-library.js';
+import { VoiceReminder } from '../utils/voice-reminder.js';
 /**
- * Offscreen document for audio playback and voice synthesis
+ * Offscreen document for audio playback, voice synthesis and the clipboard
  * Chrome requires audio to be played from a document context
  */
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'PLAY_SOUND') {
-    playAlert();
+    playAlert(message.sound, message.volume);
     sendResponse({ played: true });
   }
   if (message.type === 'SPEAK_REMINDER') {
-    speakReminder(message.text);
+    speakReminder(message.text, message.voice);
     sendResponse({ spoken: true });
   }
+  if (message.type === 'COPY_TEXT') {
+    sendResponse({ copied: copyText(message.text) });
+  }
   return true;
 });
 
-async function playAlert() {
+/**
+ * Play the tone the service worker picked
+ * @param {{src?: string, notes?: Array}} sound - From SoundLibrary.resolve();
+ *   the bundled sweep when missing
+ * @param {number} volume - 0-1
+ */
+async function playAlert(sound, volume = 0.7) {
   try {
-    const audio = new Audio(chrome.runtime.getURL('assets/sounds/sweep.mp3'));
-    audio.volume = 0.7;
-    await audio.play();
+    await SoundLibrary.play(
+      sound || { src: chrome.runtime.getURL('assets/sounds/sweep.mp3') },
+      volume
+    );
     logger.debug('Alert sound played');
   } catch (error) {
     logger.error('Error playing sound', error);
   }
 }
 
-function speakReminder(text) {
+/**
+ * Copy text for the service worker. The document never has focus, so
+ * navigator.clipboard is out and a selected textarea is copied instead.
+ * @param {string} text - Text to copy
+ * @returns {boolean} Whether it was copied
+ */
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text || '';
+  document.body.appendChild(textarea);
+  textarea.select();
   try {
-    // Cancel any ongoing speech
-    window.speechSynthesis.cancel();
-
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 1.0;
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-    utterance.lang = 'en-US';
+    return document.execCommand('copy');
+  } catch (error) {
+    logger.error('Error copying text', error);
+    return false;
+  } finally {
+    textarea.remove();
+  }
+}
 
-    window.speechSynthesis.speak(utterance);
+/**
+ * Speak the reminder text
+ * @param {string} text - What to say
+ * @param {Object} voice - From VoiceReminder.optionsFor(); browser defaults
+ *   when missing
+ */
+async function speakReminder(text, voice = {}) {
+  try {
+    await VoiceReminder.speak(text, voice);
     logger.debug('Voice reminder spoken:', text);
   } catch (error) {
     logger.error('Error speaking reminder', error);
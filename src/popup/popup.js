@@ -8,13 +8,26 @@ import { logger } from '../utils/logger.js';
 import { DurationTracker } from '../utils/duration-tracker.js';
 import { ReportGenerator } from '../utils/report-generator.js';
 import { CalendarAPI } from '../utils/calendar-api.js';
+import { ICal } from '../utils/ical.js';
+import { SeriesRules } from '../utils/series-rules.js';
+import { ReminderOverrides } from '../utils/reminder-overrides.js';
+import { SnoozeTargets } from '../utils/snooze-targets.js';
+import { ConflictDetector } from '../utils/conflict-detector.js';
 import { AIInsights } from '../utils/ai-insights.js';
+import { QuickAddParser } from '../utils/quick-add-parser.js';
+import { SoundLibrary } from '../utils/sound-library.js';
+import { VoiceReminder } from '../utils/voice-reminder.js';
 import { SettingsView } from './settings-view.js';
 
 class PopupUI {
   constructor() {
     this.events = [];
+    this.seriesRules = {};
+    this.reminderOverrides = {};
+    this.snoozes = {};
+    this.activeMeeting = null; // Meeting being tracked, for "after current meeting"
     this.settings = null;
+    this.contacts = []; // People from stored meetings, for attendee suggestions
     this.currentFilter = 'all'; // Track active calendar filter
     this.settingsView = new SettingsView();
   }
@@ -131,8 +144,40 @@ class PopupUI {
     this.safeAddEventListener('settingsBtn', 'click', () => this.showSettings());
     this.safeAddEventListener('backBtn', 'click', () => this.showMain());
     this.safeAddEventListener('saveBtn', 'click', () => this.saveSettings());
+
+    // Sounds: volume label, tone previews and uploads
+    this.safeAddEventListener('soundVolume', 'input', e =>
+      this.settingsView.renderVolumeLabel(e.target.value)
+    );
+    document.querySelectorAll('.tone-preview-btn').forEach(btn => {
+      btn.addEventListener('click', () =>
+        this.previewTone(btn.closest('.tone-row').querySelector('.tone-select').value)
+      );
+    });
+    this.safeAddEventListener('customSoundInput', 'change', e => {
+      this.uploadCustomSound(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    // Voice: speed/pitch labels and preview
+    for (const id of ['voiceRate', 'voicePitch']) {
+      this.safeAddEventListener(id, 'input', () => this.settingsView.renderVoiceLabels());
+    }
+    this.safeAddEventListener('voicePreviewBtn', 'click', () => this.previewVoice());
     this.safeAddEventListener('weeklyReportBtn', 'click', () => this.viewWeeklyReport());
 
+    // .ics import / export
+    this.safeAddEventListener('icsImportBtn', 'click', () =>
+      document.getElementById('icsFileInput').click()
+    );
+    this.safeAddEventListener('icsFileInput', 'change', e => {
+      this.importIcsFiles(e.target.files);
+      e.target.value = '';
+    });
+    this.safeAddEventListener('icsExportBtn', 'click', () => this.exportIcs());
+    this.safeAddEventListener('icsClearImportedBtn', 'click', () => this.clearImportedEvents());
+    this.setupIcsDropZone();
+
     // Calendar filter buttons
     document.querySelectorAll('.filter-btn').forEach(btn => {
       btn.addEventListener('click', e => {
@@ -144,6 +189,7 @@ class PopupUI {
     // Calendar connection toggle buttons
     this.safeAddEventListener('googleToggleBtn', 'click', () => this.toggleGoogleSetup());
     this.safeAddEventListener('outlookToggleBtn', 'click', () => this.toggleOutlookSetup());
+    this.safeAddEventListener('icsToggleBtn', 'click', () => this.toggleIcsSetup());
 
     // Google Calendar connection buttons - Simple mode
     this.safeAddEventListener('googleSimpleConnectBtn', 'click', () =>
@@ -157,6 +203,17 @@ class PopupUI {
     this.safeAddEventListener('googleConnectBtn', 'click', () => this.handleGoogleConnect());
     this.safeAddEventListener('googleDisconnectBtn', 'click', () => this.handleGoogleDisconnect());
 
+    // Additional accounts
+    this.safeAddEventListener('googleAddAccountBtn', 'click', () =>
+      this.handleAddAccount('google')
+    );
+    this.safeAddEventListener('outlookAddAccountBtn', 'click', () =>
+      this.handleAddAccount('outlook')
+    );
+
+    // CalDAV / ICS subscriptions
+    this.safeAddEventListener('icsAddBtn', 'click', () => this.handleAddSubscription());
+
     // Simple/Advanced mode toggles
     this.safeAddEventListener('showAdvancedGoogleBtn', 'click', () =>
       this.showGoogleAdvancedMode()
@@ -206,10 +263,75 @@ class PopupUI {
     // Event delegation for decline buttons (dynamically created)
     document.addEventListener('click', async e => {
       if (e.target.closest('.event-decline-btn')) {
-        const btn = e.target.closest('.event-decline-btn');
-        const eventId = btn.dataset.eventId;
-        const source = btn.dataset.source;
-        await this.handleDeclineMeeting(eventId, source);
+        await this.handleDeclineMeeting(e.target.closest('.event-decline-btn').dataset.eventId);
+      }
+
+      // Offline outbox: send a failed action again, or give up on it
+      const outboxBtn = e.target.closest('.outbox-btn');
+      if (outboxBtn) {
+        await this.handleOutboxAction(outboxBtn.dataset.id, outboxBtn.dataset.action);
+      }
+
+      // Conflict resolver: answer one side of a pair, or keep both
+      const conflictRsvpBtn = e.target.closest('.conflict-rsvp-btn');
+      if (conflictRsvpBtn) {
+        await this.resolveConflict(
+          conflictRsvpBtn.dataset.eventId,
+          conflictRsvpBtn.dataset.response
+        );
+      }
+      const conflictAckBtn = e.target.closest('.conflict-ack-btn');
+      if (conflictAckBtn) {
+        await this.acknowledgeConflict([
+          conflictAckBtn.dataset.first,
+          conflictAckBtn.dataset.second,
+        ]);
+      }
+
+      // Accept / Maybe from a meeting's RSVP panel
+      const rsvpBtn = e.target.closest('.event-rsvp-btn');
+      if (rsvpBtn) {
+        await this.sendRsvp(rsvpBtn.closest('.event-rule-panel'), rsvpBtn.dataset.response);
+      }
+
+      // Snooze a meeting until a point from its reminder panel
+      const snoozeBtn = e.target.closest('.event-snooze-btn');
+      if (snoozeBtn) {
+        await this.snoozeEvent(snoozeBtn.closest('.event-rule-panel'), snoozeBtn.dataset.target);
+      }
+
+      // Shift a meeting by a few minutes straight from its edit panel
+      const moveBtn = e.target.closest('.event-move-btn');
+      if (moveBtn) {
+        await this.moveEvent(
+          moveBtn.closest('.event-rule-panel'),
+          parseInt(moveBtn.dataset.minutes, 10)
+        );
+      }
+
+      // Reminder rule panels: this meeting, its whole recurring series, or RSVP
+      const ruleBtn = e.target.closest('.event-rule-btn');
+      if (ruleBtn) {
+        const item = ruleBtn.closest('.event-item');
+        for (const panel of item.querySelectorAll('.event-rule-panel')) {
+          panel.classList.toggle(
+            'hidden',
+            !panel.classList.contains(ruleBtn.dataset.panel) || !panel.classList.contains('hidden')
+          );
+        }
+      }
+      const ruleSaveBtn = e.target.closest('.event-rule-save');
+      if (ruleSaveBtn) {
+        const panel = ruleSaveBtn.closest('.event-rule-panel');
+        if (panel.classList.contains('event-series-panel')) {
+          await this.saveSeriesRule(panel);
+        } else if (panel.classList.contains('event-rsvp-panel')) {
+          await this.proposeNewTime(panel);
+        } else if (panel.classList.contains('event-edit-panel')) {
+          await this.saveEventEdit(panel);
+        } else {
+          await this.saveReminderOverride(panel);
+        }
       }
     });
 
@@ -225,56 +347,97 @@ class PopupUI {
     // Snooze all button
     this.safeAddEventListener('snoozeAllBtn', 'click', () => this.handleSnoozeAll(15));
 
+    // Bulk answers for the "Needs response" list
+    this.safeAddEventListener('acceptInvitesBtn', 'click', () => this.respondToInvites('accepted'));
+    this.safeAddEventListener('declineInvitesBtn', 'click', () =>
+      this.respondToInvites('declined')
+    );
+
     // Calendar list refresh
     this.safeAddEventListener('googleCalRefreshBtn', 'click', () =>
-      this.renderGoogleCalendarList(true)
+      this.renderCalendarList('google', true)
+    );
+    this.safeAddEventListener('outlookCalRefreshBtn', 'click', () =>
+      this.renderCalendarList('outlook', true)
     );
   }
 
   /**
-   * Render the Google calendar selection list. When `forceFetch` is true,
-   * we ignore any cached list and re-fetch from Google.
+   * Render a provider's calendar selection list — one section per connected
+   * account. When `forceFetch` is true, we ignore any cached lists and
+   * re-fetch from the provider.
+   * @param {string} provider - 'google' or 'outlook'
+   * @param {boolean} forceFetch - Ignore cached lists
    */
-  async renderGoogleCalendarList(forceFetch = false) {
-    const items = document.getElementById('googleCalendarItems');
+  async renderCalendarList(provider, forceFetch = false) {
+    const items = document.getElementById(`${provider}CalendarItems`);
     if (!items) return;
     items.innerHTML = '<div class="calendar-list-empty">Loading…</div>';
 
-    let list;
-    if (!forceFetch) {
-      const cached = await chrome.storage.local.get('googleCalendarsCache');
-      const c = cached.googleCalendarsCache;
-      if (c && Date.now() - c.fetchedAt < 24 * 60 * 60 * 1000) {
-        list = c.calendars;
+    const accounts = await CalendarAPI.getConnectedAccounts(provider);
+    // Cache is keyed by account; the old single-account shape
+    // ({ calendars, fetchedAt }) is simply ignored and refetched.
+    const cacheKey = `${provider}CalendarsCache`;
+    const stored = (await chrome.storage.local.get(cacheKey))[cacheKey];
+    const cache = stored && !stored.calendars ? stored : {};
+
+    items.innerHTML = '';
+    for (const account of accounts) {
+      const section = document.createElement('div');
+      section.className = 'calendar-list-account';
+      if (accounts.length > 1) {
+        section.innerHTML = `<div class="calendar-list-account-name">${this.escapeHtml(account.email || account.key)}</div>`;
       }
+      const list = document.createElement('div');
+      list.className = 'calendar-list-account-items';
+      section.appendChild(list);
+      items.appendChild(section);
+      await this.renderAccountCalendars(list, account.key, cache, forceFetch);
+    }
+
+    await chrome.storage.local.set({ [cacheKey]: cache });
+  }
+
+  /**
+   * Render the calendar checkboxes for a single account
+   * @param {HTMLElement} items - Container to render into
+   * @param {string} accountKey - Account the calendars belong to
+   * @param {Object} cache - Provider calendar cache map, updated in place
+   * @param {boolean} forceFetch - Ignore the cached list
+   */
+  async renderAccountCalendars(items, accountKey, cache, forceFetch) {
+    const provider = CalendarAPI.providerOf(accountKey);
+    const providerName = provider === 'google' ? 'Google' : 'Outlook';
+    const defaultId = CalendarAPI.DEFAULT_CALENDAR_IDS[provider];
+    const defaultLabel = provider === 'google' ? 'Primary' : 'Default';
+
+    let list;
+    const c = cache[accountKey];
+    if (!forceFetch && c && Date.now() - c.fetchedAt < 24 * 60 * 60 * 1000) {
+      list = c.calendars;
     }
     if (!list) {
-      const result = await CalendarAPI.listGoogleCalendars();
+      const result = await CalendarAPI.listCalendars(accountKey);
       if (!result.success) {
         // Most common failure: insufficient OAuth scope (403). Don't shout —
-        // just hide the section. Sync continues working on the primary calendar.
+        // just explain. Sync continues working on the primary calendar.
         const err = String(result.error || '');
-        const wrapper = document.getElementById('googleCalendarList');
         if (/403/.test(err)) {
-          if (wrapper) {
-            items.innerHTML = `
-              <div class="calendar-list-empty">
-                Multi-calendar selection unavailable.
-                <span class="setting-hint">Reconnect Google to pick which calendars sync. Currently using your primary calendar.</span>
-              </div>`;
-          }
+          items.innerHTML = `
+            <div class="calendar-list-empty">
+              Multi-calendar selection unavailable.
+              <span class="setting-hint">Reconnect ${providerName} to pick which calendars sync. Currently using your ${defaultLabel.toLowerCase()} calendar.</span>
+            </div>`;
         } else {
           items.innerHTML = `<div class="calendar-list-empty">Couldn't load calendars (${this.escapeHtml(err)})</div>`;
         }
         return;
       }
       list = result.calendars;
-      await chrome.storage.local.set({
-        googleCalendarsCache: { calendars: list, fetchedAt: Date.now() },
-      });
+      cache[accountKey] = { calendars: list, fetchedAt: Date.now() };
     }
 
-    const enabled = await CalendarAPI.getEnabledGoogleCalendars();
+    const enabled = await CalendarAPI.getEnabledCalendars(accountKey);
     const enabledSet = new Set(enabled);
 
     // Sort: primary first, then alphabetical
@@ -286,7 +449,7 @@ class PopupUI {
 
     items.innerHTML = '';
     for (const cal of list) {
-      const id = cal.primary ? 'primary' : cal.id;
+      const id = cal.primary ? defaultId : cal.id;
       const label = document.createElement('label');
       label.className = 'calendar-list-item';
       const checked = enabledSet.has(id) ? 'checked' : '';
@@ -294,7 +457,7 @@ class PopupUI {
         <input type="checkbox" data-cal-id="${this.escapeHtml(id)}" ${checked} />
         <span class="cal-color" style="background:${this.escapeHtml(cal.backgroundColor || '#888')}"></span>
         <span class="cal-name">${this.escapeHtml(cal.summary || cal.id)}</span>
-        ${cal.primary ? '<span class="cal-primary">Primary</span>' : ''}
+        ${cal.primary ? `<span class="cal-primary">${defaultLabel}</span>` : ''}
       `;
       items.appendChild(label);
     }
@@ -304,9 +467,9 @@ class PopupUI {
         const checked = Array.from(items.querySelectorAll('input[type="checkbox"]:checked')).map(
           c => c.dataset.calId
         );
-        // Always keep at least primary if user unchecks everything.
-        const effective = checked.length > 0 ? checked : ['primary'];
-        await CalendarAPI.setEnabledGoogleCalendars(effective);
+        // Always keep at least the primary/default calendar if user unchecks everything.
+        const effective = checked.length > 0 ? checked : [defaultId];
+        await CalendarAPI.setEnabledCalendars(effective, accountKey);
         // Trigger immediate re-sync so UI reflects new selection.
         await this.handleSyncNow();
       });
@@ -455,6 +618,96 @@ class PopupUI {
     toggleBtn.classList.toggle('expanded');
   }
 
+  /**
+   * Toggle CalDAV / ICS subscription form visibility
+   */
+  toggleIcsSetup() {
+    const setup = document.getElementById('icsSetup');
+    const toggleBtn = document.getElementById('icsToggleBtn');
+
+    setup.classList.toggle('hidden');
+    toggleBtn.classList.toggle('expanded');
+  }
+
+  /**
+   * Add a CalDAV collection or .ics feed. The extension only holds host
+   * permissions for Google and Microsoft, so access to the calendar server is
+   * requested first — this must happen inside the click gesture.
+   */
+  async handleAddSubscription() {
+    const btn = document.getElementById('icsAddBtn');
+    const urlInput = document.getElementById('icsUrl');
+    const url = CalendarAPI.normalizeFeedUrl(urlInput.value);
+
+    if (!url) {
+      alert('Please enter the calendar address (https:// or webcal://)');
+      return;
+    }
+
+    try {
+      const granted = await chrome.permissions.request({
+        origins: [`${new URL(url).origin}/*`],
+      });
+      if (!granted) {
+        alert('PingMeet needs permission to read from that server to sync the calendar.');
+        return;
+      }
+
+      btn.disabled = true;
+      btn.textContent = 'Checking...';
+
+      const result = await CalendarAPI.addIcsSubscription({
+        url,
+        kind: document.getElementById('icsKind').value,
+        name: document.getElementById('icsName').value,
+        username: document.getElementById('icsUsername').value,
+        password: document.getElementById('icsPassword').value,
+      });
+
+      if (result.success) {
+        for (const id of ['icsUrl', 'icsName', 'icsUsername', 'icsPassword']) {
+          document.getElementById(id).value = '';
+        }
+        await this.updateCalendarConnectionStatus();
+        await this.syncCalendarEvents();
+      } else {
+        alert('Failed to add calendar: ' + result.error);
+      }
+    } catch (error) {
+      logger.error('Add subscription error', error);
+      alert('Connection error: ' + error.message);
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Add calendar';
+    }
+  }
+
+  /**
+   * Render the calendar subscriptions, each with its own Remove button
+   * @param {Array} accounts - Connected 'ics' accounts
+   */
+  renderSubscriptionList(accounts) {
+    const wrapper = document.getElementById('icsAccounts');
+    const items = document.getElementById('icsAccountItems');
+    if (!wrapper || !items) return;
+
+    wrapper.classList.toggle('hidden', accounts.length === 0);
+    items.innerHTML = '';
+
+    for (const account of accounts) {
+      const row = document.createElement('div');
+      row.className = 'account-list-item';
+      row.innerHTML = `
+        <span class="account-email">${this.escapeHtml(account.name || account.key)}</span>
+        <button class="link-btn account-remove-btn" title="Remove this calendar">Remove</button>
+      `;
+      row
+        .querySelector('.account-remove-btn')
+        .addEventListener('click', () => this.handleRemoveAccount(account.key, account.name));
+      items.appendChild(row);
+    }
+  }
+
   /**
    * Open Outlook Calendar in new tab
    */
@@ -509,7 +762,7 @@ class PopupUI {
   }
 
   /**
-   * Handle Outlook Calendar disconnect
+   * Handle Outlook Calendar disconnect (every connected Outlook account)
    */
   async handleOutlookDisconnect() {
     // Get the correct disconnect button based on what's visible
@@ -523,7 +776,7 @@ class PopupUI {
     }
 
     try {
-      const result = await CalendarAPI.disconnectOutlook();
+      const result = await this.disconnectAccounts('outlook');
       if (result.success) {
         await this.updateCalendarConnectionStatus();
         await this.loadEvents();
@@ -657,7 +910,7 @@ class PopupUI {
   }
 
   /**
-   * Handle Google Calendar disconnect
+   * Handle Google Calendar disconnect (every connected Google account)
    */
   async handleGoogleDisconnect() {
     // Get the correct disconnect button based on what's visible
@@ -671,7 +924,7 @@ class PopupUI {
     }
 
     try {
-      const result = await CalendarAPI.disconnectGoogle();
+      const result = await this.disconnectAccounts('google');
       if (result.success) {
         await this.updateCalendarConnectionStatus();
         // Clear API-sourced events
@@ -776,35 +1029,175 @@ class PopupUI {
   }
 
   /**
-   * Handle declining a meeting
+   * Disconnect every connected account of a provider
+   * @param {string} provider - 'google' or 'outlook'
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  async handleDeclineMeeting(eventId, source) {
-    if (!confirm('Decline this meeting?')) {
-      return;
-    }
+  async disconnectAccounts(provider) {
+    const accounts = await CalendarAPI.getConnectedAccounts(provider);
+    const keys = accounts.length > 0 ? accounts.map(a => a.key) : [provider];
+    for (const key of keys) {
+      const result =
+        provider === 'google'
+          ? await CalendarAPI.disconnectGoogle(key)
+          : await CalendarAPI.disconnectOutlook(key);
+      if (!result.success) return result;
+    }
+    return { success: true };
+  }
+
+  /**
+   * Connect an additional account for a provider that's already connected
+   * @param {string} provider - 'google' or 'outlook'
+   */
+  async handleAddAccount(provider) {
+    const btn = document.getElementById(`${provider}AddAccountBtn`);
+    const accounts = await CalendarAPI.getConnectedAccounts(provider);
+    const lead = accounts.find(a => a.key === provider) || accounts[0];
 
     try {
       let result;
-      if (source.includes('google')) {
-        result = await CalendarAPI.declineGoogleEvent(eventId);
-      } else if (source.includes('outlook')) {
-        result = await CalendarAPI.declineOutlookEvent(eventId);
+      if (provider === 'google') {
+        // chrome.identity only ever hands out the account signed in to
+        // Chrome, so extra Google accounts need the user's own OAuth client.
+        if (!(await CalendarAPI.hasCredentials('google'))) {
+          alert(
+            'Adding another Google account needs Advanced mode (One-Click only connects the account signed in to Chrome).\n\n' +
+              'Enter your OAuth Client ID and Secret below, then click "Add account".'
+          );
+          document.getElementById('googleSetup')?.classList.remove('hidden');
+          this.showGoogleAdvancedMode();
+          const connectBtn = document.getElementById('googleConnectBtn');
+          if (connectBtn) {
+            connectBtn.classList.remove('hidden');
+            connectBtn.textContent = 'Add account';
+          }
+          return;
+        }
+        if (btn) btn.disabled = true;
+        result = await CalendarAPI.connectGoogle();
       } else {
-        alert('Cannot decline this event (unsupported source)');
-        return;
+        if (btn) btn.disabled = true;
+        result =
+          lead?.authMode === 'simple'
+            ? await CalendarAPI.connectOutlookSimple()
+            : await CalendarAPI.connectOutlook();
+      }
+
+      if (result.success) {
+        await this.updateCalendarConnectionStatus();
+        await this.syncCalendarEvents();
+      } else {
+        alert('Failed to add account: ' + result.error);
       }
+    } catch (error) {
+      logger.error('Add account error', error);
+      alert('Connection error: ' + error.message);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  /**
+   * Remove a single connected account or calendar subscription
+   * @param {string} accountKey - Account to remove
+   * @param {string} email - Account email or subscription name (for the confirmation prompt)
+   */
+  async handleRemoveAccount(accountKey, email) {
+    if (!confirm(`Remove ${email || 'this account'}? Its meetings will stop syncing.`)) {
+      return;
+    }
 
+    try {
+      const provider = CalendarAPI.providerOf(accountKey);
+      const result =
+        provider === 'google'
+          ? await CalendarAPI.disconnectGoogle(accountKey)
+          : provider === 'ics'
+            ? await CalendarAPI.removeIcsSubscription(accountKey)
+            : await CalendarAPI.disconnectOutlook(accountKey);
       if (result.success) {
+        await this.updateCalendarConnectionStatus();
+        await this.syncCalendarEvents();
+        await this.loadEvents();
+      } else {
+        alert('Failed to remove account: ' + result.error);
+      }
+    } catch (error) {
+      logger.error('Remove account error', error);
+      alert('Error removing account: ' + error.message);
+    }
+  }
+
+  /**
+   * Render a provider's connected accounts. Each gets a Remove button once
+   * there's more than one; the card's Disconnect button still removes all.
+   * @param {string} provider - 'google' or 'outlook'
+   * @param {Array} accounts - Connected accounts from CalendarAPI.getConnectedAccounts
+   */
+  renderAccountList(provider, accounts) {
+    const wrapper = document.getElementById(`${provider}Accounts`);
+    const items = document.getElementById(`${provider}AccountItems`);
+    if (!wrapper || !items) return;
+
+    wrapper.classList.toggle('hidden', accounts.length === 0);
+    items.innerHTML = '';
+    if (accounts.length < 2) return;
+
+    for (const account of accounts) {
+      const row = document.createElement('div');
+      row.className = 'account-list-item';
+      row.innerHTML = `
+        <span class="account-email">${this.escapeHtml(account.email || account.key)}</span>
+        <button class="link-btn account-remove-btn" title="Remove this account">Remove</button>
+      `;
+      row
+        .querySelector('.account-remove-btn')
+        .addEventListener('click', () => this.handleRemoveAccount(account.key, account.email));
+      items.appendChild(row);
+    }
+  }
+
+  /**
+   * Handle declining a meeting. The service worker sends it to the calendar,
+   * or queues it in the outbox while offline.
+   * @param {string} eventId - Event ID
+   */
+  async handleDeclineMeeting(eventId) {
+    if (!confirm('Decline this meeting?')) {
+      return;
+    }
+
+    // Recurring meeting: offer to decline the rest of the series too
+    const event = this.events.find(e => e.id === eventId);
+    const following =
+      !!event?.seriesId &&
+      confirm(
+        'This meeting is part of a series. Also decline all following meetings in it?\n\n' +
+          'OK = this and following, Cancel = only this one'
+      );
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'DECLINE_EVENT',
+        eventId,
+        following,
+      });
+
+      if (result?.queued) {
+        // Shown as declined now, sent once we're back online
+        await this.loadEvents();
+      } else if (result?.success) {
         // Refresh events to show updated status
         await this.syncCalendarEvents();
         await this.loadEvents();
         this.renderEvents();
-      } else if (this.isCancelledMeetingError(result.error)) {
+      } else if (this.isCancelledMeetingError(result?.error)) {
         // The meeting was already cancelled — there's nothing to decline.
         // Quietly drop it from the list instead of showing a scary error.
         await this.removeEventLocally(eventId);
       } else {
-        alert('Failed to decline meeting: ' + result.error);
+        alert('Failed to decline meeting: ' + (result?.error || 'Unknown error'));
       }
     } catch (error) {
       logger.error('Error declining meeting', error);
@@ -832,11 +1225,12 @@ class PopupUI {
    */
   async removeEventLocally(eventId) {
     try {
+      // Clear any pending reminder alarm/data for it first, while the
+      // service worker can still find the event
+      await chrome.runtime.sendMessage({ type: 'DECLINE_MEETING', eventId });
       const events = await StorageManager.getEvents();
       const filtered = events.filter(e => e.id !== eventId);
       await StorageManager.saveEvents(filtered);
-      // Also clear any pending reminder alarm/data for it.
-      await chrome.runtime.sendMessage({ type: 'DECLINE_MEETING', eventId });
     } catch (e) {
       logger.warn('Could not remove event locally', e?.message);
     }
@@ -848,31 +1242,10 @@ class PopupUI {
    * Sync calendar events from connected APIs
    */
   async syncCalendarEvents() {
-    const status = await CalendarAPI.getConnectionStatus();
-    let allEvents = [];
-
-    if (status.google) {
-      const result = await CalendarAPI.fetchGoogleEvents();
-      if (result.success && result.events.length > 0) {
-        allEvents = allEvents.concat(result.events);
-      }
-    }
-
-    if (status.outlook) {
-      const result = await CalendarAPI.fetchOutlookEvents();
-      if (result.success && result.events.length > 0) {
-        allEvents = allEvents.concat(result.events);
-      }
-    }
-
-    if (allEvents.length > 0) {
-      // Send events to service worker
-      await chrome.runtime.sendMessage({
-        type: 'CALENDAR_EVENTS',
-        events: allEvents,
-        source: 'api',
-      });
-      await CalendarAPI.updateLastSync();
+    // The service worker owns the incremental sync state (sync tokens /
+    // delta links), so ask it to sync rather than fetching from here.
+    const result = await chrome.runtime.sendMessage({ type: 'SYNC_CALENDARS' });
+    if (result?.synced) {
       await this.loadEvents();
     }
   }
@@ -883,6 +1256,9 @@ class PopupUI {
   async updateCalendarConnectionStatus() {
     const status = await CalendarAPI.getConnectionStatus();
     const connection = await chrome.storage.local.get('calendarConnection');
+    const googleAccounts = await CalendarAPI.getConnectedAccounts('google');
+    const outlookAccounts = await CalendarAPI.getConnectedAccounts('outlook');
+    const icsAccounts = await CalendarAPI.getConnectedAccounts('ics');
     const googleCredentials = await CalendarAPI.getCredentials('google');
     const outlookCredentials = await CalendarAPI.getCredentials('outlook');
 
@@ -906,11 +1282,18 @@ class PopupUI {
       googleClientSecretInput.value = googleCredentials.clientSecret;
     }
 
-    // Check auth mode to determine which section to show
-    const authMode = connection.calendarConnection?.google?.authMode;
+    // Check auth mode to determine which section to show. With several
+    // accounts, the first one decides.
+    const googleLead = googleAccounts.find(a => a.key === 'google') || googleAccounts[0];
+    const authMode = googleLead?.authMode || connection.calendarConnection?.google?.authMode;
+    this.renderAccountList('google', googleAccounts);
 
     if (status.google) {
-      const email = connection.calendarConnection?.google?.email || 'Connected';
+      const email =
+        googleAccounts
+          .map(a => a.email)
+          .filter(Boolean)
+          .join(', ') || 'Connected';
       googleCard.classList.add('connected');
       googleStatus.textContent = email;
       googleStatus.classList.add('connected');
@@ -919,7 +1302,7 @@ class PopupUI {
       const listEl = document.getElementById('googleCalendarList');
       if (listEl) {
         listEl.classList.remove('hidden');
-        this.renderGoogleCalendarList();
+        this.renderCalendarList('google');
       }
 
       // Show disconnect button in the appropriate section
@@ -1001,14 +1384,28 @@ class PopupUI {
     }
 
     // Check auth mode to determine which section to show
-    const outlookAuthMode = connection.calendarConnection?.outlook?.authMode;
+    const outlookLead = outlookAccounts.find(a => a.key === 'outlook') || outlookAccounts[0];
+    const outlookAuthMode =
+      outlookLead?.authMode || connection.calendarConnection?.outlook?.authMode;
+    this.renderAccountList('outlook', outlookAccounts);
 
     if (status.outlook) {
-      const email = connection.calendarConnection?.outlook?.email || 'Connected';
+      const email =
+        outlookAccounts
+          .map(a => a.email)
+          .filter(Boolean)
+          .join(', ') || 'Connected';
       outlookCard.classList.add('connected');
       outlookStatus.textContent = email;
       outlookStatus.classList.add('connected');
 
+      // Reveal calendar selection list
+      const listEl = document.getElementById('outlookCalendarList');
+      if (listEl) {
+        listEl.classList.remove('hidden');
+        this.renderCalendarList('outlook');
+      }
+
       // Show disconnect button in the appropriate section
       if (outlookAuthMode === 'simple') {
         // Show simple mode disconnect
@@ -1041,6 +1438,10 @@ class PopupUI {
       outlookStatus.classList.toggle('needs-reauth', outlookNeedsReauth);
       outlookCard.classList.toggle('needs-reauth', outlookNeedsReauth);
 
+      // Hide calendar selection list when disconnected
+      const listEl = document.getElementById('outlookCalendarList');
+      if (listEl) listEl.classList.add('hidden');
+
       // Reset simple mode buttons
       if (outlookSimpleConnectBtn) {
         outlookSimpleConnectBtn.classList.remove('hidden');
@@ -1067,10 +1468,23 @@ class PopupUI {
       if (outlookDisconnectBtn) outlookDisconnectBtn.classList.add('hidden');
     }
 
-    // Show API warning if neither Google nor Outlook API is connected
+    // CalDAV / ICS subscriptions
+    const icsCard = document.getElementById('icsConnection');
+    const icsStatus = document.getElementById('icsStatus');
+    this.renderSubscriptionList(icsAccounts);
+    if (icsCard && icsStatus) {
+      icsCard.classList.toggle('connected', icsAccounts.length > 0);
+      icsStatus.classList.toggle('connected', icsAccounts.length > 0);
+      icsStatus.textContent =
+        icsAccounts.length === 0
+          ? 'Not connected'
+          : `${icsAccounts.length} calendar${icsAccounts.length === 1 ? '' : 's'}`;
+    }
+
+    // Show API warning if no calendar is connected
     const apiWarning = document.getElementById('apiWarning');
     if (apiWarning) {
-      if (!status.google && !status.outlook) {
+      if (!status.google && !status.outlook && icsAccounts.length === 0) {
         apiWarning.classList.remove('hidden');
       } else {
         apiWarning.classList.add('hidden');
@@ -1080,10 +1494,11 @@ class PopupUI {
     // Update status text to show sync method and last-synced time
     const statusText = document.getElementById('statusText');
     if (statusText) {
-      if (status.google || status.outlook) {
+      if (status.google || status.outlook || icsAccounts.length > 0) {
         const connectedServices = [];
         if (status.google) connectedServices.push('Google');
         if (status.outlook) connectedServices.push('Outlook');
+        if (icsAccounts.length > 0) connectedServices.push('CalDAV/ICS');
         const last = await CalendarAPI.getLastSync();
         const ago = last ? this.formatRelativeTime(new Date(last)) : 'never';
         statusText.textContent = `API (${connectedServices.join(' & ')}) • synced ${ago}`;
@@ -1122,6 +1537,122 @@ class PopupUI {
     }
   }
 
+  /**
+   * Accept .ics files dropped on the import area
+   */
+  setupIcsDropZone() {
+    const zone = document.getElementById('icsDropZone');
+    if (!zone) return;
+
+    zone.addEventListener('dragover', e => {
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+    zone.addEventListener('drop', e => {
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+      this.importIcsFiles(e.dataTransfer.files);
+    });
+  }
+
+  /**
+   * Hand picked or dropped .ics files to the service worker for scheduling
+   * @param {FileList} files
+   */
+  async importIcsFiles(files) {
+    const icsFiles = Array.from(files || []).filter(
+      file => /\.ics$/i.test(file.name) || file.type === 'text/calendar'
+    );
+    if (icsFiles.length === 0) {
+      alert('Please choose an .ics calendar file.');
+      return;
+    }
+
+    let imported = 0;
+    const errors = [];
+    for (const file of icsFiles) {
+      try {
+        const result = await chrome.runtime.sendMessage({
+          type: 'IMPORT_ICS',
+          text: await file.text(),
+          fileName: file.name,
+        });
+        if (result?.success) {
+          imported += result.imported;
+        } else {
+          errors.push(`${file.name}: ${result?.error || 'Import failed'}`);
+        }
+      } catch (error) {
+        logger.error('Error importing .ics file', error);
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      alert('Some files could not be imported:\n' + errors.join('\n'));
+    }
+    if (imported > 0) {
+      await this.loadEvents();
+    }
+    await this.updateImportedStatus();
+  }
+
+  /**
+   * Download the stored events as an .ics file
+   */
+  async exportIcs() {
+    try {
+      const events = await StorageManager.getEvents();
+      if (events.length === 0) {
+        alert('There are no upcoming meetings to export.');
+        return;
+      }
+
+      const text = ICal.serialize(events, { name: 'PingMeet' });
+      const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar' }));
+      const today = new Date();
+      const filename = `PingMeet-Events-${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}.ics`;
+
+      try {
+        await chrome.downloads.download({ url, filename, saveAs: true });
+      } finally {
+        // The download has its own copy once it has started
+        URL.revokeObjectURL(url);
+      }
+      logger.debug(`Exported ${events.length} event(s) as ${filename}`);
+    } catch (error) {
+      logger.error('Error exporting events', error);
+      alert('Error exporting events. Please try again.');
+    }
+  }
+
+  /**
+   * Remove every imported event and its reminders
+   */
+  async clearImportedEvents() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_IMPORTED_EVENTS' });
+      await this.loadEvents();
+      await this.updateImportedStatus();
+    } catch (error) {
+      logger.error('Error removing imported events', error);
+    }
+  }
+
+  /**
+   * Show how many imported events are pending
+   */
+  async updateImportedStatus() {
+    const status = document.getElementById('icsImportedStatus');
+    if (!status) return;
+
+    const count = (await StorageManager.getImportedEvents()).length;
+    status.classList.toggle('hidden', count === 0);
+    document.getElementById('icsImportedCount').textContent =
+      `${count} imported event${count === 1 ? '' : 's'}`;
+  }
+
   /**
    * Load settings from storage
    */
@@ -1134,7 +1665,28 @@ class PopupUI {
    */
   async loadEvents() {
     this.events = await StorageManager.getEvents();
+    this.seriesRules = await SeriesRules.getAll();
+    this.reminderOverrides = await ReminderOverrides.getAll();
+    this.snoozes = await SnoozeTargets.getAll();
+    this.activeMeeting = await DurationTracker.getActiveTracking();
     this.renderEvents();
+    await this.loadConflicts();
+    await this.loadOutbox();
+  }
+
+  /**
+   * Ask the service worker for the current conflicts, with its suggestion
+   * of which meeting to keep, and render the resolver
+   */
+  async loadConflicts() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CONFLICTS' });
+      this.conflicts = response?.conflicts || [];
+    } catch (error) {
+      logger.warn('Could not load conflicts', error?.message);
+      this.conflicts = [];
+    }
+    this.renderConflicts();
   }
 
   /**
@@ -1155,6 +1707,8 @@ class PopupUI {
    * Render events list
    */
   renderEvents() {
+    this.renderInvites();
+
     const eventsList = document.getElementById('eventsList');
 
     if (!this.events || this.events.length === 0) {
@@ -1180,37 +1734,315 @@ class PopupUI {
       return new Date(a.startTime) - new Date(b.startTime);
     });
 
-    // Limit to next 10 events (increased from 5 for unified view)
-    const displayEvents = sortedEvents.slice(0, 10);
+    // Limit to next 20 events — the list now spans the whole sync horizon
+    const displayEvents = sortedEvents.slice(0, 20);
 
     if (displayEvents.length === 0) {
       eventsList.innerHTML = '<div class="no-events">No events from this calendar.</div>';
       return;
     }
 
-    eventsList.innerHTML = displayEvents.map(event => this.renderEventItem(event)).join('');
+    // Group under a day header whenever the day changes (today's header is
+    // omitted so a today-only list looks exactly as before)
+    let lastDayKey = new Date().toDateString();
+    eventsList.innerHTML = displayEvents
+      .map(event => {
+        const dayKey = new Date(event.startTime).toDateString();
+        const header =
+          dayKey !== lastDayKey
+            ? `<div class="events-day-header">${this.formatDayHeader(event.startTime)}</div>`
+            : '';
+        lastDayKey = dayKey;
+        return header + this.renderEventItem(event);
+      })
+      .join('');
   }
 
   /**
-   * Render a single event item
+   * Render the "Needs response" list: unanswered invitations from every
+   * connected calendar, each selected for the bulk buttons by default
    */
-  renderEventItem(event) {
-    const startTime = new Date(event.startTime);
+  renderInvites() {
+    const section = document.getElementById('invitesSection');
+    if (!section) return;
+
     const now = new Date();
-    const diff = startTime - now;
+    const invites = (this.events || [])
+      .filter(e => CalendarAPI.needsResponse(e) && new Date(e.endTime || e.startTime) > now)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 
-    // Format time
-    const timeStr = startTime.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-    });
+    section.classList.toggle('hidden', invites.length === 0);
+    if (invites.length === 0) return;
 
-    // Format countdown
-    let countdownStr = '';
-    if (diff > 0) {
-      const hours = Math.floor(diff / (1000 * 60 * 60));
-      const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+    // Only meetings the user is actually going to can clash with an invite
+    const attending = this.events.filter(
+      e => e.attendees?.find(a => a.self)?.responseStatus !== 'declined'
+    );
+
+    document.getElementById('invitesCount').textContent = `(${invites.length})`;
+    document.getElementById('invitesList').innerHTML = invites
+      .map(invite => {
+        const start = new Date(invite.startTime);
+        const time = start.toLocaleString('en-US', {
+          weekday: 'short',
+          hour: 'numeric',
+          minute: '2-digit',
+        });
+        const conflicts = ConflictDetector.getConflictingEvents(invite, attending);
+        const conflictHtml =
+          conflicts.length > 0
+            ? `<span class="conflict-warning" title="Overlaps with ${this.escapeHtml(conflicts.map(c => c.title || 'Untitled').join(', '))}">!</span>`
+            : '';
+        return `
+          <label class="invite-item">
+            <input type="checkbox" class="invite-select" value="${this.escapeHtml(invite.id)}" checked />
+            <span class="invite-time">${time}</span>
+            <span class="invite-title">${conflictHtml}${this.escapeHtml(invite.title || 'Untitled Meeting')}</span>
+          </label>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Load calendar actions waiting in the offline outbox
+   */
+  async loadOutbox() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_OUTBOX' });
+      this.outbox = response?.entries || [];
+    } catch (error) {
+      logger.warn('Could not load outbox', error?.message);
+      this.outbox = [];
+    }
+    this.renderOutbox();
+  }
+
+  /**
+   * Render queued calendar actions: pending ones wait for the network,
+   * failed ones can be retried or discarded
+   */
+  renderOutbox() {
+    const section = document.getElementById('outboxSection');
+    if (!section) return;
+
+    const entries = this.outbox || [];
+    section.classList.toggle('hidden', entries.length === 0);
+    if (entries.length === 0) return;
+
+    const verbs = { decline: 'Decline', rsvp: 'Reply to', create: 'Create' };
+    document.getElementById('outboxCount').textContent = `(${entries.length})`;
+    document.getElementById('outboxList').innerHTML = entries
+      .map(entry => {
+        const failed = entry.status === 'failed';
+        const label = `${verbs[entry.type] || entry.type} "${entry.title || 'Untitled Meeting'}"`;
+        const status = failed
+          ? `Failed: ${entry.lastError || 'Unknown error'}`
+          : entry.attempts > 0
+            ? `Retrying at ${new Date(entry.nextAttemptAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`
+            : 'Waiting for connection';
+        const id = this.escapeHtml(entry.id);
+        return `
+          <div class="outbox-item ${failed ? 'failed' : ''}">
+            <div class="outbox-text">
+              <div class="outbox-label">${this.escapeHtml(label)}</div>
+              <div class="outbox-status">${this.escapeHtml(status)}</div>
+            </div>
+            ${failed ? `<button class="outbox-btn" data-id="${id}" data-action="retry">Retry</button>` : ''}
+            <button class="outbox-btn" data-id="${id}" data-action="discard">Discard</button>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Retry or discard a queued action
+   * @param {string} id - Outbox entry ID
+   * @param {string} action - 'retry' | 'discard'
+   */
+  async handleOutboxAction(id, action) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: action === 'retry' ? 'RETRY_OUTBOX_ACTION' : 'DISCARD_OUTBOX_ACTION',
+        id,
+      });
+    } catch (error) {
+      logger.error('Error updating outbox', error);
+    }
+    await this.loadEvents();
+  }
+
+  /**
+   * Render the conflict resolver: each overlapping pair side by side, the
+   * meeting to keep first and highlighted
+   */
+  renderConflicts() {
+    const section = document.getElementById('conflictsSection');
+    if (!section) return;
+
+    const conflicts = this.conflicts || [];
+    section.classList.toggle('hidden', conflicts.length === 0);
+    if (conflicts.length === 0) return;
+
+    document.getElementById('conflictsCount').textContent = `(${conflicts.length})`;
+    document.getElementById('conflictsList').innerHTML = conflicts
+      .map(conflict => {
+        const byId = Object.fromEntries(conflict.events.map(e => [e.id, e]));
+        const keep = byId[conflict.keepId];
+        const drop = byId[conflict.dropId];
+        return `
+          <div class="conflict-pair ${conflict.severity}">
+            <div class="conflict-cards">
+              ${this.renderConflictCard(keep, true)}
+              ${this.renderConflictCard(drop, false)}
+            </div>
+            <div class="conflict-footer">
+              <span>Keep "${this.escapeHtml(keep.title || 'Untitled Meeting')}": ${this.escapeHtml(conflict.reason)}</span>
+              <button class="conflict-ack-btn" data-first="${this.escapeHtml(keep.id)}" data-second="${this.escapeHtml(drop.id)}" title="Stop flagging this conflict">Keep both</button>
+            </div>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Render one side of a conflicting pair
+   * @param {Object} event - Event
+   * @param {boolean} keep - Whether this is the suggested meeting to keep
+   */
+  renderConflictCard(event, keep) {
+    const time = { hour: 'numeric', minute: '2-digit' };
+    const start = new Date(event.startTime).toLocaleTimeString('en-US', time);
+    const end = event.endTime
+      ? ` – ${new Date(event.endTime).toLocaleTimeString('en-US', time)}`
+      : '';
+    const attendeeCount = (event.attendees || []).length;
+    const meta = [
+      event.organizer?.name || event.organizer?.email,
+      attendeeCount > 0 ? `${attendeeCount} attendee${attendeeCount > 1 ? 's' : ''}` : null,
+    ]
+      .filter(Boolean)
+      .map(part => this.escapeHtml(part))
+      .join(' · ');
+    const actions = CalendarAPI.canRespond(event)
+      ? `<div class="conflict-card-actions">
+          <button class="conflict-rsvp-btn" data-event-id="${this.escapeHtml(event.id)}" data-response="declined">Decline</button>
+          <button class="conflict-rsvp-btn" data-event-id="${this.escapeHtml(event.id)}" data-response="tentative">Maybe</button>
+        </div>`
+      : '';
+
+    return `
+      <div class="conflict-card ${keep ? 'keep' : ''}">
+        <div class="conflict-card-time">${start}${end}${keep ? ' · suggested' : ''}</div>
+        <div class="conflict-card-title">${this.escapeHtml(event.title || 'Untitled Meeting')}</div>
+        <div class="conflict-card-meta">${meta}</div>
+        ${actions}
+      </div>
+    `;
+  }
+
+  /**
+   * Decline or tentatively accept one meeting of a conflicting pair
+   * @param {string} eventId - Event ID
+   * @param {string} response - 'declined' | 'tentative'
+   */
+  async resolveConflict(eventId, response) {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'RSVP', eventId, response });
+      if (result?.success) {
+        await this.loadEvents();
+      } else if (this.isCancelledMeetingError(result?.error)) {
+        await this.removeEventLocally(eventId);
+      } else {
+        alert('Failed to respond to meeting: ' + (result?.error || 'Unknown error'));
+      }
+    } catch (error) {
+      logger.error('Error resolving conflict', error);
+      alert('Error responding to meeting: ' + error.message);
+    }
+  }
+
+  /**
+   * Stop flagging a pair of overlapping meetings
+   * @param {Array<string>} eventIds - IDs of the two meetings
+   */
+  async acknowledgeConflict(eventIds) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'ACKNOWLEDGE_CONFLICT', eventIds });
+      await this.loadEvents();
+    } catch (error) {
+      logger.error('Error acknowledging conflict', error);
+    }
+  }
+
+  /**
+   * Send the same answer to every selected invitation
+   * @param {string} response - 'accepted' | 'declined'
+   */
+  async respondToInvites(response) {
+    const ids = [...document.querySelectorAll('.invite-select:checked')].map(box => box.value);
+    if (ids.length === 0) return;
+    if (
+      response === 'declined' &&
+      !confirm(`Decline ${ids.length} meeting${ids.length > 1 ? 's' : ''}?`)
+    ) {
+      return;
+    }
+
+    const failed = [];
+    for (const eventId of ids) {
+      try {
+        const result = await chrome.runtime.sendMessage({ type: 'RSVP', eventId, response });
+        if (result?.success) {
+          this.events = this.events.map(e => (e.id === eventId ? result.event : e));
+        } else {
+          failed.push(result?.error || 'Unknown error');
+        }
+      } catch (error) {
+        logger.error('Error responding to invitation', error);
+        failed.push(error.message);
+      }
+    }
+
+    this.renderEvents();
+    if (failed.length > 0) {
+      alert(`Couldn't answer ${failed.length} of ${ids.length} invitations: ${failed[0]}`);
+    }
+  }
+
+  /**
+   * Format a day header for the events list ("Tomorrow", "Wed, Oct 21")
+   */
+  formatDayHeader(dateStr) {
+    const date = new Date(dateStr);
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Render a single event item
+   */
+  renderEventItem(event) {
+    const startTime = new Date(event.startTime);
+    const now = new Date();
+    const diff = startTime - now;
+
+    // Format time
+    const timeStr = startTime.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+
+    // Format countdown
+    let countdownStr = '';
+    if (diff > 0) {
+      const hours = Math.floor(diff / (1000 * 60 * 60));
+      const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
 
       if (hours > 0) {
         countdownStr = `in ${hours}h ${minutes}m`;
@@ -1239,6 +2071,14 @@ class PopupUI {
     const conflictWarning = event.hasConflict
       ? `<span class="conflict-warning" title="Overlaps with ${event.conflictCount} other meeting${event.conflictCount > 1 ? 's' : ''}">!</span>`
       : '';
+    const travel = event.travelWarning;
+    const travelTitle = travel
+      ? `Only ${travel.gapMinutes} min after “${travel.previousTitle || 'Untitled'}”, ` +
+        `travel takes ${travel.bufferMinutes}`
+      : '';
+    const travelWarning = travel
+      ? `<span class="travel-warning" title="${this.escapeHtml(travelTitle)}">🚶</span>`
+      : '';
 
     // Check user's response status
     const userAttendee = event.attendees?.find(a => a.self);
@@ -1253,32 +2093,68 @@ class PopupUI {
 
     const declineButtonHtml =
       !isDeclined && (event.source?.includes('google') || event.source?.includes('outlook'))
-        ? `<button class="event-decline-btn" data-event-id="${event.id}" data-source="${event.source}" title="Decline meeting"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M12 4L4 12M4 4l8 8"/></svg></button>`
+        ? `<button class="event-decline-btn" data-event-id="${event.id}" data-source="${event.source}" data-account="${this.escapeHtml(event.account || '')}" title="Decline meeting"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M12 4L4 12M4 4l8 8"/></svg></button>`
+        : '';
+
+    // Reminder lead times / mute for this meeting
+    const override = ReminderOverrides.forEvent(event, this.reminderOverrides);
+    const reminderButtonHtml = !isDeclined
+      ? `<button class="event-rule-btn ${override ? 'active' : ''}" data-panel="event-reminder-panel" title="Reminders for this meeting"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M4 11V7a4 4 0 0 1 8 0v4l1 1H3zM6.5 14h3"/></svg></button>`
+      : '';
+    const reminderPanelHtml = reminderButtonHtml ? this.renderReminderPanel(event, override) : '';
+
+    // Recurring meetings get a per-series reminder rule
+    const seriesRule = SeriesRules.forEvent(event, this.seriesRules);
+    const seriesButtonHtml =
+      event.seriesId && !isDeclined
+        ? `<button class="event-rule-btn ${seriesRule ? 'active' : ''}" data-panel="event-series-panel" title="Reminders for this series"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M3 8a5 5 0 0 1 8.5-3.5L13 6M13 3v3h-3M13 8a5 5 0 0 1-8.5 3.5L3 10M3 13v-3h3"/></svg></button>`
+        : '';
+    const seriesPanelHtml = seriesButtonHtml ? this.renderSeriesPanel(event, seriesRule) : '';
+
+    // Accept, maybe or propose a new time for invitations
+    const rsvpButtonHtml =
+      !isDeclined && CalendarAPI.canRespond(event)
+        ? `<button class="event-rule-btn ${userStatus === 'accepted' || userStatus === 'tentative' ? 'active' : ''}" data-panel="event-rsvp-panel" title="Respond to invitation"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M3 8.5l3 3 7-7"/></svg></button>`
         : '';
+    const rsvpPanelHtml = rsvpButtonHtml ? this.renderRsvpPanel(event, userStatus) : '';
+
+    // Move or edit meetings we organize; invitees can only propose a new time
+    const editable = !isDeclined && (CalendarAPI.canEdit(event) || CalendarAPI.canRespond(event));
+    const editButtonHtml = editable
+      ? `<button class="event-rule-btn" data-panel="event-edit-panel" title="Edit or move meeting"><svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M10.5 3.5l2 2L6 12H4v-2zM9 5l2 2"/></svg></button>`
+      : '';
 
     const actionsHtml =
-      meetingLinkHtml || declineButtonHtml
-        ? `<div class="event-actions">${meetingLinkHtml}${declineButtonHtml}</div>`
+      meetingLinkHtml || declineButtonHtml || reminderButtonHtml
+        ? `<div class="event-actions">${meetingLinkHtml}${rsvpButtonHtml}${editButtonHtml}${reminderButtonHtml}${seriesButtonHtml}${declineButtonHtml}</div>`
         : '';
 
     // Attendees preview
     const attendeesHtml = this.renderAttendees(event);
 
     // Description/location preview
-    const detailsHtml = this.renderEventDetails(event);
+    const detailsHtml = this.renderEventDetails(event, { editable });
 
     // Source badge
     const sourceType = event.source?.includes('google')
       ? 'google'
       : event.source?.includes('outlook')
         ? 'outlook'
-        : null;
+        : event.source === 'ics'
+          ? 'ics'
+          : null;
     const sourceBadge = sourceType
       ? `<span class="event-source-badge ${sourceType}">${sourceType}</span>`
       : '';
 
     // Declined badge
     const declinedBadge = isDeclined ? `<span class="event-declined-badge">Declined</span>` : '';
+    const mutedBadge =
+      override?.muted || seriesRule?.muted ? `<span class="event-muted-badge">Muted</span>` : '';
+    const snooze = this.snoozes[event.id];
+    const snoozedBadge = SnoozeTargets.isActive(snooze)
+      ? `<span class="event-muted-badge" title="Reminder snoozed ${SnoozeTargets.describe(snooze)}">Snoozed</span>`
+      : '';
 
     return `
       <div class="event-item ${event.hasConflict ? 'has-conflict' : ''} ${isDeclined ? 'declined' : ''}" data-event-id="${event.id}">
@@ -1286,19 +2162,228 @@ class PopupUI {
         <div class="event-details">
           <div class="event-title">
             ${conflictWarning}
+            ${travelWarning}
             <span class="event-title-text">${this.escapeHtml(event.title || 'Untitled Meeting')}</span>
             ${sourceBadge}
             ${declinedBadge}
+            ${mutedBadge}
+            ${snoozedBadge}
           </div>
           <div class="event-countdown">${countdownStr}</div>
           ${attendeesHtml}
           ${detailsHtml}
+          ${rsvpPanelHtml}
+          ${reminderPanelHtml}
+          ${seriesPanelHtml}
         </div>
         ${actionsHtml}
       </div>
     `;
   }
 
+  /**
+   * Render the RSVP form of an invitation
+   */
+  renderRsvpPanel(event, userStatus) {
+    // Pre-fill the proposal with the same slot half an hour later
+    const start = new Date(new Date(event.startTime).getTime() + 30 * 60 * 1000);
+    const local = new Date(start.getTime() - start.getTimezoneOffset() * 60 * 1000);
+    return `
+      <div class="event-rule-panel event-rsvp-panel hidden" data-event-id="${this.escapeHtml(event.id)}">
+        <div class="event-rule-row">
+          <button class="event-rsvp-btn ${userStatus === 'accepted' ? 'active' : ''}" data-response="accepted">Accept</button>
+          <button class="event-rsvp-btn ${userStatus === 'tentative' ? 'active' : ''}" data-response="tentative">Maybe</button>
+        </div>
+        <label class="event-rule-row">
+          Note
+          <input type="text" class="event-rsvp-comment" placeholder="optional" />
+        </label>
+        <label class="event-rule-row">
+          New time
+          <input type="datetime-local" class="event-rsvp-start" value="${local.toISOString().slice(0, 16)}" />
+        </label>
+        <button class="event-rule-save">Propose new time</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Send an RSVP from a meeting's panel and show the new status right away
+   * @param {HTMLElement} panel - The meeting's RSVP panel
+   * @param {string} response - 'accepted' | 'tentative'
+   * @param {Object} proposedTime - { start, end } to suggest instead
+   */
+  async sendRsvp(panel, response, proposedTime = null) {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'RSVP',
+        eventId: panel.dataset.eventId,
+        response,
+        comment: panel.querySelector('.event-rsvp-comment').value.trim(),
+        proposedTime,
+      });
+
+      if (result?.success) {
+        this.events = this.events.map(e => (e.id === result.event.id ? result.event : e));
+        this.renderEvents();
+      } else if (this.isCancelledMeetingError(result?.error)) {
+        await this.removeEventLocally(panel.dataset.eventId);
+      } else {
+        alert('Failed to respond to meeting: ' + (result?.error || 'Unknown error'));
+      }
+    } catch (error) {
+      logger.error('Error responding to meeting', error);
+      alert('Error responding to meeting: ' + error.message);
+    }
+  }
+
+  /**
+   * Answer "maybe" with the time picked in the RSVP panel, keeping the
+   * meeting's length
+   */
+  async proposeNewTime(panel) {
+    const value = panel.querySelector('.event-rsvp-start').value;
+    const event = this.events.find(e => e.id === panel.dataset.eventId);
+    if (!value || !event) return;
+
+    const start = new Date(value);
+    const duration = event.endTime
+      ? new Date(event.endTime) - new Date(event.startTime)
+      : 30 * 60 * 1000;
+    await this.sendRsvp(panel, 'tentative', {
+      start: start.toISOString(),
+      end: new Date(start.getTime() + duration).toISOString(),
+    });
+  }
+
+  /**
+   * Render the reminder override form of a single meeting
+   */
+  renderReminderPanel(event, override) {
+    const snooze = this.snoozes[event.id];
+    const snoozeOptions = SnoozeTargets.optionsFor(event, {
+      activeMeeting: this.activeMeeting,
+      online: navigator.onLine,
+    });
+    const snoozeButtons = snoozeOptions
+      .map(
+        ({ target, label, when }) =>
+          `<button class="event-snooze-btn" data-target="${target}" title="${when ? `Remind at ${SnoozeTargets.formatTime(when)}` : 'Remind once the connection is back'}">${label}</button>`
+      )
+      .join('');
+    const snoozeStatus = SnoozeTargets.isActive(snooze)
+      ? `<div class="event-rule-row event-snooze-status">Snoozed ${SnoozeTargets.describe(snooze)}</div>`
+      : '';
+    const snoozeRowHtml = snoozeButtons
+      ? `<div class="event-rule-row">Snooze ${snoozeButtons}</div>`
+      : '';
+
+    return `
+      <div class="event-rule-panel event-reminder-panel hidden" data-event-id="${this.escapeHtml(event.id)}">
+        <label class="event-rule-row">
+          <input type="checkbox" class="event-reminder-muted" ${override?.muted ? 'checked' : ''} />
+          Mute this meeting
+        </label>
+        <label class="event-rule-row">
+          Remind
+          <input type="text" class="event-reminder-offsets" placeholder="e.g. 10, 1" value="${override?.offsets?.join(', ') || ''}" />
+          min before
+        </label>
+        <button class="event-rule-save">Save for this meeting</button>
+        ${snoozeStatus}
+        ${snoozeRowHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Snooze a meeting's reminder from its reminder panel
+   * @param {HTMLElement} panel - The meeting's reminder panel
+   * @param {string} target - 'beforeStart' | 'start' | 'meetingEnd' | 'online'
+   */
+  async snoozeEvent(panel, target) {
+    const event = this.events.find(e => e.id === panel.dataset.eventId);
+    if (!event) return;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'SNOOZE', event, target });
+      if (!result?.success) {
+        alert('Could not snooze: ' + (result?.error || 'Unknown error'));
+        return;
+      }
+      await this.loadEvents();
+    } catch (error) {
+      logger.error('Error snoozing meeting', error);
+      alert('Error snoozing meeting: ' + error.message);
+    }
+  }
+
+  /**
+   * Save the override from a meeting's reminder panel; the service worker
+   * reschedules its alarms with it
+   */
+  async saveReminderOverride(panel) {
+    const offsets = ReminderOverrides.parseOffsets(
+      panel.querySelector('.event-reminder-offsets').value
+    );
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_REMINDER_OVERRIDE',
+        eventId: panel.dataset.eventId,
+        override: { muted: panel.querySelector('.event-reminder-muted').checked, offsets },
+      });
+      await this.loadEvents();
+    } catch (error) {
+      logger.error('Error saving reminder override', error);
+      alert('Error saving reminder settings. Please try again.');
+    }
+  }
+
+  /**
+   * Render the per-series reminder form of a recurring meeting
+   */
+  renderSeriesPanel(event, rule) {
+    return `
+      <div class="event-rule-panel event-series-panel hidden" data-series-id="${this.escapeHtml(event.seriesId)}" data-title="${this.escapeHtml(event.title || '')}">
+        <label class="event-rule-row">
+          <input type="checkbox" class="event-series-muted" ${rule?.muted ? 'checked' : ''} />
+          Mute reminders for this series
+        </label>
+        <label class="event-rule-row">
+          Remind
+          <input type="number" class="event-series-minutes" min="0" max="60" placeholder="default" value="${rule?.reminderMinutes ?? ''}" />
+          min before
+        </label>
+        <button class="event-rule-save">Save for series</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Save the rule from a series panel; the service worker reschedules the
+   * series' alarms with it
+   */
+  async saveSeriesRule(panel) {
+    if (!panel) return;
+
+    const minutes = panel.querySelector('.event-series-minutes').value;
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_SERIES_RULE',
+        seriesId: panel.dataset.seriesId,
+        rule: {
+          title: panel.dataset.title,
+          muted: panel.querySelector('.event-series-muted').checked,
+          reminderMinutes: minutes === '' ? null : Number(minutes),
+        },
+      });
+      await this.loadEvents();
+    } catch (error) {
+      logger.error('Error saving series rule', error);
+      alert('Error saving reminder settings. Please try again.');
+    }
+  }
+
   /**
    * Render attendees list
    */
@@ -1332,9 +2417,13 @@ class PopupUI {
   }
 
   /**
-   * Render event details (description, location)
+   * Render event details (description, location) and, for meetings that
+   * can be changed, the edit panel
+   * @param {Object} event - Event
+   * @param {Object} options - { editable }
    */
-  renderEventDetails(event) {
+  renderEventDetails(event, { editable = false } = {}) {
+    const editPanelHtml = editable ? this.renderEditPanel(event) : '';
     const parts = [];
 
     if (event.location) {
@@ -1349,9 +2438,125 @@ class PopupUI {
       parts.push(`<span class="meta-description">${this.escapeHtml(shortDesc)}</span>`);
     }
 
-    if (parts.length === 0) return '';
+    if (parts.length === 0) return editPanelHtml;
+
+    return `<div class="event-meta">${parts.join('<span class="meta-separator">·</span>')}</div>${editPanelHtml}`;
+  }
+
+  /**
+   * Render the edit form of a meeting. Invitees only get the time fields,
+   * since a change from them goes out as a proposed new time.
+   */
+  renderEditPanel(event) {
+    const organizer = CalendarAPI.canEdit(event);
+    const attr = text => this.escapeHtml(text || '').replace(/"/g, '&quot;');
+    const start = new Date(event.startTime);
+    const local = new Date(start.getTime() - start.getTimezoneOffset() * 60 * 1000);
+    const duration = event.endTime ? Math.round((new Date(event.endTime) - start) / 60000) : 30;
+    const moves = [-30, -15, 15, 30]
+      .map(
+        minutes =>
+          `<button class="event-move-btn" data-minutes="${minutes}">${minutes > 0 ? '+' : '−'}${Math.abs(minutes)}m</button>`
+      )
+      .join('');
+    const textFields = organizer
+      ? `
+        <label class="event-rule-row">
+          Title
+          <input type="text" class="event-edit-title" value="${attr(event.title)}" />
+        </label>
+        <label class="event-rule-row">
+          Location
+          <input type="text" class="event-edit-location" value="${attr(event.location)}" />
+        </label>`
+      : `<div class="event-rule-row event-edit-note">You're not the organizer, so a new time is proposed instead</div>`;
+
+    return `
+      <div class="event-rule-panel event-edit-panel hidden" data-event-id="${this.escapeHtml(event.id)}">
+        <div class="event-rule-row">Move ${moves}</div>
+        ${textFields}
+        <label class="event-rule-row">
+          Start
+          <input type="datetime-local" class="event-edit-start" value="${local.toISOString().slice(0, 16)}" />
+        </label>
+        <label class="event-rule-row">
+          Length
+          <input type="number" class="event-edit-duration" min="5" step="5" value="${duration}" />
+          min
+        </label>
+        <button class="event-rule-save">${organizer ? 'Save changes' : 'Propose new time'}</button>
+      </div>
+    `;
+  }
 
-    return `<div class="event-meta">${parts.join('<span class="meta-separator">·</span>')}</div>`;
+  /**
+   * Save the edit panel of a meeting
+   */
+  async saveEventEdit(panel) {
+    const event = this.events.find(e => e.id === panel.dataset.eventId);
+    const value = panel.querySelector('.event-edit-start').value;
+    const duration = parseInt(panel.querySelector('.event-edit-duration').value, 10);
+    if (!event || !value || !(duration > 0)) return;
+
+    const start = new Date(value);
+    const changes = {
+      startTime: start.toISOString(),
+      endTime: new Date(start.getTime() + duration * 60 * 1000).toISOString(),
+    };
+    const title = panel.querySelector('.event-edit-title');
+    if (title && title.value.trim() !== (event.title || '')) {
+      changes.title = title.value.trim();
+    }
+    const location = panel.querySelector('.event-edit-location');
+    if (location && location.value.trim() !== (event.location || '')) {
+      changes.location = location.value.trim();
+    }
+    await this.updateEvent(event, changes);
+  }
+
+  /**
+   * Shift a meeting earlier or later, keeping its length
+   * @param {HTMLElement} panel - The meeting's edit panel
+   * @param {number} minutes - Negative moves it earlier
+   */
+  async moveEvent(panel, minutes) {
+    const event = this.events.find(e => e.id === panel.dataset.eventId);
+    if (!event || !minutes) return;
+
+    const shift = ms => new Date(new Date(ms).getTime() + minutes * 60 * 1000).toISOString();
+    await this.updateEvent(event, {
+      startTime: shift(event.startTime),
+      endTime: shift(event.endTime || new Date(event.startTime).getTime() + 30 * 60 * 1000),
+    });
+  }
+
+  /**
+   * Send changes to the background, which updates the calendar (or proposes
+   * the new time to the organizer) and reschedules the reminders
+   * @param {Object} event - Event being changed
+   * @param {Object} changes - Any of { title, location, startTime, endTime }
+   */
+  async updateEvent(event, changes) {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'UPDATE_EVENT',
+        eventId: event.id,
+        changes,
+      });
+
+      if (result?.success) {
+        this.events = this.events.map(e => (e.id === result.event.id ? result.event : e));
+        // A proposal leaves the meeting where it is, marked as "maybe"
+        this.renderEvents();
+      } else if (this.isCancelledMeetingError(result?.error)) {
+        await this.removeEventLocally(event.id);
+      } else {
+        alert('Failed to update meeting: ' + (result?.error || 'Unknown error'));
+      }
+    } catch (error) {
+      logger.error('Error updating meeting', error);
+      alert('Error updating meeting: ' + error.message);
+    }
   }
 
   /**
@@ -1368,6 +2573,102 @@ class PopupUI {
    */
   populateSettings() {
     this.settingsView.render(this.settings);
+    this.loadSoundLibrary();
+    VoiceReminder.loadVoices()
+      .then(voices => this.settingsView.renderVoices(voices))
+      .catch(error => logger.warn('Could not load voices', error?.message));
+  }
+
+  /**
+   * Fill the tone lists and the list of uploaded sounds
+   */
+  async loadSoundLibrary() {
+    try {
+      const tones = await SoundLibrary.getTones();
+      this.settingsView.renderTones(tones);
+
+      const list = document.getElementById('customSoundList');
+      if (!list) return;
+      list.innerHTML = tones
+        .filter(tone => tone.custom)
+        .map(
+          tone => `
+            <div class="custom-sound-item">
+              <span class="custom-sound-name">${this.escapeHtml(tone.name)}</span>
+              <button type="button" class="custom-sound-remove" data-tone="${this.escapeHtml(tone.id)}">Remove</button>
+            </div>
+          `
+        )
+        .join('');
+      list.querySelectorAll('.custom-sound-remove').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          await SoundLibrary.removeCustomSound(btn.dataset.tone);
+          await this.loadSoundLibrary();
+        });
+      });
+    } catch (error) {
+      logger.warn('Could not load sounds', error?.message);
+    }
+  }
+
+  /**
+   * Play a tone at the volume currently on the slider
+   * @param {string} tone - Tone ID; empty means the selected alert tone
+   */
+  async previewTone(tone) {
+    try {
+      const volume = parseInt(document.getElementById('soundVolume').value, 10);
+      const sound = await SoundLibrary.resolve(tone || document.getElementById('alertTone').value);
+      await SoundLibrary.play(sound, Number.isFinite(volume) ? volume / 100 : 0.7);
+    } catch (error) {
+      logger.warn('Could not play tone', error?.message);
+    }
+  }
+
+  /**
+   * Speak a sample reminder with the voice settings currently in the form
+   */
+  async previewVoice() {
+    try {
+      const { settings } = this.settingsView.collect(this.settings);
+      const sample = {
+        title: 'Weekly sync',
+        startTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+        organizer: { name: 'Alex' },
+        meetingLink: 'https://meet.google.com/abc-defg-hij',
+      };
+      await VoiceReminder.speak(
+        VoiceReminder.render(settings.voiceTemplate, sample),
+        VoiceReminder.optionsFor(sample, settings)
+      );
+    } catch (error) {
+      logger.warn('Could not speak sample', error?.message);
+    }
+  }
+
+  /**
+   * Add an audio file to the sound library
+   * @param {File} file - Picked file
+   */
+  async uploadCustomSound(file) {
+    if (!file) return;
+
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    }).catch(error => {
+      logger.warn('Could not read sound file', error?.message);
+      return null;
+    });
+
+    const result = await SoundLibrary.addCustomSound(file.name, dataUrl);
+    if (!result.success) {
+      alert('Could not add sound: ' + result.error);
+      return;
+    }
+    await this.loadSoundLibrary();
   }
 
   /**
@@ -1380,7 +2681,26 @@ class PopupUI {
     const result = await this.settingsView.save(this.settings);
 
     if (result.ok) {
+      const horizonChanged = result.settings.syncDaysAhead !== this.settings?.syncDaysAhead;
+      const remindersChanged = [
+        'reminderMinutes',
+        'smartReminderOffset',
+        'useCalendarReminders',
+        'travelBufferMinutes',
+        'zeroTravelLocations',
+        'vipOrganizers',
+        'stagedReminders',
+        'reminderStages',
+      ].some(key => JSON.stringify(result.settings[key]) !== JSON.stringify(this.settings?.[key]));
       this.settings = result.settings;
+      if (horizonChanged) {
+        // Re-sync right away so the list reflects the new horizon
+        chrome.runtime.sendMessage({ type: 'TRIGGER_DOM_SYNC' }).catch(() => {});
+      }
+      if (remindersChanged) {
+        // Alarms already scheduled still carry the old lead times
+        chrome.runtime.sendMessage({ type: 'RESCHEDULE_REMINDERS' }).catch(() => {});
+      }
       saveBtn.textContent = 'Saved';
       saveBtn.style.background = '#28a745';
       setTimeout(() => {
@@ -1410,6 +2730,7 @@ class PopupUI {
   showSettings() {
     document.getElementById('mainView').classList.add('hidden');
     document.getElementById('settingsView').classList.remove('hidden');
+    this.updateImportedStatus();
   }
 
   /**
@@ -1764,6 +3085,30 @@ class PopupUI {
       .getElementById('cancelCreateBtn')
       .addEventListener('click', () => this.hideQuickCreateForm());
     document.getElementById('createEventBtn').addEventListener('click', () => this.createEvent());
+    document
+      .getElementById('eventCalendar')
+      .addEventListener('change', () => this.updateMeetLinkLabel());
+    document.getElementById('eventRecurrence').addEventListener('change', e => {
+      document.getElementById('eventRRule').classList.toggle('hidden', e.target.value !== 'custom');
+    });
+    const quickAdd = document.getElementById('quickAddText');
+    quickAdd.addEventListener('input', () => this.previewQuickAdd());
+    quickAdd.addEventListener('keydown', e => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      const draft = this.previewQuickAdd();
+      if (draft) this.applyQuickAdd(draft);
+    });
+    document.getElementById('quickAddApplyBtn').addEventListener('click', () => {
+      const draft = this.previewQuickAdd();
+      if (draft) this.applyQuickAdd(draft);
+    });
+    document.getElementById('quickAddAiBtn').addEventListener('click', () => this.askAiQuickAdd());
+    document.getElementById('findSlotsBtn').addEventListener('click', () => this.findSlots());
+    document.getElementById('slotList').addEventListener('click', e => {
+      const slot = e.target.closest('.slot-option');
+      if (slot) this.bookSlot(slot.dataset.start, slot.dataset.end);
+    });
 
     // Set default date to today
     const today = new Date().toISOString().split('T')[0];
@@ -1782,36 +3127,128 @@ class PopupUI {
    * Show quick create form
    */
   async showQuickCreateForm() {
-    // Update calendar options based on connections
-    const status = await CalendarAPI.getConnectionStatus();
+    // One option per enabled, writable calendar of each account.
+    // Calendar subscriptions are read-only.
+    const accounts = (await CalendarAPI.getConnectedAccounts()).filter(a => a.provider !== 'ics');
     const select = document.getElementById('eventCalendar');
 
     // Reset options
     select.innerHTML = '<option value="">Select calendar...</option>';
 
-    if (status.google) {
-      select.innerHTML += '<option value="google">Google Calendar</option>';
-    }
-    if (status.outlook) {
-      select.innerHTML += '<option value="outlook">Outlook Calendar</option>';
-    }
-
-    if (!status.google && !status.outlook) {
+    if (accounts.length === 0) {
       alert('Please connect a calendar first in Settings to create events.');
       return;
     }
 
+    for (const account of accounts) {
+      const name = account.provider === 'google' ? 'Google' : 'Outlook';
+      const suffix = accounts.length > 1 && account.email ? ` (${account.email})` : '';
+      for (const calendar of await this.getWritableCalendars(account)) {
+        select.innerHTML += `<option value="${this.escapeHtml(account.key)}" data-calendar-id="${this.escapeHtml(calendar.id)}">${this.escapeHtml(`${name}: ${calendar.name}${suffix}`)}</option>`;
+      }
+    }
+
     // Auto-select if only one option
-    if (status.google && !status.outlook) {
-      select.value = 'google';
-    } else if (!status.google && status.outlook) {
-      select.value = 'outlook';
+    if (select.options.length === 2) {
+      select.selectedIndex = 1;
     }
+    this.updateMeetLinkLabel();
+    await this.renderAttendeeSuggestions();
+    document
+      .getElementById('quickAddAiBtn')
+      .classList.toggle('hidden', !(await AIInsights.isConfigured()));
 
     document.getElementById('quickCreateBtn').classList.add('hidden');
     document.getElementById('quickCreateForm').classList.remove('hidden');
   }
 
+  /**
+   * Calendars of an account that events can be created in: the enabled
+   * ones, named from the cached calendar list where we have it
+   * @param {Object} account - Connected account
+   * @returns {Promise<Array<{id: string, name: string}>>}
+   */
+  async getWritableCalendars(account) {
+    const defaultId = CalendarAPI.DEFAULT_CALENDAR_IDS[account.provider];
+    const cacheKey = `${account.provider}CalendarsCache`;
+    const cached = (await chrome.storage.local.get(cacheKey))[cacheKey]?.[account.key]?.calendars;
+    const known = new Map((cached || []).map(c => [c.primary ? defaultId : c.id, c]));
+
+    return (await CalendarAPI.getEnabledCalendars(account.key))
+      .filter(id => !known.has(id) || ['owner', 'writer'].includes(known.get(id).accessRole))
+      .map(id => ({
+        id,
+        name: known.get(id)?.summary || (id === defaultId ? 'Default calendar' : id),
+      }));
+  }
+
+  /**
+   * Account and calendar picked in the quick-create form
+   * @returns {{account: string, calendarId: string|undefined}}
+   */
+  getFormCalendar() {
+    const select = document.getElementById('eventCalendar');
+    return { account: select.value, calendarId: select.selectedOptions[0]?.dataset.calendarId };
+  }
+
+  /**
+   * Name the video option after what the picked provider will add
+   */
+  updateMeetLinkLabel() {
+    const provider = CalendarAPI.providerOf(document.getElementById('eventCalendar').value || '');
+    document.getElementById('addMeetLinkLabel').textContent =
+      provider === 'google'
+        ? 'Add Google Meet link'
+        : provider === 'outlook'
+          ? 'Add Teams meeting'
+          : 'Add video meeting link';
+  }
+
+  /**
+   * Offer the people from stored meetings as attendee suggestions, the ones
+   * met most often first (also kept in this.contacts)
+   */
+  async renderAttendeeSuggestions() {
+    const events = await StorageManager.getEvents();
+    const selfEmails = new Set(events.map(e => (e.accountEmail || '').toLowerCase()));
+    const people = new Map();
+
+    for (const event of events) {
+      for (const person of [...(event.attendees || []), event.organizer]) {
+        const email = (person?.email || '').toLowerCase();
+        if (!email.includes('@') || person.self || selfEmails.has(email)) continue;
+
+        const entry = people.get(email) || { email, name: '', count: 0 };
+        entry.name = entry.name || person.name || '';
+        entry.count++;
+        people.set(email, entry);
+      }
+    }
+
+    // Kept for resolving "with <name>" in quick add
+    this.contacts = [...people.values()]
+      .sort((a, b) => b.count - a.count || a.email.localeCompare(b.email))
+      .slice(0, 200);
+    document.getElementById('attendeeSuggestions').innerHTML = this.contacts
+      .map(p => `<option value="${this.escapeHtml(p.email)}">${this.escapeHtml(p.name)}</option>`)
+      .join('');
+  }
+
+  /**
+   * RRULE value picked in the quick-create form
+   * @returns {string|null} '' for a single event, null for an invalid custom rule
+   */
+  getFormRecurrence() {
+    const preset = document.getElementById('eventRecurrence').value;
+    if (preset !== 'custom') return preset;
+
+    const rule = document
+      .getElementById('eventRRule')
+      .value.trim()
+      .replace(/^RRULE:/i, '');
+    return /(^|;)FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)(;|$)/i.test(rule) ? rule : null;
+  }
+
   /**
    * Hide quick create form
    */
@@ -1820,12 +3257,207 @@ class PopupUI {
     document.getElementById('quickCreateBtn').classList.remove('hidden');
 
     // Reset form
+    document.getElementById('quickAddText').value = '';
+    document.getElementById('quickAddPreview').textContent = '';
     document.getElementById('eventTitle').value = '';
+    document.getElementById('eventAttendees').value = '';
+    document.getElementById('eventRecurrence').value = '';
+    document.getElementById('eventRRule').value = '';
+    document.getElementById('eventRRule').classList.add('hidden');
+    document.getElementById('slotList').innerHTML = '';
     document.getElementById('eventLocation').value = '';
     document.getElementById('eventDescription').value = '';
     document.getElementById('addMeetLink').checked = false;
   }
 
+  /**
+   * Emails typed into the quick-create attendees field
+   * @returns {Array<string>}
+   */
+  getFormAttendees() {
+    return document
+      .getElementById('eventAttendees')
+      .value.split(/[\s,;]+/)
+      .map(email => email.trim())
+      .filter(email => email.includes('@'));
+  }
+
+  /**
+   * Look up free slots for the entered attendees, starting on the form's
+   * date, and list them for one-click booking
+   */
+  async findSlots() {
+    const { account } = this.getFormCalendar();
+    if (!account) {
+      alert('Please select a calendar');
+      return;
+    }
+
+    const date = document.getElementById('eventDate').value;
+    const start = document.getElementById('eventStartTime').value;
+    const end = document.getElementById('eventEndTime').value;
+    const formMinutes =
+      start && end ? (new Date(`2000-01-01T${end}`) - new Date(`2000-01-01T${start}`)) / 60000 : 0;
+
+    const list = document.getElementById('slotList');
+    const findBtn = document.getElementById('findSlotsBtn');
+    findBtn.disabled = true;
+    findBtn.textContent = 'Searching...';
+
+    try {
+      const result = await CalendarAPI.findFreeSlots(account, {
+        attendees: this.getFormAttendees(),
+        from: date ? new Date(`${date}T00:00`) : new Date(),
+        durationMinutes: formMinutes > 0 ? formMinutes : 30,
+        settings: this.settings || (await StorageManager.getSettings()),
+      });
+
+      if (!result.success) {
+        list.innerHTML = `<div class="slot-note">Couldn't check availability: ${this.escapeHtml(result.error || 'unknown error')}</div>`;
+        return;
+      }
+
+      const time = { hour: 'numeric', minute: '2-digit' };
+      const slots = result.slots.map(slot => {
+        const day = this.formatDayHeader(slot.start);
+        const from = new Date(slot.start).toLocaleTimeString('en-US', time);
+        const to = new Date(slot.end).toLocaleTimeString('en-US', time);
+        return `<button type="button" class="slot-option" data-start="${slot.start}" data-end="${slot.end}">${day} · ${from} – ${to}</button>`;
+      });
+      const note = result.unavailable.length
+        ? `<div class="slot-note">No calendar access for ${this.escapeHtml(result.unavailable.join(', '))}</div>`
+        : '';
+      list.innerHTML =
+        (slots.length
+          ? slots.join('')
+          : '<div class="slot-note">No free slot in the next few working days</div>') + note;
+    } finally {
+      findBtn.disabled = false;
+      findBtn.textContent = 'Find a time';
+    }
+  }
+
+  /**
+   * Set the quick-create date and time fields (local time)
+   * @param {Date} start - Start
+   * @param {Date} end - End
+   */
+  setFormTimes(start, end) {
+    const pad = n => String(n).padStart(2, '0');
+    document.getElementById('eventDate').value =
+      `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    document.getElementById('eventStartTime').value =
+      `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+    document.getElementById('eventEndTime').value =
+      `${pad(end.getHours())}:${pad(end.getMinutes())}`;
+  }
+
+  /**
+   * Parse the quick-add phrase and preview what it will fill in
+   * @returns {Object|null} Draft from QuickAddParser, or null when empty
+   */
+  previewQuickAdd() {
+    const text = document.getElementById('quickAddText').value.trim();
+    const preview = document.getElementById('quickAddPreview');
+    if (!text) {
+      preview.textContent = '';
+      return null;
+    }
+
+    const draft = QuickAddParser.parse(text, { contacts: this.contacts });
+    const time = { hour: 'numeric', minute: '2-digit' };
+    const parts = [
+      `${this.formatDayHeader(draft.start)} · ${draft.start.toLocaleTimeString('en-US', time)} – ${draft.end.toLocaleTimeString('en-US', time)}`,
+    ];
+    if (draft.attendees.length) parts.push(`with ${draft.attendees.join(', ')}`);
+    if (draft.conferencing) {
+      parts.push({ zoom: 'Zoom', meet: 'Google Meet', teams: 'Teams' }[draft.conferencing]);
+    }
+    if (draft.unresolved.length) parts.push(`no email for ${draft.unresolved.join(', ')}`);
+    if (!draft.matched.date && !draft.matched.time) parts.push('no time found');
+    preview.textContent = `${draft.title || 'Untitled'} — ${parts.join(' · ')}`;
+    return draft;
+  }
+
+  /**
+   * Fill the quick-create form from a draft so it can be checked and
+   * corrected before creating
+   * @param {Object} draft - { title, start, end, attendees, conferencing }
+   */
+  applyQuickAdd(draft) {
+    if (draft.title) document.getElementById('eventTitle').value = draft.title;
+    this.setFormTimes(draft.start, draft.end);
+
+    const attendees = document.getElementById('eventAttendees');
+    attendees.value = [...new Set([...this.getFormAttendees(), ...draft.attendees])].join(', ');
+
+    if (draft.conferencing === 'zoom') {
+      const location = document.getElementById('eventLocation');
+      if (!location.value.trim()) location.value = 'Zoom';
+    } else if (draft.conferencing) {
+      // Meet links come with Google calendars, Teams meetings with Outlook
+      const provider = draft.conferencing === 'meet' ? 'google' : 'outlook';
+      const select = document.getElementById('eventCalendar');
+      if (CalendarAPI.providerOf(select.value || '') !== provider) {
+        const option = Array.from(select.options).find(
+          o => o.value && CalendarAPI.providerOf(o.value) === provider
+        );
+        if (option) select.value = option.value;
+        this.updateMeetLinkLabel();
+      }
+      document.getElementById('addMeetLink').checked = true;
+    }
+  }
+
+  /**
+   * Hand the quick-add phrase to the configured AI provider
+   */
+  async askAiQuickAdd() {
+    const text = document.getElementById('quickAddText').value.trim();
+    if (!text) return;
+
+    const aiBtn = document.getElementById('quickAddAiBtn');
+    aiBtn.disabled = true;
+    aiBtn.textContent = 'Asking...';
+    try {
+      const result = await AIInsights.parseQuickAdd(text);
+      if (!result.success) {
+        document.getElementById('quickAddPreview').textContent =
+          `AI couldn't parse it: ${result.error}`;
+        return;
+      }
+
+      const { draft } = result;
+      const emails = draft.attendees.filter(a => a.includes('@')).map(a => a.toLowerCase());
+      const names = draft.attendees.filter(a => !a.includes('@'));
+      const resolved = QuickAddParser.resolveNames(names, this.contacts);
+      this.applyQuickAdd({
+        ...draft,
+        end: new Date(draft.start.getTime() + draft.durationMinutes * 60000),
+        attendees: [...emails, ...resolved.emails],
+      });
+      document.getElementById('quickAddPreview').textContent = resolved.unresolved.length
+        ? `Filled in by AI · no email for ${resolved.unresolved.join(', ')}`
+        : 'Filled in by AI';
+    } finally {
+      aiBtn.disabled = false;
+      aiBtn.textContent = 'Ask AI';
+    }
+  }
+
+  /**
+   * Put a suggested slot into the form and create the event right away
+   * @param {string} start - ISO start
+   * @param {string} end - ISO end
+   */
+  async bookSlot(start, end) {
+    this.setFormTimes(new Date(start), new Date(end));
+
+    document.querySelectorAll('.slot-option').forEach(btn => (btn.disabled = true));
+    await this.createEvent();
+    document.querySelectorAll('.slot-option').forEach(btn => (btn.disabled = false));
+  }
+
   /**
    * Create new calendar event
    */
@@ -1834,7 +3466,8 @@ class PopupUI {
     const date = document.getElementById('eventDate').value;
     const startTime = document.getElementById('eventStartTime').value;
     const endTime = document.getElementById('eventEndTime').value;
-    const calendar = document.getElementById('eventCalendar').value;
+    const { account: calendar, calendarId } = this.getFormCalendar();
+    const recurrence = this.getFormRecurrence();
     const location = document.getElementById('eventLocation').value.trim();
     const description = document.getElementById('eventDescription').value.trim();
     const addMeetLink = document.getElementById('addMeetLink').checked;
@@ -1852,6 +3485,10 @@ class PopupUI {
       alert('Please select a calendar');
       return;
     }
+    if (recurrence === null) {
+      alert('Please enter a repeat rule like FREQ=WEEKLY;BYDAY=MO');
+      return;
+    }
 
     // Build datetime strings
     const startDateTime = `${date}T${startTime}:00`;
@@ -1875,22 +3512,25 @@ class PopupUI {
         location,
         description,
         addMeetLink,
+        attendees: this.getFormAttendees(),
+        recurrence,
+        account: calendar,
+        calendarId,
       };
 
-      let result;
-      if (calendar === 'google') {
-        result = await CalendarAPI.createGoogleEvent(eventData);
-      } else {
-        result = await CalendarAPI.createOutlookEvent(eventData);
-      }
+      const result = await chrome.runtime.sendMessage({ type: 'CREATE_EVENT', eventData });
 
-      if (result.success) {
-        // Show success
-        createBtn.textContent = 'Created!';
+      if (result?.success) {
+        // Show success; offline, the event waits in the outbox
+        createBtn.textContent = result.queued ? 'Queued (offline)' : 'Created!';
         createBtn.style.background = '#28a745';
 
         // Refresh events list
-        await this.syncCalendarEvents();
+        if (result.queued) {
+          await this.loadEvents();
+        } else {
+          await this.syncCalendarEvents();
+        }
 
         setTimeout(() => {
           this.hideQuickCreateForm();
@@ -1899,7 +3539,7 @@ class PopupUI {
           createBtn.style.background = '';
         }, 1500);
       } else {
-        alert('Failed to create event: ' + result.error);
+        alert('Failed to create event: ' + (result?.error || 'Unknown error'));
         createBtn.disabled = false;
         createBtn.textContent = 'Create Event';
       }
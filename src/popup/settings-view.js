@@ -14,6 +14,7 @@
  */
 
 import { StorageManager } from '../utils/storage.js';
+import { DEFAULT_SETTINGS } from '../utils/constants.js';
 import { logger } from '../utils/logger.js';
 
 export class SettingsView {
@@ -29,14 +30,46 @@ export class SettingsView {
     const s = settings || {};
 
     this.setValue('reminderMinutes', s.reminderMinutes ?? 2);
+    this.setValue('syncDaysAhead', s.syncDaysAhead ?? 6);
     this.setChecked('playSound', s.playSound !== false);
     this.setChecked('voiceReminder', !!s.voiceReminder);
     this.setChecked('showPopup', s.showPopup !== false);
     this.setChecked('autoOpen', !!s.autoOpen);
     this.setChecked('dailySummary', s.dailySummary !== false);
 
+    const buttons = s.notificationButtons ?? DEFAULT_SETTINGS.notificationButtons;
+    document.querySelectorAll('select[data-notification-button]').forEach(select => {
+      select.value = buttons[parseInt(select.dataset.notificationButton, 10)] ?? '';
+    });
+
+    // Sounds group; the tone lists are filled in by renderTones()
+    const volume = s.soundVolume ?? DEFAULT_SETTINGS.soundVolume;
+    this.setValue('soundVolume', volume);
+    this.renderVolumeLabel(volume);
+    this.toneSelects().forEach(select => {
+      const context = select.dataset.toneContext;
+      const tone = context ? s.contextTones?.[context] || '' : s.alertTone;
+      select.dataset.value = tone ?? DEFAULT_SETTINGS.alertTone;
+      select.value = select.dataset.value;
+    });
+
+    // Voice group; the voice and language lists are filled in by renderVoices()
+    for (const id of ['voiceName', 'voiceLang']) {
+      const select = document.getElementById(id);
+      if (select) {
+        select.dataset.value = s[id] ?? DEFAULT_SETTINGS[id];
+        select.value = select.dataset.value;
+      }
+    }
+    this.setChecked('voiceAutoLanguage', s.voiceAutoLanguage ?? DEFAULT_SETTINGS.voiceAutoLanguage);
+    this.setValue('voiceRate', s.voiceRate ?? DEFAULT_SETTINGS.voiceRate);
+    this.setValue('voicePitch', s.voicePitch ?? DEFAULT_SETTINGS.voicePitch);
+    this.renderVoiceLabels();
+    this.setValue('voiceTemplate', s.voiceTemplate ?? DEFAULT_SETTINGS.voiceTemplate);
+
     // Smart behaviour group
     this.setChecked('smartReminderOffset', !!s.smartReminderOffset);
+    this.setChecked('useCalendarReminders', !!s.useCalendarReminders);
     this.setChecked('respectWorkingHours', !!s.respectWorkingHours);
     this.setValue('workStartHour', Number.isFinite(s.workStartHour) ? s.workStartHour : 9);
     this.setValue('workEndHour', Number.isFinite(s.workEndHour) ? s.workEndHour : 18);
@@ -47,10 +80,35 @@ export class SettingsView {
       cb.checked = workDays.includes(day);
     });
 
+    // Travel buffer for in-person meetings
+    this.setValue(
+      'travelBufferMinutes',
+      s.travelBufferMinutes ?? DEFAULT_SETTINGS.travelBufferMinutes
+    );
+    const zeroTravel = Array.isArray(s.zeroTravelLocations) ? s.zeroTravelLocations : [];
+    this.setValue('zeroTravelLocations', zeroTravel.join('\n'));
+
     // VIP organizers — newline-separated for easy editing
     const vipList = Array.isArray(s.vipOrganizers) ? s.vipOrganizers : [];
     this.setValue('vipOrganizers', vipList.join('\n'));
 
+    // Staged reminders — one table row per stage
+    this.setValue('stagedReminders', s.stagedReminders ?? DEFAULT_SETTINGS.stagedReminders);
+    this.renderStages(
+      Array.isArray(s.reminderStages) ? s.reminderStages : DEFAULT_SETTINGS.reminderStages
+    );
+
+    // Escalation once an ignored meeting has started
+    this.setValue('escalation', s.escalation ?? DEFAULT_SETTINGS.escalation);
+    this.setValue(
+      'escalationRepeatMinutes',
+      s.escalationRepeatMinutes ?? DEFAULT_SETTINGS.escalationRepeatMinutes
+    );
+    this.setValue(
+      'escalationMaxRepeats',
+      s.escalationMaxRepeats ?? DEFAULT_SETTINGS.escalationMaxRepeats
+    );
+
     // DND schedule — pretty JSON for hand editing
     const schedule = Array.isArray(s.dndSchedule) ? s.dndSchedule : [];
     this.setValue('dndSchedule', schedule.length ? JSON.stringify(schedule, null, 2) : '');
@@ -68,6 +126,7 @@ export class SettingsView {
     const errors = [];
 
     const reminderMinutes = parseInt(this.getValue('reminderMinutes'), 10);
+    const syncDaysAhead = parseInt(this.getValue('syncDaysAhead'), 10);
     const workStartHour = this.parseHour(this.getValue('workStartHour'), 9);
     const workEndHour = this.parseHour(this.getValue('workEndHour'), 18);
 
@@ -81,6 +140,12 @@ export class SettingsView {
       .map(l => l.trim())
       .filter(Boolean);
 
+    const travelBufferMinutes = parseInt(this.getValue('travelBufferMinutes'), 10);
+    const zeroTravelLocations = this.getValue('zeroTravelLocations')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(Boolean);
+
     // DND schedule: parse JSON, accept array of {days, start, end}
     let dndSchedule = previousSettings.dndSchedule || [];
     const scheduleRaw = this.getValue('dndSchedule').trim();
@@ -99,26 +164,77 @@ export class SettingsView {
       dndSchedule = [];
     }
 
+    const soundVolume = parseInt(this.getValue('soundVolume'), 10);
+    const contextTones = {};
+    document.querySelectorAll('select[data-tone-context]').forEach(select => {
+      if (select.value) contextTones[select.dataset.toneContext] = select.value;
+    });
+
+    const notificationButtons = Array.from(
+      document.querySelectorAll('select[data-notification-button]')
+    )
+      .map(select => select.value)
+      .filter(Boolean);
+
+    const voiceRate = parseFloat(this.getValue('voiceRate'));
+    const voicePitch = parseFloat(this.getValue('voicePitch'));
+
+    const stagedReminders = this.getValue('stagedReminders') || 'off';
+    const reminderStages = this.collectStages();
+    if (stagedReminders !== 'off' && reminderStages.length === 0) {
+      errors.push('Staged reminders: set the minutes of at least one stage.');
+    }
+
+    const escalationRepeatMinutes = parseInt(this.getValue('escalationRepeatMinutes'), 10);
+    const escalationMaxRepeats = parseInt(this.getValue('escalationMaxRepeats'), 10);
+
     const settings = {
       reminderMinutes: Number.isFinite(reminderMinutes) ? reminderMinutes : 2,
+      syncDaysAhead: Number.isFinite(syncDaysAhead) ? syncDaysAhead : 6,
       playSound: this.getChecked('playSound'),
       voiceReminder: this.getChecked('voiceReminder'),
       showPopup: this.getChecked('showPopup'),
       autoOpen: this.getChecked('autoOpen'),
       dailySummary: this.getChecked('dailySummary'),
+      notificationButtons,
+      soundVolume: Number.isFinite(soundVolume)
+        ? soundVolume
+        : (previousSettings.soundVolume ?? DEFAULT_SETTINGS.soundVolume),
+      alertTone:
+        this.getValue('alertTone') || previousSettings.alertTone || DEFAULT_SETTINGS.alertTone,
+      contextTones,
+      voiceName: this.getValue('voiceName'),
+      voiceLang:
+        this.getValue('voiceLang') || previousSettings.voiceLang || DEFAULT_SETTINGS.voiceLang,
+      voiceAutoLanguage: this.getChecked('voiceAutoLanguage'),
+      voiceRate: Number.isFinite(voiceRate) ? voiceRate : DEFAULT_SETTINGS.voiceRate,
+      voicePitch: Number.isFinite(voicePitch) ? voicePitch : DEFAULT_SETTINGS.voicePitch,
+      voiceTemplate: this.getValue('voiceTemplate').trim() || DEFAULT_SETTINGS.voiceTemplate,
 
       smartReminderOffset: this.getChecked('smartReminderOffset'),
+      useCalendarReminders: this.getChecked('useCalendarReminders'),
+      travelBufferMinutes:
+        Number.isFinite(travelBufferMinutes) && travelBufferMinutes > 0 ? travelBufferMinutes : 0,
+      zeroTravelLocations,
       respectWorkingHours: this.getChecked('respectWorkingHours'),
       workStartHour,
       workEndHour,
       workDays: workDays.length ? workDays : [1, 2, 3, 4, 5],
       vipOrganizers,
+      stagedReminders,
+      reminderStages,
+      escalation: this.getValue('escalation') || 'off',
+      escalationRepeatMinutes:
+        escalationRepeatMinutes > 0
+          ? escalationRepeatMinutes
+          : DEFAULT_SETTINGS.escalationRepeatMinutes,
+      escalationMaxRepeats:
+        escalationMaxRepeats > 0 ? escalationMaxRepeats : DEFAULT_SETTINGS.escalationMaxRepeats,
       dndSchedule,
 
       // Preserve transient fields the form doesn't own.
       dndUntil: previousSettings.dndUntil || 0,
       aiInsightsEnabled: !!previousSettings.aiInsightsEnabled,
-      soundVolume: previousSettings.soundVolume ?? 70,
     };
 
     return { settings, errors };
@@ -141,8 +257,107 @@ export class SettingsView {
     }
   }
 
+  /**
+   * Fill the tone lists, keeping what each list has selected. Per-context
+   * lists start with "Alert tone" (use the default).
+   * @param {Array<{id: string, name: string, custom: boolean}>} tones
+   */
+  renderTones(tones) {
+    const options = tones
+      .map(t => `<option value="${t.id}">${this.escapeText(t.name)}</option>`)
+      .join('');
+    this.toneSelects().forEach(select => {
+      const selected = select.options.length ? select.value : select.dataset.value;
+      select.innerHTML = select.dataset.toneContext
+        ? `<option value="">Alert tone</option>${options}`
+        : options;
+      select.value = selected || '';
+      if (!select.dataset.toneContext && !select.value) select.value = DEFAULT_SETTINGS.alertTone;
+    });
+  }
+
+  renderVolumeLabel(volume) {
+    const label = document.getElementById('soundVolumeValue');
+    if (label) label.textContent = `${volume}%`;
+  }
+
+  /**
+   * Fill the voice and language lists from the browser's voices, keeping
+   * what each list has selected
+   * @param {Array<SpeechSynthesisVoice>} voices
+   */
+  renderVoices(voices) {
+    const voiceSelect = document.getElementById('voiceName');
+    if (voiceSelect) {
+      const selected = voiceSelect.options.length ? voiceSelect.value : voiceSelect.dataset.value;
+      voiceSelect.innerHTML =
+        '<option value="">Default for the language</option>' +
+        voices
+          .map(
+            v =>
+              `<option value="${this.escapeText(v.name)}">${this.escapeText(v.name)} (${this.escapeText(v.lang)})</option>`
+          )
+          .join('');
+      voiceSelect.value = selected || '';
+    }
+
+    const langSelect = document.getElementById('voiceLang');
+    if (langSelect) {
+      const selected =
+        (langSelect.options.length ? langSelect.value : langSelect.dataset.value) ||
+        DEFAULT_SETTINGS.voiceLang;
+      const langs = [...new Set([selected, ...voices.map(v => v.lang)])].sort();
+      langSelect.innerHTML = langs
+        .map(lang => `<option value="${this.escapeText(lang)}">${this.escapeText(lang)}</option>`)
+        .join('');
+      langSelect.value = selected;
+    }
+  }
+
+  renderVoiceLabels() {
+    for (const id of ['voiceRate', 'voicePitch']) {
+      const label = document.getElementById(`${id}Value`);
+      if (label) label.textContent = `${Number(this.getValue(id)).toFixed(1)}×`;
+    }
+  }
+
   // ==================== helpers ====================
 
+  toneSelects() {
+    return document.querySelectorAll('#alertTone, select[data-tone-context]');
+  }
+  escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  renderStages(stages) {
+    document.querySelectorAll('#reminderStagesTable tr[data-stage]').forEach(row => {
+      const stage = stages[parseInt(row.dataset.stage, 10)] || {};
+      row.querySelectorAll('input[data-field]').forEach(input => {
+        if (input.type === 'checkbox') {
+          input.checked = !!stage[input.dataset.field];
+        } else {
+          input.value = stage.minutes ?? '';
+        }
+      });
+    });
+  }
+  collectStages() {
+    return Array.from(document.querySelectorAll('#reminderStagesTable tr[data-stage]'))
+      .map(row => {
+        const stage = {};
+        row.querySelectorAll('input[data-field]').forEach(input => {
+          stage[input.dataset.field] =
+            input.type === 'checkbox' ? input.checked : parseInt(input.value, 10);
+        });
+        return stage;
+      })
+      .filter(stage => Number.isFinite(stage.minutes) && stage.minutes >= 0)
+      .sort((a, b) => b.minutes - a.minutes);
+  }
+
   setValue(id, value) {
     const el = document.getElementById(id);
     if (el) el.value = value;
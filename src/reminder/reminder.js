@@ -5,6 +5,8 @@
  */
 
 import { DurationTracker } from '../utils/duration-tracker.js';
+import { CalendarAPI } from '../utils/calendar-api.js';
+import { SnoozeTargets } from '../utils/snooze-targets.js';
 import { logger } from '../utils/logger.js';
 
 class ReminderWindow {
@@ -61,6 +63,13 @@ class ReminderWindow {
         if (!this.event.meetingLink) {
           document.getElementById('joinBtn').style.display = 'none';
         }
+
+        // Accept / Maybe / New time for invitations synced from an API
+        this.displayRsvp();
+
+        // Snooze until 1 min before, the start, the current meeting's end or
+        // the connection is back
+        this.displaySnoozeTargets();
       } catch (error) {
         logger.error('Error parsing event data', error);
 
@@ -157,6 +166,45 @@ class ReminderWindow {
     return icons[status] || '';
   }
 
+  /**
+   * Show the RSVP row for invitations the user hasn't accepted yet
+   */
+  displayRsvp() {
+    const status = this.event.attendees?.find(a => a.self)?.responseStatus;
+    const canRespond = CalendarAPI.canRespond(this.event) && status !== 'accepted';
+    document.getElementById('rsvpSection').classList.toggle('hidden', !canRespond);
+    if (!canRespond) return;
+
+    // Suggest the same slot half an hour later as a starting point
+    const start = new Date(new Date(this.event.startTime).getTime() + 30 * 60 * 1000);
+    const local = new Date(start.getTime() - start.getTimezoneOffset() * 60 * 1000);
+    document.getElementById('proposeStart').value = local.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Show the snooze buttons that point at a moment rather than a duration,
+   * with the time each one would remind at
+   */
+  async displaySnoozeTargets() {
+    const container = document.getElementById('snoozeTargets');
+    const activeMeeting = await DurationTracker.getActiveTracking();
+    const options = SnoozeTargets.optionsFor(this.event, {
+      activeMeeting,
+      online: navigator.onLine,
+    });
+
+    container.innerHTML = options
+      .map(
+        ({ target, label, when }) =>
+          `<button class="action-btn snooze-btn" data-snooze-target="${target}">${this.escapeHtml(label)}${when ? `<span class="snooze-target-time">${SnoozeTargets.formatTime(when)}</span>` : ''}</button>`
+      )
+      .join('');
+    container.classList.toggle('hidden', options.length === 0);
+    container.querySelectorAll('[data-snooze-target]').forEach(button => {
+      button.addEventListener('click', () => this.snooze(button.dataset.snoozeTarget));
+    });
+  }
+
   /**
    * Display meeting time
    */
@@ -482,6 +530,17 @@ class ReminderWindow {
     document.getElementById('snooze5m').addEventListener('click', () => this.snooze(5));
     document.getElementById('snooze10m')?.addEventListener('click', () => this.snooze(10));
     document.getElementById('declineBtn').addEventListener('click', () => this.decline());
+    document.getElementById('acceptBtn').addEventListener('click', () => this.respond('accepted'));
+    document
+      .getElementById('tentativeBtn')
+      .addEventListener('click', () => this.respond('tentative'));
+    document.getElementById('proposeBtn').addEventListener('click', () => {
+      this.userInteracted = true;
+      document.getElementById('proposeForm').classList.toggle('hidden');
+    });
+    document
+      .getElementById('proposeSendBtn')
+      .addEventListener('click', () => this.proposeNewTime());
     document.getElementById('dismissBtn').addEventListener('click', () => this.dismiss());
     document.getElementById('closeBtn').addEventListener('click', () => this.dismiss());
 
@@ -647,9 +706,10 @@ class ReminderWindow {
       countdownElement.classList.add('urgent');
       document.querySelector('.countdown-label').textContent = 'starting now';
 
-      // Auto-close after 10 seconds when meeting has started, unless user has interacted
-      if (diff < -10000 && !this.userInteracted) {
-        this.dismiss();
+      // Auto-close after 10 seconds when meeting has started, unless user has
+      // interacted or the reminder escalates (it keeps the window in front)
+      if (diff < -10000 && !this.userInteracted && !this.event?._escalate) {
+        this.dismiss({ userAction: false });
       }
       return;
     }
@@ -707,6 +767,7 @@ class ReminderWindow {
       await chrome.runtime.sendMessage({
         type: 'MEETING_TAB_OPENED',
         tabId: tab.id,
+        eventId: this.event.id,
       });
     } catch (error) {
       logger.error('Error opening meeting link', error);
@@ -766,30 +827,97 @@ class ReminderWindow {
 
   /**
    * Snooze the reminder
-   * @param {number} minutes - Minutes to snooze (0.5 = 30 seconds)
+   * @param {number|string} target - Minutes to snooze (0.5 = 30 seconds), or
+   *   a point such as 'start', see SnoozeTargets.resolve()
    */
-  async snooze(minutes = 1) {
+  async snooze(target = 1) {
     this.userInteracted = true; // Mark user interaction to prevent auto-close
     try {
-      await chrome.runtime.sendMessage({
+      const result = await chrome.runtime.sendMessage({
         type: 'SNOOZE',
         event: this.event,
-        minutes: minutes,
+        target,
       });
-      const label =
-        minutes < 1 ? `${minutes * 60} seconds` : `${minutes} minute${minutes > 1 ? 's' : ''}`;
-      logger.debug(`Snoozed for ${label}`);
+      if (result?.success) {
+        logger.debug(`Snoozed ${SnoozeTargets.describe({ when: result.until })}`);
+      } else {
+        logger.warn('Could not snooze', result?.error);
+      }
     } catch (error) {
       logger.error('Error snoozing', error);
     }
     this.dismiss();
   }
 
+  /**
+   * Send an RSVP through the service worker and show the new status
+   * @param {string} response - 'accepted' | 'tentative' | 'declined'
+   * @param {Object} proposedTime - { start, end } to suggest instead
+   * @returns {Promise<boolean>} Whether the calendar took the response
+   */
+  async respond(response, proposedTime = null) {
+    this.userInteracted = true; // Mark user interaction to prevent auto-close
+    const statusElement = document.getElementById('rsvpStatus');
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'RSVP',
+        eventId: this.event.id,
+        response,
+        comment: document.getElementById('rsvpComment').value.trim(),
+        proposedTime,
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'No response from the calendar');
+      }
+
+      this.event.attendees = result.event.attendees;
+      this.displayParticipants();
+      statusElement.classList.remove('error');
+      statusElement.textContent = proposedTime
+        ? 'New time proposed'
+        : { accepted: 'Accepted', tentative: 'Marked as maybe', declined: 'Declined' }[response];
+      document.getElementById('proposeForm').classList.add('hidden');
+      logger.debug(`RSVP sent: ${response}`);
+      return true;
+    } catch (error) {
+      logger.error('Error sending RSVP', error);
+      statusElement.classList.add('error');
+      statusElement.textContent = `Couldn't update the calendar: ${error.message}`;
+      return false;
+    }
+  }
+
+  /**
+   * Answer "maybe" and suggest the time picked in the propose form, keeping
+   * the meeting's length
+   */
+  async proposeNewTime() {
+    const value = document.getElementById('proposeStart').value;
+    if (!value) return;
+
+    const start = new Date(value);
+    const duration = this.event.endTime
+      ? new Date(this.event.endTime) - new Date(this.event.startTime)
+      : 30 * 60 * 1000;
+    await this.respond('tentative', {
+      start: start.toISOString(),
+      end: new Date(start.getTime() + duration).toISOString(),
+    });
+  }
+
   /**
    * Decline the meeting
    */
   async decline() {
     this.userInteracted = true; // Mark user interaction to prevent auto-close
+
+    // Invitations from a calendar API are declined there; the organizer is
+    // notified, so no email is needed
+    if (CalendarAPI.canRespond(this.event) && (await this.respond('declined'))) {
+      this.dismiss();
+      return;
+    }
+
     try {
       // Send message to mark as declined (prevents future reminders)
       await chrome.runtime.sendMessage({
@@ -826,8 +954,16 @@ class ReminderWindow {
 
   /**
    * Dismiss the reminder window
+   * @param {Object} options - { userAction }: the user closed it or acted on
+   *   the meeting, so any escalation stops
    */
-  dismiss() {
+  dismiss({ userAction = true } = {}) {
+    if (userAction && this.event?.id) {
+      chrome.runtime
+        .sendMessage({ type: 'STOP_ESCALATION', eventId: this.event.id })
+        .catch(error => logger.debug('Could not stop escalation', error));
+    }
+
     // Cleanup interval
     if (this.intervalId) {
       clearInterval(this.intervalId);
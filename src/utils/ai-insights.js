@@ -8,6 +8,17 @@ import { AI_CONFIG } from './constants.js';
 import { logger } from '../utils/logger.js';
 import { StorageManager } from './storage.js';
 
+const INSIGHTS_PROMPT = `You are a productivity assistant analyzing meeting schedules. Provide brief, actionable insights about the user's meetings. Focus on: meeting load, potential conflicts, gaps for focus time, and patterns. Keep each insight to 1-2 sentences.
+
+IMPORTANT: Return ONLY a valid JSON array (no markdown, no code blocks). Format:
+[
+  {"type": "warning", "text": "insight text here"},
+  {"type": "suggestion", "text": "insight text here"},
+  {"type": "info", "text": "insight text here"}
+]
+
+Type must be one of: warning, suggestion, info`;
+
 export class AIInsights {
   /**
    * AI insights are a BETA feature. Gated behind settings.aiInsightsEnabled
@@ -83,18 +94,42 @@ export class AIInsights {
       // Prepare meeting data for AI analysis
       const meetingsSummary = this.prepareMeetingsSummary(events);
 
-      // Call appropriate API based on provider
+      // Use JSON mode if supported (GPT-4o, GPT-4-turbo), which needs the
+      // prompt to ask for a JSON object
+      const jsonMode =
+        (config.provider === 'openai' || config.provider === 'custom') &&
+        config.model.includes('gpt-4') &&
+        !config.model.startsWith('o1');
+
+      const content = await this.requestCompletion(config, {
+        system: INSIGHTS_PROMPT,
+        prompt: jsonMode
+          ? `Analyze these meetings for today and provide insights. Return a JSON object with an "insights" array:\n${meetingsSummary}`
+          : `Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
+        maxTokens: 300,
+        temperature: config.temperature ?? 0.7,
+        jsonMode,
+      });
+
+      logger.debug('AI raw response:', content);
+
+      // In JSON mode, content will be a JSON object with "insights" key
       let insights;
-      if (config.provider === 'openai' || config.provider === 'custom') {
-        insights = await this.callOpenAIAPI(config, meetingsSummary);
-      } else if (config.provider === 'anthropic') {
-        insights = await this.callAnthropicAPI(config, meetingsSummary);
-      } else if (config.provider === 'google') {
-        insights = await this.callGoogleAPI(config, meetingsSummary);
+      if (jsonMode) {
+        try {
+          const jsonObj = JSON.parse(content);
+          insights = jsonObj.insights || jsonObj;
+        } catch (e) {
+          insights = this.parseInsights(content);
+        }
       } else {
-        return { success: false, error: 'Unsupported provider' };
+        insights = this.parseInsights(content);
       }
 
+      logger.debug('Parsed insights:', insights);
+
+      if (!Array.isArray(insights)) insights = this.parseInsights(content);
+
       // Cache the results
       await this.cacheInsights(insights);
 
@@ -105,166 +140,99 @@ export class AIInsights {
     }
   }
 
+  /**
+   * Send a prompt to the configured provider
+   * @param {Object} config - Stored AI configuration
+   * @param {Object} request - { prompt, system, maxTokens, temperature, jsonMode }
+   *   where system is optional instructions ahead of the prompt and jsonMode
+   *   asks OpenAI-compatible APIs for a JSON object
+   * @returns {Promise<string>} Raw reply text
+   */
+  static async requestCompletion(config, request) {
+    if (config.provider === 'openai' || config.provider === 'custom') {
+      return this.callOpenAIAPI(config, request);
+    }
+    if (config.provider === 'anthropic') {
+      return this.callAnthropicAPI(config, request);
+    }
+    if (config.provider === 'google') {
+      return this.callGoogleAPI(config, request);
+    }
+    throw new Error('Unsupported provider');
+  }
+
   /**
    * Call OpenAI-compatible API
    */
-  static async callOpenAIAPI(config, meetingsSummary) {
-    const endpoint = config.customEndpoint || this.API_ENDPOINTS.openai;
+  static async callOpenAIAPI(config, { system, prompt, maxTokens, temperature, jsonMode }) {
     const requestBody = {
       model: config.model,
       messages: [
-        {
-          role: 'system',
-          content: `You are a productivity assistant analyzing meeting schedules. Provide brief, actionable insights about the user's meetings. Focus on: meeting load, potential conflicts, gaps for focus time, and patterns. Keep each insight to 1-2 sentences.
-
-IMPORTANT: Return ONLY a valid JSON array (no markdown, no code blocks). Format:
-[
-  {"type": "warning", "text": "insight text here"},
-  {"type": "suggestion", "text": "insight text here"},
-  {"type": "info", "text": "insight text here"}
-]
-
-Type must be one of: warning, suggestion, info`,
-        },
-        {
-          role: 'user',
-          content: `Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
-        },
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt },
       ],
-      max_tokens: 300,
+      max_tokens: maxTokens,
     };
 
     // Only add temperature if not a reasoning model
-    if (!config.model.startsWith('o1') && config.temperature !== undefined) {
-      requestBody.temperature = config.temperature;
+    if (!config.model.startsWith('o1') && temperature !== undefined) {
+      requestBody.temperature = temperature;
     }
 
-    // Try to use JSON mode if supported (GPT-4o, GPT-4-turbo)
-    if (config.model.includes('gpt-4') && !config.model.startsWith('o1')) {
+    if (jsonMode) {
       requestBody.response_format = { type: 'json_object' };
-      // Modify prompt to ensure it asks for JSON object
-      requestBody.messages[1].content = `Analyze these meetings for today and provide insights. Return a JSON object with an "insights" array:\n${meetingsSummary}`;
-    }
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'API error');
     }
 
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
-
-    logger.debug('OpenAI raw response:', content);
-
-    // If using JSON mode, content will be a JSON object with "insights" key
-    let insights;
-    if (config.model.includes('gpt-4') && !config.model.startsWith('o1')) {
-      try {
-        const jsonObj = JSON.parse(content);
-        insights = jsonObj.insights || jsonObj;
-      } catch (e) {
-        insights = this.parseInsights(content);
-      }
-    } else {
-      insights = this.parseInsights(content);
-    }
-
-    logger.debug('Parsed insights:', insights);
-
-    return Array.isArray(insights) ? insights : this.parseInsights(content);
+    const data = await this.postJSON(
+      config.customEndpoint || this.API_ENDPOINTS.openai,
+      { Authorization: `Bearer ${config.apiKey}` },
+      requestBody
+    );
+    return data.choices[0]?.message?.content;
   }
 
   /**
    * Call Anthropic API
    */
-  static async callAnthropicAPI(config, meetingsSummary) {
-    const response = await fetch(this.API_ENDPOINTS.anthropic, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
+  static async callAnthropicAPI(config, { system, prompt, maxTokens, temperature }) {
+    const data = await this.postJSON(
+      this.API_ENDPOINTS.anthropic,
+      { 'x-api-key': config.apiKey, 'anthropic-version': '2023-06-01' },
+      {
         model: config.model,
-        max_tokens: 300,
-        temperature: config.temperature || 0.7,
-        messages: [
-          {
-            role: 'user',
-            content: `You are a productivity assistant analyzing meeting schedules. Provide brief, actionable insights about the user's meetings. Focus on: meeting load, potential conflicts, gaps for focus time, and patterns. Keep each insight to 1-2 sentences.
-
-IMPORTANT: Return ONLY a valid JSON array (no markdown, no code blocks). Format:
-[
-  {"type": "warning", "text": "insight text here"},
-  {"type": "suggestion", "text": "insight text here"},
-  {"type": "info", "text": "insight text here"}
-]
-
-Type must be one of: warning, suggestion, info
-
-Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
-          },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'API error');
-    }
-
-    const data = await response.json();
-    const content = data.content[0]?.text;
-
-    return this.parseInsights(content);
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: system ? `${system}\n\n${prompt}` : prompt }],
+      }
+    );
+    return data.content[0]?.text;
   }
 
   /**
    * Call Google Gemini API
    */
-  static async callGoogleAPI(config, meetingsSummary) {
+  static async callGoogleAPI(config, { system, prompt, maxTokens, temperature }) {
     const endpoint = this.API_ENDPOINTS.google.replace('{model}', config.model);
-    const response = await fetch(`${endpoint}?key=${config.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [
-          {
-            parts: [
-              {
-                text: `You are a productivity assistant analyzing meeting schedules. Provide brief, actionable insights about the user's meetings. Focus on: meeting load, potential conflicts, gaps for focus time, and patterns. Keep each insight to 1-2 sentences.
-
-IMPORTANT: Return ONLY a valid JSON array (no markdown, no code blocks). Format:
-[
-  {"type": "warning", "text": "insight text here"},
-  {"type": "suggestion", "text": "insight text here"},
-  {"type": "info", "text": "insight text here"}
-]
-
-Type must be one of: warning, suggestion, info
+    const data = await this.postJSON(
+      `${endpoint}?key=${config.apiKey}`,
+      {},
+      {
+        contents: [{ parts: [{ text: system ? `${system}\n\n${prompt}` : prompt }] }],
+        generationConfig: { temperature, maxOutputTokens: maxTokens },
+      }
+    );
+    return data.candidates[0]?.content?.parts[0]?.text;
+  }
 
-Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
-              },
-            ],
-          },
-        ],
-        generationConfig: {
-          temperature: config.temperature || 0.7,
-          maxOutputTokens: 300,
-        },
-      }),
+  /**
+   * POST a JSON body and return the JSON reply, throwing the API's error
+   * message if the request failed
+   */
+  static async postJSON(url, headers, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
     });
 
     if (!response.ok) {
@@ -272,10 +240,7 @@ Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
       throw new Error(error.error?.message || 'API error');
     }
 
-    const data = await response.json();
-    const content = data.candidates[0]?.content?.parts[0]?.text;
-
-    return this.parseInsights(content);
+    return response.json();
   }
 
   /**
@@ -569,6 +534,57 @@ Analyze these meetings for today and provide insights:\n${meetingsSummary}`,
     return count;
   }
 
+  /**
+   * Parse a quick-add phrase the local parser couldn't make sense of
+   * @param {string} text - What the user typed
+   * @param {Date} now - Reference time for relative dates
+   * @returns {Promise<{success: boolean, draft?: Object, error?: string}>} draft has
+   *   title, start (Date), durationMinutes, attendees (names or emails) and
+   *   conferencing ('zoom' | 'meet' | 'teams' | null)
+   */
+  static async parseQuickAdd(text, now = new Date()) {
+    if (!(await this.isConfigured())) {
+      return { success: false, error: 'No AI provider configured' };
+    }
+    const config = await this.getConfig();
+
+    const prompt = `Extract a calendar event from the text below. Now is ${now.toString()}.
+
+IMPORTANT: Return ONLY a valid JSON object (no markdown, no code blocks). Format:
+{"title": "...", "start": "YYYY-MM-DDTHH:MM" (local time), "durationMinutes": 30, "attendees": ["names or emails"], "conferencing": "zoom" | "meet" | "teams" | null}
+
+Text: ${text}`;
+
+    try {
+      const content = await this.requestCompletion(config, { prompt, maxTokens: 200 });
+      const json = String(content || '')
+        .replace(/^```+\s*(?:json|JSON)?\s*\n?/gm, '')
+        .replace(/\n?```+\s*$/gm, '')
+        .match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(json?.[0] || 'null');
+      const start = new Date(parsed?.start);
+      if (!parsed || Number.isNaN(start.getTime())) {
+        return { success: false, error: 'Could not understand the reply' };
+      }
+
+      return {
+        success: true,
+        draft: {
+          title: String(parsed.title || '').trim(),
+          start,
+          durationMinutes: parseInt(parsed.durationMinutes, 10) || 30,
+          attendees: Array.isArray(parsed.attendees) ? parsed.attendees.map(String) : [],
+          conferencing: ['zoom', 'meet', 'teams'].includes(parsed.conferencing)
+            ? parsed.conferencing
+            : null,
+        },
+      };
+    } catch (error) {
+      logger.error('AI quick add error', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Prepare meetings summary for AI
    */
@@ -5,7 +5,12 @@
  * Users provide their own OAuth credentials
  */
 
+import { ICal } from './ical.js';
 import { logger } from './logger.js';
+import { ReminderOverrides } from './reminder-overrides.js';
+import { SlotFinder } from './slot-finder.js';
+import { StorageManager } from './storage.js';
+import { SyncState } from './sync-state.js';
 
 export class CalendarAPI {
   // Google API endpoints
@@ -37,6 +42,33 @@ export class CalendarAPI {
   // Maximum retry attempts for network errors
   static MAX_RETRY_ATTEMPTS = 5;
 
+  // Rolling sync horizon: today plus this many days (overridable via settings.syncDaysAhead)
+  static DEFAULT_SYNC_DAYS_AHEAD = 6;
+
+  // Page sizes and a hard cap on pages per calendar so a runaway
+  // nextPageToken / @odata.nextLink chain can't spin forever
+  static GOOGLE_PAGE_SIZE = 250;
+  static OUTLOOK_PAGE_SIZE = 100;
+  static MAX_SYNC_PAGES = 20;
+
+  // Calendar synced when the user hasn't picked any: Google's 'primary' alias
+  // and, for Outlook, the mailbox default calendar (/me/calendarView)
+  static DEFAULT_CALENDAR_IDS = { google: 'primary', outlook: 'default', ics: 'default' };
+
+  // Graph dayOfWeek names, indexed like Date#getDay()
+  static GRAPH_WEEKDAYS = [
+    'sunday',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+  ];
+
+  // Invitation responses, as stored in attendee responseStatus
+  static RSVP_RESPONSES = ['accepted', 'tentative', 'declined'];
+
   // ==================== Network Error Detection ====================
 
   /**
@@ -90,8 +122,8 @@ export class CalendarAPI {
   }
 
   /**
-   * Track a token refresh failure for a provider
-   * @param {string} provider - 'google' or 'outlook'
+   * Track a token refresh failure for an account
+   * @param {string} provider - Account key ('google', 'outlook' or e.g. 'google:me@work.com')
    * @returns {Promise<{shouldDisconnect: boolean, firstFailure: number, failureCount: number}>}
    */
   static async trackFailure(provider) {
@@ -127,8 +159,8 @@ export class CalendarAPI {
   }
 
   /**
-   * Clear failure tracking for a provider (call on successful refresh)
-   * @param {string} provider - 'google' or 'outlook'
+   * Clear failure tracking for an account (call on successful refresh)
+   * @param {string} provider - Account key ('google', 'outlook' or e.g. 'google:me@work.com')
    */
   static async clearFailureTracking(provider) {
     const data = await chrome.storage.local.get(this.FAILURE_TRACKING_KEY);
@@ -197,7 +229,7 @@ export class CalendarAPI {
       // Encode the provider + mode into the notification ID so the
       // onButtonClicked handler in the service worker can re-auth the right
       // account in one click — no trip to Settings required.
-      const provider = /google/i.test(calendarName) ? 'google' : 'outlook';
+      const provider = /^google/i.test(calendarName) ? 'google' : 'outlook';
       const notificationId = `pingmeet_reauth_${provider}_${mode || 'unknown'}_${Date.now()}`;
 
       chrome.notifications.create(notificationId, {
@@ -279,19 +311,137 @@ export class CalendarAPI {
    * Check if user is connected to Google Calendar
    */
   static async isConnected() {
-    const connection = await this.getConnections();
-    return connection[this.STORAGE_KEY]?.google?.connected || false;
+    return (await this.getConnectionStatus()).google;
   }
 
   /**
-   * Get connection status for all providers
+   * Get connection status for all providers (true if any account of the
+   * provider is connected)
    */
   static async getConnectionStatus() {
-    const connection = await this.getConnections();
+    const accounts = await this.getConnectedAccounts();
     return {
-      google: connection[this.STORAGE_KEY]?.google?.connected || false,
-      outlook: connection[this.STORAGE_KEY]?.outlook?.connected || false,
+      google: accounts.some(a => a.provider === 'google'),
+      outlook: accounts.some(a => a.provider === 'outlook'),
+    };
+  }
+
+  // ==================== Account Registry ====================
+  //
+  // Connections are keyed by account. The first account of each provider
+  // lives under the bare provider key ('google' / 'outlook') so existing
+  // single-account installs — and everything keyed off them, like
+  // enabledCalendars.google — keep working unchanged. Further accounts are
+  // keyed '<provider>:<email>'. Calendar subscriptions (CalDAV / .ics) have
+  // no bare slot and are always keyed 'ics:<id>'.
+
+  /**
+   * Provider of an account key ('google:me@work.com' → 'google')
+   * @param {string} accountKey
+   * @returns {string}
+   */
+  static providerOf(accountKey) {
+    return String(accountKey || '').split(':')[0];
+  }
+
+  /**
+   * List registered accounts, optionally for a single provider
+   * @param {string|null} provider - 'google', 'outlook', 'ics' or null for all
+   * @returns {Promise<Array<{key: string, provider: string, email: string|null, name: string|null, connected: boolean, authMode: string|null, needsReauth: boolean}>>}
+   */
+  static async listAccounts(provider = null) {
+    const connections = (await this.getConnections())[this.STORAGE_KEY] || {};
+    return Object.entries(connections)
+      .filter(([key, conn]) => {
+        const accountProvider = this.providerOf(key);
+        if (!conn || !['google', 'outlook', 'ics'].includes(accountProvider)) return false;
+        return !provider || accountProvider === provider;
+      })
+      .map(([key, conn]) => ({
+        key,
+        provider: this.providerOf(key),
+        email: conn.email || null,
+        name: conn.name || null,
+        connected: !!conn.connected,
+        authMode: conn.authMode || null,
+        needsReauth: !!conn.needsReauth,
+      }));
+  }
+
+  /**
+   * List connected accounts, optionally for a single provider
+   * @param {string|null} provider - 'google', 'outlook', 'ics' or null for all
+   */
+  static async getConnectedAccounts(provider = null) {
+    return (await this.listAccounts(provider)).filter(a => a.connected);
+  }
+
+  /**
+   * Pick the registry key for a freshly authenticated account: reuse the key
+   * already holding that email (reconnect), else the bare provider slot when
+   * it's free, else a new '<provider>:<email>' key.
+   * @param {string} provider - 'google' or 'outlook'
+   * @param {string} email - Account email
+   * @returns {Promise<string>}
+   */
+  static async resolveAccountKey(provider, email) {
+    const normalized = (email || '').toLowerCase();
+    const accounts = await this.listAccounts(provider);
+
+    const existing = normalized && accounts.find(a => (a.email || '').toLowerCase() === normalized);
+    if (existing) return existing.key;
+
+    const slot = accounts.find(a => a.key === provider);
+    if (!slot?.connected || !normalized.includes('@')) return provider;
+    return `${provider}:${normalized}`;
+  }
+
+  /**
+   * Human label for an account, used in notifications ("Google Calendar" or
+   * "Google Calendar (me@work.com)" for additional accounts)
+   * @param {string} accountKey
+   * @param {string|null} email - Account email (subscription name for 'ics')
+   * @returns {string}
+   */
+  static accountLabel(accountKey, email = null) {
+    const provider = this.providerOf(accountKey);
+    const names = {
+      google: 'Google Calendar',
+      outlook: 'Outlook Calendar',
+      ics: 'Calendar subscription',
     };
+    const name = names[provider] || names.outlook;
+    return accountKey !== provider && email ? `${name} (${email})` : name;
+  }
+
+  /**
+   * Email of a registered account, or null
+   * @param {string} accountKey
+   * @returns {Promise<string|null>}
+   */
+  static async getAccountEmail(accountKey) {
+    const local = await chrome.storage.local.get(this.STORAGE_KEY);
+    return local[this.STORAGE_KEY]?.[accountKey]?.email || null;
+  }
+
+  /**
+   * Remove an additional account from the registry entirely (the bare
+   * provider slot is only ever marked disconnected, never removed)
+   * @param {string} accountKey
+   */
+  static async forgetAccount(accountKey) {
+    const current = await chrome.storage.local.get([this.STORAGE_KEY, 'enabledCalendars']);
+    const connections = current[this.STORAGE_KEY] || {};
+    delete connections[accountKey];
+    const enabledCalendars = current.enabledCalendars || {};
+    delete enabledCalendars[accountKey];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: connections, enabledCalendars });
+
+    try {
+      await chrome.storage.session.remove(`${this.SESSION_TOKEN_PREFIX}${accountKey}`);
+    } catch {
+      // session unavailable — token was kept in local and is already gone
+    }
   }
 
   /**
@@ -323,6 +473,7 @@ export class CalendarAPI {
       const redirectUri = this.getRedirectUri();
       const scopes = [
         'https://www.googleapis.com/auth/calendar.events',
+        'https://www.googleapis.com/auth/calendar.freebusy',
         'https://www.googleapis.com/auth/userinfo.email',
       ].join(' ');
 
@@ -337,7 +488,7 @@ export class CalendarAPI {
         response_type: 'code', // Authorization code, not token
         scope: scopes,
         access_type: 'offline', // Request refresh token
-        prompt: 'consent',
+        prompt: 'consent select_account', // Let user pick which account to add
         code_challenge: codeChallenge,
         code_challenge_method: 'S256',
       });
@@ -398,9 +549,10 @@ export class CalendarAPI {
 
       // Verify token by fetching user info
       const userInfo = await this.fetchGoogleUserInfo(access_token);
+      const accountKey = await this.resolveAccountKey('google', userInfo.email);
 
       // Store connection status with tokens (including refresh token!)
-      await this.saveConnection('google', {
+      await this.saveConnection(accountKey, {
         connected: true,
         email: userInfo.email,
         accessToken: access_token,
@@ -410,7 +562,7 @@ export class CalendarAPI {
       });
 
       logger.debug('Connected to Google Calendar with refresh token', userInfo.email);
-      return { success: true, email: userInfo.email };
+      return { success: true, email: userInfo.email, accountKey };
     } catch (error) {
       logger.error('Google Calendar connection failed', error);
       return { success: false, error: error.message };
@@ -443,9 +595,10 @@ export class CalendarAPI {
       logger.debug('Attempting to fetch user info with token');
       // Verify token by fetching user info
       const userInfo = await this.fetchGoogleUserInfo(token);
+      const accountKey = await this.resolveAccountKey('google', userInfo.email);
 
       // Store connection status (no refresh token needed - Chrome manages it)
-      await this.saveConnection('google', {
+      await this.saveConnection(accountKey, {
         connected: true,
         email: userInfo.email,
         accessToken: token,
@@ -455,7 +608,7 @@ export class CalendarAPI {
       });
 
       logger.debug('Connected to Google Calendar (Simple Mode)', userInfo.email);
-      return { success: true, email: userInfo.email };
+      return { success: true, email: userInfo.email, accountKey };
     } catch (error) {
       logger.error('Google Calendar simple connection failed', error);
       return { success: false, error: error.message };
@@ -528,13 +681,14 @@ export class CalendarAPI {
   }
 
   /**
-   * Disconnect from Google Calendar
+   * Disconnect a Google Calendar account
+   * @param {string} accountKey - Account to disconnect (defaults to the first account)
    */
-  static async disconnectGoogle() {
+  static async disconnectGoogle(accountKey = 'google') {
     try {
       // Get stored token
       const connection = await this.getConnections();
-      const googleConnection = connection[this.STORAGE_KEY]?.google;
+      const googleConnection = connection[this.STORAGE_KEY]?.[accountKey];
 
       if (googleConnection?.accessToken) {
         // Revoke token on Google's end
@@ -548,9 +702,14 @@ export class CalendarAPI {
       }
 
       // Clear connection status but keep credentials
-      await this.saveConnection('google', { connected: false });
+      if (accountKey === 'google') {
+        await this.saveConnection(accountKey, { connected: false });
+      } else {
+        await this.forgetAccount(accountKey);
+      }
+      await SyncState.prune(`${accountKey}/`);
 
-      logger.debug('Disconnected from Google Calendar');
+      logger.debug(`Disconnected from Google Calendar (${accountKey})`);
       return { success: true };
     } catch (error) {
       logger.error('Error disconnecting', error);
@@ -583,6 +742,7 @@ export class CalendarAPI {
         'email',
         'offline_access', // Required for refresh tokens
         'Calendars.ReadWrite',
+        'Calendars.Read.Shared', // findMeetingTimes
       ].join(' ');
 
       // Generate PKCE code verifier and challenge
@@ -664,7 +824,8 @@ export class CalendarAPI {
       }
 
       // Store connection status with tokens (including refresh token!)
-      await this.saveConnection('outlook', {
+      const accountKey = await this.resolveAccountKey('outlook', userEmail);
+      await this.saveConnection(accountKey, {
         connected: true,
         email: userEmail,
         accessToken: access_token,
@@ -674,7 +835,7 @@ export class CalendarAPI {
       });
 
       logger.debug('Connected to Outlook Calendar with refresh token', userEmail);
-      return { success: true, email: userEmail };
+      return { success: true, email: userEmail, accountKey };
     } catch (error) {
       logger.error('Outlook Calendar connection failed', error);
       return { success: false, error: error.message };
@@ -705,6 +866,7 @@ export class CalendarAPI {
         'offline_access',
         'User.Read',
         'Calendars.ReadWrite',
+        'Calendars.Read.Shared', // findMeetingTimes
       ].join(' ');
 
       // Generate PKCE code verifier and challenge
@@ -786,7 +948,8 @@ export class CalendarAPI {
       }
 
       // Store connection status with tokens
-      await this.saveConnection('outlook', {
+      const accountKey = await this.resolveAccountKey('outlook', userEmail);
+      await this.saveConnection(accountKey, {
         connected: true,
         email: userEmail,
         accessToken: access_token,
@@ -800,7 +963,7 @@ export class CalendarAPI {
       await this.saveCredentials('outlook', { clientId });
 
       logger.debug('Connected to Outlook Calendar (Simple Mode)', userEmail);
-      return { success: true, email: userEmail };
+      return { success: true, email: userEmail, accountKey };
     } catch (error) {
       logger.error('Outlook Calendar simple connection failed', error);
       return { success: false, error: error.message };
@@ -826,6 +989,7 @@ export class CalendarAPI {
       'offline_access',
       'User.Read',
       'Calendars.ReadWrite',
+      'Calendars.Read.Shared', // findMeetingTimes
     ].join(' ');
 
     let lastError;
@@ -874,14 +1038,20 @@ export class CalendarAPI {
   }
 
   /**
-   * Disconnect from Outlook Calendar
+   * Disconnect an Outlook Calendar account
+   * @param {string} accountKey - Account to disconnect (defaults to the first account)
    */
-  static async disconnectOutlook() {
+  static async disconnectOutlook(accountKey = 'outlook') {
     try {
       // Clear connection status but keep credentials
-      await this.saveConnection('outlook', { connected: false });
+      if (accountKey === 'outlook') {
+        await this.saveConnection(accountKey, { connected: false });
+      } else {
+        await this.forgetAccount(accountKey);
+      }
+      await SyncState.prune(`${accountKey}/`);
 
-      logger.debug('Disconnected from Outlook Calendar');
+      logger.debug(`Disconnected from Outlook Calendar (${accountKey})`);
       return { success: true };
     } catch (error) {
       logger.error('Error disconnecting from Outlook', error);
@@ -906,10 +1076,12 @@ export class CalendarAPI {
 
   /**
    * Get valid Outlook access token (auto-refresh if expired using refresh token)
+   * @param {string} accountKey - Account to get a token for (defaults to the first account)
    */
-  static async getValidOutlookToken() {
+  static async getValidOutlookToken(accountKey = 'outlook') {
     const connection = await this.getConnections();
-    const outlookConnection = connection[this.STORAGE_KEY]?.outlook;
+    const outlookConnection = connection[this.STORAGE_KEY]?.[accountKey];
+    const label = this.accountLabel(accountKey, outlookConnection?.email);
 
     // Only bail if not connected. As with Google, the access token lives in
     // chrome.storage.session and is wiped on browser restart, so a missing
@@ -947,7 +1119,7 @@ export class CalendarAPI {
           const expiresAt = Date.now() + parseInt(tokens.expires_in) * 1000;
 
           // Update stored tokens
-          await this.saveConnection('outlook', {
+          await this.saveConnection(accountKey, {
             ...outlookConnection,
             accessToken: tokens.access_token,
             // Keep existing refresh token if new one not provided
@@ -956,7 +1128,7 @@ export class CalendarAPI {
           });
 
           // Clear any previous failure tracking on success
-          await this.clearFailureTracking('outlook');
+          await this.clearFailureTracking(accountKey);
 
           logger.debug('Outlook token refreshed successfully');
           return tokens.access_token;
@@ -966,12 +1138,12 @@ export class CalendarAPI {
           // Use grace period for all errors except fatal auth errors
           // This prevents premature disconnections from transient issues
           if (this.isNetworkError(error) || !this.isAuthError(error)) {
-            const { shouldDisconnect, failureCount } = await this.trackFailure('outlook');
+            const { shouldDisconnect, failureCount } = await this.trackFailure(accountKey);
 
             if (shouldDisconnect) {
               logger.debug('Failures persisted beyond grace period, disconnecting Outlook');
-              await this.saveConnection('outlook', { connected: false });
-              this.notifyTokenExpired('Outlook Calendar', outlookConnection.authMode);
+              await this.saveConnection(accountKey, { connected: false });
+              this.notifyTokenExpired(label, outlookConnection.authMode);
             } else {
               logger.debug(
                 `Transient error for Outlook (attempt ${failureCount}), will retry on next sync`
@@ -982,23 +1154,23 @@ export class CalendarAPI {
 
           // Only for truly fatal auth errors (invalid_grant, revoked, etc.), disconnect immediately
           logger.debug('Fatal auth error detected, disconnecting Outlook immediately');
-          await this.saveConnection('outlook', {
+          await this.saveConnection(accountKey, {
             connected: false,
             needsReauth: true,
             lastAuthError: error?.message,
           });
-          this.notifyTokenExpired('Outlook Calendar', outlookConnection.authMode);
+          this.notifyTokenExpired(label, outlookConnection.authMode);
           return null;
         }
       } else {
         // No refresh token available - legacy connection
         logger.debug('No refresh token, need re-authentication');
-        await this.saveConnection('outlook', {
+        await this.saveConnection(accountKey, {
           connected: false,
           needsReauth: true,
           lastAuthError: 'no_refresh_token',
         });
-        this.notifyTokenExpired('Outlook Calendar', outlookConnection.authMode);
+        this.notifyTokenExpired(label, outlookConnection.authMode);
         return null;
       }
     }
@@ -1007,66 +1179,287 @@ export class CalendarAPI {
   }
 
   /**
-   * Fetch calendar events from Outlook/Microsoft Graph API
+   * Fetch calendar events from Outlook/Microsoft Graph API across all enabled
+   * calendars for the configured sync window. Each calendar keeps its own
+   * calendarView/delta link: the first run (and any run after the window
+   * moves) is a full read, later runs replay only the changes since the
+   * stored deltaLink. Events are tagged with the account and calendar they
+   * came from.
+   * @param {string} accountKey - Account to fetch (defaults to the first account)
+   * @returns {Promise<{success: boolean, events: Array, changes?: Object, error?: string}>}
    */
-  static async fetchOutlookEvents() {
+  static async fetchOutlookEvents(accountKey = 'outlook') {
     try {
-      const token = await this.getValidOutlookToken();
+      const token = await this.getValidOutlookToken(accountKey);
 
       if (!token) {
         return { success: false, error: 'Not authenticated', events: [] };
       }
 
-      // Fetch all events for the entire day (not just next 24 hours)
-      const now = new Date();
-      const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-      const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
+      const syncWindow = this.getSyncWindow(await this.getSyncDaysAhead());
+      const windowKey = SyncState.windowKey(syncWindow);
+      const calendarIds = await this.getEnabledOutlookCalendars(accountKey);
+      const accountEmail = await this.getAccountEmail(accountKey);
+      const allEvents = [];
+      const changeSets = [];
+      let tokenExpired = false;
 
-      const params = new URLSearchParams({
-        startDateTime: startOfDay.toISOString(),
-        endDateTime: endOfDay.toISOString(),
-        $orderby: 'start/dateTime',
-        $top: '100',
-      });
+      for (const calId of calendarIds) {
+        const stateKey = `${accountKey}/${calId}`;
+        const state = await SyncState.get(stateKey);
+        let incremental = !!state?.token && state.windowKey === windowKey;
+
+        let result = await this.fetchOutlookCalendarView(
+          token,
+          syncWindow,
+          incremental ? state.token : null,
+          calId
+        );
 
-      const response = await fetch(`${this.MS_GRAPH_API}/me/calendarView?${params}`, {
-        headers: { Authorization: `Bearer ${token}` },
+        if (!result.ok && result.status === 410 && incremental) {
+          // Delta token expired or invalidated — start over with a full read
+          logger.warn(
+            `Outlook delta link for calendar ${calId} expired (410), running full resync`
+          );
+          incremental = false;
+          result = await this.fetchOutlookCalendarView(token, syncWindow, null, calId);
+        }
+
+        if (!result.ok) {
+          if (result.status === 401) {
+            tokenExpired = true;
+            break;
+          }
+          if (result.status === 403 || result.status === 404) {
+            // Calendar removed, unshared, or beyond our scopes — skip silently.
+            logger.warn(`Outlook calendar ${calId} not accessible (${result.status}), skipping`);
+            continue;
+          }
+          throw new Error(`API error: ${result.status}`);
+        }
+
+        // The calendarView payload doesn't name its calendar; look it up once
+        // per full read and carry it in the sync state between deltas.
+        const calendarName = incremental
+          ? state.calendarName || null
+          : await this.fetchOutlookCalendarName(token, calId);
+
+        // Deleted items come back as { id, "@removed": {...} }; cancelled or
+        // out-of-window items are dropped from the set the same way.
+        const removedIds = result.items
+          .filter(item => item['@removed'])
+          .map(item => `outlook_${item.id}`);
+        const parsed = this.parseOutlookEvents(
+          result.items.filter(item => !item['@removed']),
+          accountEmail?.toLowerCase()
+        );
+        const upserts = parsed
+          .filter(event => SyncState.isInWindow(event, syncWindow))
+          .map(event => ({
+            ...event,
+            account: accountKey,
+            accountEmail,
+            calendarId: calId,
+            calendarName,
+          }));
+        const keptIds = new Set(upserts.map(event => event.id));
+        for (const item of result.items) {
+          const id = `outlook_${item.id}`;
+          if (!item['@removed'] && !keptIds.has(id)) removedIds.push(id);
+        }
+
+        const { events, changes } = SyncState.merge(state?.events, {
+          upserts,
+          removedIds,
+          replace: !incremental,
+        });
+        await SyncState.save(stateKey, {
+          token: result.deltaLink,
+          windowKey,
+          calendarName,
+          events,
+        });
+
+        allEvents.push(...Object.values(events));
+        changeSets.push(changes);
+      }
+
+      if (tokenExpired) {
+        // Token expired - disconnect and notify user
+        const connection = await this.getConnections();
+        const authMode = connection[this.STORAGE_KEY]?.[accountKey]?.authMode;
+        await this.saveConnection(accountKey, { connected: false });
+        this.notifyTokenExpired(this.accountLabel(accountKey, accountEmail), authMode);
+        return {
+          success: false,
+          error: 'Token expired. Please reconnect in Settings.',
+          events: [],
+        };
+      }
+
+      // Calendars the user deselected: their events are gone from our view
+      const prunedIds = await SyncState.prune(
+        `${accountKey}/`,
+        calendarIds.map(calId => `${accountKey}/${calId}`)
+      );
+      changeSets.push({ removed: prunedIds });
+
+      const changes = SyncState.combineChanges(changeSets);
+      logger.debug(
+        `Fetched ${allEvents.length} events across ${calendarIds.length} Outlook calendar(s) for ${accountKey} ` +
+          `(+${changes.added.length} ~${changes.updated.length} -${changes.removed.length})`
+      );
+      return { success: true, events: allEvents, changes };
+    } catch (error) {
+      logger.error('Error fetching Outlook events', error);
+      return { success: false, error: error.message, events: [] };
+    }
+  }
+
+  /**
+   * Read every page of a calendar's calendarView/delta for the given window
+   * by following @odata.nextLink. The last page carries the
+   * @odata.deltaLink to resume from next time. Stops early (ok: false) on
+   * the first non-2xx response.
+   * @param {string} token - Graph access token
+   * @param {{start: Date, end: Date}} syncWindow - Sync window
+   * @param {string|null} deltaLink - Stored delta link for an incremental read
+   * @param {string} calId - Calendar ID, or 'default' for the user's default calendar
+   * @returns {Promise<{ok: boolean, status: number, items: Array, deltaLink: string|null}>}
+   */
+  static async fetchOutlookCalendarView(token, syncWindow, deltaLink = null, calId = 'default') {
+    const params = new URLSearchParams({
+      startDateTime: syncWindow.start.toISOString(),
+      endDateTime: syncWindow.end.toISOString(),
+    });
+
+    const items = [];
+    let url = deltaLink || `${this.outlookCalendarPath(calId)}/calendarView/delta?${params}`;
+    let nextDeltaLink = null;
+    let pages = 0;
+
+    while (url && pages < this.MAX_SYNC_PAGES) {
+      const response = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Prefer: `odata.maxpagesize=${this.OUTLOOK_PAGE_SIZE}`,
+        },
       });
 
       if (!response.ok) {
-        if (response.status === 401) {
-          // Token expired - disconnect and notify user
-          const connection = await this.getConnections();
-          const authMode = connection[this.STORAGE_KEY]?.outlook?.authMode;
-          await this.saveConnection('outlook', { connected: false });
-          this.notifyTokenExpired('Outlook Calendar', authMode);
-          return {
-            success: false,
-            error: 'Token expired. Please reconnect in Settings.',
-            events: [],
-          };
-        }
-        // Get error details
         const errorText = await response.text();
         logger.error('Outlook API error response:', errorText);
-        throw new Error(`API error: ${response.status}`);
+        return { ok: false, status: response.status, items, deltaLink: null };
       }
 
       const data = await response.json();
-      const events = this.parseOutlookEvents(data.value || []);
+      items.push(...(data.value || []));
+      url = data['@odata.nextLink'] || null;
+      nextDeltaLink = data['@odata.deltaLink'] || nextDeltaLink;
+      pages++;
+    }
+
+    if (url) {
+      // Truncated — don't keep a delta link so the next sync reads in full
+      logger.warn(`Outlook calendar ${calId} truncated after ${pages} pages`);
+      nextDeltaLink = null;
+    }
+    return { ok: true, status: 200, items, deltaLink: nextDeltaLink };
+  }
+
+  /**
+   * Graph URL of an Outlook calendar ('default' is the user's default calendar)
+   * @param {string} calId - Calendar ID
+   * @returns {string}
+   */
+  static outlookCalendarPath(calId) {
+    return calId === 'default'
+      ? `${this.MS_GRAPH_API}/me`
+      : `${this.MS_GRAPH_API}/me/calendars/${encodeURIComponent(calId)}`;
+  }
 
-      logger.debug(`Fetched ${events.length} events from Outlook Calendar API`);
-      return { success: true, events };
+  /**
+   * Look up the display name of an Outlook calendar
+   * @param {string} token - Graph access token
+   * @param {string} calId - Calendar ID, or 'default'
+   * @returns {Promise<string|null>} Calendar name, or null if it can't be read
+   */
+  static async fetchOutlookCalendarName(token, calId) {
+    try {
+      const url =
+        calId === 'default'
+          ? `${this.MS_GRAPH_API}/me/calendar?$select=name`
+          : `${this.outlookCalendarPath(calId)}?$select=name`;
+      const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+      if (!response.ok) return null;
+      const data = await response.json();
+      return data.name || null;
     } catch (error) {
-      logger.error('Error fetching Outlook events', error);
-      return { success: false, error: error.message, events: [] };
+      logger.warn(`Could not read name of Outlook calendar ${calId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List the user's Outlook calendars (own, shared and group calendars the
+   * user has added) in the same shape as listGoogleCalendars, so the popup
+   * can render one picker for both.
+   * @param {string} accountKey - Account to list (defaults to the first account)
+   */
+  static async listOutlookCalendars(accountKey = 'outlook') {
+    try {
+      const token = await this.getValidOutlookToken(accountKey);
+      if (!token) return { success: false, error: 'Not authenticated', calendars: [] };
+
+      const calendars = [];
+      let url = `${this.MS_GRAPH_API}/me/calendars?$top=${this.OUTLOOK_PAGE_SIZE}`;
+      let pages = 0;
+      while (url && pages < this.MAX_SYNC_PAGES) {
+        const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+        if (!response.ok) {
+          return { success: false, error: `API error: ${response.status}`, calendars: [] };
+        }
+        const data = await response.json();
+        calendars.push(
+          ...(data.value || []).map(c => ({
+            id: c.id,
+            summary: c.name,
+            primary: !!c.isDefaultCalendar,
+            backgroundColor: c.hexColor || null,
+            accessRole: c.canEdit ? 'writer' : 'reader',
+            owner: c.owner?.address || null,
+          }))
+        );
+        url = data['@odata.nextLink'] || null;
+        pages++;
+      }
+      return { success: true, calendars };
+    } catch (error) {
+      logger.error('listOutlookCalendars failed', error);
+      return { success: false, error: error.message, calendars: [] };
     }
   }
 
+  /**
+   * Get the list of Outlook calendar IDs the user has enabled for an account.
+   * If unset, defaults to ['default'] (the calendar synced before calendar
+   * selection existed).
+   * @param {string} accountKey - Account (defaults to the first account)
+   */
+  static async getEnabledOutlookCalendars(accountKey = 'outlook') {
+    return this.getEnabledCalendars(accountKey);
+  }
+
+  static async setEnabledOutlookCalendars(ids, accountKey = 'outlook') {
+    await this.setEnabledCalendars(ids, accountKey);
+  }
+
   /**
    * Parse Outlook/Microsoft Graph events into PingMeet format
+   * @param {Array} items - Graph event resources
+   * @param {string} selfEmail - Lower-cased email of the synced account
    */
-  static parseOutlookEvents(items) {
+  static parseOutlookEvents(items, selfEmail = null) {
     return items
       .filter(item => item.start?.dateTime) // Only timed events
       .filter(item => !item.isCancelled) // Skip cancelled meetings — they're not real
@@ -1088,9 +1481,14 @@ export class CalendarAPI {
           name: a.emailAddress?.name || a.emailAddress?.address?.split('@')[0],
           email: a.emailAddress?.address,
           responseStatus: this.mapOutlookResponseStatus(a.status?.response),
-          self: false,
+          // Graph doesn't flag the user's own entry; match the account email
+          self: !!selfEmail && (a.emailAddress?.address || '').toLowerCase() === selfEmail,
         })),
         htmlLink: item.webLink,
+        // Occurrences of a recurring meeting share the series master's ID
+        seriesId: item.seriesMasterId ? `outlook_${item.seriesMasterId}` : null,
+        // Lead time set in the calendar (used with settings.useCalendarReminders)
+        calendarReminders: this.parseOutlookReminders(item),
         source: 'outlook-api',
       }));
   }
@@ -1128,6 +1526,17 @@ export class CalendarAPI {
     return null;
   }
 
+  /**
+   * Minutes-before of an Outlook event's reminder
+   * @param {Object} item - Graph event
+   * @returns {Array<number>|null} [] when the reminder is off; null when unknown
+   */
+  static parseOutlookReminders(item) {
+    if (item.isReminderOn === false) return [];
+    if (!Number.isFinite(item.reminderMinutesBeforeStart)) return null;
+    return ReminderOverrides.parseOffsets([item.reminderMinutesBeforeStart]);
+  }
+
   /**
    * Map Outlook response status to standard format
    */
@@ -1144,10 +1553,12 @@ export class CalendarAPI {
 
   /**
    * Get valid access token (auto-refresh if expired using refresh token or chrome.identity)
+   * @param {string} accountKey - Account to get a token for (defaults to the first account)
    */
-  static async getValidToken() {
+  static async getValidToken(accountKey = 'google') {
     const connection = await this.getConnections();
-    const googleConnection = connection[this.STORAGE_KEY]?.google;
+    const googleConnection = connection[this.STORAGE_KEY]?.[accountKey];
+    const label = this.accountLabel(accountKey, googleConnection?.email);
 
     // Only bail if the user isn't connected at all. The access token itself
     // lives in chrome.storage.session and is WIPED on every browser restart —
@@ -1207,14 +1618,14 @@ export class CalendarAPI {
             });
 
             // Update stored token
-            await this.saveConnection('google', {
+            await this.saveConnection(accountKey, {
               ...googleConnection,
               accessToken: newToken,
               expiresAt: Date.now() + 3600 * 1000,
             });
 
             // Clear any previous failure tracking on success
-            await this.clearFailureTracking('google');
+            await this.clearFailureTracking(accountKey);
 
             logger.debug('Google token refreshed successfully (Simple Mode)');
             return newToken;
@@ -1241,12 +1652,12 @@ export class CalendarAPI {
         // Use grace period for all errors (network or otherwise) except fatal auth errors
         // This prevents premature disconnections from transient issues
         if (this.isNetworkError(lastError) || !this.isAuthError(lastError)) {
-          const { shouldDisconnect, failureCount } = await this.trackFailure('google');
+          const { shouldDisconnect, failureCount } = await this.trackFailure(accountKey);
 
           if (shouldDisconnect) {
             logger.debug('Failures persisted beyond grace period, disconnecting Google');
-            await this.saveConnection('google', { connected: false });
-            this.notifyTokenExpired('Google Calendar', 'simple');
+            await this.saveConnection(accountKey, { connected: false });
+            this.notifyTokenExpired(label, 'simple');
           } else {
             logger.debug(
               `Transient error for Google Simple Mode (attempt ${failureCount}), will retry on next sync`
@@ -1257,12 +1668,12 @@ export class CalendarAPI {
 
         // Only for truly fatal auth errors (invalid_grant, revoked, etc.), disconnect immediately
         logger.debug('Fatal auth error detected, disconnecting Google immediately');
-        await this.saveConnection('google', {
+        await this.saveConnection(accountKey, {
           connected: false,
           needsReauth: true,
           lastAuthError: lastError?.message,
         });
-        this.notifyTokenExpired('Google Calendar', 'simple');
+        this.notifyTokenExpired(label, 'simple');
         return null;
       }
       // Advanced mode: Try to refresh using refresh token
@@ -1283,7 +1694,7 @@ export class CalendarAPI {
           const expiresAt = Date.now() + parseInt(tokens.expires_in) * 1000;
 
           // Update stored tokens
-          await this.saveConnection('google', {
+          await this.saveConnection(accountKey, {
             ...googleConnection,
             accessToken: tokens.access_token,
             // Keep existing refresh token if new one not provided
@@ -1292,7 +1703,7 @@ export class CalendarAPI {
           });
 
           // Clear any previous failure tracking on success
-          await this.clearFailureTracking('google');
+          await this.clearFailureTracking(accountKey);
 
           logger.debug('Google token refreshed successfully (Advanced Mode)');
           return tokens.access_token;
@@ -1302,12 +1713,12 @@ export class CalendarAPI {
           // Use grace period for all errors except fatal auth errors
           // This prevents premature disconnections from transient issues
           if (this.isNetworkError(error) || !this.isAuthError(error)) {
-            const { shouldDisconnect, failureCount } = await this.trackFailure('google');
+            const { shouldDisconnect, failureCount } = await this.trackFailure(accountKey);
 
             if (shouldDisconnect) {
               logger.debug('Failures persisted beyond grace period, disconnecting Google');
-              await this.saveConnection('google', { connected: false });
-              this.notifyTokenExpired('Google Calendar', 'advanced');
+              await this.saveConnection(accountKey, { connected: false });
+              this.notifyTokenExpired(label, 'advanced');
             } else {
               logger.debug(
                 `Transient error for Google Advanced mode (attempt ${failureCount}), will retry on next sync`
@@ -1318,23 +1729,23 @@ export class CalendarAPI {
 
           // Only for truly fatal auth errors (invalid_grant, revoked, etc.), disconnect immediately
           logger.debug('Fatal auth error detected, disconnecting Google immediately');
-          await this.saveConnection('google', {
+          await this.saveConnection(accountKey, {
             connected: false,
             needsReauth: true,
             lastAuthError: error?.message,
           });
-          this.notifyTokenExpired('Google Calendar', 'advanced');
+          this.notifyTokenExpired(label, 'advanced');
           return null;
         }
       } else {
         // No refresh token available - legacy connection
         logger.debug('No refresh token, need re-authentication');
-        await this.saveConnection('google', {
+        await this.saveConnection(accountKey, {
           connected: false,
           needsReauth: true,
           lastAuthError: 'no_refresh_token',
         });
-        this.notifyTokenExpired('Google Calendar');
+        this.notifyTokenExpired(label);
         return null;
       }
     }
@@ -1373,10 +1784,11 @@ export class CalendarAPI {
   /**
    * List the user's Google Calendars (id, summary, primary, selected).
    * Used by the popup to render multi-calendar checkboxes.
+   * @param {string} accountKey - Account to list (defaults to the first account)
    */
-  static async listGoogleCalendars() {
+  static async listGoogleCalendars(accountKey = 'google') {
     try {
-      const token = await this.getValidToken();
+      const token = await this.getValidToken(accountKey);
       if (!token) return { success: false, error: 'Not authenticated', calendars: [] };
 
       const response = await fetch(`${this.GOOGLE_CALENDAR_API}/users/me/calendarList`, {
@@ -1392,6 +1804,7 @@ export class CalendarAPI {
         primary: !!c.primary,
         backgroundColor: c.backgroundColor,
         accessRole: c.accessRole,
+        defaultReminders: c.defaultReminders || [],
       }));
       return { success: true, calendars };
     } catch (error) {
@@ -1401,74 +1814,149 @@ export class CalendarAPI {
   }
 
   /**
-   * Get the list of Google calendar IDs the user has enabled. If unset,
-   * defaults to ['primary'] for backwards compatibility.
+   * Get the list of Google calendar IDs the user has enabled for an account.
+   * If unset, defaults to ['primary'] for backwards compatibility.
+   * @param {string} accountKey - Account (defaults to the first account)
    */
-  static async getEnabledGoogleCalendars() {
+  static async getEnabledGoogleCalendars(accountKey = 'google') {
+    return this.getEnabledCalendars(accountKey);
+  }
+
+  static async setEnabledGoogleCalendars(ids, accountKey = 'google') {
+    await this.setEnabledCalendars(ids, accountKey);
+  }
+
+  // ==================== Calendar Selection ====================
+
+  /**
+   * Get the calendar IDs enabled for any account, falling back to the
+   * provider's default calendar when nothing was picked yet.
+   * @param {string} accountKey - Account key
+   * @returns {Promise<Array<string>>}
+   */
+  static async getEnabledCalendars(accountKey) {
     const data = await chrome.storage.local.get('enabledCalendars');
-    const enabled = data.enabledCalendars?.google;
-    return Array.isArray(enabled) && enabled.length ? enabled : ['primary'];
+    const enabled = data.enabledCalendars?.[accountKey];
+    const fallback = this.DEFAULT_CALENDAR_IDS[this.providerOf(accountKey)];
+    return Array.isArray(enabled) && enabled.length ? enabled : [fallback];
   }
 
-  static async setEnabledGoogleCalendars(ids) {
+  /**
+   * Save the calendar IDs enabled for an account
+   * @param {Array<string>} ids - Calendar IDs
+   * @param {string} accountKey - Account key
+   */
+  static async setEnabledCalendars(ids, accountKey) {
     const data = await chrome.storage.local.get('enabledCalendars');
     const all = data.enabledCalendars || {};
-    all.google = ids;
+    all[accountKey] = ids;
     await chrome.storage.local.set({ enabledCalendars: all });
   }
 
   /**
-   * Fetch events from Google Calendar API across all enabled calendars.
+   * List the calendars of any account (see listGoogleCalendars /
+   * listOutlookCalendars)
+   * @param {string} accountKey - Account key
+   */
+  static async listCalendars(accountKey) {
+    switch (this.providerOf(accountKey)) {
+      case 'google':
+        return this.listGoogleCalendars(accountKey);
+      case 'outlook':
+        return this.listOutlookCalendars(accountKey);
+      default:
+        // A subscription is a single calendar
+        return { success: false, error: 'Not supported for calendar subscriptions' };
+    }
+  }
+
+  /**
+   * Fetch events from Google Calendar API across all enabled calendars for
+   * the configured sync window. Each calendar keeps its own nextSyncToken:
+   * the first run (and any run after the window moves) is a full read, later
+   * runs replay only the changes since that token. Events are tagged with
+   * the account they came from.
+   * @param {string} accountKey - Account to fetch (defaults to the first account)
+   * @returns {Promise<{success: boolean, events: Array, changes?: Object, error?: string}>}
    */
-  static async fetchGoogleEvents() {
+  static async fetchGoogleEvents(accountKey = 'google') {
     try {
-      const token = await this.getValidToken();
+      const token = await this.getValidToken(accountKey);
       if (!token) {
         return { success: false, error: 'Not authenticated', events: [] };
       }
 
-      const now = new Date();
-      const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-      const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-
-      const params = new URLSearchParams({
-        timeMin: startOfDay.toISOString(),
-        timeMax: endOfDay.toISOString(),
-        singleEvents: 'true',
-        orderBy: 'startTime',
-        maxResults: '100',
-      });
-
-      const calendarIds = await this.getEnabledGoogleCalendars();
+      const syncWindow = this.getSyncWindow(await this.getSyncDaysAhead());
+      const windowKey = SyncState.windowKey(syncWindow);
+      const calendarIds = await this.getEnabledGoogleCalendars(accountKey);
+      const accountEmail = await this.getAccountEmail(accountKey);
       const allEvents = [];
+      const changeSets = [];
       let tokenExpired = false;
 
       for (const calId of calendarIds) {
-        const response = await fetch(
-          `${this.GOOGLE_CALENDAR_API}/calendars/${encodeURIComponent(calId)}/events?${params}`,
-          { headers: { Authorization: `Bearer ${token}` } }
+        const stateKey = `${accountKey}/${calId}`;
+        const state = await SyncState.get(stateKey);
+        let incremental = !!state?.token && state.windowKey === windowKey;
+
+        let result = await this.fetchGoogleCalendarEvents(
+          token,
+          calId,
+          syncWindow,
+          incremental ? state.token : null
         );
-        if (!response.ok) {
-          if (response.status === 401) {
+
+        if (!result.ok && result.status === 410 && incremental) {
+          // Sync token invalidated by Google — start over with a full read
+          logger.warn(`Sync token for calendar ${calId} expired (410), running full resync`);
+          incremental = false;
+          result = await this.fetchGoogleCalendarEvents(token, calId, syncWindow);
+        }
+
+        if (!result.ok) {
+          if (result.status === 401) {
             tokenExpired = true;
             break;
           }
-          if (response.status === 404) {
+          if (result.status === 404) {
             // Calendar removed or no longer accessible — skip silently.
             logger.warn(`Calendar ${calId} not found, skipping`);
             continue;
           }
-          throw new Error(`API error: ${response.status}`);
+          throw new Error(`API error: ${result.status}`);
         }
-        const data = await response.json();
-        allEvents.push(...this.parseGoogleEvents(data.items || []));
+
+        // Incremental pages include deletions (status: cancelled), declines and
+        // changes outside the window — anything that doesn't survive parsing
+        // and the window check is removed from the set.
+        const upserts = this.parseGoogleEvents(result.items, result.defaultReminders)
+          .filter(event => SyncState.isInWindow(event, syncWindow))
+          .map(event => ({
+            ...event,
+            account: accountKey,
+            accountEmail,
+            calendarId: calId,
+            calendarName: result.calendarName,
+          }));
+        const keptIds = new Set(upserts.map(event => event.id));
+        const removedIds = result.items.map(item => item.id).filter(id => !keptIds.has(id));
+
+        const { events, changes } = SyncState.merge(state?.events, {
+          upserts,
+          removedIds,
+          replace: !incremental,
+        });
+        await SyncState.save(stateKey, { token: result.nextSyncToken, windowKey, events });
+
+        allEvents.push(...Object.values(events));
+        changeSets.push(changes);
       }
 
       if (tokenExpired) {
         const connection = await this.getConnections();
-        const authMode = connection[this.STORAGE_KEY]?.google?.authMode;
-        await this.saveConnection('google', { connected: false });
-        this.notifyTokenExpired('Google Calendar', authMode);
+        const authMode = connection[this.STORAGE_KEY]?.[accountKey]?.authMode;
+        await this.saveConnection(accountKey, { connected: false });
+        this.notifyTokenExpired(this.accountLabel(accountKey, accountEmail), authMode);
         return {
           success: false,
           error: 'Token expired. Please reconnect in Settings.',
@@ -1476,10 +1964,19 @@ export class CalendarAPI {
         };
       }
 
+      // Calendars the user deselected: their events are gone from our view
+      const prunedIds = await SyncState.prune(
+        `${accountKey}/`,
+        calendarIds.map(calId => `${accountKey}/${calId}`)
+      );
+      changeSets.push({ removed: prunedIds });
+
+      const changes = SyncState.combineChanges(changeSets);
       logger.debug(
-        `Fetched ${allEvents.length} events across ${calendarIds.length} Google calendar(s)`
+        `Fetched ${allEvents.length} events across ${calendarIds.length} Google calendar(s) for ${accountKey} ` +
+          `(+${changes.added.length} ~${changes.updated.length} -${changes.removed.length})`
       );
-      return { success: true, events: allEvents };
+      return { success: true, events: allEvents, changes };
     } catch (error) {
       logger.error('Error fetching Google events', error);
       return { success: false, error: error.message, events: [] };
@@ -1487,63 +1984,543 @@ export class CalendarAPI {
   }
 
   /**
-   * Parse Google Calendar API events into PingMeet format
+   * Read every page of a single Google calendar's events by following
+   * nextPageToken. With a syncToken only changes since that token are
+   * returned (Google forbids timeMin/timeMax/orderBy alongside it); the last
+   * page carries the nextSyncToken to resume from. Stops early (ok: false)
+   * on the first non-2xx response — 410 means the sync token is no longer
+   * valid.
+   * @param {string} token - Google access token
+   * @param {string} calId - Calendar ID
+   * @param {{start: Date, end: Date}} syncWindow - Sync window
+   * @param {string|null} syncToken - Stored sync token for an incremental read
+   * @returns {Promise<{ok: boolean, status: number, items: Array, nextSyncToken: string|null, calendarName: string|null, defaultReminders: Array}>}
+   *   defaultReminders is the calendar's calendarList default, which
+   *   events.list echoes on every page
    */
-  static parseGoogleEvents(items) {
-    return items
-      .filter(item => item.start?.dateTime) // Only timed events, not all-day
-      .filter(item => item.status !== 'cancelled') // Skip cancelled meetings
-      .filter(item => {
-        // Skip declined events — user explicitly said no.
-        const selfAttendee = (item.attendees || []).find(a => a.self);
-        if (selfAttendee?.responseStatus === 'declined') return false;
-        return true;
-      })
-      .map(item => ({
-        id: item.id,
-        title: item.summary || 'Untitled Meeting',
-        startTime: item.start.dateTime,
-        endTime: item.end?.dateTime,
-        location: item.location || '',
-        description: item.description || '',
-        meetingLink: this.extractMeetingLink(item),
-        organizer: item.organizer
-          ? {
-              name: item.organizer.displayName || item.organizer.email,
-              email: item.organizer.email,
-            }
-          : null,
-        attendees: (item.attendees || []).map(a => ({
-          name: a.displayName || a.email?.split('@')[0],
-          email: a.email,
-          responseStatus: a.responseStatus || 'needsAction',
-          self: a.self || false,
-        })),
-        htmlLink: item.htmlLink,
-        conferenceData: item.conferenceData,
-        // Extract dial-in info from conference data
-        dialIn: this.extractDialInInfo(item.conferenceData),
-        // Google's classification: 'default' | 'outOfOffice' | 'focusTime' |
-        // 'workingLocation' | 'fromGmail'. Used downstream for OOO/focus
-        // suppression of reminders.
-        eventType: item.eventType || 'default',
-        // Source marker
-        source: 'google-api',
-      }));
+  static async fetchGoogleCalendarEvents(token, calId, syncWindow, syncToken = null) {
+    const items = [];
+    let pageToken = null;
+    let nextSyncToken = null;
+    let calendarName = null;
+    let defaultReminders = [];
+    let pages = 0;
+
+    do {
+      const params = new URLSearchParams({
+        singleEvents: 'true',
+        maxResults: String(this.GOOGLE_PAGE_SIZE),
+      });
+      if (syncToken) {
+        params.set('syncToken', syncToken);
+      } else {
+        params.set('timeMin', syncWindow.start.toISOString());
+        params.set('timeMax', syncWindow.end.toISOString());
+      }
+      if (pageToken) params.set('pageToken', pageToken);
+
+      const response = await fetch(
+        `${this.GOOGLE_CALENDAR_API}/calendars/${encodeURIComponent(calId)}/events?${params}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        return {
+          ok: false,
+          status: response.status,
+          items,
+          nextSyncToken: null,
+          calendarName,
+          defaultReminders,
+        };
+      }
+
+      const data = await response.json();
+      items.push(...(data.items || []));
+      pageToken = data.nextPageToken || null;
+      nextSyncToken = data.nextSyncToken || nextSyncToken;
+      calendarName = data.summary || calendarName;
+      defaultReminders = data.defaultReminders || defaultReminders;
+      pages++;
+    } while (pageToken && pages < this.MAX_SYNC_PAGES);
+
+    if (pageToken) {
+      // Truncated — don't keep a sync token so the next sync reads in full
+      logger.warn(`Google calendar ${calId} truncated after ${pages} pages`);
+      nextSyncToken = null;
+    }
+    return { ok: true, status: 200, items, nextSyncToken, calendarName, defaultReminders };
   }
 
+  // ==================== Calendar Subscriptions (CalDAV / ICS) ====================
+  //
+  // A third provider for calendars outside Google and Microsoft (Fastmail,
+  // Nextcloud, iCloud, ...): either a read-only .ics feed polled over HTTP, or
+  // a CalDAV collection queried with a time-range REPORT. Both yield raw
+  // iCalendar that ICal expands into occurrences. Subscriptions live in the
+  // account registry as 'ics:<id>' with one sync state each, so the service
+  // worker syncs them alongside the OAuth accounts.
+
   /**
-   * Extract meeting link from event
+   * Fetch events from any connected account
+   * @param {string} accountKey - Account key
+   * @returns {Promise<{success: boolean, events: Array, changes?: Object, error?: string}>}
    */
-  static extractMeetingLink(item) {
-    // Priority 1: Google Meet link from conference data
-    if (item.conferenceData?.entryPoints) {
-      const videoEntry = item.conferenceData.entryPoints.find(e => e.entryPointType === 'video');
-      if (videoEntry?.uri) return videoEntry.uri;
+  static async fetchAccountEvents(accountKey) {
+    switch (this.providerOf(accountKey)) {
+      case 'google':
+        return this.fetchGoogleEvents(accountKey);
+      case 'outlook':
+        return this.fetchOutlookEvents(accountKey);
+      case 'ics':
+        return this.fetchIcsEvents(accountKey);
+      default:
+        return { success: false, error: `Unknown provider: ${accountKey}`, events: [] };
     }
+  }
 
-    // Priority 2: hangoutLink
-    if (item.hangoutLink) return item.hangoutLink;
+  /**
+   * Normalize a subscription URL (webcal:// → https://)
+   * @param {string} url
+   * @returns {string|null} The http(s) URL, or null if it isn't one
+   */
+  static normalizeFeedUrl(url) {
+    const trimmed = String(url || '')
+      .trim()
+      .replace(/^webcals?:\/\//i, 'https://');
+    try {
+      const parsed = new URL(trimmed);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Add a calendar subscription after checking the server answers with
+   * iCalendar data
+   * @param {Object} subscription
+   * @param {string} subscription.url - .ics feed or CalDAV collection URL
+   * @param {string} subscription.name - Display name (defaults to the feed's own)
+   * @param {string} subscription.kind - 'ics' or 'caldav'
+   * @param {string} subscription.username - CalDAV username (optional for ics)
+   * @param {string} subscription.password - CalDAV app password (optional for ics)
+   * @returns {Promise<{success: boolean, accountKey?: string, name?: string, error?: string}>}
+   */
+  static async addIcsSubscription({ url, name = '', kind = 'ics', username = '', password = '' }) {
+    try {
+      const feedUrl = this.normalizeFeedUrl(url);
+      if (!feedUrl) {
+        return { success: false, error: 'Enter an http(s):// or webcal:// URL' };
+      }
+
+      const connection = {
+        connected: true,
+        kind: kind === 'caldav' ? 'caldav' : 'ics',
+        url: feedUrl,
+        name: name.trim() || null,
+        username: username.trim() || null,
+        // Kept as entered in chrome.storage.local (not encrypted), which is
+        // why the form asks for an app-specific password
+        password: password || null,
+        connectedAt: new Date().toISOString(),
+      };
+
+      const result =
+        connection.kind === 'caldav'
+          ? await this.fetchCalDavCalendar(connection, this.getSyncWindow(1))
+          : await this.fetchIcsFeed(connection);
+      if (!result.ok) {
+        return {
+          success: false,
+          error:
+            result.status === 401 || result.status === 403
+              ? 'The server rejected the username or password'
+              : `The server responded with ${result.status}`,
+        };
+      }
+      if (connection.kind === 'ics' && !/BEGIN:VCALENDAR/i.test(result.texts[0] || '')) {
+        return { success: false, error: 'That URL does not serve an iCalendar (.ics) feed' };
+      }
+
+      connection.name =
+        connection.name || ICal.parse(result.texts[0] || '').name || new URL(feedUrl).hostname;
+
+      const accountKey = `ics:${Date.now().toString(36)}`;
+      await this.saveConnection(accountKey, connection);
+
+      logger.debug(`Added ${connection.kind} subscription ${connection.name} (${accountKey})`);
+      return { success: true, accountKey, name: connection.name };
+    } catch (error) {
+      logger.error('Error adding calendar subscription', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a calendar subscription and its sync state, and give back access
+   * to its server unless another subscription still reads from it
+   * @param {string} accountKey - 'ics:<id>'
+   */
+  static async removeIcsSubscription(accountKey) {
+    try {
+      const local = await chrome.storage.local.get(this.STORAGE_KEY);
+      const connections = local[this.STORAGE_KEY] || {};
+      const origin = this.feedOrigin(connections[accountKey]?.url);
+
+      await this.forgetAccount(accountKey);
+      await SyncState.prune(`${accountKey}/`);
+
+      const shared = Object.entries(connections).some(
+        ([key, connection]) => key !== accountKey && this.feedOrigin(connection?.url) === origin
+      );
+      if (origin && !shared) {
+        await chrome.permissions.remove({ origins: [`${origin}/*`] });
+      }
+      logger.debug(`Removed calendar subscription ${accountKey}`);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error removing calendar subscription', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Origin of a subscription URL, as host permission is granted for it
+   * @param {string} url - Stored feed URL
+   * @returns {string|null}
+   */
+  static feedOrigin(url) {
+    try {
+      return url ? new URL(url).origin : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch events from a calendar subscription for the configured sync
+   * window. Feeds have no delta protocol, so every read replaces the stored
+   * set; an .ics feed that answers 304 to its stored ETag keeps the set as is.
+   * @param {string} accountKey - 'ics:<id>'
+   * @returns {Promise<{success: boolean, events: Array, changes?: Object, error?: string}>}
+   */
+  static async fetchIcsEvents(accountKey) {
+    try {
+      const local = await chrome.storage.local.get(this.STORAGE_KEY);
+      const connection = local[this.STORAGE_KEY]?.[accountKey];
+      if (!connection?.connected || !connection.url) {
+        return { success: false, error: 'Not connected', events: [] };
+      }
+
+      const syncWindow = this.getSyncWindow(await this.getSyncDaysAhead());
+      const windowKey = SyncState.windowKey(syncWindow);
+      const stateKey = `${accountKey}/${this.DEFAULT_CALENDAR_IDS.ics}`;
+      const state = await SyncState.get(stateKey);
+      // A moved window needs a fresh expansion even if the feed is unchanged
+      const etag = state?.windowKey === windowKey ? state.token : null;
+
+      const result =
+        connection.kind === 'caldav'
+          ? await this.fetchCalDavCalendar(connection, syncWindow)
+          : await this.fetchIcsFeed(connection, etag);
+
+      if (!result.ok) {
+        if (result.status === 401 || result.status === 403) {
+          return {
+            success: false,
+            error: 'Authentication failed. Check the username and app password.',
+            events: [],
+          };
+        }
+        throw new Error(`Feed error: ${result.status}`);
+      }
+
+      if (result.notModified) {
+        const events = Object.values(state.events || {});
+        logger.debug(`Subscription ${accountKey} unchanged (${events.length} events)`);
+        return { success: true, events, changes: { added: [], updated: [], removed: [] } };
+      }
+
+      const selfEmail = connection.username?.includes('@') ? connection.username : null;
+      const upserts = result.texts.flatMap(text => {
+        const calendar = ICal.parse(text);
+        return this.parseIcsEvents(ICal.expand(calendar, syncWindow), selfEmail).map(event => ({
+          ...event,
+          id: `${accountKey}_${event.id}`,
+          seriesId: event.seriesId && `${accountKey}_${event.seriesId}`,
+          account: accountKey,
+          accountEmail: selfEmail,
+          calendarId: this.DEFAULT_CALENDAR_IDS.ics,
+          calendarName: connection.name,
+        }));
+      });
+
+      const { events, changes } = SyncState.merge(state?.events, { upserts, replace: true });
+      await SyncState.save(stateKey, { token: result.etag || null, windowKey, events });
+
+      logger.debug(
+        `Fetched ${upserts.length} events from subscription ${accountKey} ` +
+          `(+${changes.added.length} ~${changes.updated.length} -${changes.removed.length})`
+      );
+      return { success: true, events: Object.values(events), changes };
+    } catch (error) {
+      logger.error('Error fetching calendar subscription', error);
+      return { success: false, error: error.message, events: [] };
+    }
+  }
+
+  /**
+   * Download an .ics feed
+   * @param {Object} connection - Subscription record
+   * @param {string|null} etag - ETag of the last download, for a conditional GET
+   * @returns {Promise<{ok: boolean, status: number, texts: Array<string>, etag?: string|null, notModified?: boolean}>}
+   */
+  static async fetchIcsFeed(connection, etag = null) {
+    const headers = { Accept: 'text/calendar, */*;q=0.5' };
+    if (etag) headers['If-None-Match'] = etag;
+    if (connection.username) headers.Authorization = this.basicAuth(connection);
+
+    const response = await fetch(connection.url, { headers, cache: 'no-store' });
+    if (response.status === 304) {
+      return { ok: true, status: 304, texts: [], notModified: true };
+    }
+    if (!response.ok) {
+      return { ok: false, status: response.status, texts: [] };
+    }
+
+    return {
+      ok: true,
+      status: response.status,
+      texts: [await response.text()],
+      etag: response.headers?.get?.('ETag') || null,
+    };
+  }
+
+  /**
+   * Query a CalDAV collection for the events overlapping the window
+   * (RFC 4791 calendar-query REPORT). Recurring series come back as their
+   * master VEVENT plus overrides and are expanded locally.
+   * @param {Object} connection - Subscription record
+   * @param {{start: Date, end: Date}} syncWindow
+   * @returns {Promise<{ok: boolean, status: number, texts: Array<string>}>}
+   */
+  static async fetchCalDavCalendar(connection, syncWindow) {
+    const body =
+      '<?xml version="1.0" encoding="utf-8"?>' +
+      '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      '<d:prop><d:getetag/><c:calendar-data/></d:prop>' +
+      '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+      `<c:time-range start="${ICal.compactUtc(syncWindow.start)}" end="${ICal.compactUtc(syncWindow.end)}"/>` +
+      '</c:comp-filter></c:comp-filter></c:filter>' +
+      '</c:calendar-query>';
+
+    const headers = { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' };
+    if (connection.username) headers.Authorization = this.basicAuth(connection);
+
+    const response = await fetch(connection.url, { method: 'REPORT', headers, body });
+    if (!response.ok) {
+      return { ok: false, status: response.status, texts: [] };
+    }
+
+    return {
+      ok: true,
+      status: response.status,
+      texts: this.parseCalDavMultistatus(await response.text()),
+    };
+  }
+
+  /**
+   * Pull the calendar-data payloads out of a WebDAV multistatus response.
+   * Service workers have no DOMParser, and only this one element matters, so
+   * it's matched directly whatever namespace prefix the server picked.
+   * @param {string} xml - Multistatus response body
+   * @returns {Array<string>} iCalendar documents
+   */
+  static parseCalDavMultistatus(xml) {
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    const pattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/gi;
+
+    return [...String(xml || '').matchAll(pattern)]
+      .map(([, content]) =>
+        content
+          .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+          .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] !== '#') return entities[entity.toLowerCase()] ?? match;
+            const code =
+              entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+          })
+      )
+      .filter(text => text.trim());
+  }
+
+  /**
+   * HTTP Basic Authorization header for a subscription (UTF-8 safe)
+   * @param {Object} connection - Subscription record with username/password
+   * @returns {string}
+   */
+  static basicAuth(connection) {
+    // btoa only takes Latin-1; spell the UTF-8 bytes out as one char each
+    const utf8 = encodeURIComponent(`${connection.username}:${connection.password || ''}`).replace(
+      /%([0-9A-F]{2})/g,
+      (_, hex) => String.fromCharCode(parseInt(hex, 16))
+    );
+    return `Basic ${btoa(utf8)}`;
+  }
+
+  /**
+   * Parse expanded iCalendar occurrences into PingMeet format
+   * @param {Array<Object>} occurrences - Result of ICal.expand
+   * @param {string|null} selfEmail - The subscriber's address, to find their own attendee entry
+   */
+  static parseIcsEvents(occurrences, selfEmail = null) {
+    const self = (selfEmail || '').toLowerCase();
+
+    return occurrences
+      .map(occurrence => ({
+        occurrence,
+        attendees: occurrence.attendees.map(a => ({
+          name: a.name,
+          email: a.email,
+          responseStatus: a.responseStatus,
+          self: !!self && (a.email || '').toLowerCase() === self,
+        })),
+      }))
+      .filter(({ attendees }) => attendees.find(a => a.self)?.responseStatus !== 'declined')
+      .map(({ occurrence, attendees }) => ({
+        id: occurrence.id,
+        title: occurrence.summary || 'Untitled Meeting',
+        startTime: occurrence.start.toISOString(),
+        endTime: occurrence.end.toISOString(),
+        location: occurrence.location,
+        description: occurrence.description,
+        meetingLink: this.extractMeetingLink({
+          description: [occurrence.conferenceUrl, occurrence.url, occurrence.description]
+            .filter(Boolean)
+            .join(' '),
+          location: occurrence.location,
+        }),
+        organizer: occurrence.organizer,
+        attendees,
+        htmlLink: occurrence.url,
+        dialIn: null,
+        eventType: 'default',
+        seriesId: occurrence.recurrenceId ? occurrence.uid : null,
+        // Source marker
+        source: 'ics',
+      }));
+  }
+
+  // ==================== Sync Window ====================
+
+  /**
+   * Rolling sync window: local midnight today through the end of the day
+   * `daysAhead` days from now.
+   * @param {number} daysAhead - Days beyond today (0 = today only)
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {{start: Date, end: Date}}
+   */
+  static getSyncWindow(daysAhead = this.DEFAULT_SYNC_DAYS_AHEAD, now = new Date()) {
+    const days = Number.isFinite(daysAhead) && daysAhead >= 0 ? Math.floor(daysAhead) : 0;
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + days, 23, 59, 59);
+    return { start, end };
+  }
+
+  /**
+   * Read the sync horizon from settings, falling back to the default for
+   * settings saved before the option existed.
+   * @returns {Promise<number>}
+   */
+  static async getSyncDaysAhead() {
+    const settings = await StorageManager.getSettings();
+    return Number.isFinite(settings?.syncDaysAhead)
+      ? settings.syncDaysAhead
+      : this.DEFAULT_SYNC_DAYS_AHEAD;
+  }
+
+  /**
+   * Parse Google Calendar API events into PingMeet format
+   * @param {Array} items - Events resource items
+   * @param {Array} defaultReminders - The calendar's default reminders, used
+   *   by events with reminders.useDefault
+   */
+  static parseGoogleEvents(items, defaultReminders = []) {
+    return items
+      .filter(item => item.start?.dateTime) // Only timed events, not all-day
+      .filter(item => item.status !== 'cancelled') // Skip cancelled meetings
+      .filter(item => {
+        // Skip declined events — user explicitly said no.
+        const selfAttendee = (item.attendees || []).find(a => a.self);
+        if (selfAttendee?.responseStatus === 'declined') return false;
+        return true;
+      })
+      .map(item => ({
+        id: item.id,
+        title: item.summary || 'Untitled Meeting',
+        startTime: item.start.dateTime,
+        endTime: item.end?.dateTime,
+        location: item.location || '',
+        description: item.description || '',
+        meetingLink: this.extractMeetingLink(item),
+        organizer: item.organizer
+          ? {
+              name: item.organizer.displayName || item.organizer.email,
+              email: item.organizer.email,
+            }
+          : null,
+        attendees: (item.attendees || []).map(a => ({
+          name: a.displayName || a.email?.split('@')[0],
+          email: a.email,
+          responseStatus: a.responseStatus || 'needsAction',
+          self: a.self || false,
+        })),
+        htmlLink: item.htmlLink,
+        conferenceData: item.conferenceData,
+        // Extract dial-in info from conference data
+        dialIn: this.extractDialInInfo(item.conferenceData),
+        // Google's classification: 'default' | 'outOfOffice' | 'focusTime' |
+        // 'workingLocation' | 'fromGmail'. Used downstream for OOO/focus
+        // suppression of reminders.
+        eventType: item.eventType || 'default',
+        // Instances of a recurring event share the recurring event's ID
+        seriesId: item.recurringEventId || null,
+        // Lead times set in the calendar (used with settings.useCalendarReminders)
+        calendarReminders: this.parseGoogleReminders(item.reminders, defaultReminders),
+        // Source marker
+        source: 'google-api',
+      }));
+  }
+
+  /**
+   * Minutes-before of an event's popup reminders, resolving useDefault to
+   * the calendar's defaults. Email reminders don't ring, so they're ignored.
+   * @param {Object} reminders - Event reminders ({ useDefault, overrides })
+   * @param {Array} defaultReminders - Calendar default reminders
+   * @returns {Array<number>|null} Earliest first; null when unknown
+   */
+  static parseGoogleReminders(reminders, defaultReminders = []) {
+    if (!reminders) return null;
+    const list = reminders.useDefault ? defaultReminders : reminders.overrides || [];
+    return ReminderOverrides.parseOffsets(
+      list.filter(reminder => reminder.method === 'popup').map(reminder => reminder.minutes)
+    );
+  }
+
+  /**
+   * Extract meeting link from event
+   */
+  static extractMeetingLink(item) {
+    // Priority 1: Google Meet link from conference data
+    if (item.conferenceData?.entryPoints) {
+      const videoEntry = item.conferenceData.entryPoints.find(e => e.entryPointType === 'video');
+      if (videoEntry?.uri) return videoEntry.uri;
+    }
+
+    // Priority 2: hangoutLink
+    if (item.hangoutLink) return item.hangoutLink;
 
     // Priority 3: Look in description for meeting links
     const description = item.description || '';
@@ -1596,6 +2573,8 @@ export class CalendarAPI {
   /**
    * Save connection status. Splits access tokens off into chrome.storage.session
    * so they aren't persisted to disk. Refresh tokens + metadata stay in local.
+   * @param {string} provider - Account key ('google', 'outlook' or e.g. 'google:me@work.com')
+   * @param {Object} data - Connection record (full replace)
    */
   static async saveConnection(provider, data) {
     // Read directly from local — we don't want to merge session tokens here,
@@ -1629,7 +2608,7 @@ export class CalendarAPI {
   }
 
   /**
-   * Read merged connection state for both providers. Combines the persisted
+   * Read merged connection state for every account. Combines the persisted
    * metadata in chrome.storage.local with the in-memory access tokens in
    * chrome.storage.session, returning the same shape callers expect.
    */
@@ -1638,13 +2617,14 @@ export class CalendarAPI {
     const connections = local[this.STORAGE_KEY] || {};
 
     try {
-      const sessionKeys = ['google', 'outlook'].map(p => `${this.SESSION_TOKEN_PREFIX}${p}`);
+      const accountKeys = [...new Set(['google', 'outlook', ...Object.keys(connections)])];
+      const sessionKeys = accountKeys.map(key => `${this.SESSION_TOKEN_PREFIX}${key}`);
       const session = await chrome.storage.session.get(sessionKeys);
-      for (const provider of ['google', 'outlook']) {
-        const sessionKey = `${this.SESSION_TOKEN_PREFIX}${provider}`;
+      for (const accountKey of accountKeys) {
+        const sessionKey = `${this.SESSION_TOKEN_PREFIX}${accountKey}`;
         const token = session[sessionKey];
-        if (token && connections[provider]) {
-          connections[provider] = { ...connections[provider], accessToken: token };
+        if (token && connections[accountKey]) {
+          connections[accountKey] = { ...connections[accountKey], accessToken: token };
         }
       }
     } catch {
@@ -1672,25 +2652,32 @@ export class CalendarAPI {
   /**
    * Build a lightweight health snapshot for the popup diagnostics line, so a
    * silent token failure is visible instead of mysterious. Reports last sync
-   * age and, per connected provider, whether the token is healthy, expiring,
-   * or needs reconnection.
-   * @returns {Promise<{lastSync: string|null, providers: Array<{provider: string, label: string, state: string, expiresInMin: number|null, needsReauth: boolean}>}>}
+   * age and, per connected account, whether the token is healthy, expiring,
+   * or needs reconnection. Accounts are labelled with their email once a
+   * provider has more than one.
+   * @returns {Promise<{lastSync: string|null, providers: Array<{provider: string, account: string, label: string, state: string, expiresInMin: number|null, needsReauth: boolean}>}>}
    */
   static async getHealthSnapshot() {
     const connection = (await this.getConnections())[this.STORAGE_KEY] || {};
     const lastSync = await this.getLastSync();
     const now = Date.now();
 
+    const accounts = await this.listAccounts();
+    const names = { google: 'Google', outlook: 'Outlook', ics: 'Calendar' };
+
     const providers = [];
-    for (const [provider, label] of [
-      ['google', 'Google'],
-      ['outlook', 'Outlook'],
-    ]) {
-      const conn = connection[provider];
+    for (const account of accounts) {
+      const { key, provider } = account;
+      const conn = connection[key];
+      const multiple = accounts.filter(a => a.provider === provider).length > 1;
+      // Subscriptions are always told apart by name
+      const detail = provider === 'ics' ? account.name : multiple && account.email;
+      const label = detail ? `${names[provider]} (${detail})` : names[provider];
       if (!conn?.connected) {
         if (conn?.needsReauth) {
           providers.push({
             provider,
+            account: key,
             label,
             state: 'needs_reauth',
             expiresInMin: null,
@@ -1706,7 +2693,7 @@ export class CalendarAPI {
       // and less alarming than a perpetual "refreshing…".
       const state = expiresInMin !== null && expiresInMin <= 0 ? 'refreshing' : 'ok';
 
-      providers.push({ provider, label, state, expiresInMin, needsReauth: false });
+      providers.push({ provider, account: key, label, state, expiresInMin, needsReauth: false });
     }
 
     return { lastSync, providers };
@@ -1714,10 +2701,13 @@ export class CalendarAPI {
 
   /**
    * Create a new Google Calendar event
+   * @param {Object} eventData - Event fields; `account` picks the account (defaults to the first),
+   *   `calendarId` the calendar (defaults to primary), `attendees` is a list of emails to
+   *   invite and `recurrence` an RRULE value like "FREQ=WEEKLY;BYDAY=MO"
    */
   static async createGoogleEvent(eventData) {
     try {
-      const token = await this.getValidToken();
+      const token = await this.getValidToken(eventData.account || 'google');
       if (!token) {
         return { success: false, error: 'Not authenticated' };
       }
@@ -1738,6 +2728,12 @@ export class CalendarAPI {
         description: eventData.description || '',
         location: eventData.location || '',
       };
+      if (eventData.attendees?.length) {
+        event.attendees = eventData.attendees.map(email => ({ email }));
+      }
+      if (eventData.recurrence) {
+        event.recurrence = [`RRULE:${eventData.recurrence}`];
+      }
 
       // Add conference data if meeting link requested
       if (eventData.addMeetLink) {
@@ -1749,8 +2745,9 @@ export class CalendarAPI {
         };
       }
 
+      const calendarId = encodeURIComponent(eventData.calendarId || 'primary');
       const response = await fetch(
-        `${this.GOOGLE_CALENDAR_API}/calendars/primary/events?conferenceDataVersion=1`,
+        `${this.GOOGLE_CALENDAR_API}/calendars/${calendarId}/events?conferenceDataVersion=1&sendUpdates=all`,
         {
           method: 'POST',
           headers: {
@@ -1785,10 +2782,13 @@ export class CalendarAPI {
 
   /**
    * Create a new Outlook Calendar event
+   * @param {Object} eventData - Event fields; `account` picks the account (defaults to the first),
+   *   `calendarId` the calendar (defaults to the default calendar), `attendees` is a list of
+   *   emails to invite, `recurrence` an RRULE value and `addMeetLink` adds a Teams meeting
    */
   static async createOutlookEvent(eventData) {
     try {
-      const token = await this.getValidOutlookToken();
+      const token = await this.getValidOutlookToken(eventData.account || 'outlook');
       if (!token) {
         return { success: false, error: 'Not authenticated' };
       }
@@ -1814,6 +2814,21 @@ export class CalendarAPI {
           displayName: eventData.location || '',
         },
       };
+      if (eventData.attendees?.length) {
+        event.attendees = eventData.attendees.map(address => ({
+          type: 'required',
+          emailAddress: { address },
+        }));
+      }
+      if (eventData.recurrence) {
+        event.recurrence = this.toGraphRecurrence(
+          eventData.recurrence,
+          eventData.startTime.slice(0, 10)
+        );
+        if (!event.recurrence) {
+          return { success: false, error: 'Outlook does not support this repeat rule' };
+        }
+      }
 
       // Add Teams meeting if requested
       if (eventData.addMeetLink) {
@@ -1821,7 +2836,11 @@ export class CalendarAPI {
         event.onlineMeetingProvider = 'teamsForBusiness';
       }
 
-      const response = await fetch(`${this.MS_GRAPH_API}/me/events`, {
+      const calendarPath =
+        eventData.calendarId && eventData.calendarId !== this.DEFAULT_CALENDAR_IDS.outlook
+          ? `/me/calendars/${encodeURIComponent(eventData.calendarId)}`
+          : '/me';
+      const response = await fetch(`${this.MS_GRAPH_API}${calendarPath}/events`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
@@ -1853,25 +2872,521 @@ export class CalendarAPI {
   }
 
   /**
-   * Decline a Google Calendar event
+   * Whether the user can change an event directly: it has to come from a
+   * calendar API and be organized by the synced account. Attendees propose
+   * a new time instead.
+   * @param {Object} event - Event
+   * @returns {boolean}
+   */
+  static canEdit(event) {
+    if (event?.source !== 'google-api' && event?.source !== 'outlook-api') return false;
+    const organizer = (event.organizer?.email || '').toLowerCase();
+    return !organizer || organizer === (event.accountEmail || '').toLowerCase();
+  }
+
+  /**
+   * Change an event the user organizes
+   * @param {Object} event - Event from a calendar API
+   * @param {Object} changes - Any of { title, location, startTime, endTime };
+   *   times are ISO strings
+   * @returns {Promise<{success: boolean, error?: string}>}
    */
-  static async declineGoogleEvent(eventId) {
+  static async updateEvent(event, changes) {
+    if (event?.source === 'google-api') {
+      return this.updateGoogleEvent(
+        event.id,
+        changes,
+        event.account || 'google',
+        event.calendarId || 'primary'
+      );
+    }
+    if (event?.source === 'outlook-api') {
+      return this.updateOutlookEvent(event.id, changes, event.account || 'outlook');
+    }
+    return { success: false, error: 'Cannot edit this event (unsupported source)' };
+  }
+
+  /**
+   * PATCH a Google Calendar event; attendees are told about the change
+   * @param {string} eventId - Event ID
+   * @param {Object} changes - See updateEvent()
+   * @param {string} accountKey - Account the event belongs to
+   * @param {string} calendarId - Calendar the event lives in
+   */
+  static async updateGoogleEvent(eventId, changes, accountKey = 'google', calendarId = 'primary') {
     try {
-      const token = await this.getValidToken();
+      const token = await this.getValidToken(accountKey);
       if (!token) {
         return { success: false, error: 'Not authenticated' };
       }
 
-      // Remove prefix if present (e.g., "outlook_abc123" -> "abc123")
-      const cleanEventId = eventId.replace(/^(google_|outlook_)/, '');
+      const patch = {};
+      if (changes.title !== undefined) patch.summary = changes.title;
+      if (changes.location !== undefined) patch.location = changes.location;
+      if (changes.startTime) patch.start = { dateTime: new Date(changes.startTime).toISOString() };
+      if (changes.endTime) patch.end = { dateTime: new Date(changes.endTime).toISOString() };
 
-      // First, fetch the event to get current attendees
-      const getResponse = await fetch(
-        `${this.GOOGLE_CALENDAR_API}/calendars/primary/events/${cleanEventId}`,
+      const cleanEventId = eventId.replace(/^(google_|outlook_)/, '');
+      const response = await fetch(
+        `${this.GOOGLE_CALENDAR_API}/calendars/${encodeURIComponent(calendarId)}/events/${cleanEventId}?sendUpdates=all`,
         {
-          headers: { Authorization: `Bearer ${token}` },
+          method: 'PATCH',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(patch),
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { success: false, error: error.error?.message || 'Failed to update event' };
+      }
+
+      logger.debug('Updated Google Calendar event', cleanEventId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error updating Google event', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * A time as a Graph dateTimeTimeZone, in UTC. Graph wants the dateTime
+   * without an offset, the zone going in timeZone.
+   * @param {string|number|Date} value - Time to send
+   * @returns {{dateTime: string, timeZone: string}}
+   */
+  static toGraphDateTime(value) {
+    return { dateTime: new Date(value).toISOString().replace(/Z$/, ''), timeZone: 'UTC' };
+  }
+
+  /**
+   * PATCH an Outlook event; Graph sends the update to attendees
+   * @param {string} eventId - Event ID
+   * @param {Object} changes - See updateEvent()
+   * @param {string} accountKey - Account the event belongs to
+   */
+  static async updateOutlookEvent(eventId, changes, accountKey = 'outlook') {
+    try {
+      const token = await this.getValidOutlookToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const patch = {};
+      if (changes.title !== undefined) patch.subject = changes.title;
+      if (changes.location !== undefined) patch.location = { displayName: changes.location };
+      if (changes.startTime) patch.start = this.toGraphDateTime(changes.startTime);
+      if (changes.endTime) patch.end = this.toGraphDateTime(changes.endTime);
+
+      const cleanEventId = eventId.replace(/^(google_|outlook_)/, '');
+      const response = await fetch(`${this.MS_GRAPH_API}/me/events/${cleanEventId}`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(patch),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { success: false, error: error.error?.message || 'Failed to update event' };
+      }
+
+      logger.debug('Updated Outlook event', cleanEventId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error updating Outlook event', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Convert an RRULE value to a Graph patternedRecurrence
+   * @param {string} rrule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+   * @param {string} startDate - First occurrence, YYYY-MM-DD
+   * @returns {Object|null} null when Graph can't express the rule
+   */
+  static toGraphRecurrence(rrule, startDate) {
+    const rule = ICal.parseRule(rrule);
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const weekday = day => this.GRAPH_WEEKDAYS[day];
+    const days = rule.byDay.length
+      ? rule.byDay.map(({ day }) => weekday(day))
+      : [weekday(start.getUTCDay())];
+
+    let pattern;
+    if (rule.freq === 'DAILY') {
+      pattern = { type: 'daily', interval: rule.interval };
+    } else if (rule.freq === 'WEEKLY') {
+      pattern = { type: 'weekly', interval: rule.interval, daysOfWeek: days };
+    } else if (rule.freq === 'MONTHLY' && rule.byDay.length === 1 && rule.byDay[0].n) {
+      // "2TU" → second Tuesday, "-1FR" → last Friday
+      const index = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' }[
+        rule.byDay[0].n
+      ];
+      if (!index) return null;
+      pattern = { type: 'relativeMonthly', interval: rule.interval, daysOfWeek: days, index };
+    } else if (rule.freq === 'MONTHLY' && !rule.byDay.length) {
+      pattern = {
+        type: 'absoluteMonthly',
+        interval: rule.interval,
+        dayOfMonth: rule.byMonthDay[0] || start.getUTCDate(),
+      };
+    } else if (rule.freq === 'YEARLY' && !rule.byDay.length) {
+      pattern = {
+        type: 'absoluteYearly',
+        interval: rule.interval,
+        dayOfMonth: rule.byMonthDay[0] || start.getUTCDate(),
+        month: rule.byMonth[0] || start.getUTCMonth() + 1,
+      };
+    } else {
+      return null;
+    }
+
+    let range = { type: 'noEnd', startDate };
+    if (rule.count) {
+      range = { type: 'numbered', startDate, numberOfOccurrences: rule.count };
+    } else if (rule.until) {
+      range = {
+        type: 'endDate',
+        startDate,
+        endDate: new Date(rule.until.naive).toISOString().slice(0, 10),
+      };
+    }
+    return { pattern, range };
+  }
+
+  /**
+   * Ranked free slots for a new meeting with the given attendees, inside
+   * the user's working hours. Outlook asks Graph findMeetingTimes first and
+   * falls back to getSchedule busy times; Google uses freeBusy.
+   * @param {string} accountKey - Account to book with
+   * @param {Object} options - { attendees, from, days, durationMinutes, settings }
+   *   as for SlotFinder.findSlots(); attendees is a list of emails
+   * @returns {Promise<{success: boolean, slots?: Array<{start: string, end: string}>, unavailable?: Array<string>, error?: string}>}
+   *   unavailable lists attendees whose calendars couldn't be read
+   */
+  static async findFreeSlots(accountKey, options = {}) {
+    const attendees = [
+      ...new Set((options.attendees || []).map(a => a.trim().toLowerCase())),
+    ].filter(Boolean);
+    const windows = SlotFinder.getWorkingWindows(options);
+    if (windows.length === 0) {
+      return { success: true, slots: [], unavailable: [] };
+    }
+    const range = {
+      start: new Date(windows[0].start).toISOString(),
+      end: new Date(windows.at(-1).end).toISOString(),
+    };
+
+    if (this.providerOf(accountKey) === 'outlook') {
+      const suggested = await this.findOutlookMeetingTimes(
+        attendees,
+        windows,
+        options.durationMinutes || 30,
+        accountKey
+      );
+      if (suggested.success) {
+        return { success: true, slots: suggested.slots, unavailable: [] };
+      }
+      logger.debug(`findMeetingTimes unavailable (${suggested.error}), using getSchedule`);
+    }
+
+    const schedule =
+      this.providerOf(accountKey) === 'outlook'
+        ? await this.getOutlookSchedule(attendees, range.start, range.end, accountKey)
+        : await this.getGoogleFreeBusy(attendees, range.start, range.end, accountKey);
+    if (!schedule.success) return schedule;
+
+    return {
+      success: true,
+      slots: SlotFinder.findSlots(schedule.busy, options),
+      unavailable: schedule.unavailable,
+    };
+  }
+
+  /**
+   * Busy times of the user and the given people from Google freeBusy
+   * @param {Array<string>} emails - Attendee emails
+   * @param {string} timeMin - ISO start of the range
+   * @param {string} timeMax - ISO end of the range
+   * @param {string} accountKey - Google account
+   * @returns {Promise<{success: boolean, busy?: Array<{start: string, end: string}>, unavailable?: Array<string>, error?: string}>}
+   */
+  static async getGoogleFreeBusy(emails, timeMin, timeMax, accountKey = 'google') {
+    try {
+      const token = await this.getValidToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const response = await fetch(`${this.GOOGLE_CALENDAR_API}/freeBusy`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          timeMin,
+          timeMax,
+          items: [{ id: 'primary' }, ...emails.map(id => ({ id }))],
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { success: false, error: error.error?.message || 'Failed to read free/busy' };
+      }
+
+      const data = await response.json();
+      const busy = [];
+      const unavailable = [];
+      for (const [id, calendar] of Object.entries(data.calendars || {})) {
+        // Calendars outside the user's organization usually can't be read
+        if (calendar.errors?.length) {
+          unavailable.push(id);
+          continue;
+        }
+        busy.push(...(calendar.busy || []));
+      }
+      return { success: true, busy, unavailable };
+    } catch (error) {
+      logger.error('Error reading Google free/busy', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busy times of the user and the given people from Graph getSchedule
+   * @param {Array<string>} emails - Attendee emails
+   * @param {string} timeMin - ISO start of the range
+   * @param {string} timeMax - ISO end of the range
+   * @param {string} accountKey - Outlook account
+   * @returns {Promise<{success: boolean, busy?: Array<{start: string, end: string}>, unavailable?: Array<string>, error?: string}>}
+   */
+  static async getOutlookSchedule(emails, timeMin, timeMax, accountKey = 'outlook') {
+    try {
+      const token = await this.getValidOutlookToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const selfEmail = await this.getAccountEmail(accountKey);
+      const schedules = [...new Set([selfEmail?.toLowerCase(), ...emails].filter(Boolean))];
+
+      const response = await fetch(`${this.MS_GRAPH_API}/me/calendar/getSchedule`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          schedules,
+          startTime: this.toGraphDateTime(timeMin),
+          endTime: this.toGraphDateTime(timeMax),
+          availabilityViewInterval: SlotFinder.STEP_MINUTES,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { success: false, error: error.error?.message || 'Failed to read schedules' };
+      }
+
+      const data = await response.json();
+      const busy = [];
+      const unavailable = [];
+      for (const schedule of data.value || []) {
+        if (schedule.error) {
+          unavailable.push(schedule.scheduleId);
+          continue;
         }
+        for (const item of schedule.scheduleItems || []) {
+          if (item.status === 'free') continue;
+          busy.push({ start: `${item.start.dateTime}Z`, end: `${item.end.dateTime}Z` });
+        }
+      }
+      return { success: true, busy, unavailable };
+    } catch (error) {
+      logger.error('Error reading Outlook schedules', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Slots Graph findMeetingTimes suggests within the given windows, most
+   * confident first
+   * @param {Array<string>} emails - Attendee emails
+   * @param {Array<{start: number, end: number}>} windows - From SlotFinder.getWorkingWindows()
+   * @param {number} durationMinutes - Meeting length
+   * @param {string} accountKey - Outlook account
+   * @returns {Promise<{success: boolean, slots?: Array<{start: string, end: string, confidence: number}>, error?: string}>}
+   */
+  static async findOutlookMeetingTimes(emails, windows, durationMinutes, accountKey = 'outlook') {
+    try {
+      const token = await this.getValidOutlookToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const response = await fetch(`${this.MS_GRAPH_API}/me/findMeetingTimes`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          Prefer: 'outlook.timezone="UTC"',
+        },
+        body: JSON.stringify({
+          attendees: emails.map(address => ({ type: 'required', emailAddress: { address } })),
+          // PingMeet's working hours, not the mailbox's
+          timeConstraint: {
+            activityDomain: 'unrestricted',
+            timeSlots: windows.map(w => ({
+              start: this.toGraphDateTime(w.start),
+              end: this.toGraphDateTime(w.end),
+            })),
+          },
+          meetingDuration: `PT${durationMinutes}M`,
+          maxCandidates: SlotFinder.MAX_SLOTS,
+          minimumAttendeePercentage: 100,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        return { success: false, error: error.error?.message || 'Failed to find meeting times' };
+      }
+
+      const data = await response.json();
+      const slots = (data.meetingTimeSuggestions || [])
+        .map(suggestion => ({
+          start: new Date(`${suggestion.meetingTimeSlot.start.dateTime}Z`).toISOString(),
+          end: new Date(`${suggestion.meetingTimeSlot.end.dateTime}Z`).toISOString(),
+          confidence: suggestion.confidence ?? 0,
+        }))
+        .sort((a, b) => b.confidence - a.confidence || new Date(a.start) - new Date(b.start));
+      return { success: true, slots };
+    } catch (error) {
+      logger.error('Error finding Outlook meeting times', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Whether PingMeet can answer an event's invitation: it has to come from a
+   * calendar API, and organizers don't RSVP to their own meetings
+   * @param {Object} event - Event
+   * @returns {boolean}
+   */
+  static canRespond(event) {
+    if (event?.source !== 'google-api' && event?.source !== 'outlook-api') return false;
+    const organizer = (event.organizer?.email || '').toLowerCase();
+    return !organizer || organizer !== (event.accountEmail || '').toLowerCase();
+  }
+
+  /**
+   * Whether an event is an invitation the user hasn't answered yet
+   * @param {Object} event - Event
+   * @returns {boolean}
+   */
+  static needsResponse(event) {
+    return (
+      this.canRespond(event) && event.attendees?.find(a => a.self)?.responseStatus === 'needsAction'
+    );
+  }
+
+  /**
+   * Answer an invitation on the calendar the event was synced from
+   * @param {Object} event - Event (id, source, account, calendarId)
+   * @param {string} response - One of RSVP_RESPONSES
+   * @param {Object} options
+   * @param {string} options.comment - Note for the organizer
+   * @param {{start: string, end: string}} options.proposedTime - New time to
+   *   suggest with a tentative or declined response
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  static async respondToEvent(event, response, options = {}) {
+    if (!this.RSVP_RESPONSES.includes(response)) {
+      return { success: false, error: `Unknown response: ${response}` };
+    }
+    if (event?.source === 'google-api') {
+      return this.respondToGoogleEvent(
+        event.id,
+        response,
+        options,
+        event.account || 'google',
+        event.calendarId || 'primary'
       );
+    }
+    if (event?.source === 'outlook-api') {
+      return this.respondToOutlookEvent(event.id, response, options, event.account || 'outlook');
+    }
+    return { success: false, error: 'Cannot respond to this event (unsupported source)' };
+  }
+
+  /**
+   * Copy of an event with the user's own attendee entry set to a response,
+   * so the new status shows before the next sync delivers it
+   * @param {Object} event - Event
+   * @param {string} response - One of RSVP_RESPONSES
+   * @returns {Object}
+   */
+  static withResponseStatus(event, response) {
+    const selfEmail = (event.accountEmail || '').toLowerCase();
+    const isSelf = a => a.self || (!!selfEmail && (a.email || '').toLowerCase() === selfEmail);
+    const attendees = event.attendees || [];
+
+    return {
+      ...event,
+      attendees: attendees.some(isSelf)
+        ? attendees.map(a => (isSelf(a) ? { ...a, responseStatus: response, self: true } : a))
+        : [
+            ...attendees,
+            {
+              name: selfEmail.split('@')[0] || 'You',
+              email: event.accountEmail || '',
+              responseStatus: response,
+              self: true,
+            },
+          ],
+    };
+  }
+
+  /**
+   * Answer a Google Calendar invitation by patching the user's attendee
+   * entry. Google has no API for proposing a new time, so a proposal goes
+   * to the organizer as part of the attendee comment.
+   * @param {string} eventId - Event ID
+   * @param {string} response - One of RSVP_RESPONSES
+   * @param {Object} options - { comment, proposedTime }
+   * @param {string} accountKey - Account the invitation was sent to
+   * @param {string} calendarId - Calendar the event lives in
+   */
+  static async respondToGoogleEvent(
+    eventId,
+    response,
+    options = {},
+    accountKey = 'google',
+    calendarId = 'primary'
+  ) {
+    try {
+      const token = await this.getValidToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      // Remove prefix if present (e.g., "outlook_abc123" -> "abc123")
+      const cleanEventId = eventId.replace(/^(google_|outlook_)/, '');
+      const url = `${this.GOOGLE_CALENDAR_API}/calendars/${encodeURIComponent(calendarId)}/events/${cleanEventId}`;
+
+      // First, fetch the event to get current attendees
+      const getResponse = await fetch(url, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
 
       if (!getResponse.ok) {
         const error = await getResponse.json();
@@ -1882,79 +3397,278 @@ export class CalendarAPI {
 
       // Find the current user's attendee entry and update their response
       const attendees = event.attendees || [];
-      const userAttendee = attendees.find(a => a.self);
+      let userAttendee = attendees.find(a => a.self);
 
-      if (userAttendee) {
-        userAttendee.responseStatus = 'declined';
-      } else {
-        // If not found in attendees (unlikely), add as declined
-        attendees.push({
-          email: event.organizer?.email || '',
-          responseStatus: 'declined',
-          self: true,
-        });
+      if (!userAttendee) {
+        // If not found in attendees (unlikely), add the user
+        userAttendee = { email: event.organizer?.email || '', self: true };
+        attendees.push(userAttendee);
       }
+      userAttendee.responseStatus = response;
+
+      const comment = [options.comment, this.formatProposal(options.proposedTime)]
+        .filter(Boolean)
+        .join('\n\n');
+      if (comment) userAttendee.comment = comment;
 
       // Update the event with the modified attendees list
-      const patchResponse = await fetch(
-        `${this.GOOGLE_CALENDAR_API}/calendars/primary/events/${cleanEventId}`,
-        {
-          method: 'PATCH',
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ attendees }),
-        }
-      );
+      const patchResponse = await fetch(url, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ attendees }),
+      });
 
       if (!patchResponse.ok) {
         const error = await patchResponse.json();
-        return { success: false, error: error.error?.message || 'Failed to decline event' };
+        return { success: false, error: error.error?.message || 'Failed to respond to event' };
       }
 
-      logger.debug('Declined Google Calendar event', cleanEventId);
+      logger.debug(`Responded ${response} to Google Calendar event`, cleanEventId);
       return { success: true };
     } catch (error) {
-      logger.error('Error declining Google event', error);
+      logger.error('Error responding to Google event', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Decline an Outlook Calendar event
+   * Answer an Outlook invitation through Graph's accept / tentativelyAccept /
+   * decline actions. Graph carries a proposed new time natively; it is only
+   * accepted with tentative or declined responses.
+   * @param {string} eventId - Event ID
+   * @param {string} response - One of RSVP_RESPONSES
+   * @param {Object} options - { comment, proposedTime }
+   * @param {string} accountKey - Account the invitation was sent to
    */
-  static async declineOutlookEvent(eventId) {
+  static async respondToOutlookEvent(eventId, response, options = {}, accountKey = 'outlook') {
     try {
-      const token = await this.getValidOutlookToken();
+      const token = await this.getValidOutlookToken(accountKey);
       if (!token) {
         return { success: false, error: 'Not authenticated' };
       }
 
       // Remove prefix if present
       const cleanEventId = eventId.replace(/^(google_|outlook_)/, '');
+      const action = {
+        accepted: 'accept',
+        tentative: 'tentativelyAccept',
+        declined: 'decline',
+      }[response];
+
+      const body = { comment: options.comment || '', sendResponse: true };
+      if (options.proposedTime && response !== 'accepted') {
+        body.proposedNewTime = {
+          start: this.toGraphDateTime(options.proposedTime.start),
+          end: this.toGraphDateTime(options.proposedTime.end),
+        };
+      }
 
-      const response = await fetch(`${this.MS_GRAPH_API}/me/events/${cleanEventId}/decline`, {
+      const result = await fetch(`${this.MS_GRAPH_API}/me/events/${cleanEventId}/${action}`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          comment: 'Declined via PingMeet',
-          sendResponse: true,
-        }),
+        body: JSON.stringify(body),
       });
 
-      if (!response.ok) {
-        const error = await response.json();
-        return { success: false, error: error.error?.message || 'Failed to decline event' };
+      if (!result.ok) {
+        const error = await result.json();
+        return { success: false, error: error.error?.message || 'Failed to respond to event' };
       }
 
-      logger.debug('Declined Outlook event', cleanEventId);
+      logger.debug(`Responded ${response} to Outlook event`, cleanEventId);
       return { success: true };
     } catch (error) {
-      logger.error('Error declining Outlook event', error);
+      logger.error('Error responding to Outlook event', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Human-readable line for a proposed time, for providers without native
+   * proposals
+   * @param {{start: string, end: string}} proposedTime
+   * @returns {string}
+   */
+  static formatProposal(proposedTime) {
+    if (!proposedTime?.start) return '';
+    let range = new Date(proposedTime.start).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+    });
+    if (proposedTime.end) {
+      range += ` – ${new Date(proposedTime.end).toLocaleTimeString([], { timeStyle: 'short' })}`;
+    }
+    return `Proposed new time: ${range}`;
+  }
+
+  /**
+   * Decline a Google Calendar event
+   * @param {string} eventId - Event ID
+   * @param {string} accountKey - Account the invitation was sent to
+   * @param {string} calendarId - Calendar the event lives in
+   */
+  static async declineGoogleEvent(eventId, accountKey = 'google', calendarId = 'primary') {
+    return this.respondToGoogleEvent(eventId, 'declined', {}, accountKey, calendarId);
+  }
+
+  /**
+   * Decline an Outlook Calendar event
+   * @param {string} eventId - Event ID
+   * @param {string} accountKey - Account the invitation was sent to
+   */
+  static async declineOutlookEvent(eventId, accountKey = 'outlook') {
+    return this.respondToOutlookEvent(
+      eventId,
+      'declined',
+      { comment: 'Declined via PingMeet' },
+      accountKey
+    );
+  }
+
+  /**
+   * Decline an occurrence of a Google recurring event and every later one
+   * ("this and following"). Google has no attendee-side split, so each
+   * upcoming instance of the series is declined individually.
+   * @param {string} seriesId - recurringEventId of the series
+   * @param {string} fromTime - ISO start of the first occurrence to decline
+   * @param {string} accountKey - Account the invitation was sent to
+   * @param {string} calendarId - Calendar the series lives in
+   * @returns {Promise<{success: boolean, declined?: number, error?: string}>}
+   */
+  static async declineGoogleFollowing(
+    seriesId,
+    fromTime,
+    accountKey = 'google',
+    calendarId = 'primary'
+  ) {
+    try {
+      const token = await this.getValidToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const base = `${this.GOOGLE_CALENDAR_API}/calendars/${encodeURIComponent(calendarId)}/events`;
+      const instances = [];
+      let pageToken = null;
+      let pages = 0;
+      do {
+        const params = new URLSearchParams({
+          timeMin: new Date(new Date(fromTime).getTime() - 60 * 1000).toISOString(),
+          maxResults: String(this.GOOGLE_PAGE_SIZE),
+        });
+        if (pageToken) params.set('pageToken', pageToken);
+
+        const response = await fetch(
+          `${base}/${encodeURIComponent(seriesId)}/instances?${params}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!response.ok) {
+          const error = await response.json();
+          return { success: false, error: error.error?.message || 'Failed to fetch series' };
+        }
+
+        const data = await response.json();
+        instances.push(...(data.items || []));
+        pageToken = data.nextPageToken || null;
+        pages++;
+      } while (pageToken && pages < this.MAX_SYNC_PAGES);
+
+      let declined = 0;
+      for (const instance of instances) {
+        if (instance.status === 'cancelled') continue;
+        const attendees = instance.attendees || [];
+        const userAttendee = attendees.find(a => a.self);
+        if (!userAttendee || userAttendee.responseStatus === 'declined') continue;
+        userAttendee.responseStatus = 'declined';
+
+        const response = await fetch(`${base}/${encodeURIComponent(instance.id)}`, {
+          method: 'PATCH',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ attendees }),
+        });
+        if (!response.ok) {
+          const error = await response.json();
+          return {
+            success: false,
+            declined,
+            error: error.error?.message || 'Failed to decline event',
+          };
+        }
+        declined++;
+      }
+
+      logger.debug(`Declined ${declined} occurrence(s) of Google series`, seriesId);
+      return { success: true, declined };
+    } catch (error) {
+      logger.error('Error declining Google series', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Decline an occurrence of an Outlook series and every later one. Graph
+   * needs an end for /instances, so the next year of occurrences is covered.
+   * @param {string} seriesId - Series master ID (with or without the outlook_ prefix)
+   * @param {string} fromTime - ISO start of the first occurrence to decline
+   * @param {string} accountKey - Account the invitation was sent to
+   * @returns {Promise<{success: boolean, declined?: number, error?: string}>}
+   */
+  static async declineOutlookFollowing(seriesId, fromTime, accountKey = 'outlook') {
+    try {
+      const token = await this.getValidOutlookToken(accountKey);
+      if (!token) {
+        return { success: false, error: 'Not authenticated' };
+      }
+
+      const cleanSeriesId = seriesId.replace(/^outlook_/, '');
+      const start = new Date(new Date(fromTime).getTime() - 60 * 1000);
+      const params = new URLSearchParams({
+        startDateTime: start.toISOString(),
+        endDateTime: new Date(start.getTime() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+        $select: 'id,isCancelled,responseStatus',
+      });
+
+      const instances = [];
+      let url = `${this.MS_GRAPH_API}/me/events/${encodeURIComponent(cleanSeriesId)}/instances?${params}`;
+      let pages = 0;
+      while (url && pages < this.MAX_SYNC_PAGES) {
+        const response = await fetch(url, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            Prefer: `odata.maxpagesize=${this.OUTLOOK_PAGE_SIZE}`,
+          },
+        });
+        if (!response.ok) {
+          const error = await response.json();
+          return { success: false, error: error.error?.message || 'Failed to fetch series' };
+        }
+
+        const data = await response.json();
+        instances.push(...(data.value || []));
+        url = data['@odata.nextLink'] || null;
+        pages++;
+      }
+
+      let declined = 0;
+      for (const instance of instances) {
+        if (instance.isCancelled || instance.responseStatus?.response === 'declined') continue;
+        const result = await this.declineOutlookEvent(instance.id, accountKey);
+        if (!result.success) return { ...result, declined };
+        declined++;
+      }
+
+      logger.debug(`Declined ${declined} occurrence(s) of Outlook series`, cleanSeriesId);
+      return { success: true, declined };
+    } catch (error) {
+      logger.error('Error declining Outlook series', error);
       return { success: false, error: error.message };
     }
   }
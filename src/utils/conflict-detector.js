@@ -6,36 +6,213 @@ export class ConflictDetector {
   /**
    * Detect overlapping events
    * @param {Array} events - Array of event objects with startTime and endTime
+   * @param {Set<string>} acknowledged - pairKey()s the user chose to live with
    * @returns {Array} Array of conflict objects
    */
-  static detectConflicts(events) {
-    const conflicts = [];
+  static detectConflicts(events, acknowledged = null) {
+    return this.findOverlaps(events, acknowledged).map(([event1, event2]) =>
+      this.describeConflict(event1, event2)
+    );
+  }
 
-    // Sort events by start time
-    const sortedEvents = [...events].sort((a, b) => {
-      return new Date(a.startTime) - new Date(b.startTime);
-    });
+  /**
+   * Detect clusters of overlapping events: meetings linked by any chain of
+   * overlaps form one group, so a three-way clash is a single conflict
+   * @param {Array} events - Array of event objects with startTime and endTime
+   * @param {Set<string>} acknowledged - pairKey()s the user chose to live with
+   * @returns {Array<{type: string, events: Array, startTime: string, endTime: string, message: string, severity: string}>}
+   */
+  static detectConflictGroups(events, acknowledged = null) {
+    return this.groupOverlaps(this.findOverlaps(events, acknowledged));
+  }
+
+  /**
+   * Every overlapping pair, found with a sweep over start times: events are
+   * visited in start order against the set of events still running, so the
+   * cost is O(n log n) plus the number of overlaps instead of O(n²)
+   * @param {Array} events - Array of event objects with startTime and endTime
+   * @param {Set<string>} acknowledged - pairKey()s the user chose to live with
+   * @returns {Array<Array<Object>>} [earlier, later] pairs, ordered by the
+   *   earlier event's start, then the later one's
+   */
+  static findOverlaps(events, acknowledged = null) {
+    const intervals = events
+      .map(event => ({ event, ...this.getInterval(event) }))
+      .filter(interval => !Number.isNaN(interval.start))
+      .sort((a, b) => a.start - b.start);
+    intervals.forEach((interval, index) => (interval.index = index));
+
+    const pairs = [];
+    let active = [];
+    for (const current of intervals) {
+      // Anything that ended by now can't overlap this or any later event
+      active = active.filter(other => other.end > current.start);
+
+      for (const other of active) {
+        // Zero-length events at the same instant don't overlap
+        if (!(other.start < current.end)) continue;
+        if (acknowledged?.has(this.pairKey(other.event, current.event))) continue;
+        pairs.push([other, current]);
+      }
+      active.push(current);
+    }
+
+    return pairs
+      .sort((a, b) => a[0].index - b[0].index || a[1].index - b[1].index)
+      .map(([first, second]) => [first.event, second.event]);
+  }
+
+  /**
+   * Per-event conflict index built from findOverlaps() in one pass, so a
+   * sync doesn't need a getConflictingEvents() scan per event
+   * @param {Array<Array<Object>>} overlaps - Result of findOverlaps()
+   * @returns {Map<string, Array<Object>>} Event ID → conflicting events
+   */
+  static indexOverlaps(overlaps) {
+    const index = new Map();
+    for (const [event1, event2] of overlaps) {
+      if (!index.has(event1.id)) index.set(event1.id, []);
+      if (!index.has(event2.id)) index.set(event2.id, []);
+      index.get(event1.id).push(event2);
+      index.get(event2.id).push(event1);
+    }
+    return index;
+  }
+
+  /**
+   * Merge overlapping pairs into connected groups
+   * @param {Array<Array<Object>>} overlaps - Result of findOverlaps()
+   * @returns {Array<Object>} Conflict groups, earliest first
+   */
+  static groupOverlaps(overlaps) {
+    // Union-find over event IDs
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
 
-    // Check each pair of events
-    for (let i = 0; i < sortedEvents.length; i++) {
-      for (let j = i + 1; j < sortedEvents.length; j++) {
-        const event1 = sortedEvents[i];
-        const event2 = sortedEvents[j];
-
-        if (this.eventsOverlap(event1, event2)) {
-          conflicts.push({
-            type: 'overlap',
-            events: [event1, event2],
-            message: `"${event1.title}" overlaps with "${event2.title}"`,
-            severity: this.calculateSeverity(event1, event2),
-          });
+    const events = new Map();
+    for (const [event1, event2] of overlaps) {
+      for (const event of [event1, event2]) {
+        if (!events.has(event.id)) {
+          events.set(event.id, event);
+          parent.set(event.id, event.id);
         }
       }
+      parent.set(find(event1.id), find(event2.id));
+    }
+
+    // Worst severity of any pair in the group, kept as a running maximum
+    const rank = { low: 0, medium: 1, high: 2 };
+    const severities = new Map();
+    for (const [event1, event2] of overlaps) {
+      const root = find(event1.id);
+      const severity = this.calculateSeverity(event1, event2);
+      if (!severities.has(root) || rank[severity] > rank[severities.get(root)]) {
+        severities.set(root, severity);
+      }
+    }
+
+    const members = new Map();
+    for (const [id, event] of events) {
+      const root = find(id);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(event);
     }
 
+    return [...members.entries()]
+      .map(([root, group]) => {
+        const intervals = group.map(event => this.getInterval(event));
+        const titles = group.map(event => `"${event.title}"`);
+        return {
+          type: 'overlap',
+          events: group,
+          startTime: new Date(Math.min(...intervals.map(i => i.start))).toISOString(),
+          endTime: new Date(Math.max(...intervals.map(i => i.end))).toISOString(),
+          message:
+            group.length === 2
+              ? `${titles[0]} overlaps with ${titles[1]}`
+              : `${titles.slice(0, -1).join(', ')} and ${titles.at(-1)} overlap`,
+          severity: severities.get(root),
+        };
+      })
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  /**
+   * Conflict object of one overlapping pair
+   * @param {Object} event1 - Earlier event
+   * @param {Object} event2 - Later event
+   * @returns {Object}
+   */
+  static describeConflict(event1, event2) {
+    return {
+      type: 'overlap',
+      events: [event1, event2],
+      message: `"${event1.title}" overlaps with "${event2.title}"`,
+      severity: this.calculateSeverity(event1, event2),
+    };
+  }
+
+  /**
+   * Meetings that start too soon after the previous one to travel between
+   * them. The previous meeting is the one that ended last before the start;
+   * overlapping meetings are findOverlaps()'s concern.
+   * @param {Array} events - Array of event objects with startTime and endTime
+   * @param {Function} bufferFor - (previous, event) → minutes needed to get
+   *   from one to the other
+   * @returns {Array<{type: string, events: Array, gapMinutes: number, bufferMinutes: number, message: string, severity: string}>}
+   */
+  static findTravelConflicts(events, bufferFor) {
+    const intervals = events
+      .map(event => ({ event, ...this.getInterval(event) }))
+      .filter(interval => !Number.isNaN(interval.start));
+    const byStart = [...intervals].sort((a, b) => a.start - b.start);
+    const byEnd = [...intervals].sort((a, b) => a.end - b.end);
+
+    const conflicts = [];
+    let previous = null;
+    let next = 0;
+    for (const current of byStart) {
+      while (next < byEnd.length && byEnd[next].end <= current.start) {
+        if (byEnd[next].event !== current.event) previous = byEnd[next];
+        next++;
+      }
+      if (!previous) continue;
+
+      const bufferMinutes = bufferFor(previous.event, current.event);
+      const gapMinutes = Math.floor((current.start - previous.end) / 60000);
+      if (bufferMinutes > 0 && gapMinutes < bufferMinutes) {
+        conflicts.push({
+          type: 'travel',
+          events: [previous.event, current.event],
+          gapMinutes,
+          bufferMinutes,
+          message:
+            `Only ${gapMinutes} min to get from "${previous.event.title}" to ` +
+            `"${current.event.title}" (needs ${bufferMinutes})`,
+          severity: gapMinutes === 0 ? 'high' : 'medium',
+        });
+      }
+    }
     return conflicts;
   }
 
+  /**
+   * Start and end of an event in epoch ms
+   * @param {Object} event - Event
+   * @returns {{start: number, end: number}}
+   */
+  static getInterval(event) {
+    const start = new Date(event.startTime).getTime();
+    const end = event.endTime ? new Date(event.endTime).getTime() : start + 60 * 60 * 1000; // Default 1 hour
+    return { start, end };
+  }
+
   /**
    * Check if two events overlap
    * @param {Object} event1 - First event
@@ -129,15 +306,95 @@ export class ConflictDetector {
    * Find all events that conflict with a given event
    * @param {Object} event - Event to check
    * @param {Array} allEvents - All events to check against
+   * @param {Set<string>} acknowledged - pairKey()s the user chose to live with
    * @returns {Array} Array of conflicting events
    */
-  static getConflictingEvents(event, allEvents) {
+  static getConflictingEvents(event, allEvents, acknowledged = null) {
     return allEvents.filter(otherEvent => {
       if (otherEvent.id === event.id) return false;
+      if (acknowledged?.has(this.pairKey(event, otherEvent))) return false;
       return this.eventsOverlap(event, otherEvent);
     });
   }
 
+  /**
+   * Order-independent key of a pair of events, used to remember conflicts
+   * the user acknowledged
+   * @param {Object} event1 - First event
+   * @param {Object} event2 - Second event
+   * @returns {string}
+   */
+  static pairKey(event1, event2) {
+    return [event1.id, event2.id].sort().join('|');
+  }
+
+  /**
+   * Suggest which meeting of a conflicting pair to keep. Criteria are
+   * checked in order and the first one that tells them apart decides:
+   * VIP organizer, organized by the user, external attendees, attendee
+   * count; a full tie keeps the one that starts first.
+   * @param {Object} event1 - First event
+   * @param {Object} event2 - Second event
+   * @param {Object} options
+   * @param {Function} options.isVip - Whether an event's organizer is a VIP
+   * @returns {{keep: Object, drop: Object, reason: string}}
+   */
+  static rankPair(event1, event2, { isVip = () => false } = {}) {
+    const criteria = [
+      { reason: 'VIP organizer', score: event => (isVip(event) ? 1 : 0) },
+      { reason: 'You organize it', score: event => (this.isOrganizedBySelf(event) ? 1 : 0) },
+      { reason: 'External attendees', score: event => (this.hasExternalAttendees(event) ? 1 : 0) },
+      { reason: 'More attendees', score: event => (event.attendees || []).length },
+    ];
+
+    for (const { reason, score } of criteria) {
+      const diff = score(event1) - score(event2);
+      if (diff !== 0) {
+        return diff > 0
+          ? { keep: event1, drop: event2, reason }
+          : { keep: event2, drop: event1, reason };
+      }
+    }
+
+    return new Date(event1.startTime) <= new Date(event2.startTime)
+      ? { keep: event1, drop: event2, reason: 'Starts first' }
+      : { keep: event2, drop: event1, reason: 'Starts first' };
+  }
+
+  /**
+   * The user's own email on an event: the synced account, else the
+   * attendee flagged as self
+   * @param {Object} event - Event
+   * @returns {string} Lower-cased email, or ''
+   */
+  static selfEmail(event) {
+    return (event.accountEmail || event.attendees?.find(a => a.self)?.email || '').toLowerCase();
+  }
+
+  /**
+   * Whether the user organizes an event
+   * @param {Object} event - Event
+   * @returns {boolean}
+   */
+  static isOrganizedBySelf(event) {
+    const self = this.selfEmail(event);
+    return !!self && (event.organizer?.email || '').toLowerCase() === self;
+  }
+
+  /**
+   * Whether an event has attendees from outside the user's email domain
+   * @param {Object} event - Event
+   * @returns {boolean}
+   */
+  static hasExternalAttendees(event) {
+    const domain = this.selfEmail(event).split('@')[1];
+    if (!domain) return false;
+    return (event.attendees || []).some(a => {
+      const attendeeDomain = (a.email || '').toLowerCase().split('@')[1];
+      return attendeeDomain && attendeeDomain !== domain;
+    });
+  }
+
   /**
    * Generate a conflict summary message
    * @param {Array} conflicts - Array of conflict objects
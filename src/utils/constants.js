@@ -8,6 +8,7 @@ export const MESSAGE_TYPES = {
   CALENDAR_API_DATA: 'CALENDAR_API_DATA',
   PLAY_SOUND: 'PLAY_SOUND',
   SPEAK_REMINDER: 'SPEAK_REMINDER',
+  COPY_TEXT: 'COPY_TEXT',
   SNOOZE: 'SNOOZE',
 };
 
@@ -21,6 +22,8 @@ export const STORAGE_KEYS = {
   EVENTS: 'events',
   SETTINGS: 'settings',
   ALARM_PREFIX: 'alarm_',
+  IMPORTED_EVENTS: 'importedEvents',
+  ACKNOWLEDGED_CONFLICTS: 'acknowledgedConflicts',
 };
 
 // Default settings
@@ -30,8 +33,18 @@ export const DEFAULT_SETTINGS = {
   showPopup: true, // Show popup window
   autoOpen: false, // Auto-open meeting link
   soundVolume: 70, // 0-100
+  alertTone: 'sweep', // Bundled tone ID or "custom:<id>" of an uploaded sound
+  contextTones: {}, // { vip, external, snooze, conflict }: tone ID; unset = alertTone
+  notificationButtons: ['join', 'rsvp'], // Preferred notification buttons: join | snooze5 | late | decline | dialin | rsvp
   dailySummary: true, // Daily summary at 10 AM
+  syncDaysAhead: 6, // Days beyond today to sync and remind for (0 = today only, 6 = rolling week)
   voiceReminder: false, // Voice/spoken reminder toggle
+  voiceName: '', // speechSynthesis voice name; '' = browser default for voiceLang
+  voiceLang: 'en-US', // Language of the spoken reminder
+  voiceRate: 1, // 0.5-2
+  voicePitch: 1, // 0-2
+  voiceTemplate: 'Meeting reminder: {title} starts in {minutes}.', // {title} {minutes} {organizer} {platform}
+  voiceAutoLanguage: true, // Read titles in another language with a voice for that language
   aiInsightsEnabled: false, // BETA: AI-powered insights (requires user API key)
   dndUntil: 0, // Epoch ms; suppress non-critical notifications until this time (0 = off)
   respectWorkingHours: false, // When true, suppress loud surfaces outside working hours
@@ -49,6 +62,19 @@ export const DEFAULT_SETTINGS = {
   vipOrganizers: [], // Array of email addresses or domains. Meetings organized
   // by these get a 5-minute reminder regardless of other
   // settings (overrides smartReminderOffset/DND for popup).
+  useCalendarReminders: false, // Remind at the lead times set in Google/Outlook when an event has them
+  travelBufferMinutes: 0, // Travel time to in-person meetings; 0 = off
+  zeroTravelLocations: [], // Location substrings (e.g. own building) that need no travel
+  stagedReminders: 'off', // 'off' | 'vip' | 'all' — remind in reminderStages instead of once
+  reminderStages: [
+    // Each stage fires `minutes` before the start with its own surfaces
+    { minutes: 15, notification: true, popup: false, sound: false, voice: false, escalate: false },
+    { minutes: 5, notification: true, popup: true, sound: false, voice: false, escalate: false },
+    { minutes: 1, notification: true, popup: true, sound: true, voice: true, escalate: true },
+  ],
+  escalation: 'off', // 'off' | 'vip' | 'all' — keep alerting once an ignored meeting starts
+  escalationRepeatMinutes: 1, // Minutes between escalation alerts
+  escalationMaxRepeats: 5, // Escalation alerts before giving up
 };
 
 // Meeting link patterns
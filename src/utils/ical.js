@@ -0,0 +1,776 @@
+/**
+ * iCalendar (RFC 5545) parsing
+ * Turns an .ics feed or a CalDAV calendar-data payload into the concrete
+ * event occurrences inside a sync window: expands RRULE/RDATE, applies
+ * EXDATE and RECURRENCE-ID overrides, and resolves TZID times through
+ * TimezoneHandler — falling back to the feed's own VTIMEZONE definitions for
+ * IDs that aren't IANA zones (Outlook/Exchange exports use Windows names).
+ */
+
+import { logger } from './logger.js';
+import { TimezoneHandler } from './timezone-handler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+export class ICal {
+  // Upper bound on recurrence periods walked per series, so a malformed or
+  // decades-old daily rule can't stall a sync.
+  static MAX_ITERATIONS = 20000;
+
+  // UTC offsets span -12h..+14h; pad the window by this much when comparing
+  // wall-clock times against it so no occurrence is dropped before conversion.
+  static MAX_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+  // ==================== Parsing ====================
+
+  /**
+   * Split a calendar into unfolded content lines
+   * @param {string} text - Raw iCalendar text
+   * @returns {Array<string>}
+   */
+  static unfold(text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim());
+  }
+
+  /**
+   * Parse one content line ("DTSTART;TZID=Europe/Berlin:20260310T090000")
+   * @param {string} line
+   * @returns {{name: string, params: Object, value: string}|null}
+   */
+  static parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) return null;
+
+    const head = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+    const [name, ...rawParams] = head;
+    const params = {};
+    for (const raw of rawParams) {
+      const eq = raw.indexOf('=');
+      if (eq === -1) continue;
+      params[raw.slice(0, eq).toUpperCase()] = raw.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name: (name || '').toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * Undo TEXT value escaping (\n, \, \; \\)
+   * @param {string} value
+   * @returns {string}
+   */
+  static unescape(value) {
+    return String(value || '').replace(/\\([\\;,nN])/g, (_, ch) =>
+      ch === 'n' || ch === 'N' ? '\n' : ch
+    );
+  }
+
+  /**
+   * Parse a calendar into its components
+   * @param {string} text - Raw iCalendar text
+   * @returns {{name: string|null, timezone: string|null, timezones: Object, events: Array}}
+   *   events are raw VEVENT components ({name, props, children})
+   */
+  static parse(text) {
+    const root = { name: 'ROOT', props: [], children: [] };
+    const stack = [root];
+
+    for (const line of this.unfold(text)) {
+      const prop = this.parseLine(line);
+      if (!prop) continue;
+      const current = stack[stack.length - 1];
+
+      if (prop.name === 'BEGIN') {
+        const component = { name: prop.value.trim().toUpperCase(), props: [], children: [] };
+        current.children.push(component);
+        stack.push(component);
+      } else if (prop.name === 'END') {
+        if (stack.length > 1) stack.pop();
+      } else {
+        current.props.push(prop);
+      }
+    }
+
+    const calendar = root.children.find(c => c.name === 'VCALENDAR') || root;
+    const timezones = {};
+    for (const vtimezone of calendar.children.filter(c => c.name === 'VTIMEZONE')) {
+      const tzid = this.prop(vtimezone, 'TZID')?.value;
+      if (tzid) timezones[tzid] = vtimezone;
+    }
+
+    const name = this.prop(calendar, 'X-WR-CALNAME');
+    return {
+      name: name ? this.unescape(name.value) : null,
+      timezone: this.prop(calendar, 'X-WR-TIMEZONE')?.value || null,
+      timezones,
+      events: calendar.children.filter(c => c.name === 'VEVENT'),
+    };
+  }
+
+  /**
+   * First property of a component with the given name
+   */
+  static prop(component, name) {
+    return component.props.find(p => p.name === name) || null;
+  }
+
+  /**
+   * Every property of a component with the given name
+   */
+  static props(component, name) {
+    return component.props.filter(p => p.name === name);
+  }
+
+  // ==================== Date Values ====================
+  //
+  // Recurrence is expanded on wall-clock time: a "naive" value is the
+  // wall-clock fields encoded with Date.UTC, so "every day at 09:00" stays at
+  // 09:00 across DST. Naive values are turned into instants last, through
+  // the event's zone.
+
+  /**
+   * Parse a DATE or DATE-TIME value
+   * @param {string} value - e.g. "20260310", "20260310T090000", "20260310T090000Z"
+   * @param {Object} params - Property parameters (TZID, VALUE)
+   * @returns {{naive: number, dateOnly: boolean, utc: boolean, tzid: string|null}|null}
+   */
+  static parseDate(value, params = {}) {
+    const match = String(value || '')
+      .trim()
+      .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+    if (!match) return null;
+
+    const [, y, mo, d, h, mi, s, z] = match;
+    return {
+      naive: Date.UTC(+y, +mo - 1, +d, +(h || 0), +(mi || 0), +(s || 0)),
+      dateOnly: !h || params.VALUE === 'DATE',
+      utc: !!z,
+      tzid: params.TZID ? params.TZID.replace(/^\//, '') : null,
+    };
+  }
+
+  /**
+   * Convert a naive wall-clock value to an instant in the given zone
+   * @param {number} naive - Wall-clock value (see above)
+   * @param {{utc: boolean, tzid: string|null}} zone - Zone of the original value
+   * @param {Object} calendar - Parsed calendar (for VTIMEZONE / X-WR-TIMEZONE)
+   * @returns {number} Epoch milliseconds
+   */
+  static toInstant(naive, zone, calendar) {
+    if (zone.utc) return naive;
+
+    const tzid = zone.tzid || calendar.timezone;
+    if (tzid && TimezoneHandler.isValidTimezone(tzid)) {
+      const d = new Date(naive);
+      return TimezoneHandler.zonedTimeToUtc(
+        {
+          year: d.getUTCFullYear(),
+          month: d.getUTCMonth() + 1,
+          day: d.getUTCDate(),
+          hour: d.getUTCHours(),
+          minute: d.getUTCMinutes(),
+          second: d.getUTCSeconds(),
+        },
+        tzid
+      ).getTime();
+    }
+
+    if (tzid && calendar.timezones[tzid]) {
+      return naive - this.vtimezoneOffset(calendar.timezones[tzid], naive);
+    }
+
+    // Floating time (or an unknown zone): read it in the user's local zone
+    const d = new Date(naive);
+    return new Date(
+      d.getUTCFullYear(),
+      d.getUTCMonth(),
+      d.getUTCDate(),
+      d.getUTCHours(),
+      d.getUTCMinutes(),
+      d.getUTCSeconds()
+    ).getTime();
+  }
+
+  /**
+   * UTC offset a VTIMEZONE defines at a wall-clock time: the TZOFFSETTO of the
+   * STANDARD/DAYLIGHT observance with the latest onset at or before it.
+   * @param {Object} vtimezone - VTIMEZONE component
+   * @param {number} naive - Wall-clock value
+   * @returns {number} Offset in milliseconds
+   */
+  static vtimezoneOffset(vtimezone, naive) {
+    let best = null;
+    for (const observance of vtimezone.children) {
+      if (observance.name !== 'STANDARD' && observance.name !== 'DAYLIGHT') continue;
+      const start = this.parseDate(this.prop(observance, 'DTSTART')?.value);
+      const offset = this.parseOffset(this.prop(observance, 'TZOFFSETTO')?.value);
+      if (!start || offset === null) continue;
+
+      const onsets = [start.naive];
+      const rrule = this.prop(observance, 'RRULE');
+      if (rrule) {
+        const rule = this.parseRule(rrule.value);
+        const pastUntil = value => !!rule.until && value > rule.until.naive;
+        // Observances usually start in 1601/1970; for an open-ended yearly
+        // rule only last year's and this year's onsets can matter.
+        let from = start.naive;
+        const year = new Date(naive).getUTCFullYear();
+        if (rule.freq === 'YEARLY' && !rule.count && new Date(from).getUTCFullYear() < year - 1) {
+          const d = new Date(from);
+          d.setUTCFullYear(year - 1);
+          from = d.getTime();
+        }
+        // (the shifted start itself is not a real onset)
+        const expanded = this.expandRule(rule, from, naive, pastUntil);
+        onsets.push(...expanded.filter(o => o !== from || from === start.naive));
+      }
+      for (const rdate of this.props(observance, 'RDATE')) {
+        for (const value of rdate.value.split(',')) {
+          const parsed = this.parseDate(value);
+          if (parsed) onsets.push(parsed.naive);
+        }
+      }
+
+      const onset = Math.max(...onsets.filter(o => o <= naive));
+      if (Number.isFinite(onset) && (!best || onset > best.onset)) {
+        best = { onset, offset };
+      }
+    }
+
+    if (best) return best.offset;
+    // Before every onset: fall back to the first observance's offset
+    const first = vtimezone.children.find(c => this.prop(c, 'TZOFFSETTO'));
+    return (first && this.parseOffset(this.prop(first, 'TZOFFSETTO').value)) || 0;
+  }
+
+  /**
+   * Parse a UTC offset ("+0100", "-0530", "+013000")
+   * @param {string} value
+   * @returns {number|null} Offset in milliseconds
+   */
+  static parseOffset(value) {
+    const match = String(value || '').match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) return null;
+    const [, sign, h, m, s] = match;
+    const ms = ((+h * 60 + +m) * 60 + +(s || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+  }
+
+  /**
+   * Parse a DURATION value ("PT30M", "P1DT2H", "-PT15M", "P1W")
+   * @param {string} value
+   * @returns {number|null} Duration in milliseconds
+   */
+  static parseDuration(value) {
+    const match = String(value || '').match(
+      /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    );
+    if (!match) return null;
+    const [, sign, w, d, h, m, s] = match;
+    const ms =
+      ((((+(w || 0) * 7 + +(d || 0)) * 24 + +(h || 0)) * 60 + +(m || 0)) * 60 + +(s || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+  }
+
+  // ==================== Recurrence ====================
+
+  /**
+   * Parse an RRULE value
+   * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260401T000000Z"
+   * @returns {Object}
+   */
+  static parseRule(value) {
+    const parts = {};
+    for (const pair of String(value || '').split(';')) {
+      const [key, val] = pair.split('=');
+      if (key && val !== undefined) parts[key.trim().toUpperCase()] = val.trim();
+    }
+    const numbers = list => (list ? list.split(',').map(Number).filter(Number.isFinite) : []);
+
+    return {
+      freq: (parts.FREQ || '').toUpperCase(),
+      interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+      count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+      until: parts.UNTIL ? this.parseDate(parts.UNTIL) : null,
+      byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+        .map(token =>
+          token
+            .trim()
+            .toUpperCase()
+            .match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/)
+        )
+        .filter(Boolean)
+        .map(([, n, day]) => ({ n: n ? parseInt(n, 10) : 0, day: WEEKDAYS[day] })),
+      byMonthDay: numbers(parts.BYMONTHDAY),
+      byMonth: numbers(parts.BYMONTH),
+      bySetPos: numbers(parts.BYSETPOS),
+      weekStart: WEEKDAYS[(parts.WKST || 'MO').toUpperCase()] ?? 1,
+    };
+  }
+
+  /**
+   * Expand a recurrence rule into naive occurrence values, starting with
+   * DTSTART itself (which RFC 5545 counts as the first instance).
+   * @param {Object} rule - Parsed RRULE
+   * @param {number} dtstart - Naive DTSTART
+   * @param {number} rangeEnd - Stop after this naive value
+   * @param {Function} pastUntil - (naive) => true once beyond the rule's UNTIL
+   * @returns {Array<number>} Naive values in ascending order
+   */
+  static expandRule(rule, dtstart, rangeEnd, pastUntil = () => false) {
+    const results = [];
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) return results;
+
+    const start = new Date(dtstart);
+    const timeOfDay =
+      dtstart - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    const seen = new Set();
+
+    // Returns false once the expansion is finished
+    const emit = naive => {
+      if (naive < dtstart || seen.has(naive)) return true;
+      if (naive > rangeEnd || pastUntil(naive)) return false;
+      if (rule.count && results.length >= rule.count) return false;
+      seen.add(naive);
+      results.push(naive);
+      return true;
+    };
+
+    if (!emit(dtstart)) return results;
+
+    for (let i = 0; i < this.MAX_ITERATIONS; i++) {
+      const period = this.periodDays(rule, start, i * rule.interval);
+      if (period.start > rangeEnd) break;
+
+      let days = period.days;
+      if (rule.bySetPos.length) {
+        days = rule.bySetPos
+          .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+          .filter(day => day !== undefined)
+          .sort((a, b) => a - b);
+      }
+
+      if (!days.every(day => emit(day + timeOfDay))) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Candidate days (naive midnights) of the n-th recurrence period
+   * @param {Object} rule - Parsed RRULE
+   * @param {Date} start - DTSTART as a naive Date
+   * @param {number} offset - Periods after the first one
+   * @returns {{start: number, days: Array<number>}}
+   */
+  static periodDays(rule, start, offset) {
+    const y = start.getUTCFullYear();
+    const m = start.getUTCMonth();
+    const d = start.getUTCDate();
+    const inMonths = day =>
+      !rule.byMonth.length || rule.byMonth.includes(new Date(day).getUTCMonth() + 1);
+
+    switch (rule.freq) {
+      case 'DAILY': {
+        const day = Date.UTC(y, m, d + offset);
+        const matches =
+          inMonths(day) &&
+          (!rule.byMonthDay.length || this.matchesMonthDay(day, rule.byMonthDay)) &&
+          (!rule.byDay.length || rule.byDay.some(b => b.day === new Date(day).getUTCDay()));
+        return { start: day, days: matches ? [day] : [] };
+      }
+
+      case 'WEEKLY': {
+        const back = (start.getUTCDay() - rule.weekStart + 7) % 7;
+        const weekStart = Date.UTC(y, m, d - back + offset * 7);
+        const weekdays = rule.byDay.length ? rule.byDay.map(b => b.day) : [start.getUTCDay()];
+        const days = [];
+        for (let i = 0; i < 7; i++) {
+          const day = weekStart + i * DAY_MS;
+          if (weekdays.includes(new Date(day).getUTCDay()) && inMonths(day)) days.push(day);
+        }
+        return { start: weekStart, days };
+      }
+
+      case 'MONTHLY': {
+        const first = new Date(Date.UTC(y, m + offset, 1));
+        const days = inMonths(first.getTime())
+          ? this.monthDays(first.getUTCFullYear(), first.getUTCMonth(), rule, d)
+          : [];
+        return { start: first.getTime(), days };
+      }
+
+      default: {
+        // YEARLY
+        const year = y + offset;
+        const yearStart = Date.UTC(year, 0, 1);
+        if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+          // BYDAY ordinals are relative to the whole year here ("20th Monday")
+          const all = this.daysBetween(yearStart, Date.UTC(year + 1, 0, 1));
+          return {
+            start: yearStart,
+            days: all.filter(day => this.matchesByDay(day, all, rule.byDay)),
+          };
+        }
+
+        const months = rule.byMonth.length
+          ? rule.byMonth.map(month => month - 1).sort((a, b) => a - b)
+          : rule.byMonthDay.length
+            ? [...Array(12).keys()]
+            : [m];
+        const days = months.flatMap(month => this.monthDays(year, month, rule, d));
+        return { start: yearStart, days };
+      }
+    }
+  }
+
+  /**
+   * Days of one month matching the rule's BYMONTHDAY/BYDAY, or the DTSTART
+   * day-of-month when the rule has neither
+   */
+  static monthDays(year, month, rule, defaultDay) {
+    const all = this.daysBetween(Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1));
+
+    if (!rule.byMonthDay.length && !rule.byDay.length) {
+      // e.g. monthly on the 31st skips months without one
+      return defaultDay <= all.length ? [all[defaultDay - 1]] : [];
+    }
+
+    return all.filter(
+      day =>
+        (!rule.byMonthDay.length || this.matchesMonthDay(day, rule.byMonthDay)) &&
+        (!rule.byDay.length || this.matchesByDay(day, all, rule.byDay))
+    );
+  }
+
+  /**
+   * Naive midnights in [from, to)
+   */
+  static daysBetween(from, to) {
+    const days = [];
+    for (let day = from; day < to; day += DAY_MS) days.push(day);
+    return days;
+  }
+
+  /**
+   * Check a day against BYMONTHDAY values (negative counts from month end)
+   */
+  static matchesMonthDay(day, byMonthDay) {
+    const date = new Date(day);
+    const dayOfMonth = date.getUTCDate();
+    const length = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    return byMonthDay.some(n => (n > 0 ? n === dayOfMonth : length + n + 1 === dayOfMonth));
+  }
+
+  /**
+   * Check a day against BYDAY entries; ordinals ("2TU", "-1FR") count within
+   * the given scope of days (the month, or the year)
+   */
+  static matchesByDay(day, scope, byDay) {
+    const weekday = new Date(day).getUTCDay();
+    return byDay.some(({ n, day: wanted }) => {
+      if (wanted !== weekday) return false;
+      if (!n) return true;
+      const same = scope.filter(other => new Date(other).getUTCDay() === weekday);
+      const index = same.indexOf(day);
+      return n > 0 ? index === n - 1 : index === same.length + n;
+    });
+  }
+
+  // ==================== Occurrences ====================
+
+  /**
+   * Expand every VEVENT of a parsed calendar into occurrences overlapping
+   * the window. All-day and cancelled events are skipped.
+   * @param {Object} calendar - Result of parse()
+   * @param {{start: Date, end: Date}} syncWindow
+   * @returns {Array<Object>} Occurrences sorted by start:
+   *   { id, uid, recurrenceId, start, end, summary, description, location, url,
+   *     conferenceUrl, organizer, attendees }
+   */
+  static expand(calendar, syncWindow) {
+    const windowStart = syncWindow.start.getTime();
+    const windowEnd = syncWindow.end.getTime();
+    const occurrences = [];
+
+    // RECURRENCE-ID overrides replace single instances of a series; they're
+    // emitted on their own (possibly moved) time and suppress the original.
+    const overridden = new Map();
+    for (const vevent of calendar.events) {
+      const recurrenceId = this.prop(vevent, 'RECURRENCE-ID');
+      const uid = this.prop(vevent, 'UID')?.value;
+      if (!recurrenceId || !uid) continue;
+      const parsed = this.parseDate(recurrenceId.value, recurrenceId.params);
+      if (!parsed) continue;
+      if (!overridden.has(uid)) overridden.set(uid, new Set());
+      overridden.get(uid).add(this.toInstant(parsed.naive, parsed, calendar));
+    }
+
+    for (const vevent of calendar.events) {
+      try {
+        occurrences.push(...this.expandEvent(vevent, calendar, overridden, windowStart, windowEnd));
+      } catch (error) {
+        logger.warn('Skipping unparseable VEVENT', error);
+      }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Occurrences of one VEVENT inside the window
+   */
+  static expandEvent(vevent, calendar, overridden, windowStart, windowEnd) {
+    const uid = this.prop(vevent, 'UID')?.value || null;
+    const dtstartProp = this.prop(vevent, 'DTSTART');
+    const dtstart = dtstartProp && this.parseDate(dtstartProp.value, dtstartProp.params);
+    if (!uid || !dtstart || dtstart.dateOnly) return [];
+    if ((this.prop(vevent, 'STATUS')?.value || '').toUpperCase() === 'CANCELLED') return [];
+
+    const startInstant = this.toInstant(dtstart.naive, dtstart, calendar);
+    const duration = this.eventDuration(vevent, calendar, startInstant);
+    const details = this.eventDetails(vevent);
+    const occurrence = (start, recurrenceId) => ({
+      id: recurrenceId === null ? uid : `${uid}_${this.compactUtc(recurrenceId)}`,
+      uid,
+      recurrenceId: recurrenceId === null ? null : new Date(recurrenceId).toISOString(),
+      start: new Date(start),
+      end: new Date(start + duration),
+      ...details,
+    });
+    const inWindow = start => start <= windowEnd && start + duration >= windowStart;
+
+    // An override instance stands alone, identified by the time it replaces
+    const recurrenceIdProp = this.prop(vevent, 'RECURRENCE-ID');
+    if (recurrenceIdProp) {
+      const original = this.parseDate(recurrenceIdProp.value, recurrenceIdProp.params);
+      if (!original || !inWindow(startInstant)) return [];
+      return [occurrence(startInstant, this.toInstant(original.naive, original, calendar))];
+    }
+
+    const rruleProp = this.prop(vevent, 'RRULE');
+    const rdates = this.dateList(vevent, 'RDATE');
+    if (!rruleProp && !rdates.length) {
+      return inWindow(startInstant) ? [occurrence(startInstant, null)] : [];
+    }
+
+    const rule = rruleProp ? this.parseRule(rruleProp.value) : { freq: null };
+    const pastUntil = naive => {
+      if (!rule.until) return false;
+      if (rule.until.dateOnly) return naive >= rule.until.naive + DAY_MS;
+      if (rule.until.utc) return this.toInstant(naive, dtstart, calendar) > rule.until.naive;
+      return naive > rule.until.naive;
+    };
+    const rangeEnd = windowEnd + this.MAX_OFFSET_MS;
+
+    const naives = rruleProp
+      ? this.expandRule(rule, dtstart.naive, rangeEnd, pastUntil)
+      : [dtstart.naive];
+    for (const rdate of rdates) {
+      if (!naives.includes(rdate.naive)) naives.push(rdate.naive);
+    }
+
+    const excluded = this.dateList(vevent, 'EXDATE');
+    const excludedInstants = new Set(
+      excluded.filter(e => !e.dateOnly).map(e => this.toInstant(e.naive, e, calendar))
+    );
+    const excludedDays = new Set(excluded.filter(e => e.dateOnly).map(e => e.naive));
+    const overrides = overridden.get(uid) || new Set();
+
+    const results = [];
+    const earliest = windowStart - this.MAX_OFFSET_MS - duration;
+    for (const naive of naives.sort((a, b) => a - b)) {
+      if (naive < earliest) continue;
+      const start = this.toInstant(naive, dtstart, calendar);
+      if (excludedInstants.has(start) || overrides.has(start)) continue;
+      if (excludedDays.has(naive - (naive % DAY_MS))) continue;
+      if (inWindow(start)) results.push(occurrence(start, start));
+    }
+    return results;
+  }
+
+  /**
+   * Duration of a VEVENT from DTEND or DURATION (zero when neither is set)
+   */
+  static eventDuration(vevent, calendar, startInstant) {
+    const dtendProp = this.prop(vevent, 'DTEND');
+    const dtend = dtendProp && this.parseDate(dtendProp.value, dtendProp.params);
+    if (dtend) return Math.max(0, this.toInstant(dtend.naive, dtend, calendar) - startInstant);
+    const duration = this.parseDuration(this.prop(vevent, 'DURATION')?.value);
+    return duration !== null ? Math.max(0, duration) : 0;
+  }
+
+  /**
+   * Every value of a multi-valued date property (RDATE, EXDATE)
+   */
+  static dateList(vevent, name) {
+    return this.props(vevent, name).flatMap(prop =>
+      prop.value
+        .split(',')
+        .map(value => this.parseDate(value.split('/')[0], prop.params)) // PERIOD → its start
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Descriptive fields of a VEVENT
+   */
+  static eventDetails(vevent) {
+    const text = name => {
+      const prop = this.prop(vevent, name);
+      return prop ? this.unescape(prop.value) : '';
+    };
+    const person = prop => ({
+      name: prop.params.CN || prop.value.replace(/^mailto:/i, '').split('@')[0],
+      email: prop.value.replace(/^mailto:/i, '') || null,
+    });
+    const partstat = {
+      ACCEPTED: 'accepted',
+      DECLINED: 'declined',
+      TENTATIVE: 'tentative',
+    };
+
+    const organizer = this.prop(vevent, 'ORGANIZER');
+    const conference =
+      this.prop(vevent, 'CONFERENCE') ||
+      this.prop(vevent, 'X-GOOGLE-CONFERENCE') ||
+      this.prop(vevent, 'X-MICROSOFT-SKYPETEAMSMEETINGURL');
+
+    return {
+      summary: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      url: this.prop(vevent, 'URL')?.value || null,
+      conferenceUrl: conference?.value || null,
+      organizer: organizer ? person(organizer) : null,
+      attendees: this.props(vevent, 'ATTENDEE').map(prop => ({
+        ...person(prop),
+        responseStatus: partstat[(prop.params.PARTSTAT || '').toUpperCase()] || 'needsAction',
+      })),
+    };
+  }
+
+  /**
+   * "20260310T090000Z" form of an instant, used in occurrence IDs
+   */
+  static compactUtc(instant) {
+    return new Date(instant)
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\.\d{3}/, '');
+  }
+
+  // ==================== Writing ====================
+
+  /**
+   * Serialize stored events as an RFC 5545 calendar (times written in UTC)
+   * @param {Array<Object>} events - Events in the stored PingMeet shape
+   * @param {Object} options
+   * @param {string} options.name - Calendar name (X-WR-CALNAME)
+   * @param {Date} options.now - DTSTAMP of every VEVENT
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  static serialize(events, { name = 'PingMeet', now = new Date() } = {}) {
+    const partstat = {
+      accepted: 'ACCEPTED',
+      declined: 'DECLINED',
+      tentative: 'TENTATIVE',
+    };
+    const address = person =>
+      `${person.name ? `;CN=${this.paramValue(person.name)}` : ''}:mailto:${person.email}`;
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//PingMeet//Calendar Export//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escape(name)}`,
+    ];
+
+    for (const event of events) {
+      const start = new Date(event.startTime);
+      if (!event.startTime || isNaN(start)) continue;
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${this.escape(event.id || this.compactUtc(start))}@pingmeet`,
+        `DTSTAMP:${this.compactUtc(now)}`,
+        `DTSTART:${this.compactUtc(start)}`
+      );
+      if (event.endTime) lines.push(`DTEND:${this.compactUtc(event.endTime)}`);
+      lines.push(`SUMMARY:${this.escape(event.title || '')}`);
+      if (event.description) lines.push(`DESCRIPTION:${this.escape(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${this.escape(event.location)}`);
+      if (event.meetingLink) lines.push(`URL:${event.meetingLink}`);
+      if (event.organizer?.email) lines.push(`ORGANIZER${address(event.organizer)}`);
+      for (const attendee of event.attendees || []) {
+        if (!attendee.email) continue;
+        const status = partstat[attendee.responseStatus] || 'NEEDS-ACTION';
+        lines.push(`ATTENDEE;PARTSTAT=${status}${address(attendee)}`);
+      }
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escape a TEXT value (inverse of unescape)
+   */
+  static escape(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Parameter value, quoted when it holds a delimiter. DQUOTE can't be
+   * escaped inside a parameter, so it's dropped.
+   */
+  static paramValue(value) {
+    const clean = String(value).replace(/["\r\n]/g, '');
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+  }
+
+  /**
+   * Fold a content line at 75 octets of UTF-8 (inverse of unfold). Splits on
+   * code points so multi-byte characters and surrogate pairs stay together.
+   */
+  static fold(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const point = char.codePointAt(0);
+      const bytes = point < 0x80 ? 1 : point < 0x800 ? 2 : point < 0x10000 ? 3 : 4;
+      // Continuation lines give up one octet to the leading space
+      if (size + bytes > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Outbox - Calendar writes made while offline
+ * Declines, RSVPs and new events the calendar API couldn't take are kept
+ * here, shown as already done, and replayed with backoff once the
+ * connectivity check sees the network again. Actions whose meeting moved or
+ * disappeared in the meantime are held back as failed for the user to
+ * retry or discard.
+ */
+
+import { CalendarAPI } from './calendar-api.js';
+
+export class Outbox {
+  static STORAGE_KEY = 'outbox';
+  static BASE_DELAY_MS = 60 * 1000;
+  static MAX_DELAY_MS = 30 * 60 * 1000;
+  static MAX_ATTEMPTS = 8;
+  // Stored events created offline get this prefix until the real one syncs
+  static PLACEHOLDER_PREFIX = 'pending_';
+
+  /**
+   * Get every queued action, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getAll() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY] || [];
+  }
+
+  /**
+   * Queue an action
+   * @param {Object} action - { type, title, event?, payload }; type is
+   *   'decline' | 'rsvp' | 'create', event the meeting as it was when the
+   *   user acted on it
+   * @returns {Promise<Object>} The stored entry
+   */
+  static async add(action) {
+    const entries = await this.getAll();
+    const entry = {
+      ...action,
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: Date.now(),
+      lastError: null,
+    };
+    entries.push(entry);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+    return entry;
+  }
+
+  /**
+   * Change a queued action
+   * @param {string} id - Entry ID
+   * @param {Object} patch - Fields to change
+   * @returns {Promise<Object|null>} The updated entry, or null if it's gone
+   */
+  static async update(id, patch) {
+    const entries = await this.getAll();
+    const index = entries.findIndex(e => e.id === id);
+    if (index === -1) return null;
+
+    entries[index] = { ...entries[index], ...patch };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+    return entries[index];
+  }
+
+  /**
+   * Drop a queued action
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} The removed entry
+   */
+  static async remove(id) {
+    const entries = await this.getAll();
+    const entry = entries.find(e => e.id === id) || null;
+    if (!entry) return null;
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: entries.filter(e => e.id !== id) });
+    return entry;
+  }
+
+  /**
+   * Wait before the next attempt: one minute, doubling up to half an hour
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  static backoffDelay(attempts) {
+    return Math.min(this.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), this.MAX_DELAY_MS);
+  }
+
+  /**
+   * Whether a pending action should be tried now
+   * @param {Object} entry - Queued action
+   * @param {number} now - Epoch ms
+   */
+  static isDue(entry, now = Date.now()) {
+    return entry.status === 'pending' && entry.nextAttemptAt <= now;
+  }
+
+  /**
+   * Whether an error means the request never reached the server
+   * @param {string} message - Error message from CalendarAPI
+   */
+  static isNetworkError(message) {
+    return /failed to fetch|networkerror|network request failed|load failed|err_internet|offline/i.test(
+      String(message || '')
+    );
+  }
+
+  /**
+   * Whether an error means the meeting no longer exists
+   * @param {string} message - Error message from CalendarAPI
+   */
+  static isGoneError(message) {
+    return /not found|deleted|cancel|\b(404|410)\b/i.test(String(message || ''));
+  }
+
+  /**
+   * Check a decline or RSVP against the meeting as it is now
+   * @param {Object} entry - Queued action
+   * @param {Array} events - Current stored events
+   * @returns {string|null} Why the action shouldn't be sent as is
+   */
+  static findConflict(entry, events) {
+    if (entry.type === 'create' || entry.force) return null;
+
+    const current = events.find(e => e.id === entry.event?.id);
+    if (!current) return 'The meeting was cancelled or deleted';
+    if (
+      entry.event.startTime &&
+      new Date(current.startTime).getTime() !== new Date(entry.event.startTime).getTime()
+    ) {
+      return 'The meeting was moved since';
+    }
+    return null;
+  }
+
+  /**
+   * Stand-in for an event created offline, so it shows and reminds right away
+   * @param {Object} entry - Queued 'create' action
+   * @returns {Object} Event
+   */
+  static placeholderFor(entry) {
+    const data = entry.payload.eventData;
+    return {
+      id: `${this.PLACEHOLDER_PREFIX}${entry.id}`,
+      title: data.title,
+      startTime: new Date(data.startTime).toISOString(),
+      endTime: new Date(data.endTime).toISOString(),
+      location: data.location || '',
+      description: data.description || '',
+      account: data.account,
+      calendarId: data.calendarId,
+      source: 'pending',
+      outboxId: entry.id,
+    };
+  }
+
+  /**
+   * Show queued actions on top of an event set: pending responses replace
+   * the synced ones and events still waiting to be created are added
+   * @param {Array} events - Events, e.g. from a sync
+   * @param {Array} entries - Result of getAll()
+   * @returns {Array} New array
+   */
+  static applyPending(events, entries) {
+    const responses = new Map();
+    const created = [];
+    for (const entry of entries) {
+      if (entry.type === 'create') {
+        if (entry.status === 'pending') created.push(this.placeholderFor(entry));
+      } else if (entry.status === 'pending' && entry.event) {
+        responses.set(
+          entry.event.id,
+          entry.type === 'decline' ? 'declined' : entry.payload.response
+        );
+      }
+    }
+
+    const ids = new Set(events.map(e => e.id));
+    return [
+      ...events.map(e =>
+        responses.has(e.id) ? CalendarAPI.withResponseStatus(e, responses.get(e.id)) : e
+      ),
+      ...created.filter(e => !ids.has(e.id)),
+    ];
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Quick Add Parser - Turns a typed phrase into an event draft
+ * "sync with Priya tomorrow 3pm 30m on zoom" → title, start, duration,
+ * attendees and conferencing. Runs locally with plain patterns; whatever
+ * isn't recognized as a date, time, duration or call provider stays in the
+ * title, and the popup shows the result for correction before creating.
+ */
+
+const WEEKDAYS = {
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  wed: 3,
+  thu: 4,
+  fri: 5,
+  sat: 6,
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_NAME =
+  '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Words after "with" that start a description rather than a list of people
+const NOT_A_NAME = new Set(['the', 'my', 'our', 'a', 'an', 'team', 'everyone', 'all']);
+
+export class QuickAddParser {
+  static DEFAULT_DURATION_MINUTES = 30;
+  // A time without am/pm below this hour is read as afternoon ("at 3")
+  static AFTERNOON_BEFORE_HOUR = 8;
+
+  /**
+   * Parse a phrase into an event draft
+   * @param {string} text - What the user typed
+   * @param {Object} options
+   * @param {Date} options.now - Reference time for relative dates
+   * @param {Array<{email: string, name: string}>} options.contacts - People
+   *   to resolve "with <name>" against
+   * @returns {{title: string, start: Date, end: Date, durationMinutes: number,
+   *   attendees: Array<string>, unresolved: Array<string>,
+   *   conferencing: string|null, matched: {date: boolean, time: boolean, duration: boolean}}}
+   *   conferencing is 'zoom', 'meet', 'teams' or null; unresolved lists
+   *   names no contact matched
+   */
+  static parse(text, { now = new Date(), contacts = [] } = {}) {
+    let rest = ` ${String(text || '')} `;
+    const take = (pattern, handle) => {
+      const match = rest.match(pattern);
+      if (!match) return false;
+      if (handle(match) === false) return false;
+      rest = rest.replace(match[0], ' ');
+      return true;
+    };
+
+    const attendees = [];
+    while (take(/[\w.+-]+@[\w-]+\.[\w.-]+/, m => attendees.push(m[0].toLowerCase()))) {
+      // collect every email
+    }
+
+    let conferencing = null;
+    take(
+      /\b(?:(?:on|via|over|using)\s+)?(zoom|teams|google meet|gmeet)\b(?:\s+(?:call|meeting))?|\b(?:on|via|over|using)\s+(meet)\b/i,
+      m => {
+        const name = (m[1] || m[2]).toLowerCase();
+        conferencing = name === 'zoom' ? 'zoom' : name === 'teams' ? 'teams' : 'meet';
+      }
+    );
+
+    const duration = this.takeDuration(take);
+    const time = this.takeTime(take);
+    const date = this.takeDate(take, now);
+
+    const start = new Date(date || now);
+    if (time) {
+      start.setHours(time.hours, time.minutes, 0, 0);
+      // A bare time that already passed today means tomorrow
+      if (!date && start <= now) start.setDate(start.getDate() + 1);
+    } else if (date) {
+      start.setHours(9, 0, 0, 0);
+    } else {
+      // Nothing said: the next full hour
+      start.setHours(start.getHours() + 1, 0, 0, 0);
+    }
+
+    const durationMinutes = duration ?? this.DEFAULT_DURATION_MINUTES;
+    const people = this.takeNames(rest);
+    const resolved = this.resolveNames(people, contacts);
+
+    return {
+      title: this.cleanTitle(rest),
+      start,
+      end: new Date(start.getTime() + durationMinutes * 60000),
+      durationMinutes,
+      attendees: [...new Set([...attendees, ...resolved.emails])],
+      unresolved: resolved.unresolved,
+      conferencing,
+      matched: { date: !!date, time: !!time, duration: duration !== null },
+    };
+  }
+
+  /**
+   * Match people to known contacts by full name, first name or the start
+   * of their email address
+   * @param {Array<string>} names - Names as typed
+   * @param {Array<{email: string, name: string}>} contacts - Known people,
+   *   most relevant first
+   * @returns {{emails: Array<string>, unresolved: Array<string>}}
+   */
+  static resolveNames(names, contacts = []) {
+    const emails = [];
+    const unresolved = [];
+    for (const name of names) {
+      const wanted = name.toLowerCase();
+      const contact =
+        contacts.find(c => (c.name || '').toLowerCase() === wanted) ||
+        contacts.find(c => (c.name || '').toLowerCase().split(/\s+/)[0] === wanted) ||
+        contacts.find(c => (c.email || '').toLowerCase().split(/[@.]/)[0] === wanted);
+      if (contact) {
+        emails.push(contact.email.toLowerCase());
+      } else {
+        unresolved.push(name);
+      }
+    }
+    return { emails, unresolved };
+  }
+
+  /**
+   * Take a duration ("30m", "1h30", "for an hour")
+   * @param {Function} take - Matcher from parse()
+   * @returns {number|null} Minutes
+   */
+  static takeDuration(take) {
+    let minutes = null;
+    take(/\b(?:for\s+)?(\d+)\s*h(?:rs?|ours?)?\s*(\d+)\s*m(?:ins?|inutes?)?\b/i, m => {
+      minutes = parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+    }) ||
+      take(/\b(?:for\s+)?(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)\b/i, m => {
+        const value = parseFloat(m[1]);
+        minutes = Math.round(m[2].toLowerCase().startsWith('h') ? value * 60 : value);
+      }) ||
+      take(/\b(?:for\s+)?half\s+an?\s+hour\b/i, () => {
+        minutes = 30;
+      }) ||
+      take(/\b(?:for\s+)?(?:an?|one)\s+hour\b/i, () => {
+        minutes = 60;
+      });
+    return minutes > 0 ? minutes : null;
+  }
+
+  /**
+   * Take a time of day ("3pm", "15:30", "noon", "at 3")
+   * @param {Function} take - Matcher from parse()
+   * @returns {{hours: number, minutes: number}|null}
+   */
+  static takeTime(take) {
+    let time = null;
+    take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$|[,.])/i, m => {
+      const hour = parseInt(m[1], 10);
+      const minutes = parseInt(m[2] || '0', 10);
+      if (hour < 1 || hour > 12 || minutes > 59) return false;
+      time = { hours: (hour % 12) + (m[3].toLowerCase().startsWith('p') ? 12 : 0), minutes };
+    }) ||
+      take(/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/, m => {
+        time = { hours: parseInt(m[1], 10), minutes: parseInt(m[2], 10) };
+      }) ||
+      take(/\b(?:at\s+)?(noon|midday|midnight)\b/i, m => {
+        time = { hours: m[1].toLowerCase() === 'midnight' ? 0 : 12, minutes: 0 };
+      }) ||
+      take(/\bat\s+(\d{1,2})\b/i, m => {
+        const hours = parseInt(m[1], 10);
+        if (hours < 1 || hours > 12) return false;
+        time = { hours: hours < this.AFTERNOON_BEFORE_HOUR ? hours + 12 : hours, minutes: 0 };
+      });
+    return time;
+  }
+
+  /**
+   * Take a day ("tomorrow", "next fri", "in 3 days", "Mar 14", "3/14")
+   * @param {Function} take - Matcher from parse()
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Local midnight of the day
+   */
+  static takeDate(take, now) {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    const addDays = n => {
+      const date = new Date(day);
+      date.setDate(date.getDate() + n);
+      return date;
+    };
+    // Next occurrence of a day-of-year, this year or next
+    const nextDate = (month, dayOfMonth) => {
+      const date = new Date(day.getFullYear(), month, dayOfMonth);
+      if (date < day) date.setFullYear(date.getFullYear() + 1);
+      return date;
+    };
+
+    let date = null;
+    take(/\b(today|tomorrow|tmrw|tmr)\b/i, m => {
+      date = addDays(m[1].toLowerCase() === 'today' ? 0 : 1);
+    }) ||
+      take(/\bin\s+(\d+|a|one)\s+(day|week)s?\b/i, m => {
+        const count = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : 1;
+        date = addDays(m[2].toLowerCase() === 'week' ? count * 7 : count);
+      }) ||
+      take(/\bnext\s+week\b/i, () => {
+        date = addDays((8 - day.getDay()) % 7 || 7);
+      }) ||
+      take(
+        /\b(?:on\s+)?(?:(next|this)\s+)?(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\b/i,
+        m => {
+          const target = WEEKDAYS[m[2].slice(0, 3).toLowerCase()];
+          const ahead = (target - day.getDay() + 7) % 7;
+          date = addDays(m[1]?.toLowerCase() === 'next' ? ahead || 7 : ahead);
+        }
+      ) ||
+      take(new RegExp(`\\b(?:on\\s+)?${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), m => {
+        date = nextDate(MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()), parseInt(m[2], 10));
+      }) ||
+      take(new RegExp(`\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\b`, 'i'), m => {
+        date = nextDate(MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), parseInt(m[1], 10));
+      }) ||
+      take(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})\b/, m => {
+        const month = parseInt(m[1], 10) - 1;
+        if (month > 11) return false;
+        date = nextDate(month, parseInt(m[2], 10));
+      });
+    return date;
+  }
+
+  /**
+   * Names after "with", split on commas and "and"
+   * @param {string} text - Phrase with dates and times already taken out
+   * @returns {Array<string>}
+   */
+  static takeNames(text) {
+    const match = text.match(/\bwith\s+([\w'-]+(?:\s*(?:,|&|\band\b)\s*[\w'-]+)*)/i);
+    if (!match) return [];
+
+    const names = match[1]
+      .split(/\s*(?:,|&|\band\b)\s*/i)
+      .map(name => name.trim())
+      .filter(Boolean);
+    return NOT_A_NAME.has(names[0]?.toLowerCase()) ? [] : names;
+  }
+
+  /**
+   * What's left once dates, times and the like are taken out, with
+   * dangling connectors trimmed and the first letter capitalized
+   * @param {string} text - Remaining phrase
+   * @returns {string}
+   */
+  static cleanTitle(text) {
+    const connectors = /^(?:on|at|for|via|by|from|,|-)\s+|\s+(?:on|at|for|via|by|from|with|,|-)$/i;
+    let title = text.replace(/\s+/g, ' ').trim();
+    while (connectors.test(title)) title = title.replace(connectors, '').trim();
+    return title.charAt(0).toUpperCase() + title.slice(1);
+  }
+}
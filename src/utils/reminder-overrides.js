@@ -0,0 +1,81 @@
+/**
+ * Per-event reminder overrides
+ * Set from a meeting's row in the popup: mute that one meeting, or remind at
+ * one or more custom lead times (e.g. 10 and 1 minutes before). Keyed by
+ * event ID; dropped once the event disappears from the calendar.
+ */
+
+export class ReminderOverrides {
+  static STORAGE_KEY = 'reminderOverrides';
+
+  /**
+   * Get every stored override
+   * @returns {Promise<Object>} { [eventId]: { muted, offsets } }
+   */
+  static async getAll() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Replace the override for an event. An override that neither mutes nor
+   * sets lead times is removed, returning the meeting to the default offset.
+   * @param {string} eventId - Event ID
+   * @param {Object} override - { muted, offsets }; offsets may be a list or
+   *   a string like "10, 1"
+   * @returns {Promise<Object|null>} The stored override, or null when removed
+   */
+  static async set(eventId, override) {
+    const all = await this.getAll();
+    const offsets = this.parseOffsets(override?.offsets);
+
+    if (override?.muted || offsets.length > 0) {
+      all[eventId] = { muted: !!override.muted, offsets };
+    } else {
+      delete all[eventId];
+    }
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return all[eventId] || null;
+  }
+
+  /**
+   * Drop the overrides of events that no longer exist
+   * @param {Array<string>} eventIds - Event IDs
+   */
+  static async remove(eventIds) {
+    const all = await this.getAll();
+    const stale = eventIds.filter(id => id in all);
+    if (stale.length === 0) return;
+
+    for (const id of stale) delete all[id];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+  }
+
+  /**
+   * Find the override that applies to an event
+   * @param {Object} event - Event
+   * @param {Object} overrides - Result of getAll()
+   * @returns {Object|null}
+   */
+  static forEvent(event, overrides) {
+    if (!event?.id || !overrides) return null;
+    return overrides[event.id] || null;
+  }
+
+  /**
+   * Normalize lead times: whole, non-negative, de-duplicated minutes,
+   * earliest reminder first
+   * @param {Array|string} value - List of minutes or "10, 1"
+   * @returns {Array<number>}
+   */
+  static parseOffsets(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+    const minutes = list
+      .filter(v => v !== '' && v !== null)
+      .map(Number)
+      .filter(n => Number.isFinite(n) && n >= 0)
+      .map(n => Math.floor(n));
+    return [...new Set(minutes)].sort((a, b) => b - a);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Per-series reminder rules
+ * Recurring meetings carry a seriesId (Google recurringEventId, Graph
+ * seriesMasterId, iCalendar UID). Rules are keyed by it so muting a standup
+ * or giving one series a custom offset applies to every instance, including
+ * ones a later sync hasn't delivered yet.
+ */
+
+export class SeriesRules {
+  static STORAGE_KEY = 'seriesRules';
+
+  /**
+   * Get every stored rule
+   * @returns {Promise<Object>} { [seriesId]: { title, muted, reminderMinutes } }
+   */
+  static async getAll() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Get the rule for one series
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object|null>}
+   */
+  static async get(seriesId) {
+    if (!seriesId) return null;
+    return (await this.getAll())[seriesId] || null;
+  }
+
+  /**
+   * Update the rule for a series. A rule left with nothing set is removed.
+   * @param {string} seriesId - Series ID
+   * @param {Object} changes - Any of { title, muted, reminderMinutes }; null
+   *   reminderMinutes goes back to the global offset
+   * @returns {Promise<Object|null>} The stored rule, or null when removed
+   */
+  static async set(seriesId, changes) {
+    const all = await this.getAll();
+    const rule = this.normalize({ ...all[seriesId], ...changes });
+
+    if (rule.muted || rule.reminderMinutes !== null) {
+      all[seriesId] = rule;
+    } else {
+      delete all[seriesId];
+    }
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return all[seriesId] || null;
+  }
+
+  /**
+   * Remove the rule for a series
+   * @param {string} seriesId - Series ID
+   */
+  static async remove(seriesId) {
+    const all = await this.getAll();
+    delete all[seriesId];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+  }
+
+  /**
+   * Find the rule that applies to an event
+   * @param {Object} event - Event with an optional seriesId
+   * @param {Object} rules - Result of getAll()
+   * @returns {Object|null}
+   */
+  static forEvent(event, rules) {
+    if (!event?.seriesId || !rules) return null;
+    return rules[event.seriesId] || null;
+  }
+
+  static normalize(rule) {
+    const minutes = Number(rule.reminderMinutes);
+    return {
+      title: rule.title || '',
+      muted: !!rule.muted,
+      reminderMinutes:
+        rule.reminderMinutes !== null && rule.reminderMinutes !== '' && minutes >= 0
+          ? Math.floor(minutes)
+          : null,
+    };
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Slot Finder - Free meeting times from busy intervals
+ * Busy blocks come from Google freeBusy or Graph getSchedule for everyone
+ * invited. Candidates are laid on a fixed grid inside the user's working
+ * hours and ranked so the soonest slots that leave some breathing room
+ * come first.
+ */
+
+import { DEFAULT_SETTINGS } from './constants.js';
+
+export class SlotFinder {
+  static STEP_MINUTES = 30;
+  static SEARCH_DAYS = 5;
+  static MAX_SLOTS = 5;
+  // Ranking penalty, in minutes of delay, for a slot right next to a meeting
+  static BACK_TO_BACK_PENALTY = 90;
+
+  /**
+   * Sort and merge busy intervals
+   * @param {Array<{start: string|number, end: string|number}>} busy - Busy intervals
+   * @returns {Array<{start: number, end: number}>} Disjoint intervals in epoch ms
+   */
+  static mergeBusy(busy) {
+    const intervals = (busy || [])
+      .map(b => ({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() }))
+      .filter(b => b.end > b.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of intervals) {
+      const last = merged.at(-1);
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Working hours to search, one window per working day
+   * @param {Object} options - See findSlots()
+   * @returns {Array<{start: number, end: number, open: number}>} Windows in
+   *   epoch ms, cut to start no earlier than options.now; `open` is when the
+   *   working day began
+   */
+  static getWorkingWindows(options = {}) {
+    const { from = new Date(), days = this.SEARCH_DAYS, settings = {}, now = new Date() } = options;
+    const workStartHour = settings.workStartHour ?? DEFAULT_SETTINGS.workStartHour;
+    const workEndHour = settings.workEndHour ?? DEFAULT_SETTINGS.workEndHour;
+    const workDays = Array.isArray(settings.workDays)
+      ? settings.workDays
+      : DEFAULT_SETTINGS.workDays;
+    const earliest = new Date(now).getTime();
+
+    const windows = [];
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+    for (let i = 0; i < days; i++, day.setDate(day.getDate() + 1)) {
+      if (!workDays.includes(day.getDay())) continue;
+
+      const start = new Date(day).setHours(workStartHour, 0, 0, 0);
+      const end = new Date(day).setHours(workEndHour, 0, 0, 0);
+      if (end > Math.max(start, earliest)) {
+        windows.push({ start: Math.max(start, earliest), end, open: start });
+      }
+    }
+    return windows;
+  }
+
+  /**
+   * Ranked free slots for a meeting
+   * @param {Array} busy - Busy intervals of every attendee
+   * @param {Object} options
+   * @param {Date|string} options.from - Day to start searching on
+   * @param {number} options.days - Days to search, counting the first
+   * @param {number} options.durationMinutes - Meeting length
+   * @param {Object} options.settings - workStartHour, workEndHour, workDays
+   * @param {Date} options.now - Slots must start after this
+   * @param {number} options.limit - Maximum number of slots
+   * @returns {Array<{start: string, end: string}>} Best slot first
+   */
+  static findSlots(busy, options = {}) {
+    const { durationMinutes = 30, now = new Date(), limit = this.MAX_SLOTS } = options;
+    const merged = this.mergeBusy(busy);
+    const duration = durationMinutes * 60000;
+    const step = this.STEP_MINUTES * 60000;
+    const earliest = new Date(now).getTime();
+
+    const candidates = [];
+    for (const window of this.getWorkingWindows({ ...options, now })) {
+      // Keep slots on the grid even when the window was cut short by `now`
+      const first = window.open + Math.ceil((window.start - window.open) / step) * step;
+      for (let start = first; start + duration <= window.end; start += step) {
+        const end = start + duration;
+        if (merged.some(b => b.start < end && start < b.end)) continue;
+
+        const backToBack = merged.some(b => b.end === start || b.start === end);
+        candidates.push({
+          start,
+          end,
+          score: (start - earliest) / 60000 + (backToBack ? this.BACK_TO_BACK_PENALTY : 0),
+        });
+      }
+    }
+
+    return candidates
+      .sort((a, b) => a.score - b.score || a.start - b.start)
+      .slice(0, limit)
+      .map(({ start, end }) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+      }));
+  }
+}
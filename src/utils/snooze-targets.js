@@ -0,0 +1,156 @@
+/**
+ * Snooze Targets - Snoozing a reminder until a point rather than for N minutes
+ * A target is a number of minutes, or one of: 1 minute before the meeting
+ * starts, its start, the end of the meeting being tracked right now, or the
+ * next time the connection comes back. Each resolves to a concrete alarm
+ * time, except "online", which waits for the connectivity check. Active
+ * snoozes are kept in storage, keyed by event ID, so they outlive the
+ * service worker.
+ */
+
+import { TIME } from './constants.js';
+
+// In the order they're offered
+const TARGET_LABELS = {
+  beforeStart: '1 min before',
+  start: 'At start',
+  meetingEnd: 'After current meeting',
+  online: 'When back online',
+};
+
+export class SnoozeTargets {
+  static STORAGE_KEY = 'snoozes';
+
+  /**
+   * When a snooze target comes due
+   * @param {number|string} target - Minutes from now, or 'beforeStart' |
+   *   'start' | 'meetingEnd' | 'online'
+   * @param {Object} event - Meeting being snoozed
+   * @param {Object} options - { now, activeMeeting } where activeMeeting is
+   *   DurationTracker.getActiveTracking()
+   * @returns {{when?: number|null, error?: string}} when is epoch ms, or null
+   *   for 'online'
+   */
+  static resolve(target, event, { now = Date.now(), activeMeeting = null } = {}) {
+    const start = new Date(event?.startTime).getTime();
+    let when;
+
+    switch (target) {
+      case 'beforeStart':
+        when = start - TIME.ONE_MINUTE_MS;
+        break;
+
+      case 'start':
+        when = start;
+        break;
+
+      case 'meetingEnd':
+        if (!activeMeeting?.event?.endTime || activeMeeting.eventId === event?.id) {
+          return { error: 'Not in another meeting' };
+        }
+        when = new Date(activeMeeting.event.endTime).getTime();
+        break;
+
+      case 'online':
+        return { when: null };
+
+      default: {
+        const minutes = Number(target);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+          return { error: `Unknown snooze target "${target}"` };
+        }
+        return { when: now + minutes * TIME.ONE_MINUTE_MS };
+      }
+    }
+
+    if (!(when > now)) return { error: 'That time has already passed' };
+    return { when };
+  }
+
+  /**
+   * The relative targets that still apply to a meeting, for snooze buttons
+   * @param {Object} event - Meeting
+   * @param {Object} options - { now, activeMeeting, online } where online is
+   *   false to offer waiting for the connection
+   * @returns {Array<{target: string, label: string, when: number|null}>}
+   */
+  static optionsFor(event, { now = Date.now(), activeMeeting = null, online = true } = {}) {
+    const options = [];
+    for (const [target, label] of Object.entries(TARGET_LABELS)) {
+      if (target === 'online' && online !== false) continue;
+      const { when, error } = this.resolve(target, event, { now, activeMeeting });
+      if (!error) options.push({ target, label, when });
+    }
+    return options;
+  }
+
+  /**
+   * Get every active snooze
+   * @returns {Promise<Object>} { [eventId]: { target, when, event, dueAt } }
+   */
+  static async getAll() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Record a snooze, replacing any earlier one for the meeting. Snoozes
+   * that are already up are dropped on the way.
+   * @param {Object} event - Meeting, kept to remind about it again
+   * @param {number|string} target - As passed to resolve()
+   * @param {number|null} when - Result of resolve()
+   * @param {number|null} dueAt - When the meeting's reminder was due, if it
+   *   hasn't gone off yet; an "online" snooze released before then lets the
+   *   reminder go off on its own
+   * @returns {Promise<Object>} The stored snooze
+   */
+  static async add(event, target, when, dueAt = null) {
+    const all = Object.fromEntries(
+      Object.entries(await this.getAll()).filter(([, snooze]) => this.isActive(snooze))
+    );
+    all[event.id] = { target, when, event, dueAt };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return all[event.id];
+  }
+
+  /**
+   * Drop the snooze of a meeting
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} The removed snooze
+   */
+  static async remove(eventId) {
+    const all = await this.getAll();
+    const snooze = all[eventId];
+    if (!snooze) return null;
+
+    delete all[eventId];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return snooze;
+  }
+
+  /**
+   * Whether a stored snooze still holds the meeting's reminders back. A
+   * reminder due at the same moment as the snooze is held too, so the
+   * meeting isn't announced twice.
+   * @param {Object} snooze - Entry from getAll()
+   * @param {number} now - Epoch ms, or when the reminder was due
+   * @returns {boolean}
+   */
+  static isActive(snooze, now = Date.now()) {
+    return !!snooze && (snooze.when === null || snooze.when >= now);
+  }
+
+  /**
+   * Short text for a snooze, e.g. "until 9:59 AM" or "until back online"
+   * @param {Object} snooze - Entry from getAll(), or { when }
+   * @returns {string}
+   */
+  static describe(snooze) {
+    if (snooze?.when === null) return 'until back online';
+    return `until ${this.formatTime(snooze.when)}`;
+  }
+
+  static formatTime(when) {
+    return new Date(when).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  }
+}
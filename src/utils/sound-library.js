@@ -0,0 +1,213 @@
+/**
+ * Sound Library - Alert tones and which one plays when
+ * Bundled tones are the sweep recording plus a few synthesized patterns;
+ * users can add their own audio files, kept in local storage as data URLs.
+ * A reminder plays the tone picked for its context (VIP organizer,
+ * external attendees, snooze re-fire, conflict) or the default alert tone.
+ */
+
+import { DEFAULT_SETTINGS } from './constants.js';
+import { logger } from './logger.js';
+
+// Synthesized tones: [frequency Hz, start s, duration s] per note
+const BUNDLED_TONES = {
+  sweep: { name: 'Sweep', file: 'assets/sounds/sweep.mp3' },
+  chime: {
+    name: 'Chime',
+    notes: [
+      [880, 0, 0.6],
+      [1318.5, 0.15, 0.8],
+    ],
+  },
+  bell: {
+    name: 'Bell',
+    notes: [
+      [659.25, 0, 1.4],
+      [1318.5, 0, 0.7],
+      [1975.5, 0, 0.4],
+    ],
+  },
+  pulse: {
+    name: 'Pulse',
+    notes: [
+      [740, 0, 0.12],
+      [740, 0.2, 0.12],
+      [740, 0.4, 0.12],
+    ],
+  },
+  rise: {
+    name: 'Rise',
+    notes: [
+      [523.25, 0, 0.22],
+      [659.25, 0.18, 0.22],
+      [783.99, 0.36, 0.4],
+    ],
+  },
+};
+
+export class SoundLibrary {
+  static STORAGE_KEY = 'customSounds';
+  static CUSTOM_PREFIX = 'custom:';
+  static MAX_CUSTOM_BYTES = 1024 * 1024;
+  static MAX_CUSTOM_SOUNDS = 5;
+
+  /**
+   * Every tone the user can pick
+   * @returns {Promise<Array<{id: string, name: string, custom: boolean}>>}
+   */
+  static async getTones() {
+    const bundled = Object.entries(BUNDLED_TONES).map(([id, tone]) => ({
+      id,
+      name: tone.name,
+      custom: false,
+    }));
+    const custom = (await this.getCustomSounds()).map(sound => ({
+      id: `${this.CUSTOM_PREFIX}${sound.id}`,
+      name: sound.name,
+      custom: true,
+    }));
+    return [...bundled, ...custom];
+  }
+
+  /**
+   * Get the uploaded sounds
+   * @returns {Promise<Array<{id: string, name: string, dataUrl: string}>>}
+   */
+  static async getCustomSounds() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY] || [];
+  }
+
+  /**
+   * Store an uploaded audio file
+   * @param {string} name - File name shown in the tone lists
+   * @param {string} dataUrl - The file read as a data: URL
+   * @returns {Promise<{success: boolean, tone?: string, error?: string}>} tone
+   *   is the ID to select it by
+   */
+  static async addCustomSound(name, dataUrl) {
+    if (!/^data:audio\//.test(dataUrl || '')) {
+      return { success: false, error: 'Not an audio file' };
+    }
+    // Base64 takes four characters for every three bytes
+    if (dataUrl.length * 0.75 > this.MAX_CUSTOM_BYTES) {
+      return { success: false, error: 'Sound files must be under 1 MB' };
+    }
+    const sounds = await this.getCustomSounds();
+    if (sounds.length >= this.MAX_CUSTOM_SOUNDS) {
+      return { success: false, error: `Remove a sound first (up to ${this.MAX_CUSTOM_SOUNDS})` };
+    }
+
+    const sound = {
+      id: Date.now().toString(36),
+      name: String(name || 'Custom sound').replace(/\.[a-z0-9]+$/i, ''),
+      dataUrl,
+    };
+    sounds.push(sound);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: sounds });
+    return { success: true, tone: `${this.CUSTOM_PREFIX}${sound.id}` };
+  }
+
+  /**
+   * Delete an uploaded sound. Settings still pointing at it fall back to
+   * the default tone.
+   * @param {string} tone - Tone ID ("custom:<id>")
+   */
+  static async removeCustomSound(tone) {
+    const id = String(tone).replace(this.CUSTOM_PREFIX, '');
+    const sounds = await this.getCustomSounds();
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: sounds.filter(s => s.id !== id) });
+  }
+
+  /**
+   * Which reminder situation an event is in, for picking its tone
+   * @param {Object} event - Event as passed to NotificationManager, with the
+   *   _snoozed, _vip and _external flags set when the alarm fired
+   * @returns {string} 'snooze' | 'vip' | 'conflict' | 'external' | 'default',
+   *   the most specific first
+   */
+  static contextOf(event) {
+    if (event?._snoozed) return 'snooze';
+    if (event?._vip) return 'vip';
+    if (event?.hasConflict) return 'conflict';
+    if (event?._external) return 'external';
+    return 'default';
+  }
+
+  /**
+   * Tone ID for a reminder situation
+   * @param {string} context - Result of contextOf()
+   * @param {Object} settings - User settings
+   * @returns {string}
+   */
+  static toneFor(context, settings = {}) {
+    return settings.contextTones?.[context] || settings.alertTone || DEFAULT_SETTINGS.alertTone;
+  }
+
+  /**
+   * Playback volume from the soundVolume setting
+   * @param {Object} settings - User settings
+   * @returns {number} 0-1
+   */
+  static volumeFrom(settings = {}) {
+    const volume = Number(settings.soundVolume ?? DEFAULT_SETTINGS.soundVolume);
+    return Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 100) / 100 : 0.7;
+  }
+
+  /**
+   * What to play for a tone ID. Unknown IDs and deleted uploads fall back
+   * to the default tone.
+   * @param {string} tone - Tone ID
+   * @returns {Promise<{src?: string, notes?: Array}>}
+   */
+  static async resolve(tone) {
+    if (String(tone).startsWith(this.CUSTOM_PREFIX)) {
+      const id = tone.slice(this.CUSTOM_PREFIX.length);
+      const sound = (await this.getCustomSounds()).find(s => s.id === id);
+      if (sound) return { src: sound.dataUrl };
+    }
+
+    const bundled = BUNDLED_TONES[tone] || BUNDLED_TONES[DEFAULT_SETTINGS.alertTone];
+    return bundled.file ? { src: chrome.runtime.getURL(bundled.file) } : { notes: bundled.notes };
+  }
+
+  /**
+   * Play a resolved tone. Needs a document (offscreen or popup), since
+   * service workers have no audio.
+   * @param {{src?: string, notes?: Array}} sound - Result of resolve()
+   * @param {number} volume - 0-1
+   */
+  static async play(sound, volume) {
+    if (!sound || volume <= 0) return;
+
+    if (sound.src) {
+      const audio = new Audio(sound.src);
+      audio.volume = volume;
+      await audio.play();
+      return;
+    }
+
+    // Short sine notes with a quick attack and exponential decay
+    const context = new AudioContext();
+    const now = context.currentTime;
+    for (const [frequency, start, duration] of sound.notes || []) {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, now + start);
+      gain.gain.exponentialRampToValueAtTime(volume, now + start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + start + duration);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + duration + 0.05);
+    }
+
+    const end = Math.max(0, ...(sound.notes || []).map(([, start, duration]) => start + duration));
+    setTimeout(
+      () => {
+        context.close().catch(error => logger.debug('Audio context already closed', error));
+      },
+      (end + 0.2) * 1000
+    );
+  }
+}
@@ -67,6 +67,41 @@ export class StorageManager {
     await chrome.storage.local.set({ [STORAGE_KEYS.EVENTS]: events });
   }
 
+  /**
+   * Get events imported from .ics files. They're kept apart from the synced
+   * events because no provider sync will ever report them again.
+   * @returns {Promise<Array>} Array of event objects
+   */
+  static async getImportedEvents() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.IMPORTED_EVENTS);
+    return result[STORAGE_KEYS.IMPORTED_EVENTS] || [];
+  }
+
+  /**
+   * Save imported events
+   * @param {Array} events - Events to save
+   */
+  static async saveImportedEvents(events) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.IMPORTED_EVENTS]: events });
+  }
+
+  /**
+   * Get the conflicts the user acknowledged, as ConflictDetector.pairKey()s
+   * @returns {Promise<Array<string>>}
+   */
+  static async getAcknowledgedConflicts() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.ACKNOWLEDGED_CONFLICTS);
+    return result[STORAGE_KEYS.ACKNOWLEDGED_CONFLICTS] || [];
+  }
+
+  /**
+   * Save acknowledged conflicts
+   * @param {Array<string>} keys - Pair keys
+   */
+  static async saveAcknowledgedConflicts(keys) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.ACKNOWLEDGED_CONFLICTS]: keys });
+  }
+
   /**
    * Get a specific event by ID
    * @param {string} eventId - Event ID
@@ -106,6 +141,7 @@ export class StorageManager {
     return {
       google: events.filter(e => e.source === 'google-api' || e.source === 'google-dom'),
       outlook: events.filter(e => e.source === 'outlook-api' || e.source === 'outlook-dom'),
+      ics: events.filter(e => e.source === 'ics'),
       all: events,
     };
   }
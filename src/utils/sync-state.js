@@ -0,0 +1,136 @@
+/**
+ * Incremental sync state
+ * Persists Google nextSyncToken / Graph deltaLink per calendar together with
+ * the event set they describe, so each sync only applies adds/updates/deletes
+ * instead of re-downloading and replacing everything.
+ */
+
+import { logger } from './logger.js';
+
+export class SyncState {
+  static STORAGE_KEY = 'calendarSyncState';
+
+  /**
+   * Get the stored state for one calendar
+   * @param {string} key - State key, "<account>/<calendar>", e.g. "google/primary" or "outlook/default"
+   * @returns {Promise<Object|null>} { token, windowKey, events: {id: event} } or null
+   */
+  static async get(key) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return data[this.STORAGE_KEY]?.[key] || null;
+  }
+
+  /**
+   * Persist the state for one calendar
+   * @param {string} key - State key
+   * @param {Object} state - { token, windowKey, events }
+   */
+  static async save(key, state) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const all = data[this.STORAGE_KEY] || {};
+    all[key] = { ...state, savedAt: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+  }
+
+  /**
+   * Drop every state whose key starts with `prefix` and is not in `keepKeys`.
+   * Used when a calendar is deselected or an account disconnects.
+   * @param {string} prefix - Key prefix, e.g. "google/"
+   * @param {Array<string>} keepKeys - Keys to keep
+   * @returns {Promise<Array<string>>} IDs of the events the dropped states held
+   */
+  static async prune(prefix, keepKeys = []) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const all = data[this.STORAGE_KEY] || {};
+    const removedIds = [];
+
+    for (const key of Object.keys(all)) {
+      if (!key.startsWith(prefix) || keepKeys.includes(key)) continue;
+      removedIds.push(...Object.keys(all[key].events || {}));
+      delete all[key];
+      logger.debug(`Dropped sync state for ${key}`);
+    }
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    return removedIds;
+  }
+
+  /**
+   * Identify a sync window. Tokens are only reused while the window is
+   * unchanged — when the day rolls over (or the horizon setting changes)
+   * events that were never modified can enter the window, and a delta
+   * would never report them, so a full resync is required.
+   * @param {{start: Date, end: Date}} syncWindow
+   * @returns {string}
+   */
+  static windowKey(syncWindow) {
+    return `${syncWindow.start.toISOString()}|${syncWindow.end.toISOString()}`;
+  }
+
+  /**
+   * Check whether an event overlaps the sync window
+   * @param {Object} event - Parsed event
+   * @param {{start: Date, end: Date}} syncWindow
+   * @returns {boolean}
+   */
+  static isInWindow(event, syncWindow) {
+    const start = new Date(event.startTime);
+    const end = event.endTime ? new Date(event.endTime) : start;
+    return start <= syncWindow.end && end >= syncWindow.start;
+  }
+
+  /**
+   * Apply a batch of changes to a stored event set.
+   * @param {Object} previous - Previous events keyed by ID
+   * @param {Object} batch
+   * @param {Array} batch.upserts - Parsed events that were added or changed
+   * @param {Array<string>} batch.removedIds - IDs deleted on the provider
+   * @param {boolean} batch.replace - Full resync: anything not in upserts is gone
+   * @returns {{events: Object, changes: {added: string[], updated: string[], removed: string[]}}}
+   */
+  static merge(previous, { upserts = [], removedIds = [], replace = false }) {
+    const before = previous || {};
+    const events = replace ? {} : { ...before };
+    const changes = { added: [], updated: [], removed: [] };
+
+    for (const event of upserts) {
+      const existing = before[event.id];
+      if (!existing) {
+        changes.added.push(event.id);
+      } else if (JSON.stringify(existing) !== JSON.stringify(event)) {
+        changes.updated.push(event.id);
+      }
+      events[event.id] = event;
+    }
+
+    for (const id of removedIds) {
+      if (events[id]) {
+        delete events[id];
+      }
+    }
+
+    for (const id of Object.keys(before)) {
+      if (!events[id]) {
+        changes.removed.push(id);
+      }
+    }
+
+    return { events, changes };
+  }
+
+  /**
+   * Combine change sets from several calendars into one
+   * @param {Array<Object>} changeSets
+   * @returns {{added: string[], updated: string[], removed: string[]}}
+   */
+  static combineChanges(changeSets) {
+    const combined = { added: [], updated: [], removed: [] };
+    for (const set of changeSets) {
+      if (!set) continue;
+      combined.added.push(...(set.added || []));
+      combined.updated.push(...(set.updated || []));
+      combined.removed.push(...(set.removed || []));
+    }
+    return combined;
+  }
+}
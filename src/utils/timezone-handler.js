@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { TIME } from './constants.js';
 /**
  * Timezone Handler - Manages timezone conversions for calendar events
  */
@@ -80,6 +81,69 @@ export class TimezoneHandler {
     }
   }
 
+  /**
+   * Convert a wall-clock time in an IANA timezone to the absolute instant.
+   * The inverse of convertTimezone: "09:00 in Europe/Berlin" → Date. Across a
+   * DST gap the time is shifted forward; in an overlap the earlier instant wins.
+   * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields - Wall-clock fields (month is 1-12)
+   * @param {string} timezone - IANA timezone identifier
+   * @returns {Date|null} The instant, or null if the timezone isn't recognised
+   */
+  static zonedTimeToUtc(fields, timezone) {
+    if (!this.isValidTimezone(timezone)) return null;
+
+    const wall = Date.UTC(
+      fields.year,
+      fields.month - 1,
+      fields.day,
+      fields.hour || 0,
+      fields.minute || 0,
+      fields.second || 0
+    );
+
+    // The offsets in force a day either side; a DST transition makes them
+    // differ. Each gives an instant that is right if reading it back in the
+    // zone yields the same offset: both are in an overlap, neither in a gap.
+    const before = this.getZoneOffsetMs(new Date(wall - TIME.ONE_DAY_MS), timezone);
+    const after = this.getZoneOffsetMs(new Date(wall + TIME.ONE_DAY_MS), timezone);
+    const valid = [wall - before, wall - after].filter(
+      instant => this.getZoneOffsetMs(new Date(instant), timezone) === wall - instant
+    );
+
+    // A wall time skipped by the gap reads on with the offset from before it
+    return new Date(valid.length > 0 ? Math.min(...valid) : wall - before);
+  }
+
+  /**
+   * Offset of a timezone from UTC at a given instant
+   * @param {Date} date - Instant
+   * @param {string} timezone - IANA timezone identifier
+   * @returns {number} Offset in milliseconds (positive east of UTC)
+   */
+  static getZoneOffsetMs(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    }).formatToParts(date);
+
+    const get = type => Number(parts.find(p => p.type === type)?.value);
+    const asUtc = Date.UTC(
+      get('year'),
+      get('month') - 1,
+      get('day'),
+      get('hour') % 24, // some engines render midnight as "24"
+      get('minute'),
+      get('second')
+    );
+    return asUtc - (date.getTime() - date.getMilliseconds());
+  }
+
   /**
    * Get the user's current timezone
    * @returns {string} IANA timezone identifier
@@ -246,7 +310,7 @@ export class TimezoneHandler {
       }).formatToParts(date);
       const name = parts.find(p => p.type === 'timeZoneName')?.value || '';
       // Intl may yield long forms like "GMT+5:30"; keep it compact.
-      return (name.slice(0, 5) || 'UTC');
+      return name.slice(0, 5) || 'UTC';
     } catch (error) {
       return 'UTC';
     }
@@ -260,9 +324,7 @@ export class TimezoneHandler {
   static formatTimezone(timezone) {
     if (!timezone) return 'Local Time';
     const abbr = this.getTimezoneAbbreviation(new Date(), timezone);
-    const label = timezone.includes('/')
-      ? timezone.split('/').pop().replace(/_/g, ' ')
-      : timezone;
+    const label = timezone.includes('/') ? timezone.split('/').pop().replace(/_/g, ' ') : timezone;
     return `${label} (${abbr})`;
   }
 
@@ -0,0 +1,74 @@
+/**
+ * Travel buffer for in-person meetings
+ * A meeting with a physical location needs time to get there: an earlier
+ * "leave now" reminder, and a warning when the previous meeting ends too
+ * close to it. Locations listed in settings.zeroTravelLocations (rooms in
+ * the user's own building) need no travel time.
+ */
+
+import { DEFAULT_SETTINGS } from './constants.js';
+
+// Locations that name a call rather than a place
+const ONLINE_LOCATION =
+  /https?:\/\/|www\.|\b(teams|zoom|google meet|hangouts|webex|skype|slack|discord|online|virtual|remote|phone|call|dial-in|tbd|n\/a)\b/i;
+
+export class TravelBuffer {
+  /**
+   * Whether a location is somewhere to travel to rather than a call
+   * @param {string} location - Event location
+   * @returns {boolean}
+   */
+  static isPhysicalLocation(location) {
+    const text = String(location ?? '').trim();
+    return text !== '' && !ONLINE_LOCATION.test(text);
+  }
+
+  /**
+   * Whether a location matches one of the configured zero-travel entries
+   * (case-insensitive substring, so "Building 2" covers every room in it)
+   * @param {string} location - Event location
+   * @param {Object} settings - User settings
+   * @returns {boolean}
+   */
+  static isZeroTravel(location, settings) {
+    const entries = Array.isArray(settings?.zeroTravelLocations)
+      ? settings.zeroTravelLocations
+      : DEFAULT_SETTINGS.zeroTravelLocations;
+    const text = String(location ?? '').toLowerCase();
+    return entries.some(entry => entry && text.includes(String(entry).trim().toLowerCase()));
+  }
+
+  /**
+   * Minutes needed to reach an event, or 0 when it's a call, in a
+   * zero-travel location, or the buffer is off
+   * @param {Object} event - Event with an optional location
+   * @param {Object} settings - User settings
+   * @returns {number}
+   */
+  static getBufferMinutes(event, settings) {
+    const buffer = settings?.travelBufferMinutes ?? DEFAULT_SETTINGS.travelBufferMinutes;
+    if (!Number.isFinite(buffer) || buffer <= 0) return 0;
+    if (!this.isPhysicalLocation(event?.location)) return 0;
+    if (this.isZeroTravel(event.location, settings)) return 0;
+    return Math.floor(buffer);
+  }
+
+  /**
+   * Minutes needed to get from one meeting to the next. Staying in the same
+   * place needs none.
+   * @param {Object} previous - Earlier event
+   * @param {Object} event - Later event
+   * @param {Object} settings - User settings
+   * @returns {number}
+   */
+  static getBufferBetween(previous, event, settings) {
+    const from = String(previous?.location ?? '')
+      .trim()
+      .toLowerCase();
+    const to = String(event?.location ?? '')
+      .trim()
+      .toLowerCase();
+    if (from && from === to) return 0;
+    return this.getBufferMinutes(event, settings);
+  }
+}
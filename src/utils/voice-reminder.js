@@ -0,0 +1,167 @@
+/**
+ * Voice Reminder - What the spoken reminder says and which voice says it
+ * The text comes from a template with {title}, {minutes}, {organizer} and
+ * {platform} placeholders. A meeting whose title is in another script or
+ * language is read by a voice for that language instead of the chosen one.
+ */
+
+import { DurationTracker } from './duration-tracker.js';
+import { DEFAULT_SETTINGS } from './constants.js';
+
+// Scripts that identify a language on their own, checked in order (kana
+// before Han so Japanese titles with kanji aren't read as Chinese)
+const SCRIPT_LANGUAGES = [
+  [/[\u3040-\u30ff]/, 'ja'],
+  [/[\uac00-\ud7af\u1100-\u11ff]/, 'ko'],
+  [/[\u4e00-\u9fff]/, 'zh'],
+  [/[\u0400-\u04ff]/, 'ru'],
+  [/[\u0370-\u03ff]/, 'el'],
+  [/[\u0590-\u05ff]/, 'he'],
+  [/[\u0600-\u06ff]/, 'ar'],
+  [/[\u0900-\u097f]/, 'hi'],
+  [/[\u0e00-\u0e7f]/, 'th'],
+];
+
+// Latin-script letters specific enough to guess the language from
+const LETTER_LANGUAGES = [
+  [/[ñ¿¡]|ión\b/i, 'es'],
+  [/[ãõ]/i, 'pt'],
+  [/[äöüß]/i, 'de'],
+  [/[çœèêëàâîôûù]/i, 'fr'],
+  [/[ąęłśźżćń]/i, 'pl'],
+  [/[řěů]/i, 'cs'],
+  [/[ğışİ]/, 'tr'],
+];
+
+export class VoiceReminder {
+  /**
+   * Spoken text of a reminder
+   * @param {string} template - Text with placeholders: {title}, {minutes}
+   *   ("5 minutes"), {organizer} and {platform}
+   * @param {Object} event - Meeting event object
+   * @param {number} now - Epoch ms
+   * @returns {string}
+   */
+  static render(template, event, now = Date.now()) {
+    const minutes = Math.max(0, Math.round((new Date(event.startTime).getTime() - now) / 60000));
+    const platform = DurationTracker.detectPlatform(event.meetingLink);
+    const values = {
+      title: event.title || 'Untitled meeting',
+      minutes: `${minutes} minute${minutes !== 1 ? 's' : ''}`,
+      organizer: event.organizer?.name || event.organizer?.email?.split('@')[0] || '',
+      platform: platform === 'Unknown' ? '' : platform,
+    };
+
+    // Unknown placeholders stay as typed; empty ones leave no double spaces
+    return String(template || DEFAULT_SETTINGS.voiceTemplate)
+      .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+      .replace(/\s+([,.!?])/g, '$1')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Guess the language of a meeting title from its script or accented letters
+   * @param {string} text - Meeting title
+   * @returns {string|null} Language code like 'de', or null when it looks
+   *   like plain English or can't be told
+   */
+  static detectLanguage(text) {
+    const value = String(text || '');
+    for (const [pattern, language] of [...SCRIPT_LANGUAGES, ...LETTER_LANGUAGES]) {
+      if (pattern.test(value)) return language;
+    }
+    return null;
+  }
+
+  /**
+   * Voice options for a reminder, from the settings and the event's language
+   * @param {Object} event - Meeting event object
+   * @param {Object} settings - User settings
+   * @returns {{name: string, lang: string, rate: number, pitch: number}} name
+   *   is dropped when the meeting is in a language other than voiceLang
+   */
+  static optionsFor(event, settings = {}) {
+    const lang = settings.voiceLang || DEFAULT_SETTINGS.voiceLang;
+    const detected =
+      (settings.voiceAutoLanguage ?? DEFAULT_SETTINGS.voiceAutoLanguage) &&
+      this.detectLanguage(event.title);
+    const foreign = detected && detected !== this.baseLanguage(lang);
+    return {
+      name: foreign ? '' : settings.voiceName || '',
+      lang: foreign ? detected : lang,
+      rate: Number(settings.voiceRate ?? DEFAULT_SETTINGS.voiceRate),
+      pitch: Number(settings.voicePitch ?? DEFAULT_SETTINGS.voicePitch),
+    };
+  }
+
+  /**
+   * Pick the voice to speak with: the named one if it speaks the language,
+   * else the best match for the language
+   * @param {Array<SpeechSynthesisVoice>} voices - speechSynthesis.getVoices()
+   * @param {{name?: string, lang?: string}} options - From optionsFor()
+   * @returns {SpeechSynthesisVoice|null} null leaves it to the browser
+   */
+  static pickVoice(voices, { name, lang } = {}) {
+    const base = this.baseLanguage(lang);
+    const named = name && voices.find(v => v.name === name);
+    if (named && (!base || this.baseLanguage(named.lang) === base)) return named;
+    if (!lang) return null;
+
+    const exact = voices.filter(v => v.lang.toLowerCase() === lang.toLowerCase());
+    const related = voices.filter(v => this.baseLanguage(v.lang) === base);
+    const candidates = exact.length ? exact : related;
+    return (
+      candidates.find(v => v.default) ||
+      candidates.find(v => v.localService) ||
+      candidates[0] ||
+      null
+    );
+  }
+
+  /**
+   * Speak text. Needs a document (offscreen or popup), since service workers
+   * have no speech synthesis.
+   * @param {string} text - What to say
+   * @param {Object} options - From optionsFor()
+   */
+  static async speak(text, options = {}) {
+    const synth = window.speechSynthesis;
+    synth.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = this.pickVoice(await this.loadVoices(), options);
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang || options.lang || DEFAULT_SETTINGS.voiceLang;
+    utterance.rate = this.clamp(options.rate, 0.5, 2, 1);
+    utterance.pitch = this.clamp(options.pitch, 0, 2, 1);
+    utterance.volume = 1.0;
+    synth.speak(utterance);
+  }
+
+  /**
+   * The browser's voices; the list fills in asynchronously on first use
+   * @returns {Promise<Array<SpeechSynthesisVoice>>}
+   */
+  static loadVoices() {
+    const voices = window.speechSynthesis.getVoices();
+    if (voices.length) return Promise.resolve(voices);
+
+    return new Promise(resolve => {
+      const done = () => resolve(window.speechSynthesis.getVoices());
+      window.speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+      setTimeout(done, 1000);
+    });
+  }
+
+  static baseLanguage(lang) {
+    return String(lang || '')
+      .split(/[-_]/)[0]
+      .toLowerCase();
+  }
+
+  static clamp(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Tests for multiple accounts per provider in CalendarAPI.
+ *
+ * The first account of each provider keeps the bare 'google' / 'outlook'
+ * registry key (so single-account installs are untouched); further accounts
+ * are keyed '<provider>:<email>' and get their own tokens, failure tracking,
+ * calendar selection and sync state.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  });
+}
+
+function useMemoryStorage(initial = {}, session = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const sessionData = { ...session };
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  global.chrome.storage.session = {
+    get: jest.fn(() => Promise.resolve({ ...sessionData })),
+    set: jest.fn(items => {
+      Object.assign(sessionData, items);
+      return Promise.resolve();
+    }),
+    remove: jest.fn(key => {
+      delete sessionData[key];
+      return Promise.resolve();
+    }),
+  };
+  return { data, session: sessionData };
+}
+
+function googleItem(id, hour) {
+  const start = new Date();
+  start.setHours(hour, 0, 0, 0);
+  const end = new Date(start.getTime() + 30 * 60 * 1000);
+  return {
+    id,
+    summary: `Meeting ${id}`,
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: end.toISOString() },
+  };
+}
+
+const twoGoogleAccounts = {
+  calendarConnection: {
+    google: { connected: true, email: 'me@personal.com', authMode: 'advanced' },
+    'google:me@work.com': { connected: true, email: 'me@work.com', authMode: 'advanced' },
+    outlook: { connected: false },
+  },
+};
+
+describe('CalendarAPI accounts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('providerOf', () => {
+    test('should strip the account suffix', () => {
+      expect(CalendarAPI.providerOf('google')).toBe('google');
+      expect(CalendarAPI.providerOf('google:me@work.com')).toBe('google');
+      expect(CalendarAPI.providerOf('outlook:me@corp.com')).toBe('outlook');
+    });
+  });
+
+  describe('resolveAccountKey', () => {
+    test('should use the bare provider slot for the first account', async () => {
+      useMemoryStorage({ calendarConnection: {} });
+
+      expect(await CalendarAPI.resolveAccountKey('google', 'me@personal.com')).toBe('google');
+    });
+
+    test('should reuse the slot of a disconnected first account', async () => {
+      useMemoryStorage({
+        calendarConnection: { google: { connected: false, email: 'old@personal.com' } },
+      });
+
+      expect(await CalendarAPI.resolveAccountKey('google', 'me@work.com')).toBe('google');
+    });
+
+    test('should key an additional account by email', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+
+      expect(await CalendarAPI.resolveAccountKey('google', 'Other@Example.com')).toBe(
+        'google:other@example.com'
+      );
+    });
+
+    test('should keep the existing key when the same account reconnects', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+
+      expect(await CalendarAPI.resolveAccountKey('google', 'ME@work.com')).toBe(
+        'google:me@work.com'
+      );
+      expect(await CalendarAPI.resolveAccountKey('google', 'me@personal.com')).toBe('google');
+    });
+  });
+
+  describe('registry', () => {
+    test('should list connected accounts per provider', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+
+      const accounts = await CalendarAPI.getConnectedAccounts('google');
+
+      expect(accounts.map(a => a.key)).toEqual(['google', 'google:me@work.com']);
+      expect(await CalendarAPI.getConnectedAccounts('outlook')).toEqual([]);
+    });
+
+    test('should report a provider connected when only an additional account is', async () => {
+      useMemoryStorage({
+        calendarConnection: {
+          google: { connected: false },
+          'google:me@work.com': { connected: true, email: 'me@work.com' },
+        },
+      });
+
+      expect(await CalendarAPI.getConnectionStatus()).toEqual({ google: true, outlook: false });
+    });
+
+    test('should merge session access tokens for every account', async () => {
+      useMemoryStorage(twoGoogleAccounts, {
+        session_access_token_google: 'personal-token',
+        'session_access_token_google:me@work.com': 'work-token',
+      });
+
+      const connections = (await CalendarAPI.getConnections()).calendarConnection;
+
+      expect(connections.google.accessToken).toBe('personal-token');
+      expect(connections['google:me@work.com'].accessToken).toBe('work-token');
+    });
+
+    test('should label health entries with the email once a provider has several accounts', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+
+      const { providers } = await CalendarAPI.getHealthSnapshot();
+
+      expect(providers.map(p => p.label)).toEqual([
+        'Google (me@personal.com)',
+        'Google (me@work.com)',
+      ]);
+      expect(providers.map(p => p.account)).toEqual(['google', 'google:me@work.com']);
+    });
+  });
+
+  describe('disconnect', () => {
+    test('should forget an additional account but keep the first one', async () => {
+      const { data } = useMemoryStorage({
+        ...twoGoogleAccounts,
+        enabledCalendars: { google: ['primary'], 'google:me@work.com': ['primary', 'team'] },
+        calendarSyncState: {
+          'google/primary': { token: 'a', events: {} },
+          'google:me@work.com/primary': { token: 'b', events: {} },
+        },
+      });
+      global.fetch = jest.fn(() => jsonResponse({}));
+
+      const result = await CalendarAPI.disconnectGoogle('google:me@work.com');
+
+      expect(result.success).toBe(true);
+      expect(Object.keys(data.calendarConnection)).toEqual(['google', 'outlook']);
+      expect(data.calendarConnection.google.connected).toBe(true);
+      expect(data.enabledCalendars).toEqual({ google: ['primary'] });
+      expect(Object.keys(data.calendarSyncState)).toEqual(['google/primary']);
+    });
+  });
+
+  describe('per-account sync', () => {
+    beforeEach(() => {
+      jest.spyOn(CalendarAPI, 'getSyncDaysAhead').mockResolvedValue(6);
+    });
+
+    test('should read calendar selection per account', async () => {
+      useMemoryStorage({
+        enabledCalendars: { google: ['primary'], 'google:me@work.com': ['primary', 'team'] },
+      });
+
+      expect(await CalendarAPI.getEnabledGoogleCalendars()).toEqual(['primary']);
+      expect(await CalendarAPI.getEnabledGoogleCalendars('google:me@work.com')).toEqual([
+        'primary',
+        'team',
+      ]);
+    });
+
+    test('should fetch with the account token, tag events and keep separate sync state', async () => {
+      const { data } = useMemoryStorage(twoGoogleAccounts);
+      const getValidToken = jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('work');
+      global.fetch = jest.fn(() =>
+        jsonResponse({ items: [googleItem('a', 9)], nextSyncToken: 's1' })
+      );
+
+      const result = await CalendarAPI.fetchGoogleEvents('google:me@work.com');
+
+      expect(getValidToken).toHaveBeenCalledWith('google:me@work.com');
+      expect(result.events[0]).toMatchObject({
+        id: 'a',
+        account: 'google:me@work.com',
+        accountEmail: 'me@work.com',
+      });
+      expect(Object.keys(data.calendarSyncState)).toEqual(['google:me@work.com/primary']);
+    });
+
+    test('should not prune another account when syncing one', async () => {
+      const { data } = useMemoryStorage({
+        ...twoGoogleAccounts,
+        calendarSyncState: { 'google/primary': { token: 'a', events: { x: { id: 'x' } } } },
+      });
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('work');
+      global.fetch = jest.fn(() => jsonResponse({ items: [], nextSyncToken: 's1' }));
+
+      const result = await CalendarAPI.fetchGoogleEvents('google:me@work.com');
+
+      expect(result.changes.removed).toEqual([]);
+      expect(data.calendarSyncState['google/primary']).toBeDefined();
+    });
+
+    test('should decline with the token of the invited account', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+      const getValidToken = jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('work');
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ attendees: [{ email: 'me@work.com', self: true }] })
+        )
+        .mockImplementationOnce(() => jsonResponse({}));
+
+      const result = await CalendarAPI.declineGoogleEvent('abc', 'google:me@work.com');
+
+      expect(result.success).toBe(true);
+      expect(getValidToken).toHaveBeenCalledWith('google:me@work.com');
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer work');
+    });
+
+    test('should decline in the calendar the event lives in', async () => {
+      useMemoryStorage(twoGoogleAccounts);
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('work');
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ attendees: [{ email: 'me@work.com', self: true }] })
+        )
+        .mockImplementationOnce(() => jsonResponse({}));
+
+      await CalendarAPI.declineGoogleEvent('abc', 'google:me@work.com', 'team@group.calendar');
+
+      for (const [url] of global.fetch.mock.calls) {
+        expect(url).toContain('/calendars/team%40group.calendar/events/abc');
+      }
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for quick event creation: attendees, the target calendar,
+ * recurrence on Google and Graph, and Teams meetings.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+const eventData = {
+  title: 'Planning',
+  startTime: '2026-03-10T09:00:00',
+  endTime: '2026-03-10T09:30:00',
+  attendees: ['sam@client.com'],
+};
+
+describe('CalendarAPI event creation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should create a repeating Google event with invites in the picked calendar', async () => {
+    jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'new1' }));
+
+    const result = await CalendarAPI.createGoogleEvent({
+      ...eventData,
+      account: 'google',
+      calendarId: 'team@group.calendar.google.com',
+      recurrence: 'FREQ=WEEKLY;BYDAY=TU',
+    });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(result.success).toBe(true);
+    expect(url).toContain('/calendars/team%40group.calendar.google.com/events?');
+    expect(url).toContain('sendUpdates=all');
+    expect(body.attendees).toEqual([{ email: 'sam@client.com' }]);
+    expect(body.recurrence).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=TU']);
+  });
+
+  test('should create a Teams meeting in an Outlook calendar with a Graph recurrence', async () => {
+    jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'new1' }));
+
+    await CalendarAPI.createOutlookEvent({
+      ...eventData,
+      account: 'outlook',
+      calendarId: 'cal-2',
+      recurrence: 'FREQ=DAILY;COUNT=5',
+      addMeetLink: true,
+    });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(url).toBe('https://graph.microsoft.com/v1.0/me/calendars/cal-2/events');
+    expect(body.isOnlineMeeting).toBe(true);
+    expect(body.attendees).toEqual([
+      { type: 'required', emailAddress: { address: 'sam@client.com' } },
+    ]);
+    expect(body.recurrence).toEqual({
+      pattern: { type: 'daily', interval: 1 },
+      range: { type: 'numbered', startDate: '2026-03-10', numberOfOccurrences: 5 },
+    });
+  });
+
+  test('should use /me/events for the default Outlook calendar', async () => {
+    jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'new1' }));
+
+    await CalendarAPI.createOutlookEvent({ ...eventData, calendarId: 'default' });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://graph.microsoft.com/v1.0/me/events');
+  });
+
+  describe('toGraphRecurrence', () => {
+    test('should default weekly rules to the start weekday', () => {
+      // 10 March 2026 is a Tuesday
+      expect(CalendarAPI.toGraphRecurrence('FREQ=WEEKLY;INTERVAL=2', '2026-03-10')).toEqual({
+        pattern: { type: 'weekly', interval: 2, daysOfWeek: ['tuesday'] },
+        range: { type: 'noEnd', startDate: '2026-03-10' },
+      });
+    });
+
+    test('should map ordinal monthly days and end dates', () => {
+      expect(
+        CalendarAPI.toGraphRecurrence(
+          'FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261231T000000Z',
+          '2026-03-27'
+        )
+      ).toEqual({
+        pattern: { type: 'relativeMonthly', interval: 1, daysOfWeek: ['friday'], index: 'last' },
+        range: { type: 'endDate', startDate: '2026-03-27', endDate: '2026-12-31' },
+      });
+    });
+
+    test('should refuse rules Graph cannot express', () => {
+      expect(CalendarAPI.toGraphRecurrence('FREQ=HOURLY', '2026-03-10')).toBeNull();
+      expect(CalendarAPI.toGraphRecurrence('FREQ=MONTHLY;BYDAY=3MO,3WE', '2026-03-10')).toBeNull();
+    });
+  });
+});
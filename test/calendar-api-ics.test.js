@@ -0,0 +1,298 @@
+/**
+ * Tests for CalDAV / .ics calendar subscriptions in CalendarAPI.
+ *
+ * Subscriptions are registry accounts keyed 'ics:<id>'. An .ics feed is
+ * re-downloaded (or answered 304 against its ETag) each sync; a CalDAV
+ * collection is queried with a time-range REPORT. Either way the iCalendar
+ * payload is expanded by ICal and parsed into the regular event shape.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function textResponse(body, status = 200, headers = {}) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name] ?? null },
+    text: () => Promise.resolve(body),
+  });
+}
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  global.chrome.storage.session = {
+    get: jest.fn(() => Promise.resolve({})),
+    set: jest.fn(() => Promise.resolve()),
+    remove: jest.fn(() => Promise.resolve()),
+  };
+  return data;
+}
+
+// A timed event today at the given hour, in UTC form
+function icsEvent(uid, hour, extra = []) {
+  const start = new Date();
+  start.setHours(hour, 0, 0, 0);
+  const stamp = date =>
+    date
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\.\d{3}/, '');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SUMMARY:Meeting ${uid}`,
+    `DTSTART:${stamp(start)}`,
+    `DTEND:${stamp(new Date(start.getTime() + 30 * 60 * 1000))}`,
+    ...extra,
+    'END:VEVENT',
+  ];
+}
+
+function feed(...events) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:Team',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+const subscription = {
+  calendarConnection: {
+    'ics:abc': { connected: true, kind: 'ics', url: 'https://example.com/team.ics', name: 'Team' },
+  },
+};
+
+describe('CalendarAPI calendar subscriptions', () => {
+  beforeEach(() => {
+    jest.spyOn(CalendarAPI, 'getSyncDaysAhead').mockResolvedValue(6);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeFeedUrl', () => {
+    test('should turn webcal links into https', () => {
+      expect(CalendarAPI.normalizeFeedUrl(' webcal://example.com/a.ics ')).toBe(
+        'https://example.com/a.ics'
+      );
+    });
+
+    test('should reject anything that is not http(s)', () => {
+      expect(CalendarAPI.normalizeFeedUrl('ftp://example.com/a.ics')).toBeNull();
+      expect(CalendarAPI.normalizeFeedUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('addIcsSubscription', () => {
+    test('should validate the feed and register it under the feed name', async () => {
+      const data = useMemoryStorage({ calendarConnection: {} });
+      global.fetch = jest.fn(() => textResponse(feed(icsEvent('a', 9))));
+
+      const result = await CalendarAPI.addIcsSubscription({ url: 'webcal://example.com/team.ics' });
+
+      expect(result).toMatchObject({ success: true, name: 'Team' });
+      expect(result.accountKey).toMatch(/^ics:/);
+      expect(data.calendarConnection[result.accountKey]).toMatchObject({
+        connected: true,
+        kind: 'ics',
+        url: 'https://example.com/team.ics',
+        name: 'Team',
+      });
+      expect(await CalendarAPI.getConnectedAccounts('ics')).toHaveLength(1);
+    });
+
+    test('should refuse a URL that does not serve iCalendar data', async () => {
+      const data = useMemoryStorage({ calendarConnection: {} });
+      global.fetch = jest.fn(() => textResponse('<html>Login</html>'));
+
+      const result = await CalendarAPI.addIcsSubscription({ url: 'https://example.com/' });
+
+      expect(result.success).toBe(false);
+      expect(data.calendarConnection).toEqual({});
+    });
+
+    test('should report rejected credentials', async () => {
+      useMemoryStorage({ calendarConnection: {} });
+      global.fetch = jest.fn(() => textResponse('', 401));
+
+      const result = await CalendarAPI.addIcsSubscription({
+        url: 'https://dav.example.com/cal/',
+        kind: 'caldav',
+        username: 'me@example.com',
+        password: 'wrong',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        error: 'The server rejected the username or password',
+      });
+    });
+  });
+
+  describe('removeIcsSubscription', () => {
+    test('should give back access to the server unless another subscription uses it', async () => {
+      const data = useMemoryStorage({
+        calendarConnection: {
+          ...subscription.calendarConnection,
+          'ics:def': { connected: true, kind: 'ics', url: 'https://example.com/other.ics' },
+          'ics:ghi': { connected: true, kind: 'caldav', url: 'https://dav.example.org/cal/' },
+        },
+      });
+      global.chrome.permissions = { remove: jest.fn(() => Promise.resolve(true)) };
+
+      await CalendarAPI.removeIcsSubscription('ics:abc');
+      expect(chrome.permissions.remove).not.toHaveBeenCalled();
+
+      await CalendarAPI.removeIcsSubscription('ics:ghi');
+      expect(chrome.permissions.remove).toHaveBeenCalledWith({
+        origins: ['https://dav.example.org/*'],
+      });
+      expect(Object.keys(data.calendarConnection)).toEqual(['ics:def']);
+    });
+  });
+
+  describe('fetchIcsEvents', () => {
+    test('should parse a feed into tagged events with the ics source', async () => {
+      const data = useMemoryStorage(subscription);
+      global.fetch = jest.fn(() =>
+        textResponse(
+          feed(icsEvent('a', 9, ['DESCRIPTION:Join https://us02web.zoom.us/j/123456789'])),
+          200,
+          { ETag: '"v1"' }
+        )
+      );
+
+      const result = await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      expect(result.success).toBe(true);
+      expect(result.events).toHaveLength(1);
+      expect(result.events[0]).toMatchObject({
+        id: 'ics:abc_a',
+        title: 'Meeting a',
+        source: 'ics',
+        account: 'ics:abc',
+        calendarName: 'Team',
+        meetingLink: 'https://us02web.zoom.us/j/123456789',
+      });
+      expect(result.changes.added).toEqual(['ics:abc_a']);
+      expect(data.calendarSyncState['ics:abc/default'].token).toBe('"v1"');
+    });
+
+    test('should send the stored ETag and keep the events on 304', async () => {
+      useMemoryStorage(subscription);
+      global.fetch = jest.fn(() => textResponse(feed(icsEvent('a', 9)), 200, { ETag: '"v1"' }));
+      await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      global.fetch = jest.fn(() => textResponse('', 304));
+      const result = await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      expect(global.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+      expect(result.events.map(e => e.id)).toEqual(['ics:abc_a']);
+      expect(result.changes).toEqual({ added: [], updated: [], removed: [] });
+    });
+
+    test('should report events that disappeared from the feed as removed', async () => {
+      useMemoryStorage(subscription);
+      global.fetch = jest.fn(() => textResponse(feed(icsEvent('a', 9), icsEvent('b', 11))));
+      await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      global.fetch = jest.fn(() => textResponse(feed(icsEvent('a', 9))));
+      const result = await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      expect(result.changes.removed).toEqual(['ics:abc_b']);
+    });
+
+    test('should skip events the subscriber declined', async () => {
+      useMemoryStorage({
+        calendarConnection: {
+          'ics:abc': { ...subscription.calendarConnection['ics:abc'], username: 'me@example.com' },
+        },
+      });
+      global.fetch = jest.fn(() =>
+        textResponse(
+          feed(
+            icsEvent('a', 9, ['ATTENDEE;PARTSTAT=DECLINED:mailto:me@example.com']),
+            icsEvent('b', 10, ['ATTENDEE;PARTSTAT=ACCEPTED:mailto:me@example.com'])
+          )
+        )
+      );
+
+      const result = await CalendarAPI.fetchIcsEvents('ics:abc');
+
+      expect(result.events.map(e => e.id)).toEqual(['ics:abc_b']);
+      expect(result.events[0].attendees[0].self).toBe(true);
+    });
+
+    test('should query a CalDAV collection with a time-range REPORT', async () => {
+      useMemoryStorage({
+        calendarConnection: {
+          'ics:dav': {
+            connected: true,
+            kind: 'caldav',
+            url: 'https://dav.example.com/calendars/me/work/',
+            name: 'Work',
+            username: 'me@example.com',
+            password: 'app-password',
+          },
+        },
+      });
+      const calendarData = feed(icsEvent('x', 14)).replace(/&/g, '&amp;');
+      global.fetch = jest.fn(() =>
+        textResponse(
+          '<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">' +
+            `<d:response><d:propstat><d:prop><cal:calendar-data>${calendarData}</cal:calendar-data>` +
+            '</d:prop></d:propstat></d:response></d:multistatus>',
+          207
+        )
+      );
+
+      const result = await CalendarAPI.fetchIcsEvents('ics:dav');
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://dav.example.com/calendars/me/work/');
+      expect(options.method).toBe('REPORT');
+      expect(options.headers.Depth).toBe('1');
+      expect(options.headers.Authorization).toBe(`Basic ${btoa('me@example.com:app-password')}`);
+      expect(options.body).toMatch(/<c:time-range start="\d{8}T\d{6}Z" end="\d{8}T\d{6}Z"\/>/);
+      expect(result.events.map(e => [e.id, e.calendarName])).toEqual([['ics:dav_x', 'Work']]);
+    });
+  });
+
+  describe('parseCalDavMultistatus', () => {
+    test('should decode entities and CDATA whatever the namespace prefix', () => {
+      const texts = CalendarAPI.parseCalDavMultistatus(
+        '<multistatus><response><C:calendar-data>BEGIN:VCALENDAR&#13;\nX-A:a&amp;b</C:calendar-data></response>' +
+          '<response><calendar-data><![CDATA[BEGIN:VCALENDAR\nX-B:<b>]]></calendar-data></response></multistatus>'
+      );
+
+      expect(texts).toEqual(['BEGIN:VCALENDAR\r\nX-A:a&b', 'BEGIN:VCALENDAR\nX-B:<b>']);
+    });
+  });
+
+  describe('fetchAccountEvents', () => {
+    test('should dispatch by provider', async () => {
+      const fetchIcsEvents = jest
+        .spyOn(CalendarAPI, 'fetchIcsEvents')
+        .mockResolvedValue({ success: true, events: [] });
+      const fetchGoogleEvents = jest
+        .spyOn(CalendarAPI, 'fetchGoogleEvents')
+        .mockResolvedValue({ success: true, events: [] });
+
+      await CalendarAPI.fetchAccountEvents('ics:abc');
+      await CalendarAPI.fetchAccountEvents('google:me@work.com');
+
+      expect(fetchIcsEvents).toHaveBeenCalledWith('ics:abc');
+      expect(fetchGoogleEvents).toHaveBeenCalledWith('google:me@work.com');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for answering invitations: accept, tentative with a comment, and
+ * proposing a new time on Google and Outlook.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+const proposedTime = { start: '2026-03-10T10:00:00.000Z', end: '2026-03-10T10:30:00.000Z' };
+
+describe('CalendarAPI RSVP', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('respondToEvent', () => {
+    test('should patch the Google attendee with the response and comment', async () => {
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            attendees: [
+              { email: 'boss@example.com', responseStatus: 'accepted' },
+              { email: 'me@example.com', self: true, responseStatus: 'needsAction' },
+            ],
+          })
+        )
+        .mockImplementationOnce(() => jsonResponse({}));
+
+      const result = await CalendarAPI.respondToEvent(
+        { id: 'abc', source: 'google-api', account: 'google', calendarId: 'team@group' },
+        'tentative',
+        { comment: 'Might be late', proposedTime }
+      );
+
+      expect(result).toEqual({ success: true });
+      const [url, init] = global.fetch.mock.calls[1];
+      expect(url).toContain('/calendars/team%40group/events/abc');
+      expect(init.method).toBe('PATCH');
+      const self = JSON.parse(init.body).attendees[1];
+      expect(self.responseStatus).toBe('tentative');
+      expect(self.comment).toMatch(/^Might be late\n\nProposed new time: /);
+    });
+
+    test('should propose a new time through Graph tentativelyAccept', async () => {
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest.fn(() => jsonResponse({}));
+
+      await CalendarAPI.respondToEvent(
+        { id: 'outlook_xyz', source: 'outlook-api', account: 'outlook' },
+        'tentative',
+        { comment: 'How about later?', proposedTime }
+      );
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://graph.microsoft.com/v1.0/me/events/xyz/tentativelyAccept');
+      expect(JSON.parse(init.body)).toEqual({
+        comment: 'How about later?',
+        sendResponse: true,
+        proposedNewTime: {
+          start: { dateTime: proposedTime.start.replace(/Z$/, ''), timeZone: 'UTC' },
+          end: { dateTime: proposedTime.end.replace(/Z$/, ''), timeZone: 'UTC' },
+        },
+      });
+    });
+
+    test('should accept on Outlook without a proposal', async () => {
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest.fn(() => jsonResponse({}));
+
+      await CalendarAPI.respondToEvent({ id: 'outlook_xyz', source: 'outlook-api' }, 'accepted', {
+        proposedTime,
+      });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url.endsWith('/me/events/xyz/accept')).toBe(true);
+      expect(JSON.parse(init.body).proposedNewTime).toBeUndefined();
+    });
+
+    test('should refuse events that did not come from a calendar API', async () => {
+      global.fetch = jest.fn();
+
+      const result = await CalendarAPI.respondToEvent({ id: 'x', source: 'ics' }, 'accepted');
+
+      expect(result.success).toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withResponseStatus', () => {
+    test("should update the account's own attendee entry", () => {
+      const event = {
+        id: 'outlook_1',
+        accountEmail: 'Me@Example.com',
+        attendees: [
+          { email: 'boss@example.com', responseStatus: 'accepted', self: false },
+          { email: 'me@example.com', responseStatus: 'needsAction', self: false },
+        ],
+      };
+
+      const updated = CalendarAPI.withResponseStatus(event, 'accepted');
+
+      expect(updated.attendees[1]).toMatchObject({ responseStatus: 'accepted', self: true });
+      expect(updated.attendees[0]).toBe(event.attendees[0]);
+      expect(event.attendees[1].responseStatus).toBe('needsAction');
+    });
+  });
+
+  describe('needsResponse', () => {
+    test('should flag unanswered invitations from a calendar API only', () => {
+      const invite = {
+        source: 'outlook-api',
+        organizer: { email: 'boss@example.com' },
+        accountEmail: 'me@example.com',
+        attendees: [{ email: 'me@example.com', self: true, responseStatus: 'needsAction' }],
+      };
+
+      expect(CalendarAPI.needsResponse(invite)).toBe(true);
+      expect(CalendarAPI.needsResponse({ ...invite, source: 'ics' })).toBe(false);
+      expect(
+        CalendarAPI.needsResponse({
+          ...invite,
+          attendees: [{ ...invite.attendees[0], responseStatus: 'tentative' }],
+        })
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,545 @@
+/**
+ * Tests for the multi-day sync window, provider paging, incremental sync and
+ * per-calendar selection in CalendarAPI.
+ *
+ * Before: fetchGoogleEvents / fetchOutlookEvents only asked for today
+ * (startOfDay..endOfDay) with a hard 100-item cap, so anything after midnight
+ * was invisible and busy calendars were silently truncated. Every sync also
+ * re-downloaded everything instead of replaying changes.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  });
+}
+
+function useMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+function googleItem(id, hour) {
+  const start = new Date();
+  start.setHours(hour, 0, 0, 0);
+  const end = new Date(start.getTime() + 30 * 60 * 1000);
+  return {
+    id,
+    summary: `Meeting ${id}`,
+    start: { dateTime: start.toISOString() },
+    end: { dateTime: end.toISOString() },
+  };
+}
+
+describe('CalendarAPI sync window', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getSyncWindow', () => {
+    test('should span today only when daysAhead is 0', () => {
+      const now = new Date(2026, 2, 10, 14, 30);
+      const { start, end } = CalendarAPI.getSyncWindow(0, now);
+
+      expect(start).toEqual(new Date(2026, 2, 10, 0, 0, 0));
+      expect(end).toEqual(new Date(2026, 2, 10, 23, 59, 59));
+    });
+
+    test('should extend to the end of the Nth day ahead', () => {
+      const now = new Date(2026, 2, 10, 14, 30);
+      const { start, end } = CalendarAPI.getSyncWindow(6, now);
+
+      expect(start).toEqual(new Date(2026, 2, 10, 0, 0, 0));
+      expect(end).toEqual(new Date(2026, 2, 16, 23, 59, 59));
+    });
+
+    test('should roll over month boundaries', () => {
+      const now = new Date(2026, 0, 30, 8, 0);
+      const { end } = CalendarAPI.getSyncWindow(3, now);
+
+      expect(end).toEqual(new Date(2026, 1, 2, 23, 59, 59));
+    });
+
+    test('should treat invalid values as today only', () => {
+      const now = new Date(2026, 2, 10, 14, 30);
+
+      expect(CalendarAPI.getSyncWindow(-2, now).end).toEqual(new Date(2026, 2, 10, 23, 59, 59));
+      expect(CalendarAPI.getSyncWindow(NaN, now).end).toEqual(new Date(2026, 2, 10, 23, 59, 59));
+    });
+  });
+
+  describe('getSyncDaysAhead', () => {
+    test('should fall back to the default for settings saved before the option existed', async () => {
+      global.chrome.storage.sync.get = jest.fn(() =>
+        Promise.resolve({ settings: { reminderMinutes: 2 } })
+      );
+
+      expect(await CalendarAPI.getSyncDaysAhead()).toBe(CalendarAPI.DEFAULT_SYNC_DAYS_AHEAD);
+    });
+
+    test('should use the configured horizon', async () => {
+      global.chrome.storage.sync.get = jest.fn(() =>
+        Promise.resolve({ settings: { syncDaysAhead: 2 } })
+      );
+
+      expect(await CalendarAPI.getSyncDaysAhead()).toBe(2);
+    });
+  });
+
+  describe('fetchGoogleCalendarEvents', () => {
+    test('should follow nextPageToken until the last page', async () => {
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ items: [googleItem('a', 9)], nextPageToken: 'page-2' })
+        )
+        .mockImplementationOnce(() => jsonResponse({ items: [googleItem('b', 10)] }));
+
+      const result = await CalendarAPI.fetchGoogleCalendarEvents(
+        'token',
+        'primary',
+        CalendarAPI.getSyncWindow(6)
+      );
+
+      expect(result.ok).toBe(true);
+      expect(result.items.map(i => i.id)).toEqual(['a', 'b']);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      const secondUrl = new URL(global.fetch.mock.calls[1][0]);
+      expect(secondUrl.searchParams.get('pageToken')).toBe('page-2');
+      expect(secondUrl.searchParams.get('maxResults')).toBe(String(CalendarAPI.GOOGLE_PAGE_SIZE));
+    });
+
+    test('should request the full sync window', async () => {
+      global.fetch = jest.fn(() => jsonResponse({ items: [] }));
+      const syncWindow = CalendarAPI.getSyncWindow(6);
+
+      await CalendarAPI.fetchGoogleCalendarEvents('token', 'primary', syncWindow);
+
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.get('timeMin')).toBe(syncWindow.start.toISOString());
+      expect(url.searchParams.get('timeMax')).toBe(syncWindow.end.toISOString());
+    });
+
+    test('should stop after MAX_SYNC_PAGES', async () => {
+      global.fetch = jest.fn(() => jsonResponse({ items: [], nextPageToken: 'again' }));
+
+      const result = await CalendarAPI.fetchGoogleCalendarEvents(
+        'token',
+        'primary',
+        CalendarAPI.getSyncWindow(0)
+      );
+
+      expect(result.ok).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(CalendarAPI.MAX_SYNC_PAGES);
+    });
+
+    test('should report the failing status', async () => {
+      global.fetch = jest.fn(() => jsonResponse({}, 404));
+
+      const result = await CalendarAPI.fetchGoogleCalendarEvents(
+        'token',
+        'gone@group.calendar.google.com',
+        CalendarAPI.getSyncWindow(0)
+      );
+
+      expect(result).toEqual({
+        ok: false,
+        status: 404,
+        items: [],
+        nextSyncToken: null,
+        calendarName: null,
+        defaultReminders: [],
+      });
+    });
+  });
+
+  describe('fetchOutlookCalendarView', () => {
+    test('should follow @odata.nextLink until the last page', async () => {
+      const nextLink = 'https://graph.microsoft.com/v1.0/me/calendarView?$skiptoken=abc';
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ value: [{ id: '1' }], '@odata.nextLink': nextLink })
+        )
+        .mockImplementationOnce(() => jsonResponse({ value: [{ id: '2' }] }));
+
+      const result = await CalendarAPI.fetchOutlookCalendarView(
+        'token',
+        CalendarAPI.getSyncWindow(6)
+      );
+
+      expect(result.ok).toBe(true);
+      expect(result.items.map(i => i.id)).toEqual(['1', '2']);
+      expect(global.fetch.mock.calls[1][0]).toBe(nextLink);
+      expect(global.fetch.mock.calls[0][1].headers.Prefer).toBe(
+        `odata.maxpagesize=${CalendarAPI.OUTLOOK_PAGE_SIZE}`
+      );
+    });
+
+    test('should resume from a stored delta link', async () => {
+      const deltaLink = 'https://graph.microsoft.com/v1.0/me/calendarView/delta?$deltatoken=xyz';
+      global.fetch = jest.fn(() =>
+        jsonResponse({ value: [], '@odata.deltaLink': `${deltaLink}-next` })
+      );
+
+      const result = await CalendarAPI.fetchOutlookCalendarView(
+        'token',
+        CalendarAPI.getSyncWindow(6),
+        deltaLink
+      );
+
+      expect(global.fetch.mock.calls[0][0]).toBe(deltaLink);
+      expect(result.deltaLink).toBe(`${deltaLink}-next`);
+    });
+
+    test('should no longer send a $top cap', async () => {
+      global.fetch = jest.fn(() => jsonResponse({ value: [] }));
+
+      await CalendarAPI.fetchOutlookCalendarView('token', CalendarAPI.getSyncWindow(6));
+
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.has('$top')).toBe(false);
+    });
+  });
+
+  describe('fetchGoogleEvents', () => {
+    test('should merge every page of every enabled calendar', async () => {
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getSyncDaysAhead').mockResolvedValue(6);
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['primary', 'team']);
+
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ items: [googleItem('a', 9)], nextPageToken: 'p2' })
+        )
+        .mockImplementationOnce(() => jsonResponse({ items: [googleItem('b', 10)] }))
+        .mockImplementationOnce(() => jsonResponse({ items: [googleItem('c', 11)] }));
+
+      const result = await CalendarAPI.fetchGoogleEvents();
+
+      expect(result.success).toBe(true);
+      expect(result.events.map(e => e.id)).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('incremental sync', () => {
+    beforeEach(() => {
+      jest.spyOn(CalendarAPI, 'getSyncDaysAhead').mockResolvedValue(6);
+    });
+
+    test('should store the Google nextSyncToken and reuse it on the next sync', async () => {
+      const data = useMemoryStorage();
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['primary']);
+
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ items: [googleItem('a', 9), googleItem('b', 10)], nextSyncToken: 's1' })
+        )
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            items: [{ id: 'b', status: 'cancelled' }, googleItem('c', 11)],
+            nextSyncToken: 's2',
+          })
+        );
+
+      const first = await CalendarAPI.fetchGoogleEvents();
+      expect(first.changes.added).toEqual(['a', 'b']);
+      expect(data.calendarSyncState['google/primary'].token).toBe('s1');
+
+      const second = await CalendarAPI.fetchGoogleEvents();
+      const url = new URL(global.fetch.mock.calls[1][0]);
+      expect(url.searchParams.get('syncToken')).toBe('s1');
+      expect(url.searchParams.has('timeMin')).toBe(false);
+
+      expect(second.events.map(e => e.id).sort()).toEqual(['a', 'c']);
+      expect(second.changes).toEqual({ added: ['c'], updated: [], removed: ['b'] });
+      expect(data.calendarSyncState['google/primary'].token).toBe('s2');
+    });
+
+    test('should fall back to a full resync when Google answers 410 Gone', async () => {
+      const syncWindow = CalendarAPI.getSyncWindow(6);
+      useMemoryStorage({
+        calendarSyncState: {
+          'google/primary': {
+            token: 'stale',
+            windowKey: `${syncWindow.start.toISOString()}|${syncWindow.end.toISOString()}`,
+            events: {},
+          },
+        },
+      });
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['primary']);
+
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() => jsonResponse({}, 410))
+        .mockImplementationOnce(() =>
+          jsonResponse({ items: [googleItem('a', 9)], nextSyncToken: 'fresh' })
+        );
+
+      const result = await CalendarAPI.fetchGoogleEvents();
+
+      expect(result.success).toBe(true);
+      expect(result.events.map(e => e.id)).toEqual(['a']);
+      const retryUrl = new URL(global.fetch.mock.calls[1][0]);
+      expect(retryUrl.searchParams.has('syncToken')).toBe(false);
+      expect(retryUrl.searchParams.get('timeMin')).toBe(syncWindow.start.toISOString());
+    });
+
+    test('should run a full sync when the stored window is stale', async () => {
+      useMemoryStorage({
+        calendarSyncState: {
+          'google/primary': { token: 'yesterday', windowKey: 'old-window', events: {} },
+        },
+      });
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['primary']);
+      global.fetch = jest.fn(() => jsonResponse({ items: [], nextSyncToken: 'today' }));
+
+      await CalendarAPI.fetchGoogleEvents();
+
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.has('syncToken')).toBe(false);
+    });
+
+    test('should report events of deselected Google calendars as removed', async () => {
+      const syncWindow = CalendarAPI.getSyncWindow(6);
+      const windowKey = `${syncWindow.start.toISOString()}|${syncWindow.end.toISOString()}`;
+      useMemoryStorage({
+        calendarSyncState: {
+          'google/team': { token: 't', windowKey, events: { x: { id: 'x' } } },
+        },
+      });
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['primary']);
+      global.fetch = jest.fn(() => jsonResponse({ items: [], nextSyncToken: 's' }));
+
+      const result = await CalendarAPI.fetchGoogleEvents();
+
+      expect(result.changes.removed).toEqual(['x']);
+    });
+
+    test('should apply Graph delta deletions', async () => {
+      const data = useMemoryStorage();
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      const start = new Date();
+      start.setHours(9, 0, 0, 0);
+      const outlookItem = id => ({
+        id,
+        subject: `Meeting ${id}`,
+        start: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+        end: { dateTime: start.toISOString().replace('Z', ''), timeZone: 'UTC' },
+      });
+
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({ value: [outlookItem('1'), outlookItem('2')], '@odata.deltaLink': 'd1' })
+        )
+        .mockImplementationOnce(() => jsonResponse({ name: 'Calendar' }))
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            value: [{ id: '2', '@removed': { reason: 'deleted' } }],
+            '@odata.deltaLink': 'd2',
+          })
+        );
+
+      await CalendarAPI.fetchOutlookEvents();
+      expect(data.calendarSyncState['outlook/default'].token).toBe('d1');
+
+      const result = await CalendarAPI.fetchOutlookEvents();
+
+      expect(global.fetch.mock.calls[2][0]).toBe('d1');
+      expect(result.events.map(e => e.id)).toEqual(['outlook_1']);
+      expect(result.changes.removed).toEqual(['outlook_2']);
+      expect(data.calendarSyncState['outlook/default'].token).toBe('d2');
+    });
+  });
+
+  describe('calendar selection', () => {
+    const outlookItem = id => {
+      const start = new Date();
+      start.setHours(9, 0, 0, 0);
+      const iso = start.toISOString().replace('Z', '');
+      return {
+        id,
+        subject: `Meeting ${id}`,
+        start: { dateTime: iso, timeZone: 'UTC' },
+        end: { dateTime: iso, timeZone: 'UTC' },
+      };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(CalendarAPI, 'getSyncDaysAhead').mockResolvedValue(6);
+    });
+
+    test('should list Outlook calendars in the Google picker shape', async () => {
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            value: [{ id: 'c1', name: 'Calendar', isDefaultCalendar: true, hexColor: '#0078d4' }],
+            '@odata.nextLink': 'https://graph.microsoft.com/v1.0/me/calendars?page=2',
+          })
+        )
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            value: [{ id: 'c2', name: 'Team', owner: { address: 'lead@corp.com' } }],
+          })
+        );
+
+      const result = await CalendarAPI.listOutlookCalendars();
+
+      expect(result.success).toBe(true);
+      expect(result.calendars).toEqual([
+        {
+          id: 'c1',
+          summary: 'Calendar',
+          primary: true,
+          backgroundColor: '#0078d4',
+          accessRole: 'reader',
+          owner: null,
+        },
+        {
+          id: 'c2',
+          summary: 'Team',
+          primary: false,
+          backgroundColor: null,
+          accessRole: 'reader',
+          owner: 'lead@corp.com',
+        },
+      ]);
+    });
+
+    test('should default Outlook to the mailbox calendar', async () => {
+      useMemoryStorage();
+
+      expect(await CalendarAPI.getEnabledOutlookCalendars()).toEqual(['default']);
+    });
+
+    test('should fetch each enabled Outlook calendar and attach its name', async () => {
+      const data = useMemoryStorage({ enabledCalendars: { outlook: ['default', 'team-id'] } });
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest.fn(url => {
+        if (url.includes('/me/calendarView/delta')) {
+          return jsonResponse({ value: [outlookItem('1')], '@odata.deltaLink': 'd-default' });
+        }
+        if (url.includes('/me/calendars/team-id/calendarView/delta')) {
+          return jsonResponse({ value: [outlookItem('2')], '@odata.deltaLink': 'd-team' });
+        }
+        if (url.includes('/me/calendar?')) return jsonResponse({ name: 'Calendar' });
+        if (url.includes('/me/calendars/team-id?')) return jsonResponse({ name: 'Team' });
+        return jsonResponse({}, 404);
+      });
+
+      const result = await CalendarAPI.fetchOutlookEvents();
+
+      expect(result.success).toBe(true);
+      expect(result.events.map(e => [e.id, e.calendarId, e.calendarName])).toEqual([
+        ['outlook_1', 'default', 'Calendar'],
+        ['outlook_2', 'team-id', 'Team'],
+      ]);
+      expect(data.calendarSyncState['outlook/team-id']).toMatchObject({
+        token: 'd-team',
+        calendarName: 'Team',
+      });
+    });
+
+    test('should skip an Outlook calendar that is no longer accessible', async () => {
+      useMemoryStorage({ enabledCalendars: { outlook: ['default', 'unshared'] } });
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest.fn(url => {
+        if (url.includes('/me/calendarView/delta')) {
+          return jsonResponse({ value: [outlookItem('1')], '@odata.deltaLink': 'd' });
+        }
+        if (url.includes('/me/calendar?')) return jsonResponse({ name: 'Calendar' });
+        return jsonResponse({}, 403);
+      });
+
+      const result = await CalendarAPI.fetchOutlookEvents();
+
+      expect(result.success).toBe(true);
+      expect(result.events.map(e => e.id)).toEqual(['outlook_1']);
+    });
+
+    test('should attach the Google calendar name from the events.list response', async () => {
+      useMemoryStorage();
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getEnabledGoogleCalendars').mockResolvedValue(['team@group']);
+      global.fetch = jest.fn(() =>
+        jsonResponse({ summary: 'Team', items: [googleItem('a', 9)], nextSyncToken: 's' })
+      );
+
+      const result = await CalendarAPI.fetchGoogleEvents();
+
+      expect(result.events[0]).toMatchObject({ calendarId: 'team@group', calendarName: 'Team' });
+    });
+  });
+
+  describe('calendar reminders', () => {
+    test("should resolve useDefault to the calendar's default popup reminders", async () => {
+      useMemoryStorage();
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      global.fetch = jest.fn(() =>
+        jsonResponse({
+          defaultReminders: [
+            { method: 'popup', minutes: 10 },
+            { method: 'email', minutes: 60 },
+          ],
+          items: [
+            { ...googleItem('a', 9), reminders: { useDefault: true } },
+            {
+              ...googleItem('b', 10),
+              reminders: {
+                useDefault: false,
+                overrides: [
+                  { method: 'popup', minutes: 1 },
+                  { method: 'popup', minutes: 30 },
+                ],
+              },
+            },
+            { ...googleItem('c', 11), reminders: { useDefault: false } },
+          ],
+          nextSyncToken: 's',
+        })
+      );
+
+      const result = await CalendarAPI.fetchGoogleEvents();
+
+      expect(result.events.map(e => [e.id, e.calendarReminders])).toEqual([
+        ['a', [10]],
+        ['b', [30, 1]],
+        ['c', []],
+      ]);
+    });
+
+    test('should read the Outlook reminder and whether it is on', () => {
+      const start = { dateTime: '2026-03-10T09:00:00', timeZone: 'UTC' };
+
+      const events = CalendarAPI.parseOutlookEvents([
+        { id: '1', start, isReminderOn: true, reminderMinutesBeforeStart: 15 },
+        { id: '2', start, isReminderOn: false, reminderMinutesBeforeStart: 15 },
+        { id: '3', start },
+      ]);
+
+      expect(events.map(e => e.calendarReminders)).toEqual([[15], [], null]);
+    });
+  });
+});
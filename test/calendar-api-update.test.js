@@ -0,0 +1,109 @@
+/**
+ * Tests for editing meetings: who may edit, and the PATCH requests sent to
+ * Google and Graph.
+ */
+import { jest } from '@jest/globals';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+const changes = {
+  title: 'Planning (moved)',
+  location: 'Room 4',
+  startTime: '2026-03-10T09:15:00.000Z',
+  endTime: '2026-03-10T10:00:00.000Z',
+};
+
+describe('CalendarAPI.canEdit', () => {
+  test('should allow the organizer and events without an organizer', () => {
+    const event = { source: 'google-api', accountEmail: 'me@corp.com' };
+    expect(CalendarAPI.canEdit({ ...event, organizer: { email: 'Me@corp.com' } })).toBe(true);
+    expect(CalendarAPI.canEdit(event)).toBe(true);
+  });
+
+  test('should refuse invitees and imported events', () => {
+    expect(
+      CalendarAPI.canEdit({
+        source: 'outlook-api',
+        accountEmail: 'me@corp.com',
+        organizer: { email: 'boss@corp.com' },
+      })
+    ).toBe(false);
+    expect(CalendarAPI.canEdit({ source: 'ics' })).toBe(false);
+  });
+});
+
+describe('CalendarAPI event updates', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should PATCH the Google event in its calendar and notify attendees', async () => {
+    jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'evt1' }));
+
+    const result = await CalendarAPI.updateEvent(
+      {
+        id: 'google_evt1',
+        source: 'google-api',
+        account: 'google_2',
+        calendarId: 'team@group.calendar.google.com',
+      },
+      changes
+    );
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(result.success).toBe(true);
+    expect(CalendarAPI.getValidToken).toHaveBeenCalledWith('google_2');
+    expect(url).toContain('/calendars/team%40group.calendar.google.com/events/evt1?');
+    expect(url).toContain('sendUpdates=all');
+    expect(request.method).toBe('PATCH');
+    expect(JSON.parse(request.body)).toEqual({
+      summary: 'Planning (moved)',
+      location: 'Room 4',
+      start: { dateTime: '2026-03-10T09:15:00.000Z' },
+      end: { dateTime: '2026-03-10T10:00:00.000Z' },
+    });
+  });
+
+  test('should PATCH the Outlook event with UTC times', async () => {
+    jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'evt1' }));
+
+    await CalendarAPI.updateEvent({ id: 'outlook_evt1', source: 'outlook-api' }, changes);
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/me\/events\/evt1$/);
+    expect(request.method).toBe('PATCH');
+    expect(JSON.parse(request.body)).toEqual({
+      subject: 'Planning (moved)',
+      location: { displayName: 'Room 4' },
+      start: { dateTime: '2026-03-10T09:15:00.000', timeZone: 'UTC' },
+      end: { dateTime: '2026-03-10T10:00:00.000', timeZone: 'UTC' },
+    });
+  });
+
+  test('should only send the fields that changed', async () => {
+    jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ id: 'evt1' }));
+
+    await CalendarAPI.updateEvent({ id: 'evt1', source: 'google-api' }, { title: 'Renamed' });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ summary: 'Renamed' });
+  });
+
+  test('should surface the API error message', async () => {
+    jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+    global.fetch = jest.fn(() => jsonResponse({ error: { message: 'Forbidden' } }, 403));
+
+    const result = await CalendarAPI.updateEvent({ id: 'evt1', source: 'google-api' }, changes);
+
+    expect(result).toEqual({ success: false, error: 'Forbidden' });
+  });
+});
@@ -327,4 +327,257 @@ describe('ConflictDetector', () => {
       expect(typeof summary).toBe('string');
     });
   });
+
+  describe('acknowledged conflicts', () => {
+    const events = [
+      { id: 'a', title: 'A', startTime: '2024-01-15T09:00:00Z', endTime: '2024-01-15T10:00:00Z' },
+      { id: 'b', title: 'B', startTime: '2024-01-15T09:30:00Z', endTime: '2024-01-15T10:30:00Z' },
+      { id: 'c', title: 'C', startTime: '2024-01-15T09:45:00Z', endTime: '2024-01-15T10:15:00Z' },
+    ];
+
+    test('should build the same key in either order', () => {
+      expect(ConflictDetector.pairKey(events[1], events[0])).toBe(
+        ConflictDetector.pairKey(events[0], events[1])
+      );
+    });
+
+    test('should skip pairs the user acknowledged', () => {
+      const acknowledged = new Set([ConflictDetector.pairKey(events[0], events[1])]);
+
+      expect(ConflictDetector.detectConflicts(events, acknowledged)).toHaveLength(2);
+      expect(
+        ConflictDetector.getConflictingEvents(events[0], events, acknowledged).map(e => e.id)
+      ).toEqual(['c']);
+    });
+  });
+
+  describe('rankPair', () => {
+    const slot = { startTime: '2024-01-15T09:00:00Z', endTime: '2024-01-15T10:00:00Z' };
+    const attendee = email => ({ email, responseStatus: 'accepted' });
+
+    test('should keep the VIP meeting over a bigger one', () => {
+      const vip = { ...slot, id: 'vip', organizer: { email: 'ceo@corp.com' }, attendees: [] };
+      const big = {
+        ...slot,
+        id: 'big',
+        organizer: { email: 'team@corp.com' },
+        attendees: [attendee('a@corp.com'), attendee('b@corp.com'), attendee('c@corp.com')],
+      };
+
+      const ranked = ConflictDetector.rankPair(big, vip, {
+        isVip: event => event.organizer?.email === 'ceo@corp.com',
+      });
+
+      expect(ranked).toEqual({ keep: vip, drop: big, reason: 'VIP organizer' });
+    });
+
+    test('should prefer meetings the user organizes, then external ones', () => {
+      const mine = {
+        ...slot,
+        id: 'mine',
+        accountEmail: 'me@corp.com',
+        organizer: { email: 'me@corp.com' },
+      };
+      const external = {
+        ...slot,
+        id: 'ext',
+        accountEmail: 'me@corp.com',
+        organizer: { email: 'x@client.com' },
+        attendees: [attendee('me@corp.com'), attendee('x@client.com')],
+      };
+      const internal = {
+        ...slot,
+        id: 'int',
+        accountEmail: 'me@corp.com',
+        organizer: { email: 'y@corp.com' },
+        attendees: [attendee('me@corp.com'), attendee('y@corp.com'), attendee('z@corp.com')],
+      };
+
+      expect(ConflictDetector.rankPair(external, mine).keep.id).toBe('mine');
+      expect(ConflictDetector.rankPair(internal, external)).toMatchObject({
+        keep: { id: 'ext' },
+        reason: 'External attendees',
+      });
+    });
+
+    test('should fall back to the earlier meeting', () => {
+      const first = { id: '1', startTime: '2024-01-15T09:00:00Z' };
+      const second = { id: '2', startTime: '2024-01-15T09:30:00Z' };
+
+      expect(ConflictDetector.rankPair(second, first)).toMatchObject({
+        keep: first,
+        reason: 'Starts first',
+      });
+    });
+  });
+
+  describe('detectConflictGroups', () => {
+    test('should report a three-way overlap as one group', () => {
+      const events = [
+        { id: '1', title: 'A', startTime: '2024-01-15T09:00:00Z', endTime: '2024-01-15T10:00:00Z' },
+        { id: '2', title: 'B', startTime: '2024-01-15T09:30:00Z', endTime: '2024-01-15T10:30:00Z' },
+        { id: '3', title: 'C', startTime: '2024-01-15T09:45:00Z', endTime: '2024-01-15T11:00:00Z' },
+        { id: '4', title: 'D', startTime: '2024-01-15T14:00:00Z', endTime: '2024-01-15T15:00:00Z' },
+        { id: '5', title: 'E', startTime: '2024-01-15T14:00:00Z', endTime: '2024-01-15T14:10:00Z' },
+      ];
+
+      const groups = ConflictDetector.detectConflictGroups(events);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0].events.map(e => e.id)).toEqual(['1', '2', '3']);
+      expect(groups[0]).toMatchObject({
+        startTime: '2024-01-15T09:00:00.000Z',
+        endTime: '2024-01-15T11:00:00.000Z',
+        message: '"A", "B" and "C" overlap',
+        severity: 'high',
+      });
+      expect(groups[1]).toMatchObject({ message: '"D" overlaps with "E"', severity: 'high' });
+    });
+
+    test('should chain meetings that only overlap through a third one', () => {
+      const events = [
+        { id: '1', title: 'A', startTime: '2024-01-15T09:00:00Z', endTime: '2024-01-15T09:40:00Z' },
+        { id: '2', title: 'B', startTime: '2024-01-15T09:30:00Z', endTime: '2024-01-15T10:30:00Z' },
+        { id: '3', title: 'C', startTime: '2024-01-15T10:20:00Z', endTime: '2024-01-15T11:00:00Z' },
+      ];
+
+      const [group] = ConflictDetector.detectConflictGroups(events);
+
+      expect(group.events).toHaveLength(3);
+      expect(group.severity).toBe('low');
+    });
+  });
+
+  describe('indexOverlaps', () => {
+    test('should list each event\'s conflicts from a single sweep', () => {
+      const events = [
+        { id: '1', startTime: '2024-01-15T09:00:00Z', endTime: '2024-01-15T10:00:00Z' },
+        { id: '2', startTime: '2024-01-15T09:30:00Z', endTime: '2024-01-15T10:30:00Z' },
+        { id: '3', startTime: '2024-01-15T10:00:00Z', endTime: '2024-01-15T11:00:00Z' },
+      ];
+
+      const index = ConflictDetector.indexOverlaps(ConflictDetector.findOverlaps(events));
+
+      expect(index.get('1').map(e => e.id)).toEqual(['2']);
+      expect(index.get('2').map(e => e.id)).toEqual(['1', '3']);
+      expect(index.get('3').map(e => e.id)).toEqual(['2']);
+    });
+  });
+
+  describe('findTravelConflicts', () => {
+    const meeting = (id, start, end, location = '') => ({
+      id,
+      title: `Meeting ${id}`,
+      startTime: `2024-01-15T${start}:00Z`,
+      endTime: `2024-01-15T${end}:00Z`,
+      location,
+    });
+
+    test('should flag a gap shorter than the buffer to the previous meeting', () => {
+      const events = [
+        meeting('a', '09:00', '10:00'),
+        meeting('b', '09:30', '10:10'),
+        meeting('c', '10:20', '11:00', 'Client office'),
+      ];
+      const bufferFor = (previous, event) => (event.location ? 30 : 0);
+
+      const [conflict] = ConflictDetector.findTravelConflicts(events, bufferFor);
+
+      expect(conflict.type).toBe('travel');
+      expect(conflict.events.map(e => e.id)).toEqual(['b', 'c']);
+      expect(conflict).toMatchObject({ gapMinutes: 10, bufferMinutes: 30, severity: 'medium' });
+    });
+
+    test('should leave meetings with enough time or no previous meeting alone', () => {
+      const events = [
+        meeting('a', '09:00', '10:00', 'Office'),
+        meeting('b', '10:30', '11:00', 'Office'),
+      ];
+
+      expect(ConflictDetector.findTravelConflicts(events, () => 30)).toEqual([]);
+    });
+
+    test('should treat back-to-back meetings as high severity', () => {
+      const events = [meeting('a', '09:00', '10:00'), meeting('b', '10:00', '11:00', 'Office')];
+
+      const conflicts = ConflictDetector.findTravelConflicts(events, () => 15);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].severity).toBe('high');
+    });
+  });
+
+  describe('performance', () => {
+    // Deterministic pseudo-random calendar: meetings of 15–120 minutes
+    // spread over a few weeks, so there is a realistic mix of overlaps
+    function makeCalendar(count, days) {
+      let seed = 42;
+      const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+      };
+      const base = Date.parse('2024-01-15T00:00:00Z');
+      return Array.from({ length: count }, (_, i) => {
+        const start = base + Math.floor(random() * days * 96) * 15 * 60 * 1000;
+        const minutes = 15 * (1 + Math.floor(random() * 8));
+        return {
+          id: `evt${i}`,
+          title: `Meeting ${i}`,
+          startTime: new Date(start).toISOString(),
+          endTime: new Date(start + minutes * 60 * 1000).toISOString(),
+        };
+      });
+    }
+
+    test('should find the same pairs as a pairwise scan', () => {
+      const events = makeCalendar(400, 5);
+      const expected = [];
+      for (let i = 0; i < events.length; i++) {
+        for (let j = i + 1; j < events.length; j++) {
+          if (ConflictDetector.eventsOverlap(events[i], events[j])) {
+            expected.push(ConflictDetector.pairKey(events[i], events[j]));
+          }
+        }
+      }
+
+      const found = ConflictDetector.findOverlaps(events).map(([a, b]) =>
+        ConflictDetector.pairKey(a, b)
+      );
+
+      expect(found.length).toBeGreaterThan(0);
+      expect(found.sort()).toEqual(expected.sort());
+    });
+
+    test('should index and group thousands of events', () => {
+      const events = makeCalendar(5000, 60);
+
+      const overlaps = ConflictDetector.findOverlaps(events);
+      const index = ConflictDetector.indexOverlaps(overlaps);
+      const groups = ConflictDetector.groupOverlaps(overlaps);
+
+      expect(overlaps.length).toBeGreaterThan(1000);
+      expect(index.size).toBeLessThanOrEqual(events.length);
+      expect(groups.reduce((sum, g) => sum + g.events.length, 0)).toBe(index.size);
+    });
+
+    test('should only compare each meeting with the ones still running', () => {
+      const base = Date.parse('2024-01-15T00:00:00Z');
+      const events = Array.from({ length: 10000 }, (_, i) => ({
+        id: `chain${i}`,
+        title: `Meeting ${i}`,
+        startTime: new Date(base + i * 10 * 60 * 1000).toISOString(),
+        endTime: new Date(base + (i * 10 + 15) * 60 * 1000).toISOString(),
+      }));
+
+      // Every candidate pair is checked against the acknowledged set once
+      const acknowledged = { has: jest.fn(() => false) };
+      const groups = ConflictDetector.detectConflictGroups(events, acknowledged);
+
+      // A pairwise scan would compare ~50M pairs here
+      expect(acknowledged.has).toHaveBeenCalledTimes(events.length - 1);
+      expect(groups).toHaveLength(1);
+      expect(groups[0].events).toHaveLength(10000);
+      expect(groups[0].severity).toBe('low');
+    });
+  });
 });
@@ -235,6 +235,27 @@ describe('DailySummary', () => {
       // Should include BOTH meetings - the one that already started and the future one
       expect(callArgs.title).toContain('2 Meeting');
     });
+
+    test('should nudge about invitations waiting for an answer', async () => {
+      const invite = (id, responseStatus) => ({
+        id,
+        title: `Invite ${id}`,
+        source: 'google-api',
+        startTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+        organizer: { email: 'boss@example.com' },
+        attendees: [{ email: 'me@example.com', self: true, responseStatus }],
+      });
+
+      global.chrome.storage.local.get = jest.fn(() =>
+        Promise.resolve({ events: [invite('1', 'needsAction'), invite('2', 'accepted')] })
+      );
+
+      await DailySummary.sendDailySummary();
+
+      const callArgs = chrome.notifications.create.mock.calls[0][1];
+      expect(callArgs.message).toContain('1 invitation waiting for your answer');
+      expect(chrome.windows.create.mock.calls[0][0].url).toContain('&pending=1');
+    });
   });
 
   describe('formatSummaryMessage', () => {
@@ -0,0 +1,295 @@
+/**
+ * Tests for ICal — iCalendar parsing and recurrence expansion for CalDAV /
+ * .ics subscriptions.
+ */
+import { ICal } from '../src/utils/ical.js';
+
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...lines) {
+  return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+const march = {
+  start: new Date('2026-03-09T00:00:00Z'),
+  end: new Date('2026-03-15T23:59:59Z'),
+};
+
+function occurrencesOf(text, syncWindow = march) {
+  return ICal.expand(ICal.parse(text), syncWindow);
+}
+
+function starts(occurrences) {
+  return occurrences.map(o => o.start.toISOString());
+}
+
+describe('ICal', () => {
+  describe('parse', () => {
+    test('should unfold lines, unescape text and read the calendar name', () => {
+      const parsed = ICal.parse(
+        calendar(
+          'X-WR-CALNAME:Team\\, shared',
+          ...vevent(
+            'UID:a',
+            'SUMMARY:Planning',
+            'DESCRIPTION:Line one\\nJoin: https://meet.goog',
+            ' le.com/abc-defg-hij',
+            'DTSTART:20260310T090000Z'
+          )
+        )
+      );
+
+      expect(parsed.name).toBe('Team, shared');
+      expect(parsed.events).toHaveLength(1);
+      expect(ICal.eventDetails(parsed.events[0]).description).toBe(
+        'Line one\nJoin: https://meet.google.com/abc-defg-hij'
+      );
+    });
+
+    test('should keep colons inside quoted parameters', () => {
+      const prop = ICal.parseLine(
+        'ATTENDEE;CN="Doe: Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com'
+      );
+
+      expect(prop).toEqual({
+        name: 'ATTENDEE',
+        params: { CN: 'Doe: Jane', PARTSTAT: 'ACCEPTED' },
+        value: 'mailto:jane@example.com',
+      });
+    });
+  });
+
+  describe('expand', () => {
+    test('should return single events inside the window with their end time', () => {
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent('UID:a', 'SUMMARY:Inside', 'DTSTART:20260310T090000Z', 'DURATION:PT45M'),
+          ...vevent('UID:b', 'SUMMARY:Outside', 'DTSTART:20260401T090000Z')
+        )
+      );
+
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0]).toMatchObject({ id: 'a', summary: 'Inside', recurrenceId: null });
+      expect(occurrences[0].end.toISOString()).toBe('2026-03-10T09:45:00.000Z');
+    });
+
+    test('should skip all-day and cancelled events', () => {
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent('UID:a', 'DTSTART;VALUE=DATE:20260310'),
+          ...vevent('UID:b', 'STATUS:CANCELLED', 'DTSTART:20260310T090000Z')
+        )
+      );
+
+      expect(occurrences).toEqual([]);
+    });
+
+    test('should resolve TZID times through the IANA zone', () => {
+      const occurrences = occurrencesOf(
+        calendar(...vevent('UID:a', 'DTSTART;TZID=Europe/Berlin:20260310T090000'))
+      );
+
+      expect(starts(occurrences)).toEqual(['2026-03-10T08:00:00.000Z']);
+    });
+
+    test('should fall back to the VTIMEZONE definition for non-IANA TZIDs', () => {
+      const text = calendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:W. Europe Standard Time',
+        'BEGIN:STANDARD',
+        'DTSTART:16010101T030000',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+        'END:STANDARD',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:16010101T020000',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3',
+        'END:DAYLIGHT',
+        'END:VTIMEZONE',
+        ...vevent('UID:a', 'DTSTART;TZID=W. Europe Standard Time:20260310T090000'),
+        ...vevent('UID:b', 'DTSTART;TZID=W. Europe Standard Time:20260401T090000')
+      );
+
+      const occurrences = occurrencesOf(text, {
+        start: new Date('2026-03-09T00:00:00Z'),
+        end: new Date('2026-04-02T00:00:00Z'),
+      });
+
+      expect(starts(occurrences)).toEqual(['2026-03-10T08:00:00.000Z', '2026-04-01T07:00:00.000Z']);
+    });
+
+    test('should expand a weekly rule on wall-clock time across DST', () => {
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent(
+            'UID:standup',
+            'DTSTART;TZID=America/New_York:20260302T093000',
+            'DTEND;TZID=America/New_York:20260302T094500',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'
+          )
+        ),
+        { start: new Date('2026-03-02T00:00:00Z'), end: new Date('2026-03-11T23:59:59Z') }
+      );
+
+      // Daylight time starts 2026-03-08: 09:30 moves from 14:30Z to 13:30Z
+      expect(starts(occurrences)).toEqual([
+        '2026-03-02T14:30:00.000Z',
+        '2026-03-04T14:30:00.000Z',
+        '2026-03-09T13:30:00.000Z',
+        '2026-03-11T13:30:00.000Z',
+      ]);
+      expect(occurrences[2].id).toBe('standup_20260309T133000Z');
+      expect(occurrences[2].end - occurrences[2].start).toBe(15 * 60 * 1000);
+    });
+
+    test('should honour COUNT and UNTIL', () => {
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent('UID:count', 'DTSTART:20260309T100000Z', 'RRULE:FREQ=DAILY;COUNT=3'),
+          ...vevent(
+            'UID:until',
+            'DTSTART:20260309T120000Z',
+            'RRULE:FREQ=DAILY;UNTIL=20260310T120000Z'
+          )
+        )
+      );
+
+      expect(occurrences.filter(o => o.uid === 'count')).toHaveLength(3);
+      expect(starts(occurrences.filter(o => o.uid === 'until'))).toEqual([
+        '2026-03-09T12:00:00.000Z',
+        '2026-03-10T12:00:00.000Z',
+      ]);
+    });
+
+    test('should expand monthly rules by weekday ordinal and negative month day', () => {
+      const syncWindow = {
+        start: new Date('2026-01-01T00:00:00Z'),
+        end: new Date('2026-04-30T23:59:59Z'),
+      };
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent('UID:review', 'DTSTART:20260113T150000Z', 'RRULE:FREQ=MONTHLY;BYDAY=2TU'),
+          ...vevent('UID:close', 'DTSTART:20260131T160000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1')
+        ),
+        syncWindow
+      );
+
+      expect(starts(occurrences.filter(o => o.uid === 'review'))).toEqual([
+        '2026-01-13T15:00:00.000Z',
+        '2026-02-10T15:00:00.000Z',
+        '2026-03-10T15:00:00.000Z',
+        '2026-04-14T15:00:00.000Z',
+      ]);
+      expect(starts(occurrences.filter(o => o.uid === 'close'))).toEqual([
+        '2026-01-31T16:00:00.000Z',
+        '2026-02-28T16:00:00.000Z',
+        '2026-03-31T16:00:00.000Z',
+        '2026-04-30T16:00:00.000Z',
+      ]);
+    });
+
+    test('should drop EXDATEs and apply RECURRENCE-ID overrides', () => {
+      const occurrences = occurrencesOf(
+        calendar(
+          ...vevent(
+            'UID:sync',
+            'SUMMARY:Sync',
+            'DTSTART;TZID=Europe/Berlin:20260309T100000',
+            'RRULE:FREQ=DAILY;COUNT=5',
+            'EXDATE;TZID=Europe/Berlin:20260310T100000'
+          ),
+          ...vevent(
+            'UID:sync',
+            'SUMMARY:Sync (moved)',
+            'RECURRENCE-ID;TZID=Europe/Berlin:20260311T100000',
+            'DTSTART;TZID=Europe/Berlin:20260311T140000'
+          )
+        )
+      );
+
+      expect(occurrences.map(o => [o.start.toISOString(), o.summary])).toEqual([
+        ['2026-03-09T09:00:00.000Z', 'Sync'],
+        ['2026-03-11T13:00:00.000Z', 'Sync (moved)'],
+        ['2026-03-12T09:00:00.000Z', 'Sync'],
+        ['2026-03-13T09:00:00.000Z', 'Sync'],
+      ]);
+      // The override keeps the ID of the instance it replaces
+      expect(occurrences[1].id).toBe('sync_20260311T090000Z');
+    });
+
+    test('should map organizer and attendee participation', () => {
+      const [occurrence] = occurrencesOf(
+        calendar(
+          ...vevent(
+            'UID:a',
+            'DTSTART:20260310T090000Z',
+            'ORGANIZER;CN=Ana:mailto:ana@example.com',
+            'ATTENDEE;CN=Ben;PARTSTAT=TENTATIVE:mailto:ben@example.com',
+            'ATTENDEE:mailto:cy@example.com'
+          )
+        )
+      );
+
+      expect(occurrence.organizer).toEqual({ name: 'Ana', email: 'ana@example.com' });
+      expect(occurrence.attendees).toEqual([
+        { name: 'Ben', email: 'ben@example.com', responseStatus: 'tentative' },
+        { name: 'cy', email: 'cy@example.com', responseStatus: 'needsAction' },
+      ]);
+    });
+  });
+
+  describe('serialize', () => {
+    const event = {
+      id: 'evt-1',
+      title: 'Planning; Q3, final',
+      startTime: '2026-03-10T09:00:00.000Z',
+      endTime: '2026-03-10T09:30:00.000Z',
+      description: `Agenda:\n${'Review the roadmap. '.repeat(6)}`,
+      location: 'Room 4',
+      meetingLink: 'https://meet.google.com/abc-defg-hij',
+      organizer: { name: 'Doe: Jane', email: 'jane@example.com' },
+      attendees: [{ name: 'Ben', email: 'ben@example.com', responseStatus: 'tentative' }],
+    };
+
+    test('should write folded CRLF lines with escaped text', () => {
+      const text = ICal.serialize([event], { name: 'PingMeet', now: new Date(0) });
+      const lines = text.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(text).toContain('SUMMARY:Planning\\; Q3\\, final');
+      expect(text).toContain('ORGANIZER;CN="Doe: Jane":mailto:jane@example.com');
+      expect(text).toContain('DTSTAMP:19700101T000000Z');
+      expect(lines.every(line => line.length <= 75)).toBe(true);
+      expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    test('should fold long lines at 75 octets, not characters', () => {
+      const title = 'Réunion 週次ミーティング '.repeat(6);
+      const text = ICal.serialize([{ ...event, title }]);
+
+      expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(occurrencesOf(text)[0].summary).toBe(title);
+    });
+
+    test('should round-trip through parse and expand', () => {
+      const [occurrence] = occurrencesOf(ICal.serialize([event]));
+
+      expect(occurrence).toMatchObject({
+        uid: 'evt-1@pingmeet',
+        summary: 'Planning; Q3, final',
+        description: event.description,
+        location: 'Room 4',
+        url: 'https://meet.google.com/abc-defg-hij',
+        organizer: { name: 'Doe: Jane', email: 'jane@example.com' },
+        attendees: [{ name: 'Ben', email: 'ben@example.com', responseStatus: 'tentative' }],
+      });
+      expect(occurrence.start.toISOString()).toBe(event.startTime);
+      expect(occurrence.end.toISOString()).toBe(event.endTime);
+    });
+  });
+});
@@ -23,6 +23,9 @@ describe('NotificationManager', () => {
           if (callback) callback(id);
           return Promise.resolve(id);
         }),
+        getAll: jest.fn(() => Promise.resolve({})),
+        clear: jest.fn(() => Promise.resolve(true)),
+        update: jest.fn(() => Promise.resolve(true)),
       },
       windows: {
         create: jest.fn((options) => Promise.resolve({ id: 1 })),
@@ -60,6 +63,10 @@ describe('NotificationManager', () => {
             }
           })),
         },
+        local: {
+          get: jest.fn(() => Promise.resolve({})),
+          set: jest.fn(() => Promise.resolve()),
+        },
       },
     };
   });
@@ -70,9 +77,10 @@ describe('NotificationManager', () => {
     expect(chrome.notifications.create).toHaveBeenCalledWith(
       expect.stringContaining('pingmeet_'),
       expect.objectContaining({
-        type: 'basic',
+        type: 'progress',
         title: expect.stringContaining('Meeting'),
         priority: 2,
+        progress: 0,
       })
     );
   });
@@ -110,16 +118,350 @@ describe('NotificationManager', () => {
 
     expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(
       expect.objectContaining({
-        reasons: ['AUDIO_PLAYBACK'],
+        reasons: ['AUDIO_PLAYBACK', 'CLIPBOARD'],
       })
     );
   });
 
+  test('should send the tone of the situation at the volume from settings', async () => {
+    chrome.storage.sync.get = jest.fn(() =>
+      Promise.resolve({
+        settings: { soundVolume: 30, alertTone: 'chime', contextTones: { vip: 'bell' } },
+      })
+    );
+
+    await NotificationManager.playSound('vip');
+
+    const message = chrome.runtime.sendMessage.mock.calls[0][0];
+    expect(message.type).toBe('PLAY_SOUND');
+    expect(message.volume).toBe(0.3);
+    expect(message.sound.notes).toBeDefined();
+  });
+
   test('should trigger all mechanisms when configured', async () => {
     await NotificationManager.triggerAttention(mockEvent);
 
     expect(chrome.notifications.create).toHaveBeenCalled();
     expect(chrome.windows.create).toHaveBeenCalled();
   });
-});
 
+  test('should use the surfaces of a reminder stage instead of the global flags', async () => {
+    await NotificationManager.triggerAttention(mockEvent, {
+      minutes: 15,
+      notification: true,
+      popup: false,
+      sound: false,
+      voice: false,
+      final: false,
+    });
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ title: expect.stringContaining('in 15 minutes') })
+    );
+    expect(chrome.windows.create).not.toHaveBeenCalled();
+    expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '15m' });
+  });
+
+  test('should skip the OS notification when a stage turns it off', async () => {
+    await NotificationManager.triggerAttention(mockEvent, { minutes: 1, notification: false });
+
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    expect(chrome.windows.create).toHaveBeenCalled();
+  });
+
+  test('should offer RSVP buttons for an unanswered invitation', () => {
+    const invite = {
+      ...mockEvent,
+      source: 'google-api',
+      organizer: { email: 'boss@example.com' },
+      accountEmail: 'me@example.com',
+      attendees: [{ email: 'me@example.com', self: true, responseStatus: 'needsAction' }],
+    };
+
+    expect(NotificationManager.getNotificationButtons(invite).map(b => b.action)).toEqual([
+      'join',
+      'accepted',
+    ]);
+    expect(
+      NotificationManager.getNotificationButtons({ ...invite, meetingLink: null }).map(
+        b => b.action
+      )
+    ).toEqual(['accepted', 'tentative']);
+    expect(
+      NotificationManager.getNotificationButtons({
+        ...invite,
+        organizer: { email: 'me@example.com' },
+      }).map(b => b.action)
+    ).toEqual(['join']);
+  });
+
+  describe('notification actions', () => {
+    const meeting = {
+      ...mockEvent,
+      id: 'google_evt#1',
+      accountEmail: 'me@example.com',
+      attendees: [
+        { email: 'me@example.com', self: true, responseStatus: 'accepted' },
+        { email: 'dana@example.com', responseStatus: 'accepted' },
+      ],
+      dialIn: { phoneNumbers: [{ number: '+1 555-0100' }], pin: '123 456' },
+    };
+
+    test('should use the configured buttons that fit the meeting', () => {
+      const actions = choices =>
+        NotificationManager.getNotificationButtons(meeting, choices).map(b => b.action);
+
+      expect(actions(['snooze5', 'late'])).toEqual(['snooze5', 'late']);
+      expect(actions(['rsvp', 'dialin', 'decline'])).toEqual(['dialin', 'decline']);
+      expect(actions(['late'])).toEqual(['late']);
+      expect(
+        NotificationManager.getNotificationButtons({ ...meeting, dialIn: null }, [
+          'dialin',
+          'join',
+        ]).map(b => b.title)
+      ).toEqual(['🚀 Join Now']);
+    });
+
+    test('should name the event and button actions in the notification ID', async () => {
+      chrome.storage.sync.get = jest.fn(() =>
+        Promise.resolve({ settings: { notificationButtons: ['snooze5', 'dialin'] } })
+      );
+
+      const id = await NotificationManager.showOSNotification(meeting);
+
+      expect(id).toBe('pingmeet_google_evt#1#snooze5,dialin');
+      expect(NotificationManager.parseNotificationId(id)).toEqual({
+        eventId: 'google_evt#1',
+        actions: ['snooze5', 'dialin'],
+      });
+      expect(NotificationManager.parseNotificationId('pingmeet_evt1')).toEqual({
+        eventId: 'evt1',
+        actions: [],
+      });
+    });
+
+    test('should replace the notification a previous stage left open', async () => {
+      chrome.notifications.getAll = jest.fn(() =>
+        Promise.resolve({
+          'pingmeet_google_evt#1#join,accepted': true,
+          'pingmeet_google_evt#1#join': true,
+          'pingmeet_other#join': true,
+        })
+      );
+
+      await NotificationManager.showOSNotification(meeting);
+
+      expect(chrome.notifications.clear).toHaveBeenCalledTimes(1);
+      expect(chrome.notifications.clear).toHaveBeenCalledWith(
+        'pingmeet_google_evt#1#join,accepted'
+      );
+    });
+
+    test('should build a dial string with the PIN', () => {
+      expect(NotificationManager.dialInText(meeting)).toBe('+1 555-0100,,123456#');
+      expect(NotificationManager.dialInText({ phoneNumbers: ['+44 20 7946 0000'] })).toBe(
+        '+44 20 7946 0000'
+      );
+      expect(NotificationManager.dialInText(mockEvent)).toBeNull();
+    });
+
+    test('should only email the other attendees about running late', () => {
+      expect(NotificationManager.otherAttendeeEmails(meeting)).toEqual(['dana@example.com']);
+    });
+  });
+
+  describe('countdown', () => {
+    test('should update title, progress and urgency as the start approaches', async () => {
+      const now = Date.now();
+      chrome.storage.local.get = jest.fn(() =>
+        Promise.resolve({
+          reminderNotifications: {
+            'pingmeet_a#join': {
+              startTime: new Date(now + 3 * 60 * 1000).toISOString(),
+              leave: false,
+              shownAt: now - 7 * 60 * 1000,
+            },
+            'pingmeet_b#join': {
+              startTime: new Date(now + 60 * 60 * 1000).toISOString(),
+              leave: false,
+              shownAt: now,
+            },
+          },
+        })
+      );
+      chrome.notifications.getAll = jest.fn(() => Promise.resolve({ 'pingmeet_a#join': true }));
+
+      await NotificationManager.refreshNotifications();
+
+      expect(chrome.notifications.update).toHaveBeenCalledWith('pingmeet_a#join', {
+        title: '⏰ Meeting starting in 3 minutes!',
+        progress: 70,
+        priority: 2,
+      });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        reminderNotifications: { 'pingmeet_a#join': expect.any(Object) },
+      });
+    });
+
+    test('should stop counting down at the start time', async () => {
+      chrome.storage.local.get = jest.fn(() =>
+        Promise.resolve({
+          reminderNotifications: {
+            'pingmeet_a#join': {
+              startTime: new Date(Date.now() - 1000).toISOString(),
+              shownAt: Date.now() - 5 * 60 * 1000,
+            },
+          },
+        })
+      );
+      chrome.notifications.getAll = jest.fn(() => Promise.resolve({ 'pingmeet_a#join': true }));
+
+      await NotificationManager.refreshNotifications();
+
+      expect(chrome.notifications.update.mock.calls[0][1]).toMatchObject({
+        title: '⏰ Meeting starting now!',
+        progress: 100,
+      });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ reminderNotifications: {} });
+    });
+  });
+
+  describe('escalation', () => {
+    const started = {
+      ...mockEvent,
+      startTime: new Date(Date.now() - 3 * 60 * 1000).toISOString(),
+      endTime: new Date(Date.now() + 27 * 60 * 1000).toISOString(),
+    };
+    let stored;
+
+    beforeEach(() => {
+      stored = {};
+      chrome.storage.local = {
+        get: jest.fn(key => Promise.resolve({ [key]: stored[key] })),
+        set: jest.fn(items => {
+          Object.assign(stored, JSON.parse(JSON.stringify(items)));
+          return Promise.resolve();
+        }),
+      };
+      chrome.alarms = {
+        create: jest.fn(() => Promise.resolve()),
+        clear: jest.fn(() => Promise.resolve(true)),
+      };
+      chrome.windows.update = jest.fn(() => Promise.resolve({ id: 7 }));
+      chrome.tabs.query = jest.fn(() => Promise.resolve([]));
+      chrome.storage.sync.get = jest.fn(() =>
+        Promise.resolve({
+          settings: {
+            playSound: true,
+            soundVolume: 50,
+            escalation: 'all',
+            escalationMaxRepeats: 5,
+          },
+        })
+      );
+    });
+
+    test('should escalate all meetings or VIP ones only', () => {
+      expect(NotificationManager.shouldEscalate(mockEvent, { escalation: 'all' })).toBe(true);
+      expect(NotificationManager.shouldEscalate(mockEvent, { escalation: 'vip' })).toBe(false);
+      expect(
+        NotificationManager.shouldEscalate({ ...mockEvent, _vip: true }, { escalation: 'vip' })
+      ).toBe(true);
+      expect(NotificationManager.shouldEscalate({ ...mockEvent, _vip: true }, {})).toBe(false);
+    });
+
+    test('should raise the volume to full over the repeats', () => {
+      const settings = { soundVolume: 50, escalationMaxRepeats: 5 };
+      expect(NotificationManager.escalationVolume(1, settings)).toBeCloseTo(0.6);
+      expect(NotificationManager.escalationVolume(5, settings)).toBe(1);
+      expect(NotificationManager.escalationVolume(8, settings)).toBe(1);
+    });
+
+    test('should arm at the start time when the final stage fires', async () => {
+      await NotificationManager.triggerAttention(mockEvent, { final: true });
+
+      expect(stored.escalations[mockEvent.id]).toMatchObject({ step: 0, windowId: 1 });
+      const [name, { when }] = chrome.alarms.create.mock.calls[0];
+      expect(name).toBe(`escalate_${mockEvent.id}`);
+      expect(when).toBe(new Date(mockEvent.startTime).getTime());
+    });
+
+    test('should follow the stage setting over the final stage', async () => {
+      await NotificationManager.triggerAttention(mockEvent, { final: true, escalate: false });
+      await NotificationManager.triggerAttention(mockEvent, { final: false, popup: false });
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test('should alert louder, refocus the window and say how late it is', async () => {
+      stored.escalations = { [started.id]: { event: started, step: 1, windowId: 7 } };
+
+      await NotificationManager.handleEscalationAlarm(`escalate_${started.id}`);
+
+      const sound = chrome.runtime.sendMessage.mock.calls.find(
+        ([message]) => message.type === 'PLAY_SOUND'
+      )[0];
+      expect(sound.volume).toBeCloseTo(0.7);
+      expect(chrome.windows.update).toHaveBeenCalledWith(7, {
+        focused: true,
+        drawAttention: true,
+      });
+      expect(chrome.notifications.create.mock.calls[0][1].title).toBe(
+        '🔔 Meeting started 3 min ago'
+      );
+      expect(stored.escalations[started.id].step).toBe(2);
+      expect(chrome.alarms.create).toHaveBeenCalledWith(`escalate_${started.id}`, {
+        when: expect.any(Number),
+      });
+    });
+
+    test('should stay silent when the escalating stage has no sound', async () => {
+      await NotificationManager.triggerAttention(mockEvent, { final: true, sound: false });
+      expect(stored.escalations[mockEvent.id].profile.sound).toBe(false);
+      stored.escalations[mockEvent.id].event = started;
+      stored.escalations[mockEvent.id].step = 1;
+      chrome.runtime.sendMessage.mockClear();
+
+      await NotificationManager.handleEscalationAlarm(`escalate_${mockEvent.id}`);
+
+      expect(
+        chrome.runtime.sendMessage.mock.calls.some(([message]) => message.type === 'PLAY_SOUND')
+      ).toBe(false);
+      expect(stored.escalations[mockEvent.id].step).toBe(2);
+    });
+
+    test('should reopen the reminder window if it was closed', async () => {
+      stored.escalations = { [started.id]: { event: started, step: 0, windowId: 7 } };
+      chrome.windows.update = jest.fn(() => Promise.reject(new Error('No window with id: 7')));
+
+      await NotificationManager.handleEscalationAlarm(`escalate_${started.id}`);
+
+      expect(chrome.windows.create).toHaveBeenCalled();
+      expect(stored.escalations[started.id].windowId).toBe(1);
+    });
+
+    test('should stop once the meeting tab is open', async () => {
+      stored.escalations = { [started.id]: { event: started, step: 1, windowId: 7 } };
+      chrome.tabs.query = jest.fn(() =>
+        Promise.resolve([{ url: 'https://meet.google.com/abc-defg-hij?authuser=0' }])
+      );
+
+      await NotificationManager.handleEscalationAlarm(`escalate_${started.id}`);
+
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+      expect(stored.escalations).toEqual({});
+      expect(chrome.alarms.clear).toHaveBeenCalledWith(`escalate_${started.id}`);
+    });
+
+    test('should stop after the last repeat', async () => {
+      stored.escalations = { [started.id]: { event: started, step: 5, windowId: 7 } };
+
+      await NotificationManager.handleEscalationAlarm(`escalate_${started.id}`);
+
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+      expect(stored.escalations).toEqual({});
+    });
+  });
+});
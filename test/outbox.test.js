@@ -0,0 +1,131 @@
+/**
+ * Tests for the Outbox — calendar writes queued while offline.
+ */
+import { jest } from '@jest/globals';
+import { Outbox } from '../src/utils/outbox.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+const meeting = {
+  id: 'evt1',
+  title: 'Planning',
+  startTime: '2026-03-10T09:00:00.000Z',
+  endTime: '2026-03-10T09:30:00.000Z',
+  accountEmail: 'me@corp.com',
+  attendees: [{ email: 'me@corp.com', responseStatus: 'needsAction' }],
+};
+
+const createEntry = {
+  id: 'q2',
+  type: 'create',
+  status: 'pending',
+  title: 'Offsite',
+  payload: {
+    eventData: {
+      title: 'Offsite',
+      startTime: '2026-03-11T14:00:00.000Z',
+      endTime: '2026-03-11T15:00:00.000Z',
+      account: 'google',
+    },
+  },
+};
+
+describe('Outbox', () => {
+  describe('storage', () => {
+    test('should queue, update and remove actions', async () => {
+      const data = useMemoryStorage();
+
+      const entry = await Outbox.add({ type: 'decline', title: 'Planning', event: meeting });
+      expect(entry).toMatchObject({ status: 'pending', attempts: 0, nextAttemptAt: 0 });
+      expect(data.outbox).toHaveLength(1);
+
+      await Outbox.update(entry.id, { attempts: 1 });
+      expect(data.outbox[0].attempts).toBe(1);
+
+      expect((await Outbox.remove(entry.id)).id).toBe(entry.id);
+      expect(data.outbox).toEqual([]);
+      expect(await Outbox.remove(entry.id)).toBeNull();
+    });
+  });
+
+  describe('retry policy', () => {
+    test('should back off from a minute up to half an hour', () => {
+      expect(Outbox.backoffDelay(1)).toBe(60 * 1000);
+      expect(Outbox.backoffDelay(3)).toBe(4 * 60 * 1000);
+      expect(Outbox.backoffDelay(10)).toBe(30 * 60 * 1000);
+    });
+
+    test('should only retry pending actions whose time has come', () => {
+      expect(Outbox.isDue({ status: 'pending', nextAttemptAt: 1000 }, 2000)).toBe(true);
+      expect(Outbox.isDue({ status: 'pending', nextAttemptAt: 3000 }, 2000)).toBe(false);
+      expect(Outbox.isDue({ status: 'failed', nextAttemptAt: 0 }, 2000)).toBe(false);
+    });
+
+    test('should tell network failures from API errors', () => {
+      expect(Outbox.isNetworkError('Failed to fetch')).toBe(true);
+      expect(Outbox.isNetworkError('NetworkError when attempting to fetch resource.')).toBe(true);
+      expect(Outbox.isNetworkError('Forbidden')).toBe(false);
+      expect(Outbox.isGoneError('Not Found')).toBe(true);
+      expect(Outbox.isGoneError('The meeting has been cancelled')).toBe(true);
+    });
+  });
+
+  describe('findConflict', () => {
+    const entry = { type: 'decline', event: meeting };
+
+    test('should pass a meeting that is unchanged', () => {
+      expect(Outbox.findConflict(entry, [meeting])).toBeNull();
+    });
+
+    test('should hold back actions on deleted or moved meetings', () => {
+      expect(Outbox.findConflict(entry, [])).toMatch(/deleted/);
+      expect(
+        Outbox.findConflict(entry, [{ ...meeting, startTime: '2026-03-10T10:00:00.000Z' }])
+      ).toMatch(/moved/);
+    });
+
+    test('should let the user force a retry', () => {
+      expect(Outbox.findConflict({ ...entry, force: true }, [])).toBeNull();
+    });
+  });
+
+  describe('applyPending', () => {
+    test('should show pending responses and events waiting to be created', () => {
+      const events = Outbox.applyPending(
+        [meeting],
+        [{ id: 'q1', type: 'decline', status: 'pending', event: meeting }, createEntry]
+      );
+
+      expect(events).toHaveLength(2);
+      expect(events[0].attendees[0].responseStatus).toBe('declined');
+      expect(events[1]).toMatchObject({
+        id: 'pending_q2',
+        title: 'Offsite',
+        source: 'pending',
+        startTime: '2026-03-11T14:00:00.000Z',
+      });
+    });
+
+    test('should leave failed actions to the server state', () => {
+      const events = Outbox.applyPending(
+        [meeting],
+        [
+          { id: 'q1', type: 'rsvp', status: 'failed', event: meeting, payload: {} },
+          { ...createEntry, status: 'failed' },
+        ]
+      );
+
+      expect(events).toEqual([meeting]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for natural-language quick add: the local QuickAddParser and the
+ * optional AI fallback.
+ */
+import { jest } from '@jest/globals';
+import { QuickAddParser } from '../src/utils/quick-add-parser.js';
+import { AIInsights } from '../src/utils/ai-insights.js';
+
+// Monday 9 March 2026, 10:00 local time
+const now = new Date(2026, 2, 9, 10, 0);
+const contacts = [
+  { email: 'priya.k@acme.com', name: 'Priya Kumar' },
+  { email: 'sam@client.com', name: '' },
+];
+
+describe('Quick add', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('QuickAddParser.parse', () => {
+    test('should read title, start, duration, attendees and conferencing', () => {
+      const draft = QuickAddParser.parse('sync with Priya tomorrow 3pm 30m on zoom', {
+        now,
+        contacts,
+      });
+
+      expect(draft.title).toBe('Sync with Priya');
+      expect(draft.start).toEqual(new Date(2026, 2, 10, 15, 0));
+      expect(draft.durationMinutes).toBe(30);
+      expect(draft.attendees).toEqual(['priya.k@acme.com']);
+      expect(draft.conferencing).toBe('zoom');
+      expect(draft.matched).toEqual({ date: true, time: true, duration: true });
+    });
+
+    test('should resolve several people and report the unknown ones', () => {
+      const draft = QuickAddParser.parse('Lunch with Sam and Alex fri at 12:30 for 1h', {
+        now,
+        contacts,
+      });
+
+      expect(draft.start).toEqual(new Date(2026, 2, 13, 12, 30));
+      expect(draft.end).toEqual(new Date(2026, 2, 13, 13, 30));
+      expect(draft.attendees).toEqual(['sam@client.com']);
+      expect(draft.unresolved).toEqual(['Alex']);
+    });
+
+    test('should understand dates, Teams and emails typed in full', () => {
+      const draft = QuickAddParser.parse(
+        'design review mar 14 2pm 1h30m via teams lee@example.com',
+        { now }
+      );
+
+      expect(draft.title).toBe('Design review');
+      expect(draft.start).toEqual(new Date(2026, 2, 14, 14, 0));
+      expect(draft.durationMinutes).toBe(90);
+      expect(draft.conferencing).toBe('teams');
+      expect(draft.attendees).toEqual(['lee@example.com']);
+    });
+
+    test('should move a bare time that already passed to tomorrow', () => {
+      const draft = QuickAddParser.parse('standup 9am', { now });
+
+      expect(draft.start).toEqual(new Date(2026, 2, 10, 9, 0));
+      expect(draft.matched.date).toBe(false);
+    });
+
+    test('should read "at 3" as the afternoon and keep "1:1" in the title', () => {
+      const draft = QuickAddParser.parse('1:1 at 3', { now });
+
+      expect(draft.title).toBe('1:1');
+      expect(draft.start).toEqual(new Date(2026, 2, 9, 15, 0));
+    });
+
+    test('should fall back to the next full hour when nothing is said', () => {
+      const draft = QuickAddParser.parse('call the bank', { now });
+
+      expect(draft.title).toBe('Call the bank');
+      expect(draft.start).toEqual(new Date(2026, 2, 9, 11, 0));
+      expect(draft.durationMinutes).toBe(30);
+      expect(draft.matched).toEqual({ date: false, time: false, duration: false });
+    });
+
+    test('should not treat "with the team" as people', () => {
+      const draft = QuickAddParser.parse('planning with the design team next week', { now });
+
+      expect(draft.unresolved).toEqual([]);
+      expect(draft.start).toEqual(new Date(2026, 2, 16, 9, 0));
+    });
+  });
+
+  describe('AIInsights.parseQuickAdd', () => {
+    test('should turn the provider reply into a draft', async () => {
+      jest.spyOn(AIInsights, 'isConfigured').mockResolvedValue(true);
+      jest
+        .spyOn(AIInsights, 'getConfig')
+        .mockResolvedValue({ provider: 'anthropic', apiKey: 'key', model: 'model' });
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              content: [
+                {
+                  text: '```json\n{"title": "Board prep", "start": "2026-03-12T16:00", "durationMinutes": 45, "attendees": ["Priya"], "conferencing": "meet"}\n```',
+                },
+              ],
+            }),
+        })
+      );
+
+      const result = await AIInsights.parseQuickAdd('board prep the day after tomorrow at 4', now);
+
+      expect(result.success).toBe(true);
+      expect(result.draft).toEqual({
+        title: 'Board prep',
+        start: new Date(2026, 2, 12, 16, 0),
+        durationMinutes: 45,
+        attendees: ['Priya'],
+        conferencing: 'meet',
+      });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages[0].content).toContain(
+        'board prep the day after tomorrow at 4'
+      );
+    });
+
+    test('should do nothing without a configured provider', async () => {
+      jest.spyOn(AIInsights, 'isConfigured').mockResolvedValue(false);
+      global.fetch = jest.fn();
+
+      const result = await AIInsights.parseQuickAdd('anything');
+
+      expect(result.success).toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
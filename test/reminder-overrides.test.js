@@ -0,0 +1,64 @@
+/**
+ * Tests for ReminderOverrides — per-meeting mute / custom lead times set
+ * from the popup.
+ */
+import { jest } from '@jest/globals';
+import { ReminderOverrides } from '../src/utils/reminder-overrides.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+describe('ReminderOverrides', () => {
+  describe('parseOffsets', () => {
+    test('should accept a typed list, earliest reminder first', () => {
+      expect(ReminderOverrides.parseOffsets('1, 10 ;5')).toEqual([10, 5, 1]);
+    });
+
+    test('should drop duplicates, negatives and junk', () => {
+      expect(ReminderOverrides.parseOffsets(['2', 2, -1, 'soon', 0.5])).toEqual([2, 0]);
+      expect(ReminderOverrides.parseOffsets('')).toEqual([]);
+    });
+  });
+
+  describe('set', () => {
+    test('should store lead times by event ID', async () => {
+      const data = useMemoryStorage();
+
+      const override = await ReminderOverrides.set('evt1', { offsets: '10, 1' });
+
+      expect(override).toEqual({ muted: false, offsets: [10, 1] });
+      expect(data.reminderOverrides).toEqual({ evt1: override });
+      expect(ReminderOverrides.forEvent({ id: 'evt1' }, data.reminderOverrides)).toEqual(override);
+    });
+
+    test('should remove an override that neither mutes nor sets times', async () => {
+      const data = useMemoryStorage({ reminderOverrides: { evt1: { muted: true, offsets: [] } } });
+
+      expect(await ReminderOverrides.set('evt1', { muted: false, offsets: '' })).toBeNull();
+      expect(data.reminderOverrides).toEqual({});
+    });
+  });
+
+  describe('remove', () => {
+    test('should drop only the given events and skip the write when none match', async () => {
+      const data = useMemoryStorage({
+        reminderOverrides: { a: { muted: true, offsets: [] }, b: { muted: false, offsets: [5] } },
+      });
+
+      await ReminderOverrides.remove(['x']);
+      expect(global.chrome.storage.local.set).not.toHaveBeenCalled();
+
+      await ReminderOverrides.remove(['a', 'x']);
+      expect(Object.keys(data.reminderOverrides)).toEqual(['b']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for recurring-series awareness: series IDs on parsed events, the
+ * per-series rule store, and declining "this and following" occurrences.
+ */
+import { jest } from '@jest/globals';
+import { SeriesRules } from '../src/utils/series-rules.js';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+describe('Recurring series', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('series IDs', () => {
+    test('should keep Google recurringEventId and Graph seriesMasterId', () => {
+      const start = { dateTime: '2026-03-10T09:00:00Z' };
+
+      const [google] = CalendarAPI.parseGoogleEvents([
+        { id: 'abc_20260310T090000Z', recurringEventId: 'abc', start },
+      ]);
+      const [outlook, single] = CalendarAPI.parseOutlookEvents([
+        { id: 'occ1', seriesMasterId: 'master1', start },
+        { id: 'one-off', start },
+      ]);
+
+      expect(google.seriesId).toBe('abc');
+      expect(outlook.seriesId).toBe('outlook_master1');
+      expect(single.seriesId).toBeNull();
+    });
+  });
+
+  describe('SeriesRules', () => {
+    test('should merge changes into the stored rule', async () => {
+      useMemoryStorage();
+
+      await SeriesRules.set('abc', { title: 'Standup', muted: true });
+      const rule = await SeriesRules.set('abc', { reminderMinutes: '5' });
+
+      expect(rule).toEqual({ title: 'Standup', muted: true, reminderMinutes: 5 });
+      expect(await SeriesRules.get('abc')).toEqual(rule);
+    });
+
+    test('should drop a rule once nothing is set', async () => {
+      const data = useMemoryStorage();
+
+      await SeriesRules.set('abc', { reminderMinutes: 10 });
+      const rule = await SeriesRules.set('abc', { reminderMinutes: null, muted: false });
+
+      expect(rule).toBeNull();
+      expect(data.seriesRules).toEqual({});
+    });
+
+    test('should match events by series ID only', () => {
+      const rules = { abc: { muted: true, reminderMinutes: null } };
+
+      expect(SeriesRules.forEvent({ id: 'x', seriesId: 'abc' }, rules)).toBe(rules.abc);
+      expect(SeriesRules.forEvent({ id: 'abc' }, rules)).toBeNull();
+    });
+  });
+
+  describe('declineGoogleFollowing', () => {
+    test('should decline every upcoming instance the user has not declined yet', async () => {
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      const instance = (id, responseStatus) => ({
+        id,
+        status: 'confirmed',
+        attendees: [{ email: 'me@example.com', self: true, responseStatus }],
+      });
+      global.fetch = jest.fn(url =>
+        url.includes('/instances?')
+          ? jsonResponse({
+              items: [
+                instance('abc_1', 'accepted'),
+                instance('abc_2', 'declined'),
+                instance('abc_3', 'needsAction'),
+              ],
+            })
+          : jsonResponse({})
+      );
+
+      const result = await CalendarAPI.declineGoogleFollowing(
+        'abc',
+        '2026-03-10T09:00:00Z',
+        'google',
+        'team@group.calendar.google.com'
+      );
+
+      expect(result).toEqual({ success: true, declined: 2 });
+      const [listUrl] = global.fetch.mock.calls[0];
+      expect(listUrl).toContain(
+        '/calendars/team%40group.calendar.google.com/events/abc/instances?'
+      );
+      expect(new URL(listUrl).searchParams.get('timeMin')).toBe('2026-03-10T08:59:00.000Z');
+
+      const patches = global.fetch.mock.calls.slice(1);
+      expect(patches.map(([url]) => url.split('/').pop())).toEqual(['abc_1', 'abc_3']);
+      expect(JSON.parse(patches[0][1].body).attendees[0].responseStatus).toBe('declined');
+    });
+  });
+});
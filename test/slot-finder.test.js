@@ -0,0 +1,180 @@
+/**
+ * Tests for finding free time: ranking slots from busy intervals, and the
+ * Google freeBusy / Graph findMeetingTimes and getSchedule lookups.
+ */
+import { jest } from '@jest/globals';
+import { SlotFinder } from '../src/utils/slot-finder.js';
+import { CalendarAPI } from '../src/utils/calendar-api.js';
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+// Monday 9 March 2026, local time
+const at = (hour, minute = 0, day = 9) => new Date(2026, 2, day, hour, minute);
+const settings = { workStartHour: 9, workEndHour: 12, workDays: [1, 2, 3, 4, 5] };
+
+describe('Finding free time', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SlotFinder.findSlots', () => {
+    test('should skip busy times and rank back-to-back slots lower', () => {
+      const busy = [
+        { start: at(9).toISOString(), end: at(10).toISOString() },
+        { start: at(9, 30).toISOString(), end: at(10, 30).toISOString() },
+      ];
+
+      const slots = SlotFinder.findSlots(busy, {
+        from: at(0),
+        days: 1,
+        durationMinutes: 30,
+        settings,
+        now: at(8),
+      });
+
+      expect(slots.map(slot => new Date(slot.start).getTime())).toEqual(
+        [at(11), at(11, 30), at(10, 30)].map(d => d.getTime())
+      );
+    });
+
+    test('should stay inside working days and after now', () => {
+      // Saturday and Sunday are skipped; Monday starts at the half hour after now
+      const slots = SlotFinder.findSlots([], {
+        from: at(0, 0, 7),
+        days: 3,
+        durationMinutes: 60,
+        settings,
+        now: at(10, 10),
+        limit: 10,
+      });
+
+      expect(slots.map(slot => new Date(slot.start).getTime())).toEqual(
+        [at(10, 30), at(11)].map(d => d.getTime())
+      );
+    });
+  });
+
+  describe('SlotFinder.mergeBusy', () => {
+    test('should merge overlapping and touching intervals', () => {
+      const merged = SlotFinder.mergeBusy([
+        { start: at(10).toISOString(), end: at(11).toISOString() },
+        { start: at(9).toISOString(), end: at(10).toISOString() },
+        { start: at(11, 30).toISOString(), end: at(11, 30).toISOString() },
+      ]);
+
+      expect(merged).toEqual([{ start: at(9).getTime(), end: at(11).getTime() }]);
+    });
+  });
+
+  describe('CalendarAPI.findFreeSlots', () => {
+    const options = {
+      attendees: ['Sam@Client.com', 'sam@client.com'],
+      from: at(0),
+      days: 1,
+      durationMinutes: 30,
+      settings,
+      now: at(8),
+    };
+
+    test('should ask Google freeBusy for the user and each attendee', async () => {
+      jest.spyOn(CalendarAPI, 'getValidToken').mockResolvedValue('token');
+      global.fetch = jest.fn(() =>
+        jsonResponse({
+          calendars: {
+            primary: { busy: [{ start: at(9).toISOString(), end: at(11).toISOString() }] },
+            'sam@client.com': { errors: [{ reason: 'notFound' }] },
+          },
+        })
+      );
+
+      const result = await CalendarAPI.findFreeSlots('google', options);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://www.googleapis.com/calendar/v3/freeBusy');
+      expect(JSON.parse(request.body).items).toEqual([{ id: 'primary' }, { id: 'sam@client.com' }]);
+      expect(result.unavailable).toEqual(['sam@client.com']);
+      expect(result.slots.map(slot => new Date(slot.start).getTime())).toEqual(
+        [at(11, 30), at(11)].map(d => d.getTime())
+      );
+    });
+
+    test('should use Graph findMeetingTimes suggestions for Outlook', async () => {
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      global.fetch = jest.fn(() =>
+        jsonResponse({
+          meetingTimeSuggestions: [
+            {
+              confidence: 50,
+              meetingTimeSlot: {
+                start: { dateTime: '2026-03-09T09:00:00.0000000', timeZone: 'UTC' },
+                end: { dateTime: '2026-03-09T09:30:00.0000000', timeZone: 'UTC' },
+              },
+            },
+            {
+              confidence: 100,
+              meetingTimeSlot: {
+                start: { dateTime: '2026-03-09T10:00:00.0000000', timeZone: 'UTC' },
+                end: { dateTime: '2026-03-09T10:30:00.0000000', timeZone: 'UTC' },
+              },
+            },
+          ],
+        })
+      );
+
+      const result = await CalendarAPI.findFreeSlots('outlook', options);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      expect(url).toBe('https://graph.microsoft.com/v1.0/me/findMeetingTimes');
+      expect(body.meetingDuration).toBe('PT30M');
+      expect(body.attendees).toEqual([
+        { type: 'required', emailAddress: { address: 'sam@client.com' } },
+      ]);
+      expect(body.timeConstraint.timeSlots).toHaveLength(1);
+      expect(result.slots.map(slot => slot.start)).toEqual([
+        '2026-03-09T10:00:00.000Z',
+        '2026-03-09T09:00:00.000Z',
+      ]);
+    });
+
+    test('should fall back to getSchedule when findMeetingTimes is refused', async () => {
+      jest.spyOn(CalendarAPI, 'getValidOutlookToken').mockResolvedValue('token');
+      jest.spyOn(CalendarAPI, 'getAccountEmail').mockResolvedValue('Me@Company.com');
+      global.fetch = jest
+        .fn()
+        .mockImplementationOnce(() => jsonResponse({ error: { message: 'Forbidden' } }, 403))
+        .mockImplementationOnce(() =>
+          jsonResponse({
+            value: [
+              {
+                scheduleId: 'me@company.com',
+                scheduleItems: [
+                  {
+                    status: 'busy',
+                    start: { dateTime: at(9).toISOString().replace(/Z$/, '') },
+                    end: { dateTime: at(11, 30).toISOString().replace(/Z$/, '') },
+                  },
+                ],
+              },
+              { scheduleId: 'sam@client.com', scheduleItems: [] },
+            ],
+          })
+        );
+
+      const result = await CalendarAPI.findFreeSlots('outlook', options);
+
+      const [url, request] = global.fetch.mock.calls[1];
+      expect(url).toBe('https://graph.microsoft.com/v1.0/me/calendar/getSchedule');
+      expect(JSON.parse(request.body).schedules).toEqual(['me@company.com', 'sam@client.com']);
+      expect(result.slots.map(slot => new Date(slot.start).getTime())).toEqual([
+        at(11, 30).getTime(),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for SnoozeTargets — snoozing until a point instead of for N minutes.
+ */
+import { jest } from '@jest/globals';
+import { SnoozeTargets } from '../src/utils/snooze-targets.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+const now = new Date('2026-03-10T08:50:00.000Z').getTime();
+const meeting = {
+  id: 'evt1',
+  title: 'Planning',
+  startTime: '2026-03-10T09:00:00.000Z',
+  endTime: '2026-03-10T09:30:00.000Z',
+};
+const activeMeeting = {
+  eventId: 'evt0',
+  event: { id: 'evt0', title: 'Standup', endTime: '2026-03-10T08:55:00.000Z' },
+};
+
+describe('SnoozeTargets', () => {
+  describe('resolve', () => {
+    test('should keep minute snoozes relative to now', () => {
+      expect(SnoozeTargets.resolve(5, meeting, { now })).toEqual({ when: now + 5 * 60 * 1000 });
+      expect(SnoozeTargets.resolve(0.5, meeting, { now })).toEqual({ when: now + 30 * 1000 });
+      expect(SnoozeTargets.resolve('later', meeting, { now }).error).toMatch(/Unknown/);
+    });
+
+    test('should resolve points around the meeting to alarm times', () => {
+      expect(SnoozeTargets.resolve('beforeStart', meeting, { now })).toEqual({
+        when: new Date('2026-03-10T08:59:00.000Z').getTime(),
+      });
+      expect(SnoozeTargets.resolve('start', meeting, { now })).toEqual({
+        when: new Date(meeting.startTime).getTime(),
+      });
+      expect(SnoozeTargets.resolve('online', meeting, { now })).toEqual({ when: null });
+    });
+
+    test('should refuse points that have passed', () => {
+      const late = new Date('2026-03-10T08:59:30.000Z').getTime();
+      expect(SnoozeTargets.resolve('beforeStart', meeting, { now: late }).error).toMatch(/passed/);
+      expect(SnoozeTargets.resolve('start', meeting, { now: late }).when).toBeGreaterThan(late);
+    });
+
+    test('should wait for the end of the meeting being tracked', () => {
+      expect(SnoozeTargets.resolve('meetingEnd', meeting, { now, activeMeeting })).toEqual({
+        when: new Date('2026-03-10T08:55:00.000Z').getTime(),
+      });
+      expect(SnoozeTargets.resolve('meetingEnd', meeting, { now }).error).toBe(
+        'Not in another meeting'
+      );
+      expect(
+        SnoozeTargets.resolve('meetingEnd', activeMeeting.event, { now, activeMeeting }).error
+      ).toBe('Not in another meeting');
+    });
+  });
+
+  describe('optionsFor', () => {
+    test('should offer the points that still apply', () => {
+      expect(SnoozeTargets.optionsFor(meeting, { now }).map(o => o.target)).toEqual([
+        'beforeStart',
+        'start',
+      ]);
+      expect(
+        SnoozeTargets.optionsFor(meeting, { now, activeMeeting, online: false }).map(o => o.target)
+      ).toEqual(['beforeStart', 'start', 'meetingEnd', 'online']);
+    });
+  });
+
+  describe('storage', () => {
+    test('should keep active snoozes and drop the ones that are up', async () => {
+      const data = useMemoryStorage({
+        snoozes: { old: { target: 5, when: Date.now() - 1000, event: { id: 'old' } } },
+      });
+
+      await SnoozeTargets.add(meeting, 'online', null, now);
+      expect(Object.keys(data.snoozes)).toEqual(['evt1']);
+      expect(data.snoozes.evt1).toMatchObject({ target: 'online', when: null, dueAt: now });
+      expect(SnoozeTargets.isActive(data.snoozes.evt1)).toBe(true);
+
+      expect((await SnoozeTargets.remove('evt1')).target).toBe('online');
+      expect(data.snoozes).toEqual({});
+      expect(await SnoozeTargets.remove('evt1')).toBeNull();
+    });
+
+    test('should hold back reminders due up to the snooze time', () => {
+      const snooze = { target: 'start', when: now };
+      expect(SnoozeTargets.isActive(snooze, now - 1)).toBe(true);
+      expect(SnoozeTargets.isActive(snooze, now)).toBe(true);
+      expect(SnoozeTargets.isActive(snooze, now + 1)).toBe(false);
+      expect(SnoozeTargets.isActive(undefined, now)).toBe(false);
+    });
+  });
+
+  test('should describe a snooze', () => {
+    expect(SnoozeTargets.describe({ when: null })).toBe('until back online');
+    expect(SnoozeTargets.describe({ when: now })).toMatch(/^until \d{1,2}:\d{2} [AP]M$/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for SoundLibrary — alert tones, uploads and per-context choice.
+ */
+import { jest } from '@jest/globals';
+import { SoundLibrary } from '../src/utils/sound-library.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+describe('SoundLibrary', () => {
+  describe('contextOf', () => {
+    test('should pick the most specific situation', () => {
+      expect(SoundLibrary.contextOf({ _snoozed: true, _vip: true })).toBe('snooze');
+      expect(SoundLibrary.contextOf({ _vip: true, hasConflict: true })).toBe('vip');
+      expect(SoundLibrary.contextOf({ hasConflict: true, _external: true })).toBe('conflict');
+      expect(SoundLibrary.contextOf({ _external: true })).toBe('external');
+      expect(SoundLibrary.contextOf({})).toBe('default');
+    });
+  });
+
+  describe('toneFor', () => {
+    test('should use the context tone, then the alert tone, then the default', () => {
+      const settings = { alertTone: 'chime', contextTones: { vip: 'bell' } };
+      expect(SoundLibrary.toneFor('vip', settings)).toBe('bell');
+      expect(SoundLibrary.toneFor('external', settings)).toBe('chime');
+      expect(SoundLibrary.toneFor('default', {})).toBe('sweep');
+    });
+  });
+
+  describe('volumeFrom', () => {
+    test('should scale and clamp the volume setting', () => {
+      expect(SoundLibrary.volumeFrom({ soundVolume: 40 })).toBe(0.4);
+      expect(SoundLibrary.volumeFrom({ soundVolume: 150 })).toBe(1);
+      expect(SoundLibrary.volumeFrom({})).toBe(0.7);
+    });
+  });
+
+  describe('custom sounds', () => {
+    test('should store an upload and resolve it by tone ID', async () => {
+      const data = useMemoryStorage();
+
+      const result = await SoundLibrary.addCustomSound('ding.mp3', 'data:audio/mpeg;base64,AAAA');
+
+      expect(result.success).toBe(true);
+      expect(data.customSounds[0].name).toBe('ding');
+      expect(await SoundLibrary.resolve(result.tone)).toEqual({
+        src: 'data:audio/mpeg;base64,AAAA',
+      });
+      expect((await SoundLibrary.getTones()).at(-1)).toEqual({
+        id: result.tone,
+        name: 'ding',
+        custom: true,
+      });
+    });
+
+    test('should refuse files that are not audio or too large', async () => {
+      useMemoryStorage();
+
+      expect((await SoundLibrary.addCustomSound('a.txt', 'data:text/plain;base64,AA')).error).toBe(
+        'Not an audio file'
+      );
+      const huge = `data:audio/mpeg;base64,${'A'.repeat(2 * 1024 * 1024)}`;
+      expect((await SoundLibrary.addCustomSound('big.mp3', huge)).success).toBe(false);
+    });
+
+    test('should fall back to the default tone once an upload is removed', async () => {
+      useMemoryStorage();
+      const { tone } = await SoundLibrary.addCustomSound('ding.mp3', 'data:audio/mpeg;base64,AA');
+
+      await SoundLibrary.removeCustomSound(tone);
+
+      expect(await SoundLibrary.resolve(tone)).toEqual({
+        src: 'chrome-extension://test/assets/sounds/sweep.mp3',
+      });
+    });
+  });
+
+  test('should resolve synthesized tones to notes', async () => {
+    const sound = await SoundLibrary.resolve('chime');
+    expect(sound.notes.length).toBeGreaterThan(0);
+  });
+});
@@ -74,6 +74,15 @@ describe('StorageManager', () => {
     );
   });
 
+  test('should keep imported events under their own key', async () => {
+    const events = [{ id: 'import_a', title: 'Keynote', startTime: new Date().toISOString() }];
+
+    await StorageManager.saveImportedEvents(events);
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ importedEvents: events });
+    expect(await StorageManager.getImportedEvents()).toEqual([]);
+  });
+
   test('should save event with alarm prefix', async () => {
     const event = {
       id: 'event1',
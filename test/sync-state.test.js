@@ -0,0 +1,157 @@
+/**
+ * Tests for SyncState — the persisted incremental sync state (Google sync
+ * tokens / Graph delta links plus the event set they describe).
+ */
+import { jest } from '@jest/globals';
+import { SyncState } from '../src/utils/sync-state.js';
+
+function useMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  global.chrome.storage.local.get = jest.fn(key =>
+    Promise.resolve(typeof key === 'string' ? { [key]: data[key] } : { ...data })
+  );
+  global.chrome.storage.local.set = jest.fn(items => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+    return Promise.resolve();
+  });
+  return data;
+}
+
+function event(id, title = `Meeting ${id}`) {
+  return {
+    id,
+    title,
+    startTime: '2026-03-10T10:00:00Z',
+    endTime: '2026-03-10T10:30:00Z',
+  };
+}
+
+describe('SyncState', () => {
+  describe('merge', () => {
+    test('should report every event as added on a first full sync', () => {
+      const { events, changes } = SyncState.merge(null, {
+        upserts: [event('a'), event('b')],
+        replace: true,
+      });
+
+      expect(Object.keys(events)).toEqual(['a', 'b']);
+      expect(changes).toEqual({ added: ['a', 'b'], updated: [], removed: [] });
+    });
+
+    test('should apply adds, updates and deletes incrementally', () => {
+      const previous = { a: event('a'), b: event('b'), c: event('c') };
+
+      const { events, changes } = SyncState.merge(previous, {
+        upserts: [event('b', 'Renamed'), event('d')],
+        removedIds: ['c'],
+      });
+
+      expect(Object.keys(events).sort()).toEqual(['a', 'b', 'd']);
+      expect(events.b.title).toBe('Renamed');
+      expect(changes).toEqual({ added: ['d'], updated: ['b'], removed: ['c'] });
+    });
+
+    test('should not report unchanged upserts as updates', () => {
+      const previous = { a: event('a') };
+
+      const { changes } = SyncState.merge(previous, { upserts: [event('a')] });
+
+      expect(changes).toEqual({ added: [], updated: [], removed: [] });
+    });
+
+    test('should drop events missing from a full resync', () => {
+      const previous = { a: event('a'), b: event('b') };
+
+      const { events, changes } = SyncState.merge(previous, {
+        upserts: [event('a')],
+        replace: true,
+      });
+
+      expect(Object.keys(events)).toEqual(['a']);
+      expect(changes.removed).toEqual(['b']);
+    });
+
+    test('should ignore deletions of events it never had', () => {
+      const { changes } = SyncState.merge({ a: event('a') }, { removedIds: ['zzz'] });
+
+      expect(changes.removed).toEqual([]);
+    });
+  });
+
+  describe('isInWindow', () => {
+    const syncWindow = {
+      start: new Date('2026-03-10T00:00:00Z'),
+      end: new Date('2026-03-16T23:59:59Z'),
+    };
+
+    test('should accept events inside the window', () => {
+      expect(SyncState.isInWindow(event('a'), syncWindow)).toBe(true);
+    });
+
+    test('should reject events after the window', () => {
+      const later = { ...event('a'), startTime: '2026-03-20T10:00:00Z', endTime: null };
+      expect(SyncState.isInWindow(later, syncWindow)).toBe(false);
+    });
+
+    test('should accept events that started before the window but are still running', () => {
+      const spanning = {
+        ...event('a'),
+        startTime: '2026-03-09T23:00:00Z',
+        endTime: '2026-03-10T01:00:00Z',
+      };
+      expect(SyncState.isInWindow(spanning, syncWindow)).toBe(true);
+    });
+  });
+
+  describe('windowKey', () => {
+    test('should change when the window moves', () => {
+      const monday = { start: new Date(2026, 2, 9), end: new Date(2026, 2, 15) };
+      const tuesday = { start: new Date(2026, 2, 10), end: new Date(2026, 2, 16) };
+
+      expect(SyncState.windowKey(monday)).not.toBe(SyncState.windowKey(tuesday));
+    });
+  });
+
+  describe('storage', () => {
+    test('should save and read state per key', async () => {
+      useMemoryStorage();
+
+      await SyncState.save('google/primary', { token: 't1', windowKey: 'w', events: {} });
+      await SyncState.save('outlook/default', { token: 'd1', windowKey: 'w', events: {} });
+
+      expect((await SyncState.get('google/primary')).token).toBe('t1');
+      expect((await SyncState.get('outlook/default')).token).toBe('d1');
+      expect(await SyncState.get('google/other')).toBeNull();
+    });
+
+    test('should prune deselected calendars and return their event IDs', async () => {
+      const data = useMemoryStorage({
+        calendarSyncState: {
+          'google/primary': { token: 't1', events: { a: event('a') } },
+          'google/team': { token: 't2', events: { b: event('b'), c: event('c') } },
+          'outlook/default': { token: 'd1', events: { x: event('x') } },
+        },
+      });
+
+      const removed = await SyncState.prune('google/', ['google/primary']);
+
+      expect(removed.sort()).toEqual(['b', 'c']);
+      expect(Object.keys(data.calendarSyncState).sort()).toEqual([
+        'google/primary',
+        'outlook/default',
+      ]);
+    });
+  });
+
+  describe('combineChanges', () => {
+    test('should concatenate change sets and skip missing ones', () => {
+      const combined = SyncState.combineChanges([
+        { added: ['a'], updated: [], removed: ['b'] },
+        undefined,
+        { removed: ['c'] },
+      ]);
+
+      expect(combined).toEqual({ added: ['a'], updated: [], removed: ['b', 'c'] });
+    });
+  });
+});
@@ -203,4 +203,50 @@ describe('TimezoneHandler', () => {
       expect(TimezoneHandler.isValidTimezone(undefined)).toBe(false);
     });
   });
+
+  describe('zonedTimeToUtc', () => {
+    const nineAm = (year, month, day) => ({ year, month, day, hour: 9, minute: 0, second: 0 });
+
+    test('should resolve a wall-clock time in winter and summer', () => {
+      expect(
+        TimezoneHandler.zonedTimeToUtc(nineAm(2026, 1, 15), 'Europe/Berlin').toISOString()
+      ).toBe('2026-01-15T08:00:00.000Z');
+      expect(
+        TimezoneHandler.zonedTimeToUtc(nineAm(2026, 7, 15), 'Europe/Berlin').toISOString()
+      ).toBe('2026-07-15T07:00:00.000Z');
+    });
+
+    test('should handle zones west of UTC across their DST change', () => {
+      expect(
+        TimezoneHandler.zonedTimeToUtc(nineAm(2026, 3, 6), 'America/New_York').toISOString()
+      ).toBe('2026-03-06T14:00:00.000Z');
+      expect(
+        TimezoneHandler.zonedTimeToUtc(nineAm(2026, 3, 9), 'America/New_York').toISOString()
+      ).toBe('2026-03-09T13:00:00.000Z');
+    });
+
+    test('should pick the earlier instant for a time repeated when clocks go back', () => {
+      const halfPast = (day, hour, month = 10) => ({ year: 2024, month, day, hour, minute: 30 });
+      expect(TimezoneHandler.zonedTimeToUtc(halfPast(27, 2), 'Europe/Berlin').toISOString()).toBe(
+        '2024-10-27T00:30:00.000Z'
+      );
+      expect(
+        TimezoneHandler.zonedTimeToUtc(halfPast(3, 1, 11), 'America/New_York').toISOString()
+      ).toBe('2024-11-03T05:30:00.000Z');
+    });
+
+    test('should shift a time skipped when clocks go forward', () => {
+      const halfPastTwo = (month, day) => ({ year: 2024, month, day, hour: 2, minute: 30 });
+      expect(
+        TimezoneHandler.zonedTimeToUtc(halfPastTwo(3, 31), 'Europe/Berlin').toISOString()
+      ).toBe('2024-03-31T01:30:00.000Z');
+      expect(
+        TimezoneHandler.zonedTimeToUtc(halfPastTwo(3, 10), 'America/New_York').toISOString()
+      ).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    test('should return null for an unknown timezone', () => {
+      expect(TimezoneHandler.zonedTimeToUtc(nineAm(2026, 1, 15), 'Invalid/Timezone')).toBeNull();
+    });
+  });
 });
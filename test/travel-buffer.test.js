@@ -0,0 +1,45 @@
+/**
+ * Tests for TravelBuffer — travel time to meetings with a physical location.
+ */
+import { TravelBuffer } from '../src/utils/travel-buffer.js';
+
+describe('TravelBuffer', () => {
+  const settings = { travelBufferMinutes: 20, zeroTravelLocations: ['Building 2'] };
+
+  describe('isPhysicalLocation', () => {
+    test('should accept places and reject calls', () => {
+      expect(TravelBuffer.isPhysicalLocation('Client HQ, 5 Main St')).toBe(true);
+      expect(TravelBuffer.isPhysicalLocation('Microsoft Teams Meeting')).toBe(false);
+      expect(TravelBuffer.isPhysicalLocation('https://zoom.us/j/123')).toBe(false);
+      expect(TravelBuffer.isPhysicalLocation('  ')).toBe(false);
+      expect(TravelBuffer.isPhysicalLocation(undefined)).toBe(false);
+    });
+  });
+
+  describe('getBufferMinutes', () => {
+    test('should use the buffer for in-person meetings only', () => {
+      expect(TravelBuffer.getBufferMinutes({ location: 'Client HQ' }, settings)).toBe(20);
+      expect(TravelBuffer.getBufferMinutes({ location: 'Zoom' }, settings)).toBe(0);
+      expect(TravelBuffer.getBufferMinutes({}, settings)).toBe(0);
+    });
+
+    test('should need no travel for zero-travel locations', () => {
+      const event = { location: 'building 2 - Room 4.12' };
+
+      expect(TravelBuffer.getBufferMinutes(event, settings)).toBe(0);
+    });
+
+    test('should be off by default', () => {
+      expect(TravelBuffer.getBufferMinutes({ location: 'Client HQ' }, {})).toBe(0);
+    });
+  });
+
+  describe('getBufferBetween', () => {
+    test('should need no travel when staying in the same place', () => {
+      const previous = { location: 'Client HQ' };
+
+      expect(TravelBuffer.getBufferBetween(previous, { location: 'client hq' }, settings)).toBe(0);
+      expect(TravelBuffer.getBufferBetween(previous, { location: 'Airport' }, settings)).toBe(20);
+    });
+  });
+});
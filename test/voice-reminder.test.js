@@ -0,0 +1,108 @@
+/**
+ * Tests for VoiceReminder — spoken text templates and voice choice.
+ */
+import { VoiceReminder } from '../src/utils/voice-reminder.js';
+
+const now = new Date('2026-03-10T08:55:00.000Z').getTime();
+const meeting = {
+  title: 'Planning',
+  startTime: '2026-03-10T09:00:00.000Z',
+  organizer: { name: 'Dana', email: 'dana@corp.com' },
+  meetingLink: 'https://zoom.us/j/123456789',
+};
+
+const voices = [
+  { name: 'Samantha', lang: 'en-US', localService: true, default: true },
+  { name: 'Daniel', lang: 'en-GB', localService: true },
+  { name: 'Anna', lang: 'de-DE', localService: true },
+  { name: 'Google Deutsch', lang: 'de-DE', localService: false },
+  { name: 'Kyoko', lang: 'ja-JP', localService: true },
+];
+
+describe('VoiceReminder', () => {
+  describe('render', () => {
+    test('should keep the old wording by default', () => {
+      expect(VoiceReminder.render('', meeting, now)).toBe(
+        'Meeting reminder: Planning starts in 5 minutes.'
+      );
+    });
+
+    test('should fill in every placeholder', () => {
+      expect(
+        VoiceReminder.render('{title} with {organizer} on {platform} in {minutes}', meeting, now)
+      ).toBe('Planning with Dana on Zoom in 5 minutes');
+      expect(
+        VoiceReminder.render('{minutes}', { ...meeting, startTime: '2026-03-10T08:56:00Z' }, now)
+      ).toBe('1 minute');
+    });
+
+    test('should tidy up after empty placeholders and keep unknown ones', () => {
+      const solo = { title: 'Focus', startTime: meeting.startTime };
+      expect(VoiceReminder.render('{title} on {platform}. {when}', solo, now)).toBe(
+        'Focus on. {when}'
+      );
+      expect(VoiceReminder.render('{title} {organizer}!', solo, now)).toBe('Focus!');
+    });
+  });
+
+  describe('detectLanguage', () => {
+    test('should tell languages from their script', () => {
+      expect(VoiceReminder.detectLanguage('週次ミーティング')).toBe('ja');
+      expect(VoiceReminder.detectLanguage('주간 회의')).toBe('ko');
+      expect(VoiceReminder.detectLanguage('周会')).toBe('zh');
+      expect(VoiceReminder.detectLanguage('Планёрка')).toBe('ru');
+    });
+
+    test('should guess Latin-script languages from their letters', () => {
+      expect(VoiceReminder.detectLanguage('Besprechung für Änderungen')).toBe('de');
+      expect(VoiceReminder.detectLanguage('Reunión de equipo')).toBe('es');
+      expect(VoiceReminder.detectLanguage('Réunion à Paris')).toBe('fr');
+    });
+
+    test('should leave plain titles to the configured language', () => {
+      expect(VoiceReminder.detectLanguage('Weekly sync')).toBeNull();
+      expect(VoiceReminder.detectLanguage('')).toBeNull();
+    });
+  });
+
+  describe('optionsFor', () => {
+    const settings = { voiceName: 'Daniel', voiceLang: 'en-GB', voiceRate: 1.2, voicePitch: 0.8 };
+
+    test('should use the chosen voice for titles in its language', () => {
+      expect(VoiceReminder.optionsFor(meeting, settings)).toEqual({
+        name: 'Daniel',
+        lang: 'en-GB',
+        rate: 1.2,
+        pitch: 0.8,
+      });
+    });
+
+    test("should switch to the title's language", () => {
+      const options = VoiceReminder.optionsFor({ ...meeting, title: 'Übergabe' }, settings);
+      expect(options).toMatchObject({ name: '', lang: 'de' });
+    });
+
+    test('should keep the chosen voice when matching is off', () => {
+      const options = VoiceReminder.optionsFor(
+        { ...meeting, title: 'Übergabe' },
+        { ...settings, voiceAutoLanguage: false }
+      );
+      expect(options).toMatchObject({ name: 'Daniel', lang: 'en-GB' });
+    });
+  });
+
+  describe('pickVoice', () => {
+    test('should use the named voice when it speaks the language', () => {
+      expect(VoiceReminder.pickVoice(voices, { name: 'Daniel', lang: 'en-GB' }).name).toBe(
+        'Daniel'
+      );
+      expect(VoiceReminder.pickVoice(voices, { name: 'Daniel', lang: 'de' }).name).toBe('Anna');
+    });
+
+    test('should prefer an exact locale, then a local voice of the language', () => {
+      expect(VoiceReminder.pickVoice(voices, { lang: 'en-GB' }).name).toBe('Daniel');
+      expect(VoiceReminder.pickVoice(voices, { lang: 'ja' }).name).toBe('Kyoko');
+      expect(VoiceReminder.pickVoice(voices, { lang: 'fr-FR' })).toBeNull();
+    });
+  });
+});